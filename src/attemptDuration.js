@@ -0,0 +1,67 @@
+/**
+ * @typedef {"none" | "timeout" | "latency"} AttemptDurationMode
+ */
+
+/**
+ * @typedef {object} AttemptDurationConfig
+ * @property {AttemptDurationMode} [attemptDurationMode]
+ * @property {number} [attemptTimeoutMs] Every failed attempt runs until this timeout.
+ * @property {number} [attemptP50Ms] Median attempt latency.
+ * @property {number} [attemptP99Ms] 99th percentile attempt latency.
+ */
+
+/**
+ * @typedef {object} AttemptDurationStats
+ * @property {number} expectedMs Mean duration of one attempt.
+ * @property {number} worstCaseMs Duration used for worst-case timelines.
+ */
+
+export const ATTEMPT_DURATION_MODES = /** @type {const} */ (["none", "timeout", "latency"]);
+
+export const DEFAULT_ATTEMPT_DURATION_MODE = "none";
+
+// Standard normal quantile at 0.99.
+const Z_99 = 2.3263478740408408;
+
+/**
+ * @param {unknown} value
+ * @returns {value is AttemptDurationMode}
+ */
+export function isAttemptDurationMode(value) {
+  return (
+    typeof value === "string" &&
+    ATTEMPT_DURATION_MODES.includes(/** @type {AttemptDurationMode} */ (value))
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @returns {AttemptDurationMode}
+ */
+export function resolveAttemptDurationMode(value) {
+  return isAttemptDurationMode(value) ? value : DEFAULT_ATTEMPT_DURATION_MODE;
+}
+
+/**
+ * Duration of a single attempt. A latency distribution is modelled as log-normal through the
+ * given p50 and p99, so its mean sits above the median; worst-case timelines use the p99.
+ * @param {AttemptDurationConfig} config
+ * @returns {AttemptDurationStats}
+ */
+export function attemptDurationStats(config) {
+  const mode = resolveAttemptDurationMode(config.attemptDurationMode);
+
+  if (mode === "timeout") {
+    return { expectedMs: config.attemptTimeoutMs, worstCaseMs: config.attemptTimeoutMs };
+  }
+
+  if (mode === "latency") {
+    const sigma = Math.log(config.attemptP99Ms / config.attemptP50Ms) / Z_99;
+    return {
+      expectedMs: config.attemptP50Ms * Math.exp((sigma * sigma) / 2),
+      worstCaseMs: config.attemptP99Ms,
+    };
+  }
+
+  return { expectedMs: 0, worstCaseMs: 0 };
+}
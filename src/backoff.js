@@ -1,21 +1,72 @@
+import { attemptDurationStats, isAttemptDurationMode } from "./attemptDuration.js";
+import {
+  isSequenceEndMode,
+  parseDelaySequence,
+  resolveSequenceEndMode,
+} from "./delaySequence.js";
+import { evaluateExpression, expressionVariables, parseExpression } from "./expression.js";
+import { isJitterOrder, resolveJitterOrder } from "./jitterOrder.js";
+import { parsePhases, phaseConfig } from "./phases.js";
+import { isRetryAfterRule } from "./retryAfter.js";
+import {
+  firstRetryIndex,
+  isInitialAttemptMode,
+  isRetryIndexBase,
+  retryIndex,
+} from "./retryIndex.js";
+
+/**
+ * @typedef {"exponential" | "linear" | "fixed" | "fibonacci" | "polynomial" | "custom" | "expression"} BackoffStrategy
+ */
 /**
- * @typedef {"exponential" | "linear" | "fixed"} BackoffStrategy
+ * @typedef {"none" | "equal" | "full" | "proportional" | "decorrelated"} JitterType
  */
 /**
- * @typedef {"none" | "equal" | "full"} JitterType
+ * @typedef {"stop" | "clip"} ElapsedBudgetMode
  */
+/**
+ * @typedef {"maxRetries" | "maxElapsed" | "delayList"} ScheduleLimit
+ */
+
+export const BACKOFF_STRATEGIES = /** @type {const} */ ([
+  "exponential",
+  "linear",
+  "fixed",
+  "fibonacci",
+  "polynomial",
+  "custom",
+  "expression",
+]);
 
 const MAX_RETRIES_LIMIT = 1000;
+const DECORRELATED_JITTER_MULTIPLIER = 3;
+// Bins carrying the distribution of decorrelated sleeps between the floor and the cap.
+const DECORRELATED_DENSITY_BINS = 128;
 export const DEFAULT_JITTER_TYPE = "none";
+export const DEFAULT_RANDOMIZATION_FACTOR = 0.5;
+export const ELAPSED_BUDGET_MODES = /** @type {const} */ (["stop", "clip"]);
+export const DEFAULT_ELAPSED_BUDGET_MODE = "stop";
+export const DEFAULT_WAIT_THRESHOLDS = "1m, 5m, 1h";
 
 /**
- * @typedef {"config" | "strategy" | "initialDelayMs" | "maxRetries" | "maxDelayMs" | "factor" | "incrementMs" | "jitter"} ValidationErrorField
+ * @typedef {(
+ *   "config" | "strategy" | "initialDelayMs" | "maxRetries" | "maxDelayMs" | "minDelayMs" |
+ *   "maxElapsedMs" | "elapsedBudgetMode" | "attemptDurationMode" | "attemptTimeoutMs" |
+ *   "attemptP50Ms" | "attemptP99Ms" | "factor" | "incrementMs" | "exponent" | "customDelays" |
+ *   "sequenceEnd" | "expression" | "jitter" | "randomizationFactor" | "failureModel" |
+ *   "failureProbability" | "failureProbabilities" | "maxTokens" | "tokenRatio" |
+ *   "throttleRequests" | "herdClients" | "scenarioMode" | "outageMs" | "recoveryCapacity" |
+ *   "breakerMode" | "breakerFailureThreshold" | "breakerOpenMs" | "breakerHalfOpenProbes" |
+ *   "retryAfterRule" | "retryAfterFraction" | "retryAfterMs" | "retryAfterMaxMs" |
+ *   "waitThresholds" | "retryIndexBase" | "initialAttempt" | "jitterOrder" | "phases"
+ * )} ValidationErrorField
  */
 
 /**
  * @typedef {object} ValidationError
  * @property {ValidationErrorField} field
  * @property {string} message
+ * @property {number} [position] Zero-based offset into the field's text, for expression errors.
  */
 
 /**
@@ -24,15 +75,59 @@ export const DEFAULT_JITTER_TYPE = "none";
  * @property {number} initialDelayMs
  * @property {number} maxRetries
  * @property {number | null} maxDelayMs
+ * @property {number | null} [minDelayMs] Floor applied to every sleep after jitter.
+ * @property {number | null} [maxElapsedMs] Budget for the expected wall-clock time from the
+ *   first attempt to the start of the last retry, including modelled attempt durations.
+ * @property {ElapsedBudgetMode} [elapsedBudgetMode]
  * @property {number} [factor]
  * @property {number} [incrementMs]
+ * @property {number} [exponent]
+ * @property {string} [customDelays] Comma-separated delay list used by the custom strategy.
+ * @property {import("./delaySequence.js").SequenceEndMode} [sequenceEnd]
+ * @property {string} [expression] Formula over r, D0, F, and I used by the expression strategy.
+ * @property {import("./attemptDuration.js").AttemptDurationMode} [attemptDurationMode]
+ * @property {number} [attemptTimeoutMs]
+ * @property {number} [attemptP50Ms]
+ * @property {number} [attemptP99Ms]
  * @property {JitterType} [jitter]
+ * @property {number} [randomizationFactor] Proportional jitter spreads each sleep over
+ *   delay * (1 ± randomizationFactor).
+ * @property {import("./jitterOrder.js").JitterOrder} [jitterOrder] Whether equal, full, and
+ *   proportional jitter draw around the capped delay or draw around the raw delay and cap the
+ *   result.
+ * @property {import("./reliability.js").FailureModel} [failureModel]
+ * @property {number} [failureProbability]
+ * @property {string} [failureProbabilities]
+ * @property {number} [maxTokens] Retry-throttling bucket size.
+ * @property {number} [tokenRatio] Tokens each success refunds to the throttling bucket.
+ * @property {number} [throttleRequests] Requests in the throttling simulation.
+ * @property {number} [herdClients] Clients in the thundering-herd simulation.
+ * @property {import("./scenarioMode.js").ScenarioMode} [scenarioMode]
+ * @property {number} [outageMs] Outage length for the outage recovery scenario.
+ * @property {number} [recoveryCapacity] Share of attempts served once the outage ends.
+ * @property {import("./circuitBreaker.js").BreakerMode} [breakerMode]
+ * @property {number} [breakerFailureThreshold] Consecutive failures that open the breaker.
+ * @property {number} [breakerOpenMs] How long the breaker stays open before probing.
+ * @property {number} [breakerHalfOpenProbes] Calls let through while half-open.
+ * @property {import("./retryAfter.js").RetryAfterRule} [retryAfterRule]
+ * @property {number} [retryAfterFraction] Share of failed attempts answered with Retry-After.
+ * @property {number} [retryAfterMs] The Retry-After hint, or its low end when random.
+ * @property {number | null} [retryAfterMaxMs] High end of a random hint; null for a fixed one.
+ * @property {string} [waitThresholds] Comma-separated cumulative waits, like "1m, 5m, 1h",
+ *   whose crossing retries summarizeSchedule reports.
+ * @property {import("./retryIndex.js").RetryIndexBase} [retryIndexBase] Whether formulas,
+ *   labels, and the expression variable r count the first retry as 1 or 0.
+ * @property {import("./retryIndex.js").InitialAttemptMode} [initialAttempt] Whether the table
+ *   and chart list the initial attempt as a row with no delay.
+ * @property {string} [phases] Semicolon-separated phases that follow the first maxRetries
+ *   retries, like "24x fixed 1h"; see parsePhases.
  */
 
 /**
  * @typedef {object} RetryPoint
  * @property {number} retry
- * @property {number} rawDelayMs
+ * @property {number} rawDelayMs Computed delay before the cap and jitter. Under decorrelated
+ *   jitter, the uncapped top of the draw on the longest path: max(D0, 3 * previous max sleep).
  * @property {number} minDelayMs
  * @property {number} expectedDelayMs
  * @property {number} maxDelayMs
@@ -40,6 +135,31 @@ export const DEFAULT_JITTER_TYPE = "none";
  * @property {number} cumulativeDelayMs
  * @property {number} cumulativeMinDelayMs
  * @property {number} cumulativeMaxDelayMs
+ * @property {number | null} delayVariance Variance of this retry's sleep in ms²; null under
+ *   decorrelated jitter, where sleeps depend on each other.
+ * @property {number | null} delayStdDevMs
+ * @property {number | null} cumulativeVariance Variance of the total sleep up to this retry,
+ *   a sum of independent uniform draws.
+ * @property {number | null} cumulativeStdDevMs
+ * @property {boolean} budgetCutoff True on the last retry when the elapsed budget ended it.
+ * @property {boolean} clippedToBudget True when this sleep was shortened to fit the budget.
+ * @property {number} attemptStartMs Expected wall-clock offset, from the first attempt's start,
+ *   at which this retry begins.
+ * @property {number} attemptEndMs Expected wall-clock offset at which this retry finishes.
+ * @property {number} latestAttemptStartMs Start offset with every sleep and attempt at its max.
+ * @property {number} latestAttemptEndMs End offset with every sleep and attempt at its max.
+ * @property {boolean} overridden True when the schedule's override hook changed this sleep.
+ * @property {number} overrideShare Chance that the override changes this sleep; 0 when it
+ *   does not apply.
+ * @property {number} phase 0 for retries from the main inputs, then 1, 2, ... for each later
+ *   phase.
+ */
+
+/**
+ * @typedef {object} GenerateScheduleOptions
+ * @property {import("./retryAfter.js").DelayOverrideHook | null} [overrideDelay] Replaces a
+ *   retry's computed sleep range, for example with server Retry-After hints. Overridden
+ *   sleeps have no analytic variance.
  */
 
 /**
@@ -47,6 +167,27 @@ export const DEFAULT_JITTER_TYPE = "none";
  * @property {number} totalRetries
  * @property {number} finalDelayMs
  * @property {number} totalDelayMs
+ * @property {ScheduleLimit} limitedBy What ended the schedule.
+ * @property {number} worstCaseLatencyMs End of the final attempt when every sleep and attempt
+ *   takes its longest.
+ * @property {number | null} giveUpP95Ms Time by which 95% of clients have finished their
+ *   final attempt; null when the sleep distribution is not modelled analytically.
+ * @property {number | null} capRetry First retry whose computed delay reaches the cap (under
+ *   decorrelated jitter, whose longest sleep does); null when there is no cap or the schedule
+ *   never reaches it.
+ * @property {number} growingDelayMs Expected sleep spent on retries below the cap.
+ * @property {number} cappedDelayMs Expected sleep spent on retries held at the cap.
+ * @property {number} uncappedTotalDelayMs Total of the computed delays with no cap or jitter;
+ *   the geometric series D0 * (F^n - 1) / (F - 1) for exponential backoff. Under decorrelated
+ *   jitter, the expected total with no cap.
+ * @property {ThresholdCrossing[]} thresholdCrossings
+ */
+
+/**
+ * @typedef {object} ThresholdCrossing
+ * @property {number} thresholdMs
+ * @property {number | null} retry First retry whose cumulative sleep reaches the threshold;
+ *   null when the schedule ends first.
  */
 
 /**
@@ -67,7 +208,7 @@ export const DEFAULT_JITTER_TYPE = "none";
 
 /**
  * @typedef {object} ChartMathVariableBinding
- * @property {"D0" | "F" | "I" | "Dcap" | "r"} symbol
+ * @property {"D0" | "F" | "I" | "p" | "n" | "Dcap" | "Dfloor" | "R" | "r"} symbol
  * @property {string} label
  * @property {number | string | null} value
  * @property {boolean} visible
@@ -85,26 +226,41 @@ export const DEFAULT_JITTER_TYPE = "none";
  * @typedef {object} ChartMathExplanationModel
  * @property {BackoffStrategy} strategy
  * @property {JitterType} jitterType
+ * @property {import("./jitterOrder.js").JitterOrder} jitterOrder
  * @property {ChartMathMode} chartMode
  * @property {ChartMathSeriesMode} chartSeriesMode
  * @property {boolean} hasCap
+ * @property {boolean} hasFloor
  * @property {number} maxRetries
- * @property {number | null} activeRetry
+ * @property {number} phase The hovered retry's phase, 0 for the main inputs. The strategy,
+ *   constants, and r describe that phase.
+ * @property {0 | 1} firstRetryIndex The index r of the first retry.
+ * @property {number | null} activeRetry Position of the hovered retry, 1 for the first.
+ * @property {number | null} activeRetryIndex The hovered retry's index r within its phase.
  * @property {ChartMathActivePoint | null} activePoint
  * @property {"E" | "S"} chartSourceSymbol
  * @property {{
  *   initialDelayMs:number,
  *   factor:number | null,
  *   incrementMs:number | null,
- *   maxDelayMs:number | null
+ *   exponent:number | null,
+ *   maxDelayMs:number | null,
+ *   minDelayMs:number | null,
+ *   randomizationFactor:number | null
  * }} constants
  * @property {{
+ *   delaysMs:number[],
+ *   end:import("./delaySequence.js").SequenceEndMode
+ * } | null} customSequence
+ * @property {import("./expression.js").ExpressionNode | null} expression
+ * @property {{
  *   rawDelayMs:number | null,
  *   cappedDelayMs:number | null,
  *   baseChartValueMs:number | null,
  *   expectedDelayMs:number | null,
  *   minDelayMs:number | null,
  *   maxDelayMs:number | null,
+ *   previousDelayMs:number | null,
  *   randomizedMinValueMs:number | null,
  *   randomizedExpectedValueMs:number | null,
  *   randomizedMaxValueMs:number | null,
@@ -140,22 +296,118 @@ function resolveChartMathSeriesMode(value) {
 }
 
 /**
+ * Fibonacci number with F(1) = F(2) = 1.
+ * @param {number} index
+ */
+function fibonacci(index) {
+  let previous = 0;
+  let current = 1;
+  for (let step = 1; step < index; step += 1) {
+    [previous, current] = [current, previous + current];
+  }
+  return current;
+}
+
+/**
+ * Built-in strategies are written in the retry index r, so counting from 0 changes their
+ * formulas (D0 * F^r rather than D0 * F^(r-1)) but not their delays. A formula reads r as
+ * given, so the same text gives different delays under each count.
  * @param {BackoffConfig} config
- * @param {number} retry
+ * @param {number} retry Position in the schedule, 1 for the first retry.
  * @returns {number}
  */
 function rawDelayAtRetry(config, retry) {
+  const r = retryIndex(config, retry);
+  // 1 for the first retry under either count.
+  const step = r - firstRetryIndex(config) + 1;
+
   if (config.strategy === "exponential") {
-    return config.initialDelayMs * config.factor ** (retry - 1);
+    return config.initialDelayMs * config.factor ** (step - 1);
   }
 
   if (config.strategy === "linear") {
-    return config.initialDelayMs + (retry - 1) * config.incrementMs;
+    return config.initialDelayMs + (step - 1) * config.incrementMs;
+  }
+
+  if (config.strategy === "fibonacci") {
+    return config.initialDelayMs * fibonacci(step);
+  }
+
+  if (config.strategy === "polynomial") {
+    return config.initialDelayMs * step ** config.exponent;
+  }
+
+  if (config.strategy === "custom") {
+    const { delaysMs } = parseDelaySequence(config.customDelays);
+    return delaysMs[Math.min(step, delaysMs.length) - 1];
+  }
+
+  if (config.strategy === "expression") {
+    return evaluateExpression(parseExpression(config.expression).expression, {
+      r,
+      D0: config.initialDelayMs,
+      F: config.factor,
+      I: config.incrementMs,
+    });
   }
 
   return config.initialDelayMs;
 }
 
+/**
+ * Retries from the main inputs. A custom sequence that stops after its last entry can end
+ * before maxRetries.
+ * @param {BackoffConfig} config
+ * @returns {number}
+ */
+function firstPhaseRetryCount(config) {
+  if (config.strategy === "custom" && resolveSequenceEndMode(config.sequenceEnd) === "stop") {
+    return Math.min(config.maxRetries, parseDelaySequence(config.customDelays).delaysMs.length);
+  }
+  return config.maxRetries;
+}
+
+/**
+ * The main inputs followed by each later phase, with the config its retries are computed from
+ * and the schedule position of its first retry.
+ * @param {BackoffConfig} config
+ * @returns {Array<{config: BackoffConfig, retries: number, firstRetry: number}>}
+ */
+function schedulePhases(config) {
+  const stages = [{ config, retries: firstPhaseRetryCount(config), firstRetry: 1 }];
+  for (const phase of parsePhases(config.phases).phases) {
+    const previous = stages[stages.length - 1];
+    stages.push({
+      config: phaseConfig(config, phase),
+      retries: phase.retries,
+      firstRetry: previous.firstRetry + previous.retries,
+    });
+  }
+  return stages;
+}
+
+/**
+ * The phase a schedule position falls in, and the position within that phase.
+ * @param {ReturnType<typeof schedulePhases>} stages
+ * @param {number} retry
+ */
+function phaseAtRetry(stages, retry) {
+  let phase = stages.length - 1;
+  while (phase > 0 && retry < stages[phase].firstRetry) {
+    phase -= 1;
+  }
+  const stage = stages[phase];
+  return { phase, config: stage.config, retry: retry - stage.firstRetry + 1 };
+}
+
+/**
+ * @param {BackoffConfig} config
+ * @returns {number}
+ */
+function scheduledRetryCount(config) {
+  return schedulePhases(config).reduce((count, stage) => count + stage.retries, 0);
+}
+
 /**
  * @param {BackoffConfig} config
  * @param {number} retry
@@ -204,12 +456,29 @@ function normalizeActivePoint(activePoint, maxRetries) {
   };
 }
 
+/**
+ * @param {unknown} value
+ * @returns {value is BackoffStrategy}
+ */
+export function isBackoffStrategy(value) {
+  return (
+    typeof value === "string" &&
+    BACKOFF_STRATEGIES.includes(/** @type {BackoffStrategy} */ (value))
+  );
+}
+
 /**
  * @param {unknown} value
  * @returns {value is JitterType}
  */
 export function isJitterType(value) {
-  return value === "none" || value === "equal" || value === "full";
+  return (
+    value === "none" ||
+    value === "equal" ||
+    value === "full" ||
+    value === "proportional" ||
+    value === "decorrelated"
+  );
 }
 
 /**
@@ -224,31 +493,470 @@ export function resolveJitterType(value) {
 }
 
 /**
+ * @param {unknown} value
+ * @returns {value is ElapsedBudgetMode}
+ */
+export function isElapsedBudgetMode(value) {
+  return (
+    typeof value === "string" &&
+    ELAPSED_BUDGET_MODES.includes(/** @type {ElapsedBudgetMode} */ (value))
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @returns {ElapsedBudgetMode}
+ */
+export function resolveElapsedBudgetMode(value) {
+  return isElapsedBudgetMode(value) ? value : DEFAULT_ELAPSED_BUDGET_MODE;
+}
+
+/**
+ * @param {BackoffConfig} config
+ */
+function delayFloorMs(config) {
+  return config.minDelayMs ?? 0;
+}
+
+/**
+ * Expected value of min(capMs, max(floorMs, U(lowMs, highMs))), assuming floorMs <= capMs.
+ * @param {number} lowMs
+ * @param {number} highMs
+ * @param {number} floorMs
+ * @param {number} capMs
+ */
+function expectedClampedUniform(lowMs, highMs, floorMs, capMs) {
+  if (highMs <= lowMs) {
+    return Math.min(capMs, Math.max(floorMs, lowMs));
+  }
+  if (floorMs <= lowMs && capMs >= highMs) {
+    return (lowMs + highMs) / 2;
+  }
+
+  const middleLowMs = Math.min(highMs, Math.max(lowMs, floorMs));
+  const middleHighMs = Math.max(middleLowMs, Math.min(highMs, capMs));
+  const belowFloorMs = (middleLowMs - lowMs) * floorMs;
+  const betweenMs = ((middleHighMs - middleLowMs) * (middleLowMs + middleHighMs)) / 2;
+  const aboveCapMs = highMs > middleHighMs ? (highMs - middleHighMs) * capMs : 0;
+  return (belowFloorMs + betweenMs + aboveCapMs) / (highMs - lowMs);
+}
+
+/**
+ * @param {BackoffConfig} config
+ */
+function randomizationFactor(config) {
+  return config.randomizationFactor ?? DEFAULT_RANDOMIZATION_FACTOR;
+}
+
+/**
+ * Variance of min(capMs, max(floorMs, U(lowMs, highMs))), assuming floorMs <= capMs.
+ * @param {number} lowMs
+ * @param {number} highMs
+ * @param {number} floorMs
+ * @param {number} capMs
+ */
+function clampedUniformVariance(lowMs, highMs, floorMs, capMs) {
+  if (highMs <= lowMs) {
+    return 0;
+  }
+
+  const meanMs = expectedClampedUniform(lowMs, highMs, floorMs, capMs);
+  const middleLowMs = Math.min(highMs, Math.max(lowMs, floorMs));
+  const middleHighMs = Math.max(middleLowMs, Math.min(highMs, capMs));
+  const belowFloor = (middleLowMs - lowMs) * floorMs * floorMs;
+  const between = (middleHighMs ** 3 - middleLowMs ** 3) / 3;
+  const aboveCap = highMs > middleHighMs ? (highMs - middleHighMs) * capMs * capMs : 0;
+  const secondMoment = (belowFloor + between + aboveCap) / (highMs - lowMs);
+  // Guard against tiny negative results from cancellation.
+  return Math.max(0, secondMoment - meanMs * meanMs);
+}
+
+/**
+ * How a server hint changes a sleep drawn as max(floorMs, min(capMs, U(lowMs, highMs))) when
+ * the client sleeps max(hint, sleep): the hint acts as a higher floor.
+ * @param {number} hintMs
+ * @param {number} lowMs
+ * @param {number} highMs
+ * @param {number} floorMs
+ * @param {number} capMs
+ * @returns {import("./retryAfter.js").HintedSleep}
+ */
+function hintedClampedUniform(hintMs, lowMs, highMs, floorMs, capMs) {
+  const raisedFloorMs = Math.max(floorMs, hintMs);
+  let probability;
+  if (highMs <= lowMs) {
+    probability = Math.max(floorMs, Math.min(capMs, lowMs)) < hintMs ? 1 : 0;
+  } else if (hintMs <= floorMs) {
+    probability = 0;
+  } else if (hintMs > capMs) {
+    probability = 1;
+  } else {
+    probability = Math.min(1, Math.max(0, (hintMs - lowMs) / (highMs - lowMs)));
+  }
+  return {
+    probability,
+    expectedDelayMs:
+      raisedFloorMs >= capMs
+        ? raisedFloorMs
+        : expectedClampedUniform(lowMs, highMs, raisedFloorMs, capMs),
+  };
+}
+
+/**
+ * The same for a decorrelated sleep, whose distribution is known only through its range and
+ * mean: the part of the range below the hint is taken as uniform.
+ * @param {number} hintMs
+ * @param {{ minDelayMs: number, expectedDelayMs: number, maxDelayMs: number }} range
+ * @returns {import("./retryAfter.js").HintedSleep}
+ */
+function hintedDelayRange(hintMs, range) {
+  const { minDelayMs, expectedDelayMs, maxDelayMs } = range;
+  if (hintMs <= minDelayMs) {
+    return { probability: 0, expectedDelayMs };
+  }
+  if (hintMs >= maxDelayMs) {
+    return { probability: 1, expectedDelayMs: hintMs };
+  }
+  const widthMs = maxDelayMs - minDelayMs;
+  const meanExcessMs = (hintMs - minDelayMs) ** 2 / (2 * widthMs);
+  return {
+    probability: (hintMs - minDelayMs) / widthMs,
+    expectedDelayMs: Math.min(maxDelayMs, Math.max(hintMs, expectedDelayMs + meanExcessMs)),
+  };
+}
+
+/**
+ * Bounds of the uniform draw a jitter type makes around one capped delay, before the floor.
  * @param {number} cappedDelayMs
  * @param {JitterType} jitterType
+ * @param {number} factor Randomization factor for proportional jitter.
  */
-function toDelayRange(cappedDelayMs, jitterType) {
+function jitterSpread(cappedDelayMs, jitterType, factor) {
+  // A delay that overflowed to Infinity puts every draw above the cap it is headed for.
+  if (cappedDelayMs === Number.POSITIVE_INFINITY) {
+    return { lowMs: cappedDelayMs, highMs: cappedDelayMs };
+  }
   if (jitterType === "equal") {
-    return {
-      minDelayMs: cappedDelayMs / 2,
-      expectedDelayMs: cappedDelayMs * 0.75,
-      maxDelayMs: cappedDelayMs,
-    };
+    return { lowMs: cappedDelayMs / 2, highMs: cappedDelayMs };
   }
-
   if (jitterType === "full") {
-    return {
-      minDelayMs: 0,
-      expectedDelayMs: cappedDelayMs / 2,
-      maxDelayMs: cappedDelayMs,
-    };
+    return { lowMs: 0, highMs: cappedDelayMs };
   }
+  if (jitterType === "proportional") {
+    return { lowMs: cappedDelayMs * (1 - factor), highMs: cappedDelayMs * (1 + factor) };
+  }
+  return { lowMs: cappedDelayMs, highMs: cappedDelayMs };
+}
 
+/**
+ * Jittered sleep range for one delay. The floor applies after jitter, so it lifts the low
+ * end of the range (and the expected value) without narrowing the random draw. With the
+ * default cap-then-jitter order the delay arrives capped and capMs stays infinite, so
+ * proportional jitter can exceed the cap, as it does in gRPC and Google's client libraries.
+ * Jitter-then-cap passes the raw delay and the cap, which then clips the draw and piles its
+ * upper tail onto the cap.
+ * @param {number} delayMs
+ * @param {JitterType} jitterType
+ * @param {number} [floorMs]
+ * @param {number} [factor] Randomization factor for proportional jitter.
+ * @param {number} [capMs] Cap applied to the draw, for jitter-then-cap.
+ */
+function toDelayRange(
+  delayMs,
+  jitterType,
+  floorMs = 0,
+  factor = 0,
+  capMs = Number.POSITIVE_INFINITY,
+) {
+  const { lowMs, highMs } = jitterSpread(delayMs, jitterType, factor);
   return {
-    minDelayMs: cappedDelayMs,
-    expectedDelayMs: cappedDelayMs,
-    maxDelayMs: cappedDelayMs,
+    minDelayMs: Math.max(floorMs, Math.min(capMs, lowMs)),
+    expectedDelayMs:
+      jitterType === "equal" && floorMs <= lowMs && highMs <= capMs
+        ? delayMs * 0.75
+        : expectedClampedUniform(lowMs, highMs, floorMs, capMs),
+    maxDelayMs: Math.max(floorMs, Math.min(capMs, highMs)),
+    delayVariance: clampedUniformVariance(lowMs, highMs, floorMs, capMs),
+  };
+}
+
+/**
+ * The delay jitter draws around, and the cap left to apply to the draw, under the configured
+ * order. Decorrelated jitter always caps its draw and does not use this.
+ * @param {BackoffConfig} config
+ * @param {number} rawDelayMs
+ */
+function jitterBasis(config, rawDelayMs) {
+  const capMs = config.maxDelayMs ?? Number.POSITIVE_INFINITY;
+  if (resolveJitterOrder(config.jitterOrder) === "jitter-then-cap") {
+    return { delayMs: rawDelayMs, capMs };
+  }
+  return { delayMs: Math.min(rawDelayMs, capMs), capMs: Number.POSITIVE_INFINITY };
+}
+
+/**
+ * Draw one equal, full, proportional, or no-jitter sleep: cap the raw delay and jitter it (or
+ * jitter it and cap the draw, under jitter-then-cap), then apply the floor.
+ * @param {BackoffConfig} config
+ * @param {number} rawDelayMs
+ * @param {number} randomValue Uniform sample in [0, 1).
+ * @returns {number}
+ */
+export function sampleJitteredDelay(config, rawDelayMs, randomValue) {
+  const { delayMs, capMs } = jitterBasis(config, rawDelayMs);
+  const { lowMs, highMs } = jitterSpread(
+    delayMs,
+    resolveJitterType(config.jitter),
+    randomizationFactor(config),
+  );
+  const drawMs = highMs > lowMs ? lowMs + randomValue * (highMs - lowMs) : lowMs;
+  return Math.max(delayFloorMs(config), Math.min(capMs, drawMs));
+}
+
+/**
+ * Mass and first moment of a piecewise-constant density over consecutive intervals.
+ * @param {Array<{ startMs: number, endMs: number, density: number }>} segments Ascending.
+ * @param {Array<{ startMs: number, endMs: number }>} intervals Ascending and disjoint.
+ */
+function integrateDensity(segments, intervals) {
+  let firstSegment = 0;
+  return intervals.map(({ startMs, endMs }) => {
+    while (firstSegment < segments.length && segments[firstSegment].endMs <= startMs) {
+      firstSegment += 1;
+    }
+    let mass = 0;
+    let moment = 0;
+    for (let index = firstSegment; index < segments.length; index += 1) {
+      const segment = segments[index];
+      if (segment.startMs >= endMs) {
+        break;
+      }
+      const lowMs = Math.max(startMs, segment.startMs);
+      const highMs = Math.min(endMs, segment.endMs);
+      if (highMs > lowMs) {
+        const segmentMass = segment.density * (highMs - lowMs);
+        mass += segmentMass;
+        moment += (segmentMass * (lowMs + highMs)) / 2;
+      }
+    }
+    return { mass, moment };
+  });
+}
+
+/**
+ * Distribution of the next decorrelated sleep from the distribution of the previous one.
+ * Both are weighted atoms: the floor and cap keep their exact point masses, and the draws in
+ * between are binned, each bin standing in at its exact mean. The next sleep's mean is linear
+ * in the previous sleep away from the floor and cap, so binning barely moves expected values.
+ * @param {Array<{ valueMs: number, weight: number }>} atoms
+ * @param {number} baseMs
+ * @param {number} floorMs
+ * @param {number} capMs
+ */
+function nextDecorrelatedAtoms(atoms, baseMs, floorMs, capMs) {
+  const nextAtoms = [];
+  const addPointMass = (valueMs, weight) => {
+    if (weight > 0) {
+      nextAtoms.push({ valueMs, weight });
+    }
   };
+
+  // Each atom draws uniformly from [D0, 3 * atom], so the density of the unclamped draw is a
+  // step function that drops as each atom's upper end is passed.
+  const draws = [];
+  for (const { valueMs, weight } of atoms) {
+    const upperMs = valueMs * DECORRELATED_JITTER_MULTIPLIER;
+    if (upperMs <= baseMs) {
+      addPointMass(Math.max(floorMs, Math.min(capMs, baseMs)), weight);
+    } else {
+      draws.push({ upperMs, density: weight / (upperMs - baseMs) });
+    }
+  }
+  // Summed from the top down: the densities near D0 dwarf those of wide upper segments, so
+  // subtracting them from a running total would leave rounding error across a huge width.
+  draws.sort((left, right) => right.upperMs - left.upperMs);
+  const segments = [];
+  let density = 0;
+  for (let index = 0; index < draws.length; index += 1) {
+    const draw = draws[index];
+    density += draw.density;
+    const startMs = index + 1 < draws.length ? draws[index + 1].upperMs : baseMs;
+    if (draw.upperMs > startMs) {
+      segments.push({ startMs, endMs: draw.upperMs, density });
+    }
+  }
+  segments.reverse();
+
+  const topMs = draws[0]?.upperMs ?? baseMs;
+  const middleLowMs = Math.max(baseMs, floorMs);
+  const middleHighMs = Math.min(capMs, topMs);
+  // Sleeps spread over orders of magnitude between D0 and the cap, so bins are spaced
+  // geometrically; a zero lower edge falls back to even spacing.
+  const intervals = [{ startMs: baseMs, endMs: Math.min(floorMs, topMs) }];
+  if (middleHighMs > middleLowMs) {
+    const growth =
+      middleLowMs > 0 ? (middleHighMs / middleLowMs) ** (1 / DECORRELATED_DENSITY_BINS) : 1;
+    const widthMs = (middleHighMs - middleLowMs) / DECORRELATED_DENSITY_BINS;
+    let startMs = middleLowMs;
+    for (let index = 1; index <= DECORRELATED_DENSITY_BINS; index += 1) {
+      const endMs =
+        index === DECORRELATED_DENSITY_BINS
+          ? middleHighMs
+          : middleLowMs > 0
+            ? startMs * growth
+            : startMs + widthMs;
+      intervals.push({ startMs, endMs });
+      startMs = endMs;
+    }
+  }
+  intervals.push({ startMs: Math.max(capMs, baseMs), endMs: topMs });
+  const [belowFloor, ...binned] = integrateDensity(segments, intervals);
+  const aboveCap = binned.pop();
+  addPointMass(floorMs, belowFloor.mass);
+  addPointMass(capMs, aboveCap.mass);
+  for (const { mass, moment } of binned) {
+    if (mass > 0) {
+      nextAtoms.push({ valueMs: moment / mass, weight: mass });
+    }
+  }
+  return nextAtoms;
+}
+
+/**
+ * Decorrelated jitter draws each sleep from [D0, 3 * previous sleep], so a retry's range
+ * depends on the one before it. Min and max follow the extreme paths exactly. Expected values
+ * come from carrying each sleep's whole distribution forward: the cap and floor clamp the draw
+ * non-linearly, so feeding the expected previous sleep into the next draw overstates the mean
+ * once they engage.
+ * @param {BackoffConfig} config
+ * @param {number} retryCount
+ */
+function decorrelatedDelayRanges(config, retryCount) {
+  const capMs = config.maxDelayMs ?? Number.POSITIVE_INFINITY;
+  const floorMs = delayFloorMs(config);
+  const baseMs = config.initialDelayMs;
+  const ranges = [];
+  let previousMaxDelayMs = baseMs;
+  let previousExpectedDelayMs = baseMs;
+  // The first retry uses D0 as its previous sleep.
+  let atoms = [{ valueMs: baseMs, weight: 1 }];
+  let isSettled = false;
+  const canClamp = Number.isFinite(capMs) || floorMs > baseMs;
+
+  for (let retry = 1; retry <= retryCount; retry += 1) {
+    const previousUpperMs = previousMaxDelayMs * DECORRELATED_JITTER_MULTIPLIER;
+    const minDelayMs = Math.max(floorMs, Math.min(capMs, baseMs));
+    const maxDelayMs = Math.max(floorMs, Math.min(capMs, Math.max(baseMs, previousUpperMs)));
+    // The distribution is only needed once the cap or floor can clamp a draw.
+    if (canClamp && !isSettled && Number.isFinite(previousUpperMs)) {
+      atoms = nextDecorrelatedAtoms(atoms, baseMs, floorMs, capMs);
+    }
+    let expectedDelayMs = previousExpectedDelayMs;
+    if ((previousUpperMs <= capMs && floorMs <= baseMs) || !Number.isFinite(previousUpperMs)) {
+      // Unclamped, the next mean is linear in the previous sleep, so the expected previous
+      // sleep gives it exactly. Uncapped sleeps large enough to overflow are so far above the
+      // floor that this still holds.
+      expectedDelayMs = expectedClampedUniform(
+        baseMs,
+        Math.max(baseMs, previousExpectedDelayMs * DECORRELATED_JITTER_MULTIPLIER),
+        floorMs,
+        capMs,
+      );
+    } else if (!isSettled) {
+      // Once the cap holds the range still, the distribution settles and later retries
+      // repeat it.
+      expectedDelayMs = Math.min(
+        maxDelayMs,
+        Math.max(
+          minDelayMs,
+          atoms.reduce((total, { valueMs, weight }) => total + valueMs * weight, 0),
+        ),
+      );
+    }
+    isSettled =
+      maxDelayMs === previousMaxDelayMs &&
+      Math.abs(expectedDelayMs - previousExpectedDelayMs) <= 1e-7 * expectedDelayMs;
+
+    ranges.push({
+      rawDelayMs: Math.max(baseMs, previousUpperMs),
+      minDelayMs,
+      expectedDelayMs,
+      maxDelayMs,
+      previousDelayMs: previousExpectedDelayMs,
+    });
+    previousMaxDelayMs = maxDelayMs;
+    previousExpectedDelayMs = expectedDelayMs;
+  }
+
+  return ranges;
+}
+
+/**
+ * Draw the next decorrelated-jitter sleep: max(Dfloor, min(Dcap, random(D0, 3 * previous sleep))).
+ * The first retry uses D0 as its previous sleep.
+ * @param {BackoffConfig} config
+ * @param {number} previousDelayMs
+ * @param {number} randomValue Uniform sample in [0, 1).
+ * @returns {number}
+ */
+export function sampleDecorrelatedDelay(config, previousDelayMs, randomValue) {
+  const baseMs = config.initialDelayMs;
+  const upperMs = Math.max(baseMs, previousDelayMs * DECORRELATED_JITTER_MULTIPLIER);
+  const sampledMs = baseMs + randomValue * (upperMs - baseMs);
+  const cappedMs = config.maxDelayMs == null ? sampledMs : Math.min(sampledMs, config.maxDelayMs);
+  return Math.max(delayFloorMs(config), cappedMs);
+}
+
+/**
+ * @param {BackoffConfig} config
+ * @param {ValidationError[]} priorErrors
+ * @returns {ValidationError[]}
+ */
+function validateExpression(config, priorErrors) {
+  const { expression, error } = parseExpression(config.expression);
+  if (error !== null) {
+    return [
+      {
+        field: "expression",
+        message: `At position ${error.position + 1}: ${error.message}`,
+        position: error.position,
+      },
+    ];
+  }
+
+  const variables = expressionVariables(expression);
+  const errors = [];
+  if (variables.has("F") && !isFiniteNumber(config.factor)) {
+    errors.push({ field: "factor", message: "Must be a number when F is used." });
+  }
+  if (variables.has("I") && !isFiniteNumber(config.incrementMs)) {
+    errors.push({ field: "incrementMs", message: "Must be a number when I is used." });
+  }
+
+  // Only probe the formula once every input it reads is valid.
+  if (errors.length > 0 || priorErrors.length > 0) {
+    return errors;
+  }
+
+  // A formula may grow past the largest number when the cap will bring it back, as the
+  // built-in exponential strategy does.
+  const allowsOverflow = isFiniteNumber(config.maxDelayMs);
+  for (let retry = 1; retry <= config.maxRetries; retry += 1) {
+    const delayMs = rawDelayAtRetry(config, retry);
+    const overflowed = allowsOverflow && delayMs === Number.POSITIVE_INFINITY;
+    if (!overflowed && (!isFiniteNumber(delayMs) || delayMs < 0)) {
+      return [
+        {
+          field: "expression",
+          message:
+            `Evaluates to ${delayMs} at retry ${retryIndex(config, retry)}; delays must be ` +
+            `${allowsOverflow ? "numbers" : "finite"} and >= 0.`,
+        },
+      ];
+    }
+  }
+
+  return errors;
 }
 
 /**
@@ -262,12 +970,11 @@ export function validateConfig(config) {
     return [{ field: "config", message: "Configuration is required." }];
   }
 
-  if (
-    config.strategy !== "exponential" &&
-    config.strategy !== "linear" &&
-    config.strategy !== "fixed"
-  ) {
-    errors.push({ field: "strategy", message: "Must be exponential, linear, or fixed." });
+  if (!isBackoffStrategy(config.strategy)) {
+    errors.push({
+      field: "strategy",
+      message: "Must be exponential, linear, fixed, fibonacci, polynomial, custom, or expression.",
+    });
   }
 
   if (!isFiniteNumber(config.initialDelayMs) || config.initialDelayMs < 0) {
@@ -292,6 +999,71 @@ export function validateConfig(config) {
     errors.push({ field: "maxDelayMs", message: "Must be >= 0 or blank." });
   }
 
+  if (config.minDelayMs != null) {
+    if (!isFiniteNumber(config.minDelayMs) || config.minDelayMs < 0) {
+      errors.push({ field: "minDelayMs", message: "Must be >= 0 or blank." });
+    } else if (isFiniteNumber(config.maxDelayMs) && config.minDelayMs > config.maxDelayMs) {
+      errors.push({ field: "minDelayMs", message: "Must be <= the max delay cap." });
+    }
+  }
+
+  if (
+    config.maxElapsedMs != null &&
+    (!isFiniteNumber(config.maxElapsedMs) || config.maxElapsedMs < 0)
+  ) {
+    errors.push({ field: "maxElapsedMs", message: "Must be >= 0 or blank." });
+  }
+
+  if (config.elapsedBudgetMode !== undefined && !isElapsedBudgetMode(config.elapsedBudgetMode)) {
+    errors.push({ field: "elapsedBudgetMode", message: "Must be stop or clip." });
+  }
+
+  if (
+    config.attemptDurationMode !== undefined &&
+    !isAttemptDurationMode(config.attemptDurationMode)
+  ) {
+    errors.push({ field: "attemptDurationMode", message: "Must be none, timeout, or latency." });
+  }
+
+  if (config.attemptDurationMode === "timeout") {
+    if (!isFiniteNumber(config.attemptTimeoutMs) || config.attemptTimeoutMs < 0) {
+      errors.push({ field: "attemptTimeoutMs", message: "Must be >= 0." });
+    }
+  }
+
+  if (config.attemptDurationMode === "latency") {
+    if (!isFiniteNumber(config.attemptP50Ms) || config.attemptP50Ms <= 0) {
+      errors.push({ field: "attemptP50Ms", message: "Must be > 0." });
+    } else if (!isFiniteNumber(config.attemptP99Ms) || config.attemptP99Ms < config.attemptP50Ms) {
+      errors.push({ field: "attemptP99Ms", message: "Must be >= the p50 latency." });
+    }
+  }
+
+  if (config.retryAfterRule !== undefined && !isRetryAfterRule(config.retryAfterRule)) {
+    errors.push({ field: "retryAfterRule", message: "Must be ignore, max, or override." });
+  }
+
+  if (config.retryAfterRule === "max" || config.retryAfterRule === "override") {
+    if (
+      !isFiniteNumber(config.retryAfterFraction) ||
+      config.retryAfterFraction < 0 ||
+      config.retryAfterFraction > 1
+    ) {
+      errors.push({ field: "retryAfterFraction", message: "Must be between 0 and 1." });
+    }
+    const hasValidHint = isFiniteNumber(config.retryAfterMs) && config.retryAfterMs >= 0;
+    if (!hasValidHint) {
+      errors.push({ field: "retryAfterMs", message: "Must be >= 0." });
+    }
+    if (
+      config.retryAfterMaxMs != null &&
+      (!isFiniteNumber(config.retryAfterMaxMs) ||
+        (hasValidHint && config.retryAfterMaxMs < config.retryAfterMs))
+    ) {
+      errors.push({ field: "retryAfterMaxMs", message: "Must be >= Retry-After." });
+    }
+  }
+
   if (config.strategy === "exponential") {
     if (!isFiniteNumber(config.factor) || config.factor <= 1) {
       errors.push({ field: "factor", message: "Must be > 1." });
@@ -304,48 +1076,191 @@ export function validateConfig(config) {
     }
   }
 
+  if (config.strategy === "polynomial") {
+    if (!isFiniteNumber(config.exponent) || config.exponent <= 0) {
+      errors.push({ field: "exponent", message: "Must be > 0." });
+    }
+  }
+
+  if (config.strategy === "custom") {
+    const { delaysMs, errors: entryErrors } = parseDelaySequence(config.customDelays);
+    for (const entryError of entryErrors) {
+      errors.push({
+        field: "customDelays",
+        message: `Entry ${entryError.index + 1} ("${entryError.token}"): ${entryError.message}`,
+      });
+    }
+    if (entryErrors.length === 0 && delaysMs.length === 0) {
+      errors.push({ field: "customDelays", message: "Enter at least one delay." });
+    }
+    if (config.sequenceEnd !== undefined && !isSequenceEndMode(config.sequenceEnd)) {
+      errors.push({ field: "sequenceEnd", message: "Must be repeat or stop." });
+    }
+  }
+
+  if (config.strategy === "expression") {
+    errors.push(...validateExpression(config, errors));
+  }
+
+  if (config.waitThresholds !== undefined) {
+    for (const entryError of parseDelaySequence(config.waitThresholds).errors) {
+      errors.push({
+        field: "waitThresholds",
+        message: `Entry ${entryError.index + 1} ("${entryError.token}"): ${entryError.message}`,
+      });
+    }
+  }
+
+  if (config.retryIndexBase !== undefined && !isRetryIndexBase(config.retryIndexBase)) {
+    errors.push({ field: "retryIndexBase", message: "Must be one or zero." });
+  }
+
+  if (config.initialAttempt !== undefined && !isInitialAttemptMode(config.initialAttempt)) {
+    errors.push({ field: "initialAttempt", message: "Must be hidden or listed." });
+  }
+
+  if (config.phases !== undefined) {
+    const { phases, errors: phaseErrors } = parsePhases(config.phases);
+    for (const phaseError of phaseErrors) {
+      errors.push({
+        field: "phases",
+        message: `Phase ${phaseError.index + 1} ("${phaseError.token}"): ${phaseError.message}`,
+      });
+    }
+    const totalRetries =
+      config.maxRetries + phases.reduce((count, phase) => count + phase.retries, 0);
+    if (Number.isInteger(config.maxRetries) && totalRetries > MAX_RETRIES_LIMIT) {
+      errors.push({
+        field: "phases",
+        message: `Phases bring the schedule above ${MAX_RETRIES_LIMIT} retries.`,
+      });
+    }
+    if (phases.length > 0 && config.jitter === "decorrelated") {
+      errors.push({
+        field: "phases",
+        message: "Decorrelated jitter grows from the previous sleep, so it cannot use phases.",
+      });
+    }
+  }
+
+  if (config.jitterOrder !== undefined && !isJitterOrder(config.jitterOrder)) {
+    errors.push({
+      field: "jitterOrder",
+      message: "Must be cap-then-jitter or jitter-then-cap.",
+    });
+  }
+
   if (config.jitter !== undefined && !isJitterType(config.jitter)) {
-    errors.push({ field: "jitter", message: "Must be none, equal, or full." });
+    errors.push({
+      field: "jitter",
+      message: "Must be none, equal, full, proportional, or decorrelated.",
+    });
+  }
+
+  if (config.jitter === "proportional" && config.randomizationFactor !== undefined) {
+    if (
+      !isFiniteNumber(config.randomizationFactor) ||
+      config.randomizationFactor < 0 ||
+      config.randomizationFactor > 1
+    ) {
+      errors.push({ field: "randomizationFactor", message: "Must be between 0 and 1." });
+    }
   }
 
   return errors;
 }
 
 /**
+ * With an elapsed budget, the schedule ends before the retry that would start after
+ * maxElapsedMs of expected wall-clock time. In "clip" mode that retry's sleep is shortened
+ * to the remaining budget instead of being dropped.
  * @param {BackoffConfig} config
+ * @param {GenerateScheduleOptions} [options]
  * @returns {RetryPoint[]}
  */
-export function generateSchedule(config) {
+export function generateSchedule(config, options = {}) {
   const errors = validateConfig(config);
   if (errors.length > 0) {
     throw new Error(`Invalid configuration: ${errors.map((error) => error.message).join(" ")}`);
   }
 
   const jitterType = resolveJitterType(config.jitter);
+  const stages = schedulePhases(config);
+  const retryCount = scheduledRetryCount(config);
+  const decorrelatedRanges =
+    jitterType === "decorrelated" ? decorrelatedDelayRanges(config, retryCount) : null;
+  const floorMs = delayFloorMs(config);
+  const factor = randomizationFactor(config);
+  const budgetMs = config.maxElapsedMs ?? Number.POSITIVE_INFINITY;
+  const clipToBudget = resolveElapsedBudgetMode(config.elapsedBudgetMode) === "clip";
+  const attemptDuration = attemptDurationStats(config);
   const schedule = [];
   let cumulativeDelayMs = 0;
   let cumulativeMinDelayMs = 0;
   let cumulativeMaxDelayMs = 0;
+  let cumulativeVariance = decorrelatedRanges === null ? 0 : null;
+  // The initial attempt runs before the first retry's sleep.
+  let previousAttemptEndMs = attemptDuration.expectedMs;
+  let latestPreviousAttemptEndMs = attemptDuration.worstCaseMs;
 
-  for (let retry = 1; retry <= config.maxRetries; retry += 1) {
-    let rawDelayMs;
-
-    if (config.strategy === "exponential") {
-      rawDelayMs = config.initialDelayMs * config.factor ** (retry - 1);
-    } else if (config.strategy === "linear") {
-      rawDelayMs = config.initialDelayMs + (retry - 1) * config.incrementMs;
-    } else {
-      rawDelayMs = config.initialDelayMs;
+  for (let retry = 1; retry <= retryCount; retry += 1) {
+    const { phase, config: stageConfig, retry: stageRetry } = phaseAtRetry(stages, retry);
+    // Decorrelated sleeps grow from the previous sleep, not from the strategy's formula.
+    const rawDelayMs =
+      decorrelatedRanges?.[retry - 1].rawDelayMs ?? rawDelayAtRetry(stageConfig, stageRetry);
+    const basis = jitterBasis(stageConfig, rawDelayMs);
+    const range =
+      decorrelatedRanges?.[retry - 1] ??
+      toDelayRange(basis.delayMs, jitterType, floorMs, factor, basis.capMs);
+    let { minDelayMs, expectedDelayMs, maxDelayMs } = range;
+    let delayVariance = decorrelatedRanges === null ? range.delayVariance : null;
+    const hinted = (hintMs) => {
+      if (decorrelatedRanges !== null) {
+        return hintedDelayRange(hintMs, range);
+      }
+      const { lowMs, highMs } = jitterSpread(basis.delayMs, jitterType, factor);
+      return hintedClampedUniform(hintMs, lowMs, highMs, floorMs, basis.capMs);
+    };
+    const override =
+      options.overrideDelay?.({ retry, minDelayMs, expectedDelayMs, maxDelayMs, hinted }) ?? null;
+    if (override !== null) {
+      ({ minDelayMs, expectedDelayMs, maxDelayMs } = override);
+      delayVariance = null;
     }
+    const remainingBudgetMs = budgetMs - previousAttemptEndMs;
+    const exceedsBudget = expectedDelayMs > remainingBudgetMs;
 
-    const cappedDelayMs =
-      config.maxDelayMs == null ? rawDelayMs : Math.min(rawDelayMs, config.maxDelayMs);
-    const { minDelayMs, expectedDelayMs, maxDelayMs } = toDelayRange(cappedDelayMs, jitterType);
+    if (exceedsBudget && (!clipToBudget || remainingBudgetMs <= 0)) {
+      if (schedule.length > 0) {
+        schedule[schedule.length - 1].budgetCutoff = true;
+      }
+      break;
+    }
+    if (exceedsBudget) {
+      minDelayMs = Math.min(minDelayMs, remainingBudgetMs);
+      expectedDelayMs = remainingBudgetMs;
+      maxDelayMs = Math.min(maxDelayMs, remainingBudgetMs);
+      // The budget caps the draw like a lower cap; only draws above it are shortened.
+      if (delayVariance !== null) {
+        const { lowMs, highMs } = jitterSpread(basis.delayMs, jitterType, factor);
+        const clippedFloorMs = Math.min(floorMs, remainingBudgetMs);
+        const clippedCapMs = Math.min(basis.capMs, remainingBudgetMs);
+        expectedDelayMs = expectedClampedUniform(lowMs, highMs, clippedFloorMs, clippedCapMs);
+        delayVariance = clampedUniformVariance(lowMs, highMs, clippedFloorMs, clippedCapMs);
+      }
+    }
     const delayMs = expectedDelayMs;
+    if (cumulativeVariance !== null) {
+      cumulativeVariance = delayVariance === null ? null : cumulativeVariance + delayVariance;
+    }
 
     cumulativeDelayMs += delayMs;
     cumulativeMinDelayMs += minDelayMs;
     cumulativeMaxDelayMs += maxDelayMs;
+    const attemptStartMs = previousAttemptEndMs + delayMs;
+    const latestAttemptStartMs = latestPreviousAttemptEndMs + maxDelayMs;
+    previousAttemptEndMs = attemptStartMs + attemptDuration.expectedMs;
+    latestPreviousAttemptEndMs = latestAttemptStartMs + attemptDuration.worstCaseMs;
 
     schedule.push({
       retry,
@@ -357,7 +1272,24 @@ export function generateSchedule(config) {
       cumulativeDelayMs,
       cumulativeMinDelayMs,
       cumulativeMaxDelayMs,
+      delayVariance,
+      delayStdDevMs: delayVariance === null ? null : Math.sqrt(delayVariance),
+      cumulativeVariance,
+      cumulativeStdDevMs: cumulativeVariance === null ? null : Math.sqrt(cumulativeVariance),
+      budgetCutoff: exceedsBudget,
+      clippedToBudget: exceedsBudget,
+      attemptStartMs,
+      attemptEndMs: previousAttemptEndMs,
+      latestAttemptStartMs,
+      latestAttemptEndMs: latestPreviousAttemptEndMs,
+      overridden: override !== null,
+      overrideShare: override?.share ?? 0,
+      phase,
     });
+
+    if (exceedsBudget) {
+      break;
+    }
   }
 
   return schedule;
@@ -381,9 +1313,19 @@ export function buildChartMathExplanation(context) {
   const jitterType = resolveJitterType(config.jitter);
   const chartMode = resolveChartMathMode(context.chartMode);
   const chartSeriesMode = resolveChartMathSeriesMode(context.chartSeriesMode);
-  const hasCap = config.maxDelayMs != null;
-  const activePoint = normalizeActivePoint(context.activePoint, config.maxRetries);
+  const hasFloor = config.minDelayMs != null;
+  const floorMs = delayFloorMs(config);
+  const factor = jitterType === "proportional" ? randomizationFactor(config) : null;
+  const stages = schedulePhases(config);
+  const retryCount = scheduledRetryCount(config);
+  const activePoint = normalizeActivePoint(context.activePoint, retryCount);
   const activeRetry = activePoint?.retry ?? null;
+  // The formula rows follow the hovered retry's phase; charted totals span every phase.
+  const activeStage = activeRetry === null ? null : phaseAtRetry(stages, activeRetry);
+  const phase = activeStage?.phase ?? 0;
+  const formulaConfig = stages[phase].config;
+  const hasCap = formulaConfig.maxDelayMs != null;
+  const firstIndex = firstRetryIndex(config);
   const chartSourceSymbol = chartSeriesMode === "simulated" ? "S" : "E";
 
   let rawDelayMs = null;
@@ -392,84 +1334,168 @@ export function buildChartMathExplanation(context) {
   let expectedDelayMs = null;
   let minDelayMs = null;
   let maxDelayMs = null;
+  let previousDelayMs = null;
   let randomizedMinValueMs = null;
   let randomizedExpectedValueMs = null;
   let randomizedMaxValueMs = null;
 
   if (activeRetry !== null) {
-    rawDelayMs = rawDelayAtRetry(config, activeRetry);
-    cappedDelayMs = hasCap ? Math.min(rawDelayMs, config.maxDelayMs) : rawDelayMs;
-    const resolvedRange = toDelayRange(cappedDelayMs, jitterType);
+    rawDelayMs = rawDelayAtRetry(formulaConfig, activeStage.retry);
+    cappedDelayMs = hasCap ? Math.min(rawDelayMs, formulaConfig.maxDelayMs) : rawDelayMs;
+    const decorrelatedRanges =
+      jitterType === "decorrelated" ? decorrelatedDelayRanges(config, activeRetry) : null;
+    const basis = jitterBasis(formulaConfig, rawDelayMs);
+    const resolvedRange =
+      decorrelatedRanges?.[activeRetry - 1] ??
+      toDelayRange(basis.delayMs, jitterType, floorMs, factor ?? 0, basis.capMs);
     expectedDelayMs = resolvedRange.expectedDelayMs;
     minDelayMs = resolvedRange.minDelayMs;
     maxDelayMs = resolvedRange.maxDelayMs;
 
-    if (chartMode === "cumulative") {
-      let cumulativeBase = 0;
-      for (let retry = 1; retry <= activeRetry; retry += 1) {
-        cumulativeBase += cappedDelayAtRetry(config, retry);
+    if (decorrelatedRanges !== null) {
+      previousDelayMs = decorrelatedRanges[activeRetry - 1].previousDelayMs;
+      const chartedRanges =
+        chartMode === "cumulative" ? decorrelatedRanges : [decorrelatedRanges[activeRetry - 1]];
+      randomizedMinValueMs = 0;
+      randomizedExpectedValueMs = 0;
+      randomizedMaxValueMs = 0;
+      for (const range of chartedRanges) {
+        randomizedMinValueMs += range.minDelayMs;
+        randomizedExpectedValueMs += range.expectedDelayMs;
+        randomizedMaxValueMs += range.maxDelayMs;
       }
-      baseChartValueMs = cumulativeBase;
     } else {
-      baseChartValueMs = cappedDelayMs;
+      // The floor is not linear, so cumulative ranges are summed per retry rather than
+      // derived from the cumulative base.
+      const chartedRetries = chartMode === "cumulative" ? activeRetry : 1;
+      const firstRetry = activeRetry - chartedRetries + 1;
+      baseChartValueMs = 0;
+      randomizedMinValueMs = 0;
+      randomizedExpectedValueMs = 0;
+      randomizedMaxValueMs = 0;
+      for (let retry = firstRetry; retry <= activeRetry; retry += 1) {
+        const stage = phaseAtRetry(stages, retry);
+        const retryBasis = jitterBasis(stage.config, rawDelayAtRetry(stage.config, stage.retry));
+        const range = toDelayRange(
+          retryBasis.delayMs,
+          jitterType,
+          floorMs,
+          factor ?? 0,
+          retryBasis.capMs,
+        );
+        baseChartValueMs += cappedDelayAtRetry(stage.config, stage.retry);
+        randomizedMinValueMs += range.minDelayMs;
+        randomizedExpectedValueMs += range.expectedDelayMs;
+        randomizedMaxValueMs += range.maxDelayMs;
+      }
     }
-
-    const randomizedRange = toDelayRange(baseChartValueMs, jitterType);
-    randomizedMinValueMs = randomizedRange.minDelayMs;
-    randomizedExpectedValueMs = randomizedRange.expectedDelayMs;
-    randomizedMaxValueMs = randomizedRange.maxDelayMs;
   }
 
+  const expression =
+    formulaConfig.strategy === "expression"
+      ? parseExpression(formulaConfig.expression).expression
+      : null;
+  const expressionReads = expression === null ? new Set() : expressionVariables(expression);
+  const usesFactor = formulaConfig.strategy === "exponential" || expressionReads.has("F");
+  const usesIncrement = formulaConfig.strategy === "linear" || expressionReads.has("I");
+  const usesExponent = formulaConfig.strategy === "polynomial";
+  const customSequence =
+    formulaConfig.strategy === "custom"
+      ? {
+          delaysMs: parseDelaySequence(formulaConfig.customDelays).delaysMs,
+          end: resolveSequenceEndMode(formulaConfig.sequenceEnd),
+        }
+      : null;
+
+  const retryRange = `${firstIndex}..${retryIndex(config, stages[phase].retries)}`;
+
   /** @type {ChartMathVariableBinding[]} */
   const variableBindings = [
     {
       symbol: "D0",
       label: "Initial Delay (ms)",
-      value: config.initialDelayMs,
+      value: formulaConfig.initialDelayMs,
       visible: true,
     },
     {
       symbol: "F",
       label: "Backoff Factor",
-      value: config.strategy === "exponential" ? config.factor : null,
-      visible: config.strategy === "exponential",
+      value: usesFactor ? formulaConfig.factor : null,
+      visible: usesFactor,
     },
     {
       symbol: "I",
       label: "Linear Increment (ms)",
-      value: config.strategy === "linear" ? config.incrementMs : null,
-      visible: config.strategy === "linear",
+      value: usesIncrement ? formulaConfig.incrementMs : null,
+      visible: usesIncrement,
+    },
+    {
+      symbol: "p",
+      label: "Polynomial Exponent",
+      value: usesExponent ? formulaConfig.exponent : null,
+      visible: usesExponent,
+    },
+    {
+      symbol: "n",
+      label: "Delay List Length",
+      value: customSequence?.delaysMs.length ?? null,
+      visible: customSequence !== null,
     },
     {
       symbol: "Dcap",
       label: "Max Delay Cap (ms)",
-      value: hasCap ? config.maxDelayMs : "\u221e",
+      value: hasCap ? formulaConfig.maxDelayMs : "\u221e",
       visible: true,
     },
+    {
+      symbol: "Dfloor",
+      label: "Min Delay Floor (ms)",
+      value: hasFloor ? config.minDelayMs : null,
+      visible: hasFloor,
+    },
+    {
+      symbol: "R",
+      label: "Randomization Factor",
+      value: factor,
+      visible: factor !== null,
+    },
     {
       symbol: "r",
-      label: `Retry Index (1..${config.maxRetries})`,
-      value: activeRetry == null ? "symbolic" : activeRetry,
+      label:
+        phase === 0
+          ? `Retry Index (${retryRange})`
+          : `Retry Index in Phase ${phase + 1} (${retryRange})`,
+      value: activeStage === null ? "symbolic" : retryIndex(config, activeStage.retry),
       visible: true,
     },
   ];
 
   return {
-    strategy: config.strategy,
+    strategy: formulaConfig.strategy,
     jitterType,
+    jitterOrder: resolveJitterOrder(config.jitterOrder),
     chartMode,
     chartSeriesMode,
     hasCap,
+    hasFloor,
     maxRetries: config.maxRetries,
+    phase,
+    firstRetryIndex: firstIndex,
     activeRetry,
+    activeRetryIndex: activeStage === null ? null : retryIndex(config, activeStage.retry),
     activePoint,
     chartSourceSymbol,
     constants: {
-      initialDelayMs: config.initialDelayMs,
-      factor: config.strategy === "exponential" ? config.factor : null,
-      incrementMs: config.strategy === "linear" ? config.incrementMs : null,
-      maxDelayMs: config.maxDelayMs,
+      initialDelayMs: formulaConfig.initialDelayMs,
+      factor: usesFactor ? formulaConfig.factor : null,
+      incrementMs: usesIncrement ? formulaConfig.incrementMs : null,
+      exponent: usesExponent ? formulaConfig.exponent : null,
+      maxDelayMs: formulaConfig.maxDelayMs,
+      minDelayMs: hasFloor ? config.minDelayMs : null,
+      randomizationFactor: factor,
     },
+    customSequence,
+    expression,
     resolved: {
       rawDelayMs,
       cappedDelayMs,
@@ -477,6 +1503,7 @@ export function buildChartMathExplanation(context) {
       expectedDelayMs,
       minDelayMs,
       maxDelayMs,
+      previousDelayMs,
       randomizedMinValueMs,
       randomizedExpectedValueMs,
       randomizedMaxValueMs,
@@ -488,22 +1515,189 @@ export function buildChartMathExplanation(context) {
 
 /**
  * @param {RetryPoint[]} points
+ * @param {BackoffConfig} [config] The config that produced the points, used to tell what
+ *   ended a schedule that stopped short of maxRetries.
+ * @returns {ScheduleLimit}
+ */
+function scheduleLimit(points, config) {
+  if (points.length > 0 && points[points.length - 1].budgetCutoff) {
+    return "maxElapsed";
+  }
+  if (config == null) {
+    return "maxRetries";
+  }
+
+  if (points.length < scheduledRetryCount(config)) {
+    return "maxElapsed";
+  }
+  return firstPhaseRetryCount(config) < config.maxRetries ? "delayList" : "maxRetries";
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation, relative error < 1.2e-9).
+ * @param {number} probability In (0, 1).
+ */
+function normalQuantile(probability) {
+  const a = [
+    -39.69683028665376,
+    220.9460984245205,
+    -275.9285104469687,
+    138.357751867269,
+    -30.66479806614716,
+    2.506628277459239,
+  ];
+  const b = [
+    -54.47609879822406,
+    161.5858368580409,
+    -155.6989798598866,
+    66.80131188771972,
+    -13.28068155288572,
+  ];
+  const c = [
+    -0.007784894002430293,
+    -0.3223964580411365,
+    -2.400758277161838,
+    -2.549732539343734,
+    4.374664141464968,
+    2.938163982698783,
+  ];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const tail = 0.02425;
+
+  if (probability < tail || probability > 1 - tail) {
+    const q = Math.sqrt(-2 * Math.log(Math.min(probability, 1 - probability)));
+    const value =
+      (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    return probability < tail ? value : -value;
+  }
+
+  const q = probability - 0.5;
+  const r = q * q;
+  return (
+    ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q) /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1)
+  );
+}
+
+/**
+ * Quantile of the total sleep up to points[index], from the analytic mean and variance.
+ * A lone uniform draw is inverted exactly; sums of several draws use a normal approximation
+ * (the Irwin–Hall limit), clamped to the schedule's min/max. Returns null under decorrelated
+ * jitter, whose sleeps are not independent.
+ * @param {RetryPoint[]} points
+ * @param {number} index
+ * @param {number} probability In (0, 1).
+ * @returns {number | null}
+ */
+export function cumulativeDelayQuantile(points, index, probability) {
+  if (!(probability > 0 && probability < 1)) {
+    throw new Error("Probability must be between 0 and 1.");
+  }
+
+  const point = points[index];
+  if (point == null || point.cumulativeVariance === null) {
+    return null;
+  }
+  if (point.cumulativeVariance === 0) {
+    return point.cumulativeDelayMs;
+  }
+
+  const randomSleeps = points.slice(0, index + 1).filter((entry) => entry.delayVariance > 0);
+  const [sleep] = randomSleeps;
+  const spreadMs = sleep.maxDelayMs - sleep.minDelayMs;
+  // A uniform over [min, max] has variance spread² / 12; a floored or clipped draw has less.
+  const isPlainUniform =
+    randomSleeps.length === 1 &&
+    Math.abs(sleep.delayVariance - (spreadMs * spreadMs) / 12) <= 1e-9 * sleep.delayVariance;
+  if (isPlainUniform) {
+    return point.cumulativeMinDelayMs + probability * spreadMs;
+  }
+
+  const estimateMs =
+    point.cumulativeDelayMs + normalQuantile(probability) * point.cumulativeStdDevMs;
+  return Math.min(point.cumulativeMaxDelayMs, Math.max(point.cumulativeMinDelayMs, estimateMs));
+}
+
+/**
+ * Where the schedule plateaus and when its cumulative sleep passes each wait threshold.
+ * @param {RetryPoint[]} points
+ * @param {BackoffConfig} [config]
+ * @returns {Pick<ScheduleSummary, "capRetry" | "growingDelayMs" | "cappedDelayMs" |
+ *   "uncappedTotalDelayMs" | "thresholdCrossings">}
+ */
+function scheduleInsights(points, config) {
+  const capMs = config?.maxDelayMs ?? null;
+  // Later phases have caps of their own; the plateau insights follow the main inputs.
+  /** @param {RetryPoint} point */
+  const isCapped = (point) => capMs !== null && !point.phase && point.rawDelayMs >= capMs;
+  let growingDelayMs = 0;
+  let cappedDelayMs = 0;
+  for (const point of points) {
+    if (isCapped(point)) {
+      cappedDelayMs += point.delayMs;
+    } else {
+      growingDelayMs += point.delayMs;
+    }
+  }
+
+  let uncappedTotalDelayMs = points.reduce((totalMs, point) => totalMs + point.rawDelayMs, 0);
+  if (config !== undefined && resolveJitterType(config.jitter) === "decorrelated") {
+    uncappedTotalDelayMs = decorrelatedDelayRanges(
+      { ...config, maxDelayMs: null },
+      points.length,
+    ).reduce((totalMs, range) => totalMs + range.expectedDelayMs, 0);
+  } else if (config?.strategy === "exponential" && points.every((point) => !point.phase)) {
+    uncappedTotalDelayMs =
+      (config.initialDelayMs * (config.factor ** points.length - 1)) / (config.factor - 1);
+  }
+  const { delaysMs: thresholdsMs } = parseDelaySequence(
+    config?.waitThresholds ?? DEFAULT_WAIT_THRESHOLDS,
+  );
+
+  return {
+    capRetry: points.find(isCapped)?.retry ?? null,
+    growingDelayMs,
+    cappedDelayMs,
+    uncappedTotalDelayMs,
+    thresholdCrossings: thresholdsMs.map((thresholdMs) => ({
+      thresholdMs,
+      retry: points.find((point) => point.cumulativeDelayMs >= thresholdMs)?.retry ?? null,
+    })),
+  };
+}
+
+/**
+ * @param {RetryPoint[]} points
+ * @param {BackoffConfig} [config]
  * @returns {ScheduleSummary}
  */
-export function summarizeSchedule(points) {
+export function summarizeSchedule(points, config) {
   if (!Array.isArray(points) || points.length === 0) {
     return {
       totalRetries: 0,
       finalDelayMs: 0,
       totalDelayMs: 0,
+      limitedBy: scheduleLimit([], config),
+      // Only the initial attempt runs.
+      worstCaseLatencyMs: config == null ? 0 : attemptDurationStats(config).worstCaseMs,
+      giveUpP95Ms: config == null ? 0 : attemptDurationStats(config).expectedMs,
+      ...scheduleInsights([], config),
     };
   }
 
   const last = points[points.length - 1];
+  const sleepP95Ms = cumulativeDelayQuantile(points, points.length - 1, 0.95);
 
   return {
+    ...scheduleInsights(points, config),
     totalRetries: points.length,
     finalDelayMs: last.delayMs,
     totalDelayMs: last.cumulativeDelayMs,
+    limitedBy: scheduleLimit(points, config),
+    worstCaseLatencyMs: last.latestAttemptEndMs,
+    // Attempt durations enter at their expected value; only the sleeps are treated as random.
+    giveUpP95Ms:
+      sleepP95Ms === null ? null : sleepP95Ms + (last.attemptEndMs - last.cumulativeDelayMs),
   };
 }
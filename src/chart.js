@@ -3,6 +3,8 @@ import {
   resolveJitterType,
 } from "./backoff.js";
 import {
+  BarController,
+  BarElement,
   CategoryScale,
   Chart as ChartConstructor,
   Filler,
@@ -20,8 +22,14 @@ import {
 } from "./display.js";
 import { DEFAULT_CHART_MODE, resolveChartMode } from "./chartMode.js";
 import { DEFAULT_CHART_SERIES_MODE, resolveChartSeriesMode } from "./chartSeriesMode.js";
+import { LIVE_SERIES_NAME, MAX_PINNED_SERIES } from "./comparison.js";
 
 const HOVER_GUIDE_PLUGIN_ID = "hoverGuide";
+const BUDGET_CUTOFF_PLUGIN_ID = "budgetCutoff";
+const OUTAGE_BAND_PLUGIN_ID = "outageBand";
+const PHASE_BANDS_PLUGIN_ID = "phaseBands";
+// Pinned series follow the seven datasets of the live schedule.
+const COMPARISON_DATASET_OFFSET = 7;
 const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
 const SUBTLE_DATA_ANIMATION = {
   duration: 440,
@@ -64,7 +72,140 @@ const hoverGuidePlugin = {
   },
 };
 
+/**
+ * Dashed marker on the retry where the elapsed-time budget ended the schedule.
+ */
+const budgetCutoffPlugin = {
+  id: BUDGET_CUTOFF_PLUGIN_ID,
+  afterDatasetsDraw(chart, _args, options) {
+    const index = options?.index;
+    if (!Number.isInteger(index)) {
+      return;
+    }
+
+    const point = chart.getDatasetMeta(0).data[index];
+    if (!point) {
+      return;
+    }
+
+    const { chartArea, ctx } = chart;
+    const color = options?.color ?? "#9a6700";
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.setLineDash([6, 4]);
+    ctx.moveTo(point.x, chartArea.top);
+    ctx.lineTo(point.x, chartArea.bottom);
+    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = color;
+    ctx.stroke();
+
+    if (options?.label) {
+      ctx.setLineDash([]);
+      ctx.fillStyle = color;
+      ctx.font = "12px sans-serif";
+      ctx.textBaseline = "top";
+      // Keep the label inside the plot by placing it on the roomier side of the marker.
+      const isRightHalf = point.x > (chartArea.left + chartArea.right) / 2;
+      ctx.textAlign = isRightHalf ? "right" : "left";
+      ctx.fillText(options.label, point.x + (isRightHalf ? -6 : 6), chartArea.top + 4);
+    }
+    ctx.restore();
+  },
+};
+
+/**
+ * Shaded band over the retries that start while the outage scenario's dependency is down.
+ */
+const outageBandPlugin = {
+  id: OUTAGE_BAND_PLUGIN_ID,
+  beforeDatasetsDraw(chart, _args, options) {
+    const retryCount = options?.retryCount;
+    if (!Number.isInteger(retryCount) || retryCount <= 0) {
+      return;
+    }
+
+    const points = chart.getDatasetMeta(0).data;
+    const lastOutagePoint = points[retryCount - 1];
+    if (!lastOutagePoint) {
+      return;
+    }
+
+    // End the band halfway to the first retry after recovery.
+    const { chartArea, ctx } = chart;
+    const nextPoint = points[retryCount];
+    const endX = nextPoint ? (lastOutagePoint.x + nextPoint.x) / 2 : chartArea.right;
+    const color = options?.color ?? "#b4544b";
+
+    ctx.save();
+    ctx.globalAlpha = 0.12;
+    ctx.fillStyle = color;
+    ctx.fillRect(chartArea.left, chartArea.top, endX - chartArea.left, chartArea.height);
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = color;
+    ctx.font = "12px sans-serif";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    ctx.fillText(options?.label ?? "Outage", chartArea.left + 6, chartArea.top + 4);
+    ctx.restore();
+  },
+};
+
+/**
+ * Boundaries between the phases of a multi-phase schedule, with every other phase shaded.
+ */
+const phaseBandsPlugin = {
+  id: PHASE_BANDS_PLUGIN_ID,
+  beforeDatasetsDraw(chart, _args, options) {
+    const starts = options?.starts;
+    if (!Array.isArray(starts) || starts.length === 0) {
+      return;
+    }
+
+    const points = chart.getDatasetMeta(0).data;
+    const { chartArea, ctx } = chart;
+    const color = options?.color ?? "#3f3f46";
+    // Boundaries sit halfway between the last retry of one phase and the first of the next.
+    const boundaryX = (/** @type {number} */ index) =>
+      points[index - 1] && points[index] ? (points[index - 1].x + points[index].x) / 2 : null;
+
+    ctx.save();
+    ctx.font = "12px sans-serif";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "bottom";
+    starts.forEach((start, position) => {
+      const startX = boundaryX(start.index);
+      if (startX === null) {
+        return;
+      }
+      const next = starts[position + 1];
+      const endX = (next && boundaryX(next.index)) ?? chartArea.right;
+
+      if (start.phase % 2 === 1) {
+        ctx.globalAlpha = 0.06;
+        ctx.fillStyle = color;
+        ctx.fillRect(startX, chartArea.top, endX - startX, chartArea.height);
+      }
+      ctx.globalAlpha = 0.5;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([2, 3]);
+      ctx.beginPath();
+      ctx.moveTo(startX, chartArea.top);
+      ctx.lineTo(startX, chartArea.bottom);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.globalAlpha = 1;
+      ctx.fillStyle = color;
+      ctx.fillText(`Phase ${start.phase + 1}`, startX + 4, chartArea.bottom - 4);
+    });
+    ctx.restore();
+  },
+};
+
 ChartConstructor.register(
+  BarController,
+  BarElement,
   LineController,
   LineElement,
   PointElement,
@@ -74,6 +215,23 @@ ChartConstructor.register(
   Filler,
 );
 
+/**
+ * @param {import("./monteCarlo.js").RetryPercentiles | null | undefined} percentiles
+ * @param {number} offsetMs
+ * @returns {import("./monteCarlo.js").RetryPercentiles | null}
+ */
+function shiftPercentiles(percentiles, offsetMs) {
+  if (percentiles == null) {
+    return null;
+  }
+  return {
+    p5: percentiles.p5 + offsetMs,
+    p50: percentiles.p50 + offsetMs,
+    p95: percentiles.p95 + offsetMs,
+    p99: percentiles.p99 + offsetMs,
+  };
+}
+
 /**
  * @param {{
  *   delayMs:number,
@@ -84,7 +242,11 @@ ChartConstructor.register(
  *   cumulativeDelayMs:number,
  *   cumulativeSimulatedDelayMs?:number,
  *   cumulativeMinDelayMs?:number,
- *   cumulativeMaxDelayMs?:number
+ *   cumulativeMaxDelayMs?:number,
+ *   attemptStartMs?:number,
+ *   latestAttemptStartMs?:number,
+ *   delayPercentiles?:import("./monteCarlo.js").RetryPercentiles | null,
+ *   cumulativePercentiles?:import("./monteCarlo.js").RetryPercentiles | null
  * }} point
  * @param {import("./chartMode.js").ChartMode} chartMode
  * @param {import("./chartSeriesMode.js").ChartSeriesMode} chartSeriesMode
@@ -93,14 +255,18 @@ function pointValues(point, chartMode, chartSeriesMode) {
   const isSimulated = chartSeriesMode === "simulated";
 
   if (chartMode === "cumulative") {
-    const expected = point.cumulativeDelayMs;
-    const simulated = point.cumulativeSimulatedDelayMs ?? expected;
+    // Modelled attempt durations shift the cumulative view to wall-clock retry start times.
+    const attemptTimeMs =
+      (point.attemptStartMs ?? point.cumulativeDelayMs) - point.cumulativeDelayMs;
+    const expected = point.cumulativeDelayMs + attemptTimeMs;
+    const simulated = (point.cumulativeSimulatedDelayMs ?? point.cumulativeDelayMs) + attemptTimeMs;
     return {
       value: isSimulated ? simulated : expected,
       expected,
       simulated,
-      min: point.cumulativeMinDelayMs ?? expected,
-      max: point.cumulativeMaxDelayMs ?? expected,
+      min: (point.cumulativeMinDelayMs ?? point.cumulativeDelayMs) + attemptTimeMs,
+      max: point.latestAttemptStartMs ?? point.cumulativeMaxDelayMs ?? expected,
+      percentiles: shiftPercentiles(point.cumulativePercentiles, attemptTimeMs),
     };
   }
 
@@ -112,11 +278,12 @@ function pointValues(point, chartMode, chartSeriesMode) {
     simulated,
     min: point.minDelayMs ?? point.delayMs,
     max: point.maxDelayMs ?? point.delayMs,
+    percentiles: point.delayPercentiles ?? null,
   };
 }
 
 /**
- * @param {Array<{retry:number}> & Array<{
+ * @param {Array<{retry:number, label?:string}> & Array<{
  *   delayMs:number,
  *   expectedDelayMs?:number,
  *   simulatedDelayMs?:number,
@@ -125,7 +292,14 @@ function pointValues(point, chartMode, chartSeriesMode) {
  *   cumulativeDelayMs:number,
  *   cumulativeSimulatedDelayMs?:number,
  *   cumulativeMinDelayMs?:number,
- *   cumulativeMaxDelayMs?:number
+ *   cumulativeMaxDelayMs?:number,
+ *   budgetCutoff?:boolean,
+ *   clippedToBudget?:boolean,
+ *   duringOutage?:boolean,
+ *   phase?:number,
+ *   breaker?:import("./circuitBreaker.js").BreakerRetryPoint,
+ *   delayPercentiles?:import("./monteCarlo.js").RetryPercentiles | null,
+ *   cumulativePercentiles?:import("./monteCarlo.js").RetryPercentiles | null
  * }>} points
  * @param {import("./chartMode.js").ChartMode} chartMode
  * @param {import("./chartSeriesMode.js").ChartSeriesMode} chartSeriesMode
@@ -137,24 +311,62 @@ function toChartData(points, chartMode, chartSeriesMode, jitterType) {
   const resolvedValues = points.map((point) =>
     pointValues(point, chartMode, resolvedSeriesMode),
   );
+  const cutoffIndex = points.findIndex((point) => point.budgetCutoff === true);
+  const hasOutage = points.some((point) => point.duringOutage !== undefined);
+  const hasBreaker = points.some((point) => point.breaker !== undefined);
+  const hasPercentiles =
+    resolvedValues.length > 0 && resolvedValues.every((value) => value.percentiles !== null);
 
   return {
-    labels: points.map((point) => point.retry),
+    labels: points.map((point) => point.label ?? point.retry),
+    retries: points.map((point) => point.retry),
     values: resolvedValues.map((value) => value.value),
     expectedValues: resolvedValues.map((value) => value.expected),
     simulatedValues: resolvedValues.map((value) => value.simulated),
     minValues: resolvedValues.map((value) => value.min),
     maxValues: resolvedValues.map((value) => value.max),
-    showRange: resolvedJitterType !== "none",
+    p5Values: resolvedValues.map((value) => value.percentiles?.p5 ?? value.min),
+    p50Values: resolvedValues.map((value) => value.percentiles?.p50 ?? value.expected),
+    p95Values: resolvedValues.map((value) => value.percentiles?.p95 ?? value.max),
+    p99Values: resolvedValues.map((value) => value.percentiles?.p99 ?? value.max),
+    showRange: resolvedJitterType !== "none" && hasPercentiles,
     isSimulated: resolvedSeriesMode === "simulated",
+    includesAttemptTime: points.some(
+      (point) => (point.attemptStartMs ?? point.cumulativeDelayMs) !== point.cumulativeDelayMs,
+    ),
+    cutoffIndex: cutoffIndex === -1 ? null : cutoffIndex,
+    cutoffLabel: points[cutoffIndex]?.clippedToBudget ? "Clipped to budget" : "Budget cutoff",
+    outageRetryCount: hasOutage
+      ? points.filter((point) => point.duringOutage === true).length
+      : null,
+    phaseStarts: points.flatMap((point, index) =>
+      index > 0 && point.phase && point.phase !== points[index - 1].phase
+        ? [{ index, phase: point.phase }]
+        : [],
+    ),
+    breakerStates: points.map((point) => point.breaker?.state ?? null),
+    shortCircuitedValues: hasBreaker
+      ? points.map((point, index) =>
+          point.breaker?.shortCircuited ? resolvedValues[index].value : null,
+        )
+      : [],
+    // Short-circuited calls end at once, so only start times move; per-retry sleeps do not.
+    breakerStartValues:
+      hasBreaker && chartMode === "cumulative"
+        ? points.map((point) => point.breaker?.startMs ?? null)
+        : [],
   };
 }
 
 /**
  * @param {import("./display.js").DisplayMode} displayMode
  * @param {import("./chartMode.js").ChartMode} chartMode
+ * @param {boolean} [includesAttemptTime]
  */
-function yAxisTitle(displayMode, chartMode) {
+function yAxisTitle(displayMode, chartMode, includesAttemptTime = false) {
+  if (chartMode === "cumulative" && includesAttemptTime) {
+    return `Retry Start Time (${unitLabel(displayMode)})`;
+  }
   const prefix = chartMode === "cumulative" ? "Cumulative Delay" : "Delay";
   return `${prefix} (${unitLabel(displayMode)})`;
 }
@@ -163,12 +375,25 @@ function yAxisTitle(displayMode, chartMode) {
  * @typedef {object} ChartThemeTokens
  * @property {string} lineColor
  * @property {string} fillColor
- * @property {string} rangeFillColor
+ * @property {string} rangeFillColor Fill of the p5-p95 band.
+ * @property {string} tailFillColor Fill of the outer p5-p99 band.
  * @property {string} axisTextColor
  * @property {string} gridColor
  * @property {string} tooltipBackgroundColor
  * @property {string} tooltipTextColor
  * @property {string} hoverGuideColor
+ * @property {string} cutoffColor
+ * @property {string} failureColor Failure annotations: refused and short-circuited retries
+ *   and the outage band.
+ * @property {string[]} [seriesColors] Lines of pinned comparison series, in pin order.
+ */
+
+/**
+ * A pinned policy drawn next to the live schedule. Points are labelled and aligned with the
+ * live chart points, index for index.
+ * @typedef {object} ComparisonChartSeries
+ * @property {string} name
+ * @property {Array<Parameters<typeof pointValues>[0] & {retry:number, label?:string}>} points
  */
 
 /**
@@ -181,14 +406,29 @@ export function createDelayChart(canvas) {
   let currentJitterType = DEFAULT_JITTER_TYPE;
   let currentChartData = {
     labels: [],
+    retries: [],
     values: [],
     expectedValues: [],
     simulatedValues: [],
     minValues: [],
     maxValues: [],
+    p5Values: [],
+    p50Values: [],
+    p95Values: [],
+    p99Values: [],
     showRange: false,
     isSimulated: false,
+    includesAttemptTime: false,
+    cutoffIndex: null,
+    cutoffLabel: "",
+    outageRetryCount: null,
+    phaseStarts: [],
+    breakerStates: [],
+    shortCircuitedValues: [],
+    breakerStartValues: [],
   };
+  /** @type {ComparisonChartSeries[]} */
+  let currentComparisons = [];
   let activePointIndex = null;
   let isPointerInsideChart = false;
   /** @type {((activePoint: null | {retry:number, valueMs:number, minMs:number, maxMs:number}) => void) | null} */
@@ -199,7 +439,7 @@ export function createDelayChart(canvas) {
    * @param {number} index
    */
   function activePointPayload(index) {
-    const retry = Number(chart.data.labels[index]);
+    const retry = currentChartData.retries[index];
     const valueMs = currentChartData.values[index];
     if (!Number.isInteger(retry) || !Number.isFinite(valueMs)) {
       return null;
@@ -241,29 +481,45 @@ export function createDelayChart(canvas) {
    * @param {number} index
    */
   function clampIndex(index) {
-    const maxIndex = chart.data.datasets[0].data.length - 1;
+    const maxIndex = chart.data.labels.length - 1;
     return Math.min(Math.max(index, 0), maxIndex);
   }
 
+  /**
+   * The live dataset and every pinned series that still has a point at this index.
+   * @param {number} index
+   */
+  function activeElementsAt(index) {
+    const datasetIndexes = [
+      0,
+      ...currentComparisons.map((_, seriesIndex) => COMPARISON_DATASET_OFFSET + seriesIndex),
+    ];
+    return datasetIndexes
+      .filter((datasetIndex) => chart.getDatasetMeta(datasetIndex).data[index] !== undefined)
+      .map((datasetIndex) => ({ datasetIndex, index }));
+  }
+
   /**
    * @param {number} index
    */
   function setActivePoint(index) {
-    if (chart.data.datasets[0].data.length === 0) {
+    if (chart.data.labels.length === 0) {
       clearActivePoint();
       return;
     }
 
     const clampedIndex = clampIndex(index);
-    const point = chart.getDatasetMeta(0).data[clampedIndex];
-    if (!point) {
+    const activeElements = activeElementsAt(clampedIndex);
+    if (activeElements.length === 0) {
       clearActivePoint();
       return;
     }
 
     activePointIndex = clampedIndex;
-    const activeElements = [{ datasetIndex: 0, index: clampedIndex }];
-    const anchor = point.getProps(["x", "y"], true);
+    const [anchorElement] = activeElements;
+    const anchor = chart
+      .getDatasetMeta(anchorElement.datasetIndex)
+      .data[clampedIndex].getProps(["x", "y"], true);
     chart.setActiveElements(activeElements);
     chart.tooltip?.setActiveElements?.(activeElements, anchor);
     emitActivePointChange(activePointPayload(clampedIndex));
@@ -296,9 +552,26 @@ export function createDelayChart(canvas) {
     chart.update("none");
   }
 
+  /**
+   * @param {number} index
+   * @returns {string[]}
+   */
+  function breakerTooltipLines(index) {
+    const state = currentChartData.breakerStates[index];
+    if (state == null) {
+      return [];
+    }
+    const lines = [state === "open" ? "Breaker: open, short-circuited" : `Breaker: ${state}`];
+    const startMs = currentChartData.breakerStartValues[index];
+    if (startMs != null) {
+      lines.push(`Effective start: ${formatDuration(startMs, currentDisplayMode)}`);
+    }
+    return lines;
+  }
+
   const chart = new ChartConstructor(canvas, {
     type: "line",
-    plugins: [hoverGuidePlugin],
+    plugins: [phaseBandsPlugin, outageBandPlugin, hoverGuidePlugin, budgetCutoffPlugin],
     data: {
       labels: [],
       datasets: [
@@ -315,7 +588,7 @@ export function createDelayChart(canvas) {
           tension: 0.2,
         },
         {
-          label: "Min Delay",
+          label: "p5 Delay",
           data: [],
           borderColor: "rgba(39, 39, 42, 0)",
           borderWidth: 0,
@@ -326,7 +599,8 @@ export function createDelayChart(canvas) {
           tension: 0.2,
         },
         {
-          label: "Max Delay",
+          // Inner band: p5 to p95.
+          label: "p95 Delay",
           data: [],
           borderColor: "rgba(39, 39, 42, 0)",
           backgroundColor: "rgba(39, 39, 42, 0.18)",
@@ -334,9 +608,73 @@ export function createDelayChart(canvas) {
           pointRadius: 0,
           pointHoverRadius: 0,
           pointHitRadius: 0,
-          fill: "-1",
+          fill: 1,
+          tension: 0.2,
+        },
+        {
+          // Outer band: p5 to p99, drawn under the inner band.
+          label: "p99 Delay",
+          data: [],
+          borderColor: "rgba(39, 39, 42, 0)",
+          backgroundColor: "rgba(39, 39, 42, 0.08)",
+          borderWidth: 0,
+          pointRadius: 0,
+          pointHoverRadius: 0,
+          pointHitRadius: 0,
+          fill: 1,
+          tension: 0.2,
+        },
+        {
+          label: "Median Delay",
+          data: [],
+          borderColor: "rgba(39, 39, 42, 0.6)",
+          borderWidth: 1,
+          borderDash: [4, 4],
+          pointRadius: 0,
+          pointHoverRadius: 0,
+          pointHitRadius: 0,
+          fill: false,
+          tension: 0.2,
+        },
+        {
+          // Retries the circuit breaker rejects without calling the dependency.
+          label: "Short-Circuited",
+          data: [],
+          borderColor: "#b4544b",
+          backgroundColor: "#b4544b",
+          borderWidth: 2,
+          showLine: false,
+          pointStyle: "crossRot",
+          pointRadius: 6,
+          pointHoverRadius: 6,
+          pointHitRadius: 0,
+          fill: false,
+        },
+        {
+          label: "Effective Start",
+          data: [],
+          borderColor: "#b4544b",
+          borderWidth: 1.5,
+          borderDash: [6, 3],
+          pointRadius: 0,
+          pointHoverRadius: 0,
+          pointHitRadius: 0,
+          fill: false,
           tension: 0.2,
         },
+        ...Array.from({ length: MAX_PINNED_SERIES }, () => ({
+          label: "",
+          data: [],
+          hidden: true,
+          borderColor: "#3f3f46",
+          backgroundColor: "#3f3f46",
+          borderWidth: 2,
+          pointRadius: 2,
+          pointHoverRadius: 4,
+          pointHitRadius: 0,
+          fill: false,
+          tension: 0.2,
+        })),
       ],
     },
     options: {
@@ -349,11 +687,34 @@ export function createDelayChart(canvas) {
         intersect: false,
       },
       plugins: {
-        legend: { display: false },
+        legend: {
+          display: false,
+          labels: {
+            color: "#3f3f46",
+            boxWidth: 12,
+            filter(item) {
+              return item.datasetIndex === 0 || item.datasetIndex >= COMPARISON_DATASET_OFFSET;
+            },
+          },
+        },
         [HOVER_GUIDE_PLUGIN_ID]: {
           color: "rgba(39, 39, 42, 0.28)",
           lineWidth: 1,
         },
+        [BUDGET_CUTOFF_PLUGIN_ID]: {
+          color: "#9a6700",
+          index: null,
+          label: "",
+        },
+        [OUTAGE_BAND_PLUGIN_ID]: {
+          color: "#b4544b",
+          retryCount: null,
+          label: "Outage",
+        },
+        [PHASE_BANDS_PLUGIN_ID]: {
+          color: "#3f3f46",
+          starts: [],
+        },
         tooltip: {
           backgroundColor: "#111111",
           titleColor: "#f5f5f5",
@@ -362,35 +723,45 @@ export function createDelayChart(canvas) {
           mode: "index",
           displayColors: false,
           filter(context) {
-            return context.datasetIndex === 0;
+            return context.datasetIndex === 0 || context.datasetIndex >= COMPARISON_DATASET_OFFSET;
           },
           callbacks: {
             label(context) {
               const index = context.dataIndex;
+              if (context.datasetIndex >= COMPARISON_DATASET_OFFSET) {
+                const value = formatDuration(Number(context.raw), currentDisplayMode);
+                return `${context.dataset.label}: ${value}`;
+              }
               if (index < 0 || index >= currentChartData.expectedValues.length) {
                 return "-";
               }
+              // One line per series keeps side-by-side values readable.
+              if (currentComparisons.length > 0) {
+                const value = formatDuration(currentChartData.values[index], currentDisplayMode);
+                return `${LIVE_SERIES_NAME}: ${value}`;
+              }
 
               const expected = currentChartData.expectedValues[index];
               const simulated = currentChartData.simulatedValues[index];
               const lineValue = currentChartData.values[index];
+              const breakerLines = breakerTooltipLines(index);
               if (!currentChartData.showRange) {
-                return formatDuration(lineValue, currentDisplayMode);
+                const value = formatDuration(lineValue, currentDisplayMode);
+                return breakerLines.length === 0 ? value : [value, ...breakerLines];
               }
 
-              const min = currentChartData.minValues[index];
-              const max = currentChartData.maxValues[index];
-              if (currentChartData.isSimulated) {
-                return [
-                  `Min: ${formatDuration(min, currentDisplayMode)}`,
-                  `Simulated: ${formatDuration(simulated, currentDisplayMode)}`,
-                  `Max: ${formatDuration(max, currentDisplayMode)}`,
-                ];
-              }
+              const p5 = formatDuration(currentChartData.p5Values[index], currentDisplayMode);
+              const p50 = currentChartData.p50Values[index];
+              const p95 = formatDuration(currentChartData.p95Values[index], currentDisplayMode);
+              const p99 = currentChartData.p99Values[index];
               return [
-                `Min: ${formatDuration(min, currentDisplayMode)}`,
-                `Expected: ${formatDuration(expected, currentDisplayMode)}`,
-                `Max: ${formatDuration(max, currentDisplayMode)}`,
+                currentChartData.isSimulated
+                  ? `Simulated: ${formatDuration(simulated, currentDisplayMode)}`
+                  : `Expected: ${formatDuration(expected, currentDisplayMode)}`,
+                `p50: ${formatDuration(p50, currentDisplayMode)}`,
+                `p5\u2013p95: ${p5} \u2013 ${p95}`,
+                `p99: ${formatDuration(p99, currentDisplayMode)}`,
+                ...breakerLines,
               ];
             },
           },
@@ -466,13 +837,32 @@ export function createDelayChart(canvas) {
    * @param {ChartThemeTokens} tokens
    */
   function setTheme(tokens) {
-    const expectedDataset = chart.data.datasets[0];
-    const maxDataset = chart.data.datasets[2];
+    const [
+      expectedDataset,
+      ,
+      p95Dataset,
+      p99Dataset,
+      medianDataset,
+      shortCircuitedDataset,
+      breakerStartDataset,
+      ...comparisonDatasets
+    ] = chart.data.datasets;
 
     expectedDataset.borderColor = tokens.lineColor;
     expectedDataset.backgroundColor = tokens.fillColor;
-    maxDataset.backgroundColor = tokens.rangeFillColor;
+    p95Dataset.backgroundColor = tokens.rangeFillColor;
+    p99Dataset.backgroundColor = tokens.tailFillColor;
+    medianDataset.borderColor = tokens.lineColor;
+    shortCircuitedDataset.borderColor = tokens.failureColor;
+    shortCircuitedDataset.backgroundColor = tokens.failureColor;
+    breakerStartDataset.borderColor = tokens.failureColor;
+    comparisonDatasets.forEach((dataset, seriesIndex) => {
+      const color = tokens.seriesColors?.[seriesIndex] ?? tokens.axisTextColor;
+      dataset.borderColor = color;
+      dataset.backgroundColor = color;
+    });
 
+    chart.options.plugins.legend.labels.color = tokens.axisTextColor;
     chart.options.plugins.tooltip.backgroundColor = tokens.tooltipBackgroundColor;
     chart.options.plugins.tooltip.titleColor = tokens.tooltipTextColor;
     chart.options.plugins.tooltip.bodyColor = tokens.tooltipTextColor;
@@ -484,6 +874,9 @@ export function createDelayChart(canvas) {
     chart.options.scales.y.grid.color = tokens.gridColor;
     chart.options.scales.y.title.color = tokens.axisTextColor;
     chart.options.plugins[HOVER_GUIDE_PLUGIN_ID].color = tokens.hoverGuideColor;
+    chart.options.plugins[BUDGET_CUTOFF_PLUGIN_ID].color = tokens.cutoffColor;
+    chart.options.plugins[OUTAGE_BAND_PLUGIN_ID].color = tokens.failureColor;
+    chart.options.plugins[PHASE_BANDS_PLUGIN_ID].color = tokens.axisTextColor;
 
     chart.update("none");
   }
@@ -528,20 +921,67 @@ export function createDelayChart(canvas) {
         currentJitterType,
       );
       currentChartData = chartData;
-      chart.data.labels = chartData.labels;
+      // Pinned series plot their expected values; only the live inputs are simulated.
+      const comparisonValues = currentComparisons.map((series) =>
+        series.points.map((point) => pointValues(point, currentChartMode, "expected").value),
+      );
+      const longestComparison = currentComparisons.reduce(
+        (longest, series) => (series.points.length > longest.length ? series.points : longest),
+        [],
+      );
+      chart.data.labels =
+        longestComparison.length > points.length
+          ? longestComparison.map((point) => point.label ?? point.retry)
+          : chartData.labels;
+      chart.options.scales.y.title.text = yAxisTitle(
+        currentDisplayMode,
+        currentChartMode,
+        chartData.includesAttemptTime,
+      );
 
-      const expectedDataset = chart.data.datasets[0];
-      const minDataset = chart.data.datasets[1];
-      const maxDataset = chart.data.datasets[2];
+      const [
+        expectedDataset,
+        p5Dataset,
+        p95Dataset,
+        p99Dataset,
+        medianDataset,
+        shortCircuitedDataset,
+        breakerStartDataset,
+        ...comparisonDatasets
+      ] = chart.data.datasets;
 
-      expectedDataset.label = chartData.isSimulated ? "Simulated Delay" : "Expected Delay";
+      const isComparing = currentComparisons.length > 0;
+      expectedDataset.label = isComparing
+        ? LIVE_SERIES_NAME
+        : chartData.isSimulated
+          ? "Simulated Delay"
+          : "Expected Delay";
       expectedDataset.data = chartData.values;
-      expectedDataset.fill = chartData.showRange ? false : true;
+      expectedDataset.fill = !chartData.showRange && !isComparing;
+      comparisonDatasets.forEach((dataset, seriesIndex) => {
+        dataset.label = currentComparisons[seriesIndex]?.name ?? "";
+        dataset.data = comparisonValues[seriesIndex] ?? [];
+        dataset.hidden = seriesIndex >= currentComparisons.length;
+      });
+      chart.options.plugins.legend.display = isComparing;
+      chart.options.plugins.tooltip.displayColors = isComparing;
 
-      minDataset.hidden = !chartData.showRange;
-      maxDataset.hidden = !chartData.showRange;
-      minDataset.data = chartData.showRange ? chartData.minValues : [];
-      maxDataset.data = chartData.showRange ? chartData.maxValues : [];
+      const bands = [
+        [p5Dataset, chartData.p5Values],
+        [p95Dataset, chartData.p95Values],
+        [p99Dataset, chartData.p99Values],
+        [medianDataset, chartData.p50Values],
+      ];
+      for (const [dataset, values] of bands) {
+        dataset.hidden = !chartData.showRange;
+        dataset.data = chartData.showRange ? values : [];
+      }
+      shortCircuitedDataset.data = chartData.shortCircuitedValues;
+      breakerStartDataset.data = chartData.breakerStartValues;
+      chart.options.plugins[BUDGET_CUTOFF_PLUGIN_ID].index = chartData.cutoffIndex;
+      chart.options.plugins[BUDGET_CUTOFF_PLUGIN_ID].label = chartData.cutoffLabel;
+      chart.options.plugins[OUTAGE_BAND_PLUGIN_ID].retryCount = chartData.outageRetryCount;
+      chart.options.plugins[PHASE_BANDS_PLUGIN_ID].starts = chartData.phaseStarts;
 
       if (chartData.expectedValues.length === 0) {
         clearActivePoint();
@@ -558,25 +998,49 @@ export function createDelayChart(canvas) {
       chart.options.animation = resolveAnimationOptions();
 
       chart.data.labels = [];
-      for (const dataset of chart.data.datasets) {
+      chart.data.datasets.forEach((dataset, datasetIndex) => {
         dataset.data = [];
-        dataset.hidden = false;
-      }
+        dataset.hidden = datasetIndex >= COMPARISON_DATASET_OFFSET;
+      });
+      chart.options.plugins.legend.display = false;
       currentChartData = {
         labels: [],
+        retries: [],
         values: [],
         expectedValues: [],
         simulatedValues: [],
         minValues: [],
         maxValues: [],
+        p5Values: [],
+        p50Values: [],
+        p95Values: [],
+        p99Values: [],
         showRange: false,
         isSimulated: false,
+        includesAttemptTime: false,
+        cutoffIndex: null,
+        cutoffLabel: "",
+        outageRetryCount: null,
+        phaseStarts: [],
+        breakerStates: [],
+        shortCircuitedValues: [],
+        breakerStartValues: [],
       };
+      chart.options.plugins[BUDGET_CUTOFF_PLUGIN_ID].index = null;
+      chart.options.plugins[OUTAGE_BAND_PLUGIN_ID].retryCount = null;
+      chart.options.plugins[PHASE_BANDS_PLUGIN_ID].starts = [];
 
       clearActivePoint();
       chart.update();
     },
     setTheme,
+    /**
+     * Series drawn next to the live schedule from the next update on.
+     * @param {ComparisonChartSeries[]} series
+     */
+    setComparisons(series) {
+      currentComparisons = series.slice(0, MAX_PINNED_SERIES);
+    },
     /**
      * @param {((activePoint: null | {retry:number, valueMs:number, minMs:number, maxMs:number}) => void) | null} handler
      */
@@ -606,3 +1070,383 @@ export function createDelayChart(canvas) {
     },
   };
 }
+
+/**
+ * Token-bucket level and suppressed retries over a simulated request stream.
+ * @param {HTMLCanvasElement} canvas
+ */
+export function createThrottleChart(canvas) {
+  /** @type {import("./throttling.js").ThrottleSimulation | null} */
+  let currentSimulation = null;
+
+  const chart = new ChartConstructor(canvas, {
+    type: "line",
+    plugins: [hoverGuidePlugin],
+    data: {
+      labels: [],
+      datasets: [
+        {
+          label: "Tokens",
+          data: [],
+          borderColor: "#27272a",
+          backgroundColor: "rgba(39, 39, 42, 0.12)",
+          borderWidth: 2,
+          pointRadius: 0,
+          pointHoverRadius: 3,
+          pointHitRadius: 6,
+          fill: true,
+          stepped: true,
+          yAxisID: "y",
+        },
+        {
+          label: "Throttle Threshold",
+          data: [],
+          borderColor: "#9a6700",
+          borderWidth: 1.5,
+          borderDash: [6, 4],
+          pointRadius: 0,
+          pointHoverRadius: 0,
+          pointHitRadius: 0,
+          fill: false,
+          yAxisID: "y",
+        },
+        {
+          label: "Retries Suppressed",
+          data: [],
+          borderColor: "#b4544b",
+          borderWidth: 2,
+          pointRadius: 0,
+          pointHoverRadius: 3,
+          pointHitRadius: 6,
+          fill: false,
+          stepped: true,
+          yAxisID: "suppressed",
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: resolveAnimationOptions(),
+      interaction: {
+        mode: "index",
+        axis: "x",
+        intersect: false,
+      },
+      plugins: {
+        legend: { display: false },
+        [HOVER_GUIDE_PLUGIN_ID]: {
+          color: "rgba(39, 39, 42, 0.28)",
+          lineWidth: 1,
+        },
+        tooltip: {
+          backgroundColor: "#111111",
+          titleColor: "#f5f5f5",
+          bodyColor: "#f5f5f5",
+          intersect: false,
+          mode: "index",
+          displayColors: false,
+          filter(context) {
+            return context.datasetIndex === 0;
+          },
+          callbacks: {
+            title(items) {
+              return items.length === 0 ? "" : `Request ${items[0].label}`;
+            },
+            label(context) {
+              const index = context.dataIndex;
+              if (currentSimulation == null || index >= currentSimulation.tokenLevels.length) {
+                return "-";
+              }
+
+              const tokens = currentSimulation.tokenLevels[index];
+              const suppressed = currentSimulation.cumulativeSuppressed[index];
+              return [
+                `Tokens: ${tokens.toLocaleString(undefined, { maximumFractionDigits: 2 })}`,
+                `Retries allowed: ${tokens > currentSimulation.threshold ? "yes" : "no"}`,
+                `Suppressed so far: ${suppressed.toLocaleString()}`,
+              ];
+            },
+          },
+        },
+      },
+      scales: {
+        x: {
+          ticks: {
+            color: "#3f3f46",
+            maxTicksLimit: 10,
+          },
+          grid: {
+            color: "rgba(39, 39, 42, 0.14)",
+          },
+          title: {
+            display: true,
+            text: "Request Number",
+            color: "#3f3f46",
+          },
+        },
+        y: {
+          beginAtZero: true,
+          ticks: {
+            color: "#3f3f46",
+          },
+          grid: {
+            color: "rgba(39, 39, 42, 0.14)",
+          },
+          title: {
+            display: true,
+            text: "Tokens",
+            color: "#3f3f46",
+          },
+        },
+        suppressed: {
+          position: "right",
+          beginAtZero: true,
+          ticks: {
+            color: "#3f3f46",
+            precision: 0,
+          },
+          grid: {
+            drawOnChartArea: false,
+          },
+          title: {
+            display: true,
+            text: "Retries Suppressed",
+            color: "#3f3f46",
+          },
+        },
+      },
+    },
+  });
+
+  return {
+    /**
+     * @param {import("./throttling.js").ThrottleSimulation} simulation
+     */
+    update(simulation) {
+      currentSimulation = simulation;
+      chart.options.animation = resolveAnimationOptions();
+
+      const [tokenDataset, thresholdDataset, suppressedDataset] = chart.data.datasets;
+      chart.data.labels = simulation.tokenLevels.map((_level, index) => String(index + 1));
+      tokenDataset.data = simulation.tokenLevels;
+      thresholdDataset.data = simulation.tokenLevels.map(() => simulation.threshold);
+      suppressedDataset.data = simulation.cumulativeSuppressed;
+      chart.update();
+    },
+    clear() {
+      currentSimulation = null;
+      chart.data.labels = [];
+      for (const dataset of chart.data.datasets) {
+        dataset.data = [];
+      }
+      chart.update();
+    },
+    /**
+     * @param {ChartThemeTokens} tokens
+     */
+    setTheme(tokens) {
+      const [tokenDataset, thresholdDataset, suppressedDataset] = chart.data.datasets;
+
+      tokenDataset.borderColor = tokens.lineColor;
+      tokenDataset.backgroundColor = tokens.fillColor;
+      thresholdDataset.borderColor = tokens.cutoffColor;
+      suppressedDataset.borderColor = tokens.failureColor;
+
+      chart.options.plugins.tooltip.backgroundColor = tokens.tooltipBackgroundColor;
+      chart.options.plugins.tooltip.titleColor = tokens.tooltipTextColor;
+      chart.options.plugins.tooltip.bodyColor = tokens.tooltipTextColor;
+      chart.options.plugins[HOVER_GUIDE_PLUGIN_ID].color = tokens.hoverGuideColor;
+
+      for (const scale of Object.values(chart.options.scales)) {
+        scale.ticks.color = tokens.axisTextColor;
+        scale.title.color = tokens.axisTextColor;
+      }
+      chart.options.scales.x.grid.color = tokens.gridColor;
+      chart.options.scales.y.grid.color = tokens.gridColor;
+
+      chart.update("none");
+    },
+    destroy() {
+      chart.destroy();
+    },
+  };
+}
+
+/**
+ * Histogram of retry arrivals when a herd of clients fails at the same moment, with the
+ * unjittered herd outlined behind it.
+ * @param {HTMLCanvasElement} canvas
+ */
+export function createHerdChart(canvas) {
+  let currentDisplayMode = DEFAULT_DISPLAY_MODE;
+  /** @type {import("./herd.js").HerdHistogram | null} */
+  let currentHistogram = null;
+
+  const chart = new ChartConstructor(canvas, {
+    type: "bar",
+    plugins: [hoverGuidePlugin],
+    data: {
+      labels: [],
+      datasets: [
+        {
+          label: "With Jitter",
+          data: [],
+          backgroundColor: "rgba(39, 39, 42, 0.5)",
+          borderWidth: 0,
+          barPercentage: 1,
+          categoryPercentage: 1,
+          grouped: false,
+          order: 0,
+        },
+        {
+          label: "Without Jitter",
+          data: [],
+          backgroundColor: "rgba(0, 0, 0, 0)",
+          borderColor: "#9a6700",
+          borderWidth: 1.5,
+          borderDash: [4, 3],
+          barPercentage: 1,
+          categoryPercentage: 1,
+          grouped: false,
+          order: 1,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: resolveAnimationOptions(),
+      interaction: {
+        mode: "index",
+        axis: "x",
+        intersect: false,
+      },
+      plugins: {
+        legend: { display: false },
+        [HOVER_GUIDE_PLUGIN_ID]: {
+          color: "rgba(39, 39, 42, 0.28)",
+          lineWidth: 1,
+        },
+        tooltip: {
+          backgroundColor: "#111111",
+          titleColor: "#f5f5f5",
+          bodyColor: "#f5f5f5",
+          intersect: false,
+          mode: "index",
+          displayColors: false,
+          filter(context) {
+            return context.datasetIndex === 0;
+          },
+          callbacks: {
+            title(items) {
+              if (items.length === 0 || currentHistogram == null) {
+                return "";
+              }
+              const startMs = items[0].dataIndex * currentHistogram.bucketMs;
+              const start = formatDuration(startMs, currentDisplayMode);
+              const end = formatDuration(startMs + currentHistogram.bucketMs, currentDisplayMode);
+              return `${start} \u2013 ${end}`;
+            },
+            label(context) {
+              const index = context.dataIndex;
+              if (currentHistogram == null || index >= currentHistogram.counts.length) {
+                return "-";
+              }
+              const jittered = currentHistogram.counts[index];
+              const unjittered = currentHistogram.unjitteredCounts[index];
+              return [
+                `With jitter: ${jittered.toLocaleString()} retries`,
+                `Without jitter: ${unjittered.toLocaleString()} retries`,
+              ];
+            },
+          },
+        },
+      },
+      scales: {
+        x: {
+          ticks: {
+            color: "#3f3f46",
+            maxTicksLimit: 10,
+          },
+          grid: {
+            color: "rgba(39, 39, 42, 0.14)",
+          },
+          title: {
+            display: true,
+            text: "Time Since Shared Failure",
+            color: "#3f3f46",
+          },
+        },
+        y: {
+          beginAtZero: true,
+          ticks: {
+            color: "#3f3f46",
+            precision: 0,
+          },
+          grid: {
+            color: "rgba(39, 39, 42, 0.14)",
+          },
+          title: {
+            display: true,
+            text: "Retry Arrivals",
+            color: "#3f3f46",
+          },
+        },
+      },
+    },
+  });
+
+  return {
+    /**
+     * @param {import("./herd.js").HerdHistogram} histogram
+     * @param {import("./display.js").DisplayMode} [displayMode]
+     */
+    update(histogram, displayMode = currentDisplayMode) {
+      currentHistogram = histogram;
+      currentDisplayMode = resolveDisplayMode(displayMode);
+      chart.options.animation = resolveAnimationOptions();
+
+      const [jitteredDataset, unjitteredDataset] = chart.data.datasets;
+      chart.data.labels = histogram.counts.map((_count, index) =>
+        formatDuration(index * histogram.bucketMs, currentDisplayMode),
+      );
+      jitteredDataset.data = histogram.counts;
+      unjitteredDataset.data = histogram.unjitteredCounts;
+      chart.update();
+    },
+    clear() {
+      currentHistogram = null;
+      chart.data.labels = [];
+      for (const dataset of chart.data.datasets) {
+        dataset.data = [];
+      }
+      chart.update();
+    },
+    /**
+     * @param {ChartThemeTokens} tokens
+     */
+    setTheme(tokens) {
+      const [jitteredDataset, unjitteredDataset] = chart.data.datasets;
+
+      jitteredDataset.backgroundColor = tokens.lineColor;
+      unjitteredDataset.borderColor = tokens.cutoffColor;
+
+      chart.options.plugins.tooltip.backgroundColor = tokens.tooltipBackgroundColor;
+      chart.options.plugins.tooltip.titleColor = tokens.tooltipTextColor;
+      chart.options.plugins.tooltip.bodyColor = tokens.tooltipTextColor;
+      chart.options.plugins[HOVER_GUIDE_PLUGIN_ID].color = tokens.hoverGuideColor;
+
+      for (const scale of Object.values(chart.options.scales)) {
+        scale.ticks.color = tokens.axisTextColor;
+        scale.title.color = tokens.axisTextColor;
+        scale.grid.color = tokens.gridColor;
+      }
+
+      chart.update("none");
+    },
+    destroy() {
+      chart.destroy();
+    },
+  };
+}
@@ -0,0 +1,166 @@
+import { attemptDurationStats } from "./attemptDuration.js";
+
+/**
+ * @typedef {"none" | "consecutive"} BreakerMode
+ */
+
+/**
+ * @typedef {"closed" | "open" | "half-open"} BreakerState
+ */
+
+/**
+ * @typedef {object} CircuitBreakerConfig
+ * @property {BreakerMode} [breakerMode]
+ * @property {number} [breakerFailureThreshold] Consecutive failures that open the breaker.
+ * @property {number} [breakerOpenMs] How long the breaker stays open before probing.
+ * @property {number} [breakerHalfOpenProbes] Calls let through while half-open.
+ */
+
+/**
+ * @typedef {object} BreakerRetryPoint
+ * @property {number} retry
+ * @property {number} startMs When the retry starts once short-circuited calls stop taking
+ *   attempt time.
+ * @property {BreakerState} state Breaker state the retry meets.
+ * @property {boolean} shortCircuited True when the breaker rejected the call without
+ *   reaching the dependency.
+ */
+
+/**
+ * @typedef {object} BreakerTimeline
+ * @property {BreakerRetryPoint[]} points
+ * @property {number} shortCircuitedCount
+ * @property {number} dependencyCalls Calls that reached the dependency, the first included.
+ * @property {number} opens Times the breaker opened.
+ * @property {number} lastCallEndMs When the last call that reached the dependency finished.
+ */
+
+export const BREAKER_MODES = /** @type {const} */ (["none", "consecutive"]);
+
+export const DEFAULT_BREAKER_MODE = "none";
+
+export const DEFAULT_BREAKER_FAILURE_THRESHOLD = 5;
+
+// resilience4j defaults: waitDurationInOpenState 60 s, permittedNumberOfCallsInHalfOpenState 10.
+export const DEFAULT_BREAKER_OPEN_MS = 60000;
+
+export const DEFAULT_BREAKER_HALF_OPEN_PROBES = 10;
+
+/**
+ * @param {unknown} value
+ * @returns {value is BreakerMode}
+ */
+export function isBreakerMode(value) {
+  return typeof value === "string" && BREAKER_MODES.includes(/** @type {BreakerMode} */ (value));
+}
+
+/**
+ * @param {unknown} value
+ * @returns {BreakerMode}
+ */
+export function resolveBreakerMode(value) {
+  return isBreakerMode(value) ? value : DEFAULT_BREAKER_MODE;
+}
+
+/**
+ * Checks the breaker inputs only when the breaker is enabled.
+ * @param {CircuitBreakerConfig} config
+ * @returns {import("./backoff.js").ValidationError[]}
+ */
+export function validateBreakerConfig(config) {
+  const errors = [];
+
+  if (config.breakerMode !== undefined && !isBreakerMode(config.breakerMode)) {
+    errors.push({ field: "breakerMode", message: "Must be none or consecutive." });
+  }
+
+  if (config.breakerMode === "consecutive") {
+    if (!Number.isInteger(config.breakerFailureThreshold) || config.breakerFailureThreshold < 1) {
+      errors.push({ field: "breakerFailureThreshold", message: "Must be an integer >= 1." });
+    }
+    if (!Number.isFinite(config.breakerOpenMs) || config.breakerOpenMs < 0) {
+      errors.push({ field: "breakerOpenMs", message: "Must be >= 0." });
+    }
+    if (!Number.isInteger(config.breakerHalfOpenProbes) || config.breakerHalfOpenProbes < 1) {
+      errors.push({ field: "breakerHalfOpenProbes", message: "Must be an integer >= 1." });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Replay a schedule from generateSchedule through a circuit breaker while the dependency
+ * keeps failing. The breaker opens after the configured run of consecutive failures; once the
+ * open period has passed it lets the configured number of probes through, and reopens when
+ * they fail. A rejected call fails immediately, so it costs no attempt time and pulls the
+ * rest of the schedule earlier.
+ * @param {import("./backoff.js").RetryPoint[]} points
+ * @param {import("./backoff.js").BackoffConfig & CircuitBreakerConfig} config
+ * @returns {BreakerTimeline}
+ */
+export function applyCircuitBreaker(points, config) {
+  const threshold = config.breakerFailureThreshold ?? DEFAULT_BREAKER_FAILURE_THRESHOLD;
+  const openMs = config.breakerOpenMs ?? DEFAULT_BREAKER_OPEN_MS;
+  const probes = config.breakerHalfOpenProbes ?? DEFAULT_BREAKER_HALF_OPEN_PROBES;
+  const attemptMs = attemptDurationStats(config).expectedMs;
+
+  /** @type {BreakerState} */
+  let state = "closed";
+  let consecutiveFailures = 0;
+  let openUntilMs = 0;
+  let probesLeft = 0;
+  let opens = 0;
+
+  /**
+   * Record a failed call that ended at endMs.
+   * @param {number} endMs
+   */
+  function recordFailure(endMs) {
+    consecutiveFailures += 1;
+    if (state === "half-open") {
+      probesLeft -= 1;
+    }
+    const shouldOpen = state === "closed" ? consecutiveFailures >= threshold : probesLeft === 0;
+    if (shouldOpen) {
+      state = "open";
+      openUntilMs = endMs + openMs;
+      opens += 1;
+    }
+  }
+
+  // The first attempt always reaches the dependency.
+  let previousEndMs = attemptMs;
+  let lastCallEndMs = attemptMs;
+  let dependencyCalls = 1;
+  recordFailure(attemptMs);
+
+  const breakerPoints = points.map((point) => {
+    const startMs = previousEndMs + point.delayMs;
+    if (state === "open" && startMs >= openUntilMs) {
+      state = "half-open";
+      probesLeft = probes;
+    }
+
+    const meets = state;
+    const shortCircuited = state === "open";
+    if (shortCircuited) {
+      previousEndMs = startMs;
+    } else {
+      previousEndMs = startMs + attemptMs;
+      lastCallEndMs = previousEndMs;
+      dependencyCalls += 1;
+      recordFailure(previousEndMs);
+    }
+
+    return { retry: point.retry, startMs, state: meets, shortCircuited };
+  });
+
+  return {
+    points: breakerPoints,
+    shortCircuitedCount: breakerPoints.filter((point) => point.shortCircuited).length,
+    dependencyCalls,
+    opens,
+    lastCallEndMs,
+  };
+}
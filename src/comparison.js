@@ -0,0 +1,127 @@
+/**
+ * Policies on the chart at once: the live inputs plus up to four pinned series.
+ */
+export const MAX_COMPARED_POLICIES = 5;
+export const MAX_PINNED_SERIES = MAX_COMPARED_POLICIES - 1;
+export const LIVE_SERIES_NAME = "Current";
+
+/**
+ * @typedef {object} ComparedSeries
+ * @property {string} name
+ * @property {Array<import("./backoff.js").RetryPoint & { label?: string }>} points In table
+ *   order, with the table's retry labels when it numbers them differently.
+ * @property {import("./backoff.js").ScheduleSummary} summary
+ */
+
+/**
+ * One series at one retry. Differences are against the first series and null for the first
+ * series itself or where the first series has already given up.
+ * @typedef {object} ComparisonCell
+ * @property {number} delayMs Expected sleep before this retry.
+ * @property {number} cumulativeDelayMs Expected start of this retry, attempt time included.
+ * @property {number | null} delayDiffMs
+ * @property {number | null} cumulativeDiffMs
+ */
+
+/**
+ * @typedef {object} ComparisonRow
+ * @property {number} retry 0 for a listed initial attempt.
+ * @property {string} label The compared points' label, as the schedule table shows it.
+ * @property {Array<ComparisonCell | null>} cells One per series; null once that series has
+ *   given up.
+ */
+
+/**
+ * @typedef {object} ComparisonSummary
+ * @property {import("./backoff.js").ScheduleSummary} summary
+ * @property {{
+ *   totalRetries: number,
+ *   finalDelayMs: number,
+ *   totalDelayMs: number,
+ *   worstCaseLatencyMs: number
+ * } | null} diffs Against the first series; null for the first series.
+ */
+
+/**
+ * @typedef {object} ScheduleComparison
+ * @property {ComparisonRow[]} rows
+ * @property {ComparisonSummary[]} summaries
+ */
+
+/**
+ * First "Policy A", "Policy B", ... name not already taken.
+ * @param {string[]} takenNames
+ */
+export function nextSeriesName(takenNames) {
+  const taken = new Set(takenNames.map((name) => name.trim().toLowerCase()));
+  for (let code = 65; code <= 90; code += 1) {
+    const name = `Policy ${String.fromCharCode(code)}`;
+    if (!taken.has(name.toLowerCase())) {
+      return name;
+    }
+  }
+  return `Policy ${takenNames.length + 1}`;
+}
+
+/**
+ * @param {import("./backoff.js").RetryPoint} point
+ * @returns {{ delayMs: number, cumulativeDelayMs: number }}
+ */
+function cellValues(point) {
+  return {
+    delayMs: point.expectedDelayMs ?? point.delayMs,
+    // Matches the schedule table: retry start time once attempt durations are modelled.
+    cumulativeDelayMs: point.attemptStartMs ?? point.cumulativeDelayMs,
+  };
+}
+
+/**
+ * Line up each series retry by retry against the first, which plays the baseline in
+ * "old versus proposed" reviews.
+ * @param {ComparedSeries[]} series
+ * @returns {ScheduleComparison}
+ */
+export function compareSchedules(series) {
+  const retryCount = Math.max(0, ...series.map((entry) => entry.points.length));
+  const [baseline] = series;
+  const rows = [];
+
+  for (let index = 0; index < retryCount; index += 1) {
+    const basePoint = baseline?.points[index];
+    const base = basePoint === undefined ? null : cellValues(basePoint);
+    const rowPoint = series.find((entry) => index < entry.points.length).points[index];
+    rows.push({
+      retry: rowPoint.retry,
+      label: rowPoint.label ?? rowPoint.retry.toString(),
+      cells: series.map((entry, seriesIndex) => {
+        const point = entry.points[index];
+        if (point === undefined) {
+          return null;
+        }
+        const values = cellValues(point);
+        const compared = seriesIndex > 0 && base !== null;
+        return {
+          ...values,
+          delayDiffMs: compared ? values.delayMs - base.delayMs : null,
+          cumulativeDiffMs: compared ? values.cumulativeDelayMs - base.cumulativeDelayMs : null,
+        };
+      }),
+    });
+  }
+
+  const summaries = series.map(({ summary }, seriesIndex) => ({
+    summary,
+    diffs:
+      seriesIndex === 0
+        ? null
+        : {
+            totalRetries: summary.totalRetries - baseline.summary.totalRetries,
+            finalDelayMs: summary.finalDelayMs - baseline.summary.finalDelayMs,
+            totalDelayMs: summary.totalDelayMs - baseline.summary.totalDelayMs,
+            worstCaseLatencyMs:
+              summary.worstCaseLatencyMs - baseline.summary.worstCaseLatencyMs,
+          },
+  }));
+
+  return { rows, summaries };
+}
@@ -0,0 +1,99 @@
+/**
+ * @typedef {"repeat" | "stop"} SequenceEndMode
+ */
+
+/**
+ * @typedef {object} DelaySequenceEntryError
+ * @property {number} index
+ * @property {string} token
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} ParsedDelaySequence
+ * @property {number[]} delaysMs
+ * @property {DelaySequenceEntryError[]} errors
+ */
+
+export const SEQUENCE_END_MODES = /** @type {const} */ (["repeat", "stop"]);
+
+export const DEFAULT_SEQUENCE_END_MODE = "repeat";
+
+const UNIT_MS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  min: 60 * 1000,
+  h: 60 * 60 * 1000,
+};
+const DURATION_PATTERN = /^(\d+(?:\.\d+)?|\.\d+)\s*(ms|s|min|m|h)?$/i;
+
+/**
+ * @param {unknown} value
+ * @returns {value is SequenceEndMode}
+ */
+export function isSequenceEndMode(value) {
+  return (
+    typeof value === "string" &&
+    SEQUENCE_END_MODES.includes(/** @type {SequenceEndMode} */ (value))
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @returns {SequenceEndMode}
+ */
+export function resolveSequenceEndMode(value) {
+  return isSequenceEndMode(value) ? value : DEFAULT_SEQUENCE_END_MODE;
+}
+
+/**
+ * Parse one duration such as 250, 250ms, 2s, 1m, or 1h; bare numbers are milliseconds.
+ * @param {string} token
+ * @returns {number | null} The duration in milliseconds, or null when it is not one.
+ */
+export function parseDuration(token) {
+  const match = DURATION_PATTERN.exec(token.trim());
+  if (match === null) {
+    return null;
+  }
+  const unit = (match[2] ?? "ms").toLowerCase();
+  return Number(match[1]) * UNIT_MS[/** @type {keyof typeof UNIT_MS} */ (unit)];
+}
+
+/**
+ * Parse a comma-separated delay list such as "100ms, 500ms, 2s, 10s".
+ * Bare numbers are milliseconds; m/min and h are also accepted.
+ * @param {unknown} text
+ * @returns {ParsedDelaySequence}
+ */
+export function parseDelaySequence(text) {
+  if (typeof text !== "string" || text.trim().length === 0) {
+    return { delaysMs: [], errors: [] };
+  }
+
+  const delaysMs = [];
+  const errors = [];
+  const tokens = text.split(",").map((token) => token.trim());
+
+  tokens.forEach((token, index) => {
+    if (token.length === 0) {
+      errors.push({ index, token, message: "Entry is empty." });
+      return;
+    }
+
+    const delayMs = parseDuration(token);
+    if (delayMs === null) {
+      errors.push({
+        index,
+        token,
+        message: "Must be a non-negative duration like 250, 250ms, 2s, 1m, or 1h.",
+      });
+      return;
+    }
+
+    delaysMs.push(delayMs);
+  });
+
+  return { delaysMs, errors };
+}
@@ -0,0 +1,395 @@
+/**
+ * A tiny arithmetic language for custom delay formulas, e.g. `D0 * 2^(r-1) + 50*r`.
+ * Expressions are parsed into a tree and evaluated by walking it, never with `eval`
+ * or `Function`, so they stay within the site's Content-Security-Policy.
+ */
+
+/**
+ * @typedef {"r" | "D0" | "F" | "I"} ExpressionVariable
+ */
+
+/**
+ * @typedef {"min" | "max" | "pow" | "log"} ExpressionFunction
+ */
+
+/**
+ * @typedef {"+" | "-" | "*" | "/" | "^"} ExpressionOperator
+ */
+
+/**
+ * @typedef {(
+ *   { type: "number", value: number, position: number } |
+ *   { type: "variable", name: ExpressionVariable, position: number } |
+ *   { type: "unary", operator: "-", operand: ExpressionNode, position: number } |
+ *   {
+ *     type: "binary",
+ *     operator: ExpressionOperator,
+ *     left: ExpressionNode,
+ *     right: ExpressionNode,
+ *     position: number
+ *   } |
+ *   { type: "call", name: ExpressionFunction, args: ExpressionNode[], position: number }
+ * )} ExpressionNode
+ */
+
+/**
+ * @typedef {object} ExpressionError
+ * @property {string} message
+ * @property {number} position Zero-based character offset into the source.
+ */
+
+/**
+ * @typedef {object} ParsedExpression
+ * @property {ExpressionNode | null} expression
+ * @property {ExpressionError | null} error
+ */
+
+export const EXPRESSION_VARIABLES = /** @type {const} */ (["r", "D0", "F", "I"]);
+
+const FUNCTION_ARITY = {
+  min: { min: 1, max: Number.POSITIVE_INFINITY },
+  max: { min: 1, max: Number.POSITIVE_INFINITY },
+  pow: { min: 2, max: 2 },
+  log: { min: 1, max: 2 },
+};
+
+// Parsing and evaluation both recurse, so deeper input (e.g. thousands of "(" in a shared
+// link) would overflow the stack instead of reporting an error.
+const MAX_EXPRESSION_DEPTH = 200;
+
+const NUMBER_PATTERN = /^(?:\d+(?:\.\d*)?|\.\d+)/;
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*/;
+const OPERATOR_CHARACTERS = "+-*/^(),";
+
+/**
+ * @param {string} message
+ * @param {number} position
+ */
+function syntaxError(message, position) {
+  const error = new Error(message);
+  error.position = position;
+  return error;
+}
+
+/**
+ * @param {string} source
+ */
+function tokenize(source) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const rest = source.slice(position);
+    const whitespace = /^\s+/.exec(rest);
+    if (whitespace !== null) {
+      position += whitespace[0].length;
+      continue;
+    }
+
+    const number = NUMBER_PATTERN.exec(rest);
+    if (number !== null) {
+      tokens.push({ type: "number", text: number[0], position });
+      position += number[0].length;
+      continue;
+    }
+
+    const identifier = IDENTIFIER_PATTERN.exec(rest);
+    if (identifier !== null) {
+      tokens.push({ type: "identifier", text: identifier[0], position });
+      position += identifier[0].length;
+      continue;
+    }
+
+    if (OPERATOR_CHARACTERS.includes(rest[0])) {
+      tokens.push({ type: "operator", text: rest[0], position });
+      position += 1;
+      continue;
+    }
+
+    throw syntaxError(`Unexpected character "${rest[0]}".`, position);
+  }
+
+  tokens.push({ type: "end", text: "", position: source.length });
+  return tokens;
+}
+
+/**
+ * @param {ReturnType<typeof tokenize>} tokens
+ */
+function createParser(tokens) {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOperator = (text) => peek().type === "operator" && peek().text === text;
+  const depths = new WeakMap();
+  let nesting = 0;
+
+  /**
+   * Record how deep a node's subtree is, rejecting trees too deep to evaluate.
+   * @template {ExpressionNode} T
+   * @param {T} node
+   * @param {ExpressionNode[]} children
+   * @returns {T}
+   */
+  function withDepth(node, children) {
+    let depth = 1;
+    for (const child of children) {
+      depth = Math.max(depth, (depths.get(child) ?? 1) + 1);
+    }
+    if (depth > MAX_EXPRESSION_DEPTH) {
+      throw syntaxError("Expression is nested too deeply.", node.position);
+    }
+    depths.set(node, depth);
+    return node;
+  }
+
+  function expect(text) {
+    const token = peek();
+    if (token.type !== "operator" || token.text !== text) {
+      throw syntaxError(`Expected "${text}".`, token.position);
+    }
+    return next();
+  }
+
+  function parseAdditive() {
+    let left = parseMultiplicative();
+    while (isOperator("+") || isOperator("-")) {
+      const operator = next();
+      const right = parseMultiplicative();
+      left = withDepth(
+        { type: "binary", operator: operator.text, left, right, position: operator.position },
+        [left, right],
+      );
+    }
+    return left;
+  }
+
+  function parseMultiplicative() {
+    let left = parseUnary();
+    while (isOperator("*") || isOperator("/")) {
+      const operator = next();
+      const right = parseUnary();
+      left = withDepth(
+        { type: "binary", operator: operator.text, left, right, position: operator.position },
+        [left, right],
+      );
+    }
+    return left;
+  }
+
+  // Every recursive path (parentheses, calls, signs, exponents) passes through here.
+  function parseUnary() {
+    if (nesting >= MAX_EXPRESSION_DEPTH) {
+      throw syntaxError("Expression is nested too deeply.", peek().position);
+    }
+    nesting += 1;
+    try {
+      return parseSignedTerm();
+    } finally {
+      nesting -= 1;
+    }
+  }
+
+  function parseSignedTerm() {
+    if (isOperator("-")) {
+      const operator = next();
+      const operand = parseUnary();
+      return withDepth(
+        { type: "unary", operator: "-", operand, position: operator.position },
+        [operand],
+      );
+    }
+    if (isOperator("+")) {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (isOperator("^")) {
+      const operator = next();
+      // Right-associative, and binds tighter than a leading minus: -2^2 is -(2^2).
+      const exponent = parseUnary();
+      return withDepth(
+        {
+          type: "binary",
+          operator: "^",
+          left: base,
+          right: exponent,
+          position: operator.position,
+        },
+        [base, exponent],
+      );
+    }
+    return base;
+  }
+
+  function parseCall(token) {
+    // Own keys only, so names like "constructor" are not mistaken for functions.
+    if (!Object.hasOwn(FUNCTION_ARITY, token.text)) {
+      throw syntaxError(`Unknown function "${token.text}".`, token.position);
+    }
+
+    const arity = FUNCTION_ARITY[token.text];
+    expect("(");
+    const args = [parseAdditive()];
+    while (isOperator(",")) {
+      next();
+      args.push(parseAdditive());
+    }
+    expect(")");
+
+    if (args.length < arity.min || args.length > arity.max) {
+      const expected =
+        arity.min === arity.max
+          ? `${arity.min}`
+          : arity.max === Number.POSITIVE_INFINITY
+            ? `at least ${arity.min}`
+            : `${arity.min} or ${arity.max}`;
+      const plural = expected === "1" ? "" : "s";
+      throw syntaxError(`${token.text}() takes ${expected} argument${plural}.`, token.position);
+    }
+
+    return withDepth({ type: "call", name: token.text, args, position: token.position }, args);
+  }
+
+  function parsePrimary() {
+    const token = peek();
+
+    if (token.type === "number") {
+      next();
+      return { type: "number", value: Number(token.text), position: token.position };
+    }
+
+    if (token.type === "identifier") {
+      next();
+      if (isOperator("(")) {
+        return parseCall(token);
+      }
+      if (!EXPRESSION_VARIABLES.includes(token.text)) {
+        throw syntaxError(
+          `Unknown variable "${token.text}". Use r, D0, F, or I.`,
+          token.position,
+        );
+      }
+      return { type: "variable", name: token.text, position: token.position };
+    }
+
+    if (isOperator("(")) {
+      next();
+      const inner = parseAdditive();
+      expect(")");
+      return inner;
+    }
+
+    if (token.type === "end") {
+      throw syntaxError("Unexpected end of expression.", token.position);
+    }
+    throw syntaxError(`Unexpected "${token.text}".`, token.position);
+  }
+
+  return {
+    parse() {
+      const expression = parseAdditive();
+      const trailing = peek();
+      if (trailing.type !== "end") {
+        throw syntaxError(`Unexpected "${trailing.text}".`, trailing.position);
+      }
+      return expression;
+    },
+  };
+}
+
+/**
+ * @param {unknown} source
+ * @returns {ParsedExpression}
+ */
+export function parseExpression(source) {
+  if (typeof source !== "string" || source.trim().length === 0) {
+    return { expression: null, error: { message: "Enter an expression.", position: 0 } };
+  }
+
+  try {
+    const expression = createParser(tokenize(source)).parse();
+    return { expression, error: null };
+  } catch (error) {
+    if (!(error instanceof Error) || typeof error.position !== "number") {
+      throw error;
+    }
+    return { expression: null, error: { message: error.message, position: error.position } };
+  }
+}
+
+/**
+ * @param {ExpressionNode} node
+ * @param {Record<ExpressionVariable, number>} variables
+ * @returns {number}
+ */
+export function evaluateExpression(node, variables) {
+  switch (node.type) {
+    case "number":
+      return node.value;
+    case "variable":
+      return variables[node.name];
+    case "unary":
+      return -evaluateExpression(node.operand, variables);
+    case "binary": {
+      const left = evaluateExpression(node.left, variables);
+      const right = evaluateExpression(node.right, variables);
+      if (node.operator === "+") {
+        return left + right;
+      }
+      if (node.operator === "-") {
+        return left - right;
+      }
+      if (node.operator === "*") {
+        return left * right;
+      }
+      if (node.operator === "/") {
+        return left / right;
+      }
+      return left ** right;
+    }
+    case "call": {
+      const args = node.args.map((arg) => evaluateExpression(arg, variables));
+      // Folded rather than spread: a call can have more arguments than a spread allows.
+      if (node.name === "min") {
+        return args.reduce((lowest, value) => Math.min(lowest, value));
+      }
+      if (node.name === "max") {
+        return args.reduce((highest, value) => Math.max(highest, value));
+      }
+      if (node.name === "pow") {
+        return args[0] ** args[1];
+      }
+      return args.length === 2 ? Math.log(args[0]) / Math.log(args[1]) : Math.log(args[0]);
+    }
+    default:
+      return Number.NaN;
+  }
+}
+
+/**
+ * @param {ExpressionNode} node
+ * @returns {Set<ExpressionVariable>}
+ */
+export function expressionVariables(node) {
+  const names = new Set();
+  const visit = (current) => {
+    if (current.type === "variable") {
+      names.add(current.name);
+    } else if (current.type === "unary") {
+      visit(current.operand);
+    } else if (current.type === "binary") {
+      visit(current.left);
+      visit(current.right);
+    } else if (current.type === "call") {
+      current.args.forEach(visit);
+    }
+  };
+  visit(node);
+  return names;
+}
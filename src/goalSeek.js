@@ -0,0 +1,370 @@
+import { generateSchedule, summarizeSchedule, validateConfig } from "./backoff.js";
+import { parseDelaySequence } from "./delaySequence.js";
+import { formatDuration } from "./display.js";
+import { retryAfterOverride } from "./retryAfter.js";
+import { firstRetryIndex } from "./retryIndex.js";
+
+/**
+ * @typedef {"factor" | "initialDelayMs" | "incrementMs"} SolveParameter
+ */
+
+/**
+ * @typedef {object} SolveGoal
+ * @property {SolveParameter} parameter Input the solver adjusts; the others stay as set.
+ * @property {string} [totalDelay] Target total expected wait, like "10m"; blank for none.
+ * @property {number | null} [capByRetry] Latest retry at which the cap may engage, numbered
+ *   from the configured retry index base.
+ * @property {number | null} [maxRetries] Retry limit that replaces the configured one.
+ */
+
+/**
+ * @typedef {object} SolveResult
+ * @property {boolean} solved
+ * @property {string} message Why the goal cannot be met; empty when solved.
+ * @property {SolveParameter} parameter
+ * @property {number | null} value Solved value, rounded to what the input accepts.
+ * @property {import("./backoff.js").BackoffConfig | null} config The configuration with the
+ *   solved value and retry limit applied.
+ * @property {import("./backoff.js").ScheduleSummary | null} summary
+ */
+
+export const SOLVE_PARAMETERS = /** @type {const} */ (["factor", "initialDelayMs", "incrementMs"]);
+
+export const DEFAULT_SOLVE_PARAMETER = "factor";
+
+// A total wait within this fraction of the target counts as a match.
+const TOTAL_DELAY_TOLERANCE = 0.01;
+const BISECTION_STEPS = 80;
+const SEARCH_GRID_STEPS = 120;
+const MIN_ROUNDING_STEP = 1e-9;
+
+/**
+ * @typedef {object} ParameterSearch
+ * @property {string} label
+ * @property {string[]} strategies Strategies whose delays depend on the parameter.
+ * @property {number} minValue
+ * @property {number} maxValue
+ * @property {number} offset Value the search grid is spaced from.
+ * @property {number} step Coarsest rounding offered for the solved value.
+ */
+
+/** @type {Record<SolveParameter, ParameterSearch>} */
+const PARAMETER_SEARCH = {
+  factor: {
+    label: "the factor",
+    strategies: ["exponential", "expression"],
+    minValue: 1.0001,
+    maxValue: 1000,
+    offset: 1,
+    step: 0.0001,
+  },
+  initialDelayMs: {
+    label: "the initial delay",
+    strategies: ["exponential", "linear", "fixed", "fibonacci", "polynomial", "expression"],
+    minValue: 0,
+    maxValue: 1e12,
+    offset: 0,
+    step: 1,
+  },
+  incrementMs: {
+    label: "the increment",
+    strategies: ["linear", "expression"],
+    minValue: 0,
+    maxValue: 1e12,
+    offset: 0,
+    step: 1,
+  },
+};
+
+/**
+ * @param {unknown} value
+ * @returns {value is SolveParameter}
+ */
+export function isSolveParameter(value) {
+  return (
+    typeof value === "string" && SOLVE_PARAMETERS.includes(/** @type {SolveParameter} */ (value))
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @returns {SolveParameter}
+ */
+export function resolveSolveParameter(value) {
+  return isSolveParameter(value) ? value : DEFAULT_SOLVE_PARAMETER;
+}
+
+/**
+ * @param {SolveParameter} parameter
+ * @param {number} value
+ */
+function formatParameterValue(parameter, value) {
+  return parameter === "factor" ? String(value) : formatDuration(value, "humanize");
+}
+
+/**
+ * @param {number} value
+ * @param {number} step
+ * @param {(value: number) => number} round
+ */
+function roundToStep(value, step, round) {
+  return Number((round(value / step) * step).toPrecision(15));
+}
+
+/**
+ * Log-spaced candidates above lowerBound, measured from the parameter's offset so factors
+ * near 1 get as many candidates as large ones.
+ * @param {ParameterSearch} search
+ * @param {number} lowerBound
+ * @returns {number[]}
+ */
+function searchGrid(search, lowerBound) {
+  const lowExponent = Math.log10(Math.max(lowerBound - search.offset, search.step));
+  const highExponent = Math.log10(search.maxValue - search.offset);
+  return Array.from(
+    { length: SEARCH_GRID_STEPS },
+    (_value, index) =>
+      search.offset +
+      10 ** (lowExponent + ((index + 1) / SEARCH_GRID_STEPS) * (highExponent - lowExponent)),
+  );
+}
+
+/**
+ * @param {SolveParameter} parameter
+ * @param {string} message
+ * @returns {SolveResult}
+ */
+function unsolved(parameter, message) {
+  return { solved: false, message, parameter, value: null, config: null, summary: null };
+}
+
+/**
+ * Narrow [low, high] onto the smallest value where test passes, assuming it keeps passing
+ * above that. Returns the final bracket: test fails at low and passes at high.
+ * @param {number} low A value where test fails.
+ * @param {number} high A value where test passes.
+ * @param {(value: number) => boolean} test
+ */
+function bisect(low, high, test) {
+  for (let step = 0; step < BISECTION_STEPS && high - low > Number.EPSILON * high; step += 1) {
+    const middle = low + (high - low) / 2;
+    if (test(middle)) {
+      high = middle;
+    } else {
+      low = middle;
+    }
+  }
+  return { low, high };
+}
+
+/**
+ * @param {import("./backoff.js").BackoffConfig} config
+ * @param {SolveGoal} goal
+ * @param {SolveParameter} parameter
+ * @returns {string | null}
+ */
+function goalProblem(config, goal, parameter) {
+  const search = PARAMETER_SEARCH[parameter];
+  if (!search.strategies.includes(config.strategy)) {
+    return `The ${config.strategy} strategy does not use ${search.label}.`;
+  }
+  // Decorrelated sleeps grow from the previous sleep and the initial delay alone.
+  if (config.jitter === "decorrelated" && parameter !== "initialDelayMs") {
+    return `Decorrelated jitter does not use ${search.label}.`;
+  }
+
+  const hasTotal = typeof goal.totalDelay === "string" && goal.totalDelay.trim() !== "";
+  if (!hasTotal && goal.capByRetry == null) {
+    return "Set a target total wait or cap retry to solve.";
+  }
+
+  if (hasTotal) {
+    const { delaysMs, errors } = parseDelaySequence(goal.totalDelay);
+    if (errors.length > 0 || delaysMs.length !== 1) {
+      return "Target total wait must be one duration, like 10m.";
+    }
+    if (delaysMs[0] <= 0) {
+      return "Target total wait must be > 0.";
+    }
+  }
+
+  if (
+    goal.maxRetries != null &&
+    (!Number.isInteger(goal.maxRetries) || goal.maxRetries < 1 || goal.maxRetries > 1000)
+  ) {
+    return "Retry limit must be an integer between 1 and 1000.";
+  }
+
+  if (goal.capByRetry != null) {
+    const retries = goal.maxRetries ?? config.maxRetries;
+    const firstIndex = firstRetryIndex(config);
+    if (!Number.isInteger(goal.capByRetry) || goal.capByRetry < firstIndex) {
+      return `Cap retry must be an integer >= ${firstIndex}.`;
+    }
+    if (config.maxDelayMs == null) {
+      return "Set a max delay cap to target the retry where it engages.";
+    }
+    const neededRetries = goal.capByRetry - firstIndex + 1;
+    if (neededRetries > retries) {
+      return (
+        `Reaching the cap by retry ${goal.capByRetry} needs at least ${neededRetries} ` +
+        "retries."
+      );
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the factor, initial delay, or increment that meets the goal's targets: a total expected
+ * wait, the latest retry at which the cap engages, or both, optionally under a new retry limit.
+ * The cap target sets a lower bound on the parameter; the total wait target then picks the
+ * value within that bound. Every candidate is a full generateSchedule run, including any
+ * Retry-After hints, so the solved schedule matches what the calculator shows.
+ * @param {import("./backoff.js").BackoffConfig} config A configuration that passes
+ *   validateConfig.
+ * @param {SolveGoal} goal
+ * @returns {SolveResult}
+ */
+export function solveBackoffParameter(config, goal) {
+  const parameter = resolveSolveParameter(goal.parameter);
+  const problem = goalProblem(config, goal, parameter);
+  if (problem !== null) {
+    return unsolved(parameter, problem);
+  }
+
+  const search = { ...PARAMETER_SEARCH[parameter] };
+  const baseConfig =
+    goal.maxRetries == null ? config : { ...config, maxRetries: goal.maxRetries };
+  /** @param {number} value */
+  const evaluate = (value) => {
+    const candidate = { ...baseConfig, [parameter]: value };
+    if (validateConfig(candidate).length > 0) {
+      return null;
+    }
+    const points = generateSchedule(candidate, { overrideDelay: retryAfterOverride(candidate) });
+    return { config: candidate, summary: summarizeSchedule(points, candidate) };
+  };
+  /** @param {number} value */
+  const format = (value) => formatParameterValue(parameter, value);
+
+  // Without a cap, a formula can overflow to Infinity (or NaN) well below the default ceiling,
+  // so search only up to the largest value that still gives a valid schedule.
+  if (evaluate(search.maxValue) === null && evaluate(search.minValue) !== null) {
+    const { low } = bisect(search.minValue, search.maxValue, (value) => evaluate(value) === null);
+    search.maxValue = Math.max(search.minValue, roundToStep(low, search.step, Math.floor));
+  }
+  const ceilingText =
+    search.maxValue < PARAMETER_SEARCH[parameter].maxValue
+      ? `${format(search.maxValue)}, the largest value with valid delays`
+      : format(search.maxValue);
+
+  let lowerBound = search.minValue;
+  if (goal.capByRetry != null) {
+    // Summaries count retries from 1 whatever the index base.
+    const capByPosition = goal.capByRetry - firstRetryIndex(config) + 1;
+    /** @param {number} value */
+    const reachesCap = (value) => {
+      const capRetry = evaluate(value)?.summary.capRetry ?? null;
+      return capRetry !== null && capRetry <= capByPosition;
+    };
+    if (!reachesCap(search.maxValue)) {
+      return unsolved(
+        parameter,
+        `The cap is never reached by retry ${goal.capByRetry}, even with ${search.label} at ` +
+          `${ceilingText}.`,
+      );
+    }
+    if (!reachesCap(search.minValue)) {
+      const { high: capValue } = bisect(search.minValue, search.maxValue, reachesCap);
+      lowerBound = roundToStep(capValue, search.step, Math.ceil);
+    }
+  }
+
+  let value = lowerBound;
+  const { delaysMs } = parseDelaySequence(goal.totalDelay);
+  if (delaysMs.length === 1) {
+    const targetMs = delaysMs[0];
+    /** @param {number} candidate */
+    const totalAt = (candidate) => evaluate(candidate)?.summary.totalDelayMs ?? Number.NaN;
+    /** @param {number} totalMs */
+    const isNearTarget = (totalMs) =>
+      Math.abs(totalMs - targetMs) <= targetMs * TOTAL_DELAY_TOLERANCE;
+    const lowestTotalMs = totalAt(lowerBound);
+    const targetText = formatDuration(targetMs, "humanize");
+
+    if (lowestTotalMs > targetMs * (1 + TOTAL_DELAY_TOLERANCE)) {
+      const lowestTotalText = formatDuration(lowestTotalMs, "humanize");
+      return unsolved(
+        parameter,
+        goal.capByRetry == null
+          ? `Even with ${search.label} at its minimum of ${format(lowerBound)}, the total wait ` +
+              `is ${lowestTotalText}, above the ${targetText} target.`
+          : `Reaching the cap by retry ${goal.capByRetry} needs ${search.label} at ` +
+              `${format(lowerBound)} or more, where the total wait is already ` +
+              `${lowestTotalText}, above the ${targetText} target.`,
+      );
+    }
+
+    if (lowestTotalMs < targetMs) {
+      // An elapsed budget can drop retries as sleeps grow, so the total is not monotone in the
+      // parameter; scan a log grid for the first value that reaches the target, then bisect.
+      let belowValue = lowerBound;
+      let aboveValue = null;
+      let highestTotalMs = lowestTotalMs;
+      for (const candidate of searchGrid(search, lowerBound)) {
+        const totalMs = totalAt(candidate);
+        if (totalMs >= targetMs) {
+          aboveValue = candidate;
+          break;
+        }
+        belowValue = candidate;
+        highestTotalMs = Math.max(highestTotalMs, totalMs);
+      }
+
+      if (aboveValue === null) {
+        if (!isNearTarget(highestTotalMs)) {
+          return unsolved(
+            parameter,
+            `The total wait never passes ${formatDuration(highestTotalMs, "humanize")} for ` +
+              `${search.label} up to ${ceilingText}; the cap, retry limit, or ` +
+              `budget keeps it below the ${targetText} target.`,
+          );
+        }
+        aboveValue = belowValue;
+      }
+
+      const { high: exactValue } = bisect(
+        belowValue,
+        aboveValue,
+        (candidate) => totalAt(candidate) >= targetMs,
+      );
+      const reachedMs = totalAt(exactValue);
+      if (!isNearTarget(reachedMs)) {
+        return unsolved(
+          parameter,
+          `No value of ${search.label} lands near the ${targetText} target; the total wait ` +
+            `jumps past it to ${formatDuration(reachedMs, "humanize")}, usually because the ` +
+            "elapsed budget drops a retry.",
+        );
+      }
+
+      // Round as coarsely as the input allows while the total stays on target.
+      value = exactValue;
+      for (let step = search.step; step >= MIN_ROUNDING_STEP; step /= 10) {
+        const rounded = Math.max(lowerBound, roundToStep(exactValue, step, Math.round));
+        if (isNearTarget(totalAt(rounded))) {
+          value = rounded;
+          break;
+        }
+      }
+    }
+  }
+
+  const result = evaluate(value);
+  if (result === null) {
+    return unsolved(parameter, `${format(value)} is not a valid value for ${search.label}.`);
+  }
+  return { solved: true, message: "", parameter, value, ...result };
+}
@@ -0,0 +1,148 @@
+import { attemptDurationStats } from "./attemptDuration.js";
+import { nearestRankPercentile, sampleRetryPath } from "./monteCarlo.js";
+
+/**
+ * @typedef {object} HerdConfig
+ * @property {number} [herdClients] Clients that fail together and retry on the same schedule.
+ */
+
+/**
+ * @typedef {object} HerdHistogram
+ * @property {number} clients
+ * @property {number} bucketMs Width of each histogram bucket.
+ * @property {number[]} counts Retry arrivals per bucket; bucket i starts at i * bucketMs after
+ *   the shared failure.
+ * @property {number[]} unjitteredCounts The same herd without jitter.
+ * @property {number} peakCount Arrivals in the busiest bucket.
+ * @property {number} peakPerSecond Busiest bucket's arrival rate.
+ * @property {number} peakStartMs Start of the busiest bucket.
+ * @property {number} unjitteredPeakCount
+ * @property {number} unjitteredPeakPerSecond
+ * @property {number} firstRetrySpreadMs Width of the p5-p95 window of first-retry arrivals.
+ */
+
+export const DEFAULT_HERD_CLIENTS = 1000;
+
+export const MAX_HERD_CLIENTS = 10000;
+
+// Roughly how many bars the histogram aims for; the width is rounded to a 1-2-5 step.
+const TARGET_BUCKET_COUNT = 120;
+
+const NICE_STEPS = /** @type {const} */ ([1, 2, 5]);
+
+/**
+ * Smallest 1, 2, or 5 times a power of ten (at least 1 ms) that fits the span into about
+ * TARGET_BUCKET_COUNT buckets.
+ * @param {number} spanMs
+ * @returns {number}
+ */
+function bucketWidthMs(spanMs) {
+  const minimumMs = Math.max(1, spanMs / TARGET_BUCKET_COUNT);
+  const scale = 10 ** Math.floor(Math.log10(minimumMs));
+  return (NICE_STEPS.find((step) => step * scale >= minimumMs) ?? 10) * scale;
+}
+
+/**
+ * @param {number[]} counts
+ * @param {number} bucketMs
+ * @returns {{peakCount: number, peakPerSecond: number, peakStartMs: number}}
+ */
+function peakOf(counts, bucketMs) {
+  let peakIndex = 0;
+  for (const [index, count] of counts.entries()) {
+    if (count > counts[peakIndex]) {
+      peakIndex = index;
+    }
+  }
+  const peakCount = counts[peakIndex] ?? 0;
+  return {
+    peakCount,
+    peakPerSecond: (peakCount * 1000) / bucketMs,
+    peakStartMs: peakIndex * bucketMs,
+  };
+}
+
+/**
+ * @param {HerdConfig} config
+ * @returns {import("./backoff.js").ValidationError[]}
+ */
+export function validateHerdConfig(config) {
+  if (
+    config.herdClients !== undefined &&
+    (!Number.isInteger(config.herdClients) ||
+      config.herdClients < 1 ||
+      config.herdClients > MAX_HERD_CLIENTS)
+  ) {
+    return [
+      {
+        field: "herdClients",
+        message: `Must be an integer between 1 and ${MAX_HERD_CLIENTS}.`,
+      },
+    ];
+  }
+  return [];
+}
+
+/**
+ * Every client's first attempt fails at the same moment (time 0); each then follows the
+ * schedule with its own jitter draws. Retry k arrives after k sleeps and the k - 1 failed
+ * retries before it, each taking the expected attempt duration.
+ * @param {import("./backoff.js").BackoffConfig & HerdConfig} config
+ * @param {import("./backoff.js").RetryPoint[]} points
+ * @param {import("./random.js").RandomSource} random
+ * @returns {HerdHistogram}
+ */
+export function simulateHerdArrivals(config, points, random) {
+  const clients = config.herdClients ?? DEFAULT_HERD_CLIENTS;
+  const attemptMs = attemptDurationStats(config).expectedMs;
+  const last = points.at(-1);
+  const spanMs =
+    last === undefined ? 0 : last.cumulativeMaxDelayMs + (points.length - 1) * attemptMs;
+  const bucketMs = bucketWidthMs(spanMs);
+  const bucketCount = Math.floor(spanMs / bucketMs) + 1;
+  const counts = Array(bucketCount).fill(0);
+  const unjitteredCounts = Array(bucketCount).fill(0);
+  const firstRetryArrivals = new Float64Array(points.length === 0 ? 0 : clients);
+
+  /**
+   * @param {number[]} target
+   * @param {number[]} delaysMs
+   * @param {number} weight
+   */
+  function addArrivals(target, delaysMs, weight) {
+    let arrivalMs = 0;
+    for (const [index, delayMs] of delaysMs.entries()) {
+      arrivalMs += delayMs + (index === 0 ? 0 : attemptMs);
+      target[Math.min(bucketCount - 1, Math.floor(arrivalMs / bucketMs))] += weight;
+    }
+  }
+
+  for (let client = 0; client < clients && points.length > 0; client += 1) {
+    const delaysMs = sampleRetryPath(config, points, random);
+    firstRetryArrivals[client] = delaysMs[0];
+    addArrivals(counts, delaysMs, 1);
+  }
+
+  // Without jitter every client sleeps the same capped delay, so one path stands for all.
+  const unjitteredDelaysMs = sampleRetryPath({ ...config, jitter: "none" }, points, () => 0);
+  addArrivals(unjitteredCounts, unjitteredDelaysMs, clients);
+
+  firstRetryArrivals.sort();
+  const spreadLow = nearestRankPercentile(firstRetryArrivals, 0.05) ?? 0;
+  const spreadHigh = nearestRankPercentile(firstRetryArrivals, 0.95) ?? 0;
+  const peak = peakOf(counts, bucketMs);
+  const unjitteredPeak = peakOf(unjitteredCounts, bucketMs);
+
+  return {
+    clients,
+    bucketMs,
+    counts,
+    unjitteredCounts,
+    peakCount: peak.peakCount,
+    peakPerSecond: peak.peakPerSecond,
+    peakStartMs: peak.peakStartMs,
+    unjitteredPeakCount: unjitteredPeak.peakCount,
+    unjitteredPeakPerSecond: unjitteredPeak.peakPerSecond,
+    firstRetrySpreadMs: spreadHigh - spreadLow,
+  };
+}
@@ -0,0 +1,23 @@
+/**
+ * @typedef {"cap-then-jitter" | "jitter-then-cap"} JitterOrder
+ */
+
+export const JITTER_ORDERS = /** @type {const} */ (["cap-then-jitter", "jitter-then-cap"]);
+
+export const DEFAULT_JITTER_ORDER = "cap-then-jitter";
+
+/**
+ * @param {unknown} value
+ * @returns {value is JitterOrder}
+ */
+export function isJitterOrder(value) {
+  return typeof value === "string" && JITTER_ORDERS.includes(/** @type {JitterOrder} */ (value));
+}
+
+/**
+ * @param {unknown} value
+ * @returns {JitterOrder}
+ */
+export function resolveJitterOrder(value) {
+  return isJitterOrder(value) ? value : DEFAULT_JITTER_ORDER;
+}
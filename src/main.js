@@ -1,24 +1,79 @@
 import {
   buildChartMathExplanation,
+  isBackoffStrategy,
+  isElapsedBudgetMode,
   isJitterType,
+  resolveElapsedBudgetMode,
   resolveJitterType,
   generateSchedule,
   summarizeSchedule,
   validateConfig,
 } from "./backoff.js";
-import { createDelayChart } from "./chart.js";
+import { createDelayChart, createHerdChart, createThrottleChart } from "./chart.js";
 import { resolveDisplayMode } from "./display.js";
+import { isAttemptDurationMode, resolveAttemptDurationMode } from "./attemptDuration.js";
+import { isSequenceEndMode, resolveSequenceEndMode } from "./delaySequence.js";
 import { resolveChartMode } from "./chartMode.js";
 import { resolveChartSeriesMode } from "./chartSeriesMode.js";
+import {
+  applyCircuitBreaker,
+  isBreakerMode,
+  resolveBreakerMode,
+  validateBreakerConfig,
+} from "./circuitBreaker.js";
+import {
+  compareSchedules,
+  LIVE_SERIES_NAME,
+  MAX_PINNED_SERIES,
+  nextSeriesName,
+} from "./comparison.js";
+import { solveBackoffParameter } from "./goalSeek.js";
+import { isJitterOrder, resolveJitterOrder } from "./jitterOrder.js";
+import { simulateHerdArrivals, validateHerdConfig } from "./herd.js";
+import { simulateOutageRecovery, validateOutageConfig } from "./outage.js";
+import { matchesPreset, presetShareState, resolvePreset } from "./presets.js";
+import {
+  isFailureModel,
+  resolveFailureModel,
+  summarizeReliability,
+  validateFailureModelConfig,
+} from "./reliability.js";
+import { isRetryAfterRule, resolveRetryAfterRule, retryAfterOverride } from "./retryAfter.js";
+import {
+  initialAttemptPoint,
+  isInitialAttemptMode,
+  isRetryIndexBase,
+  maxAttemptsFromRetries,
+  maxRetriesFromAttempts,
+  resolveInitialAttemptMode,
+  resolveRetryIndexBase,
+  retryLabel,
+} from "./retryIndex.js";
+import { isScenarioMode, resolveScenarioMode } from "./scenarioMode.js";
+import { sampleRetryPath, simulateRetryPercentiles } from "./monteCarlo.js";
+import { createRandomSeed, createSeededRandom } from "./random.js";
 import { scheduleAnalyticsBeaconLoad } from "./runtimeLoader.js";
 import { createShareUrl, readShareStateFromUrl } from "./share.js";
+import { generateSnippet, resolveSnippetLibrary } from "./snippets.js";
+import { simulateRetryThrottling, validateThrottleConfig } from "./throttling.js";
 import { initThemeToggle } from "./theme.js";
 import {
   enforceNonNegativeIntegerInput,
   readConfigFromInputs,
+  readSolveGoalFromInputs,
+  renderBreakerSummary,
   renderChartMathExplanation,
+  renderCodeSnippet,
+  renderComparisonTable,
   renderDelayTableHeaders,
+  renderHerdSummary,
+  renderOutageSummary,
+  renderPinnedSeries,
+  renderPresetDetails,
+  renderReliabilitySummary,
   renderScheduleTable,
+  renderSolveResult,
+  renderThrottleSummary,
   renderSummary,
   renderValidation,
   setStrategyVisibility,
@@ -38,6 +93,8 @@ function debounce(fn, waitMs) {
 }
 
 const controls = document.querySelector("#backoff-controls");
+const presetSelect = document.querySelector("#preset");
+const presetDetails = document.querySelector("#preset-details");
 const strategyInputs = Array.from(
   document.querySelectorAll('input[name="strategy"]'),
 );
@@ -48,9 +105,18 @@ const chartSeriesModeInputs = Array.from(
   document.querySelectorAll('input[name="chartSeriesMode"]'),
 );
 const chartSeriesField = document.querySelector("#chart-series-field");
+const simulationSeedField = document.querySelector("#simulation-seed-field");
+const simulationSeedInput = document.querySelector("#simulationSeed");
+const simulationRerollButton = document.querySelector("#simulation-reroll");
 const jitterInputs = Array.from(document.querySelectorAll('input[name="jitter"]'));
 const factorGroup = document.querySelector("#factor-group");
 const incrementGroup = document.querySelector("#increment-group");
+const exponentGroup = document.querySelector("#exponent-group");
+const customDelaysGroup = document.querySelector("#custom-delays-group");
+const sequenceEndGroup = document.querySelector("#sequence-end-group");
+const expressionGroup = document.querySelector("#expression-group");
+const randomizationFactorGroup = document.querySelector("#randomization-factor-group");
+const jitterOrderGroup = document.querySelector("#jitter-order-group");
 const jitterTrigger = document.querySelector("#jitter-trigger");
 const jitterPopover = document.querySelector("#jitter-popover");
 const jitterTriggerValue = document.querySelector("#jitter-trigger-value");
@@ -63,17 +129,114 @@ const primaryDelayHeader = document.querySelector("#primary-delay-header");
 const secondaryDelayHeader = document.querySelector("#secondary-delay-header");
 const tertiaryDelayHeader = document.querySelector("#tertiary-delay-header");
 const cumulativeDelayHeader = document.querySelector("#cumulative-delay-header");
+const retryAfterHeader = document.querySelector("#retry-after-header");
 const chartMathEquations = document.querySelector("#math-explainer-equations");
 const initialDelayInput = document.querySelector("#initialDelayMs");
 const maxRetriesInput = document.querySelector("#maxRetries");
+const maxAttemptsInput = document.querySelector("#maxAttempts");
 const maxDelayInput = document.querySelector("#maxDelayMs");
+const minDelayInput = document.querySelector("#minDelayMs");
+const maxElapsedInput = document.querySelector("#maxElapsedMs");
+const elapsedBudgetModeSelect = document.querySelector("#elapsedBudgetMode");
+const elapsedBudgetModeGroup = document.querySelector("#elapsed-budget-mode-group");
+const attemptDurationModeSelect = document.querySelector("#attemptDurationMode");
+const attemptTimeoutInput = document.querySelector("#attemptTimeoutMs");
+const attemptP50Input = document.querySelector("#attemptP50Ms");
+const attemptP99Input = document.querySelector("#attemptP99Ms");
+const attemptTimeoutGroup = document.querySelector("#attempt-timeout-group");
+const attemptP50Group = document.querySelector("#attempt-p50-group");
+const attemptP99Group = document.querySelector("#attempt-p99-group");
+const failureModelSelect = document.querySelector("#failureModel");
+const failureProbabilityInput = document.querySelector("#failureProbability");
+const failureProbabilitiesInput = document.querySelector("#failureProbabilities");
+const failureProbabilityGroup = document.querySelector("#failure-probability-group");
+const failureProbabilitiesGroup = document.querySelector("#failure-probabilities-group");
+const maxTokensInput = document.querySelector("#maxTokens");
+const tokenRatioInput = document.querySelector("#tokenRatio");
+const throttleRequestsInput = document.querySelector("#throttleRequests");
+const throttleCanvas = document.querySelector("#throttle-chart");
+const herdClientsInput = document.querySelector("#herdClients");
+const herdCanvas = document.querySelector("#herd-chart");
+const scenarioModeSelect = document.querySelector("#scenarioMode");
+const solveParameterSelect = document.querySelector("#solveParameter");
+const solveTotalDelayInput = document.querySelector("#solveTotalDelay");
+const solveCapRetryInput = document.querySelector("#solveCapRetry");
+const solveMaxRetriesInput = document.querySelector("#solveMaxRetries");
+const solveResult = document.querySelector("#solve-result");
+const solveApplyButton = document.querySelector("#solve-apply");
+const compareNameInput = document.querySelector("#compareName");
+const comparePinButton = document.querySelector("#compare-pin");
+const compareSeriesList = document.querySelector("#compare-series");
+const compareTableWrap = document.querySelector("#compare-table-wrap");
+const compareHead = document.querySelector("#compare-head");
+const compareBody = document.querySelector("#compare-body");
+const compareFoot = document.querySelector("#compare-foot");
+const snippetLibrarySelect = document.querySelector("#snippetLibrary");
+const codeCopyButton = document.querySelector("#code-copy");
+const codeSnippet = document.querySelector("#code-snippet");
+const codeNotesList = document.querySelector("#code-notes");
+const outageInput = document.querySelector("#outageMs");
+const recoveryCapacityInput = document.querySelector("#recoveryCapacity");
+const outageDurationGroup = document.querySelector("#outage-duration-group");
+const recoveryCapacityGroup = document.querySelector("#recovery-capacity-group");
+const outagePanel = document.querySelector("#outage-panel");
+const breakerModeSelect = document.querySelector("#breakerMode");
+const breakerThresholdInput = document.querySelector("#breakerFailureThreshold");
+const breakerOpenInput = document.querySelector("#breakerOpenMs");
+const breakerProbesInput = document.querySelector("#breakerHalfOpenProbes");
+const breakerThresholdGroup = document.querySelector("#breaker-threshold-group");
+const breakerOpenGroup = document.querySelector("#breaker-open-group");
+const breakerProbesGroup = document.querySelector("#breaker-probes-group");
+const breakerPanel = document.querySelector("#breaker-panel");
+const retryAfterRuleSelect = document.querySelector("#retryAfterRule");
+const retryAfterFractionInput = document.querySelector("#retryAfterFraction");
+const retryAfterInput = document.querySelector("#retryAfterMs");
+const retryAfterMaxInput = document.querySelector("#retryAfterMaxMs");
+const retryAfterFractionGroup = document.querySelector("#retry-after-fraction-group");
+const retryAfterGroup = document.querySelector("#retry-after-group");
+const retryAfterMaxGroup = document.querySelector("#retry-after-max-group");
+const waitThresholdsInput = document.querySelector("#waitThresholds");
+const retryIndexBaseSelect = document.querySelector("#retryIndexBase");
+const initialAttemptSelect = document.querySelector("#initialAttempt");
+const phasesInput = document.querySelector("#phases");
 const factorInput = document.querySelector("#factor");
 const incrementInput = document.querySelector("#incrementMs");
+const exponentInput = document.querySelector("#exponent");
+const customDelaysInput = document.querySelector("#customDelays");
+const sequenceEndSelect = document.querySelector("#sequenceEnd");
+const expressionInput = document.querySelector("#expression");
+const randomizationFactorInput = document.querySelector("#randomizationFactor");
+const jitterOrderSelect = document.querySelector("#jitterOrder");
 const initialDelayError = document.querySelector("#error-initialDelayMs");
 const maxRetriesError = document.querySelector("#error-maxRetries");
 const maxDelayError = document.querySelector("#error-maxDelayMs");
+const minDelayError = document.querySelector("#error-minDelayMs");
+const maxElapsedError = document.querySelector("#error-maxElapsedMs");
+const attemptTimeoutError = document.querySelector("#error-attemptTimeoutMs");
+const attemptP50Error = document.querySelector("#error-attemptP50Ms");
+const attemptP99Error = document.querySelector("#error-attemptP99Ms");
+const failureProbabilityError = document.querySelector("#error-failureProbability");
+const failureProbabilitiesError = document.querySelector("#error-failureProbabilities");
+const maxTokensError = document.querySelector("#error-maxTokens");
+const tokenRatioError = document.querySelector("#error-tokenRatio");
+const throttleRequestsError = document.querySelector("#error-throttleRequests");
+const herdClientsError = document.querySelector("#error-herdClients");
+const outageError = document.querySelector("#error-outageMs");
+const recoveryCapacityError = document.querySelector("#error-recoveryCapacity");
+const breakerThresholdError = document.querySelector("#error-breakerFailureThreshold");
+const breakerOpenError = document.querySelector("#error-breakerOpenMs");
+const breakerProbesError = document.querySelector("#error-breakerHalfOpenProbes");
+const retryAfterFractionError = document.querySelector("#error-retryAfterFraction");
+const retryAfterError = document.querySelector("#error-retryAfterMs");
+const retryAfterMaxError = document.querySelector("#error-retryAfterMaxMs");
+const waitThresholdsError = document.querySelector("#error-waitThresholds");
+const phasesError = document.querySelector("#error-phases");
 const factorError = document.querySelector("#error-factor");
 const incrementError = document.querySelector("#error-incrementMs");
+const exponentError = document.querySelector("#error-exponent");
+const customDelaysError = document.querySelector("#error-customDelays");
+const expressionError = document.querySelector("#error-expression");
+const randomizationFactorError = document.querySelector("#error-randomizationFactor");
 const chartFallbackMessage = document.querySelector("#chart-fallback-message");
 const privacyButton = document.querySelector("#privacy-button");
 const privacyModal = document.querySelector("#privacy-modal");
@@ -91,6 +254,43 @@ const summaryElements = {
   totalRetries: document.querySelector("#summary-total-retries"),
   finalDelayMs: document.querySelector("#summary-final-delay"),
   totalDelayMs: document.querySelector("#summary-total-delay"),
+  limitedBy: document.querySelector("#summary-limited-by"),
+  worstCaseLatencyMs: document.querySelector("#summary-worst-case-latency"),
+  giveUpP95Ms: document.querySelector("#summary-give-up-p95"),
+  capRetry: document.querySelector("#summary-cap-retry"),
+  capSplit: document.querySelector("#summary-cap-split"),
+  uncappedTotal: document.querySelector("#summary-uncapped-total"),
+  thresholdCrossings: document.querySelector("#summary-threshold-crossings"),
+};
+const reliabilityElements = {
+  successProbability: document.querySelector("#reliability-success-probability"),
+  expectedAttempts: document.querySelector("#reliability-expected-attempts"),
+  timeToSuccess: document.querySelector("#reliability-time-to-success"),
+  availability: document.querySelector("#reliability-availability"),
+};
+const throttleElements = {
+  retriesSent: document.querySelector("#throttle-retries-sent"),
+  retriesSuppressed: document.querySelector("#throttle-retries-suppressed"),
+  failedRequests: document.querySelector("#throttle-failed-requests"),
+  load: document.querySelector("#throttle-load"),
+};
+const herdElements = {
+  peak: document.querySelector("#herd-peak"),
+  unjitteredPeak: document.querySelector("#herd-unjittered-peak"),
+  firstRetrySpread: document.querySelector("#herd-first-retry-spread"),
+  bucket: document.querySelector("#herd-bucket"),
+};
+const outageElements = {
+  success: document.querySelector("#outage-success"),
+  exhausted: document.querySelector("#outage-exhausted"),
+  recoveryP50: document.querySelector("#outage-recovery-p50"),
+  recoveryP95: document.querySelector("#outage-recovery-p95"),
+};
+const breakerElements = {
+  shortCircuited: document.querySelector("#breaker-short-circuited"),
+  dependencyCalls: document.querySelector("#breaker-dependency-calls"),
+  opens: document.querySelector("#breaker-opens"),
+  lastCall: document.querySelector("#breaker-last-call"),
 };
 const chartMathElements = {
   equations: chartMathEquations,
@@ -105,10 +305,19 @@ if (
   chartSeriesModeInputs.length === 0 ||
   chartSeriesModeInputs.some((input) => !(input instanceof HTMLInputElement)) ||
   !(chartSeriesField instanceof HTMLElement) ||
+  !(simulationSeedField instanceof HTMLElement) ||
+  !(simulationSeedInput instanceof HTMLInputElement) ||
+  !(simulationRerollButton instanceof HTMLButtonElement) ||
   jitterInputs.length === 0 ||
   jitterInputs.some((input) => !(input instanceof HTMLInputElement)) ||
   !(factorGroup instanceof HTMLElement) ||
   !(incrementGroup instanceof HTMLElement) ||
+  !(exponentGroup instanceof HTMLElement) ||
+  !(customDelaysGroup instanceof HTMLElement) ||
+  !(sequenceEndGroup instanceof HTMLElement) ||
+  !(expressionGroup instanceof HTMLElement) ||
+  !(randomizationFactorGroup instanceof HTMLElement) ||
+  !(jitterOrderGroup instanceof HTMLElement) ||
   !(jitterTrigger instanceof HTMLButtonElement) ||
   !(jitterPopover instanceof HTMLElement) ||
   !(jitterTriggerValue instanceof HTMLElement) ||
@@ -116,25 +325,151 @@ if (
   !(themeToggle instanceof HTMLButtonElement) ||
   !(scheduleBody instanceof HTMLElement) ||
   !(chartCanvas instanceof HTMLCanvasElement) ||
+  !(throttleCanvas instanceof HTMLCanvasElement) ||
+  !(herdCanvas instanceof HTMLCanvasElement) ||
   !(displayModeSelect instanceof HTMLSelectElement) ||
   !(primaryDelayHeader instanceof HTMLElement) ||
   !(secondaryDelayHeader instanceof HTMLElement) ||
   !(tertiaryDelayHeader instanceof HTMLElement) ||
   !(cumulativeDelayHeader instanceof HTMLElement) ||
+  !(retryAfterHeader instanceof HTMLElement) ||
   !(chartMathElements.equations instanceof HTMLElement) ||
   !(initialDelayInput instanceof HTMLInputElement) ||
   !(maxRetriesInput instanceof HTMLInputElement) ||
+  !(maxAttemptsInput instanceof HTMLInputElement) ||
   !(maxDelayInput instanceof HTMLInputElement) ||
+  !(minDelayInput instanceof HTMLInputElement) ||
+  !(maxElapsedInput instanceof HTMLInputElement) ||
+  !(elapsedBudgetModeSelect instanceof HTMLSelectElement) ||
+  !(elapsedBudgetModeGroup instanceof HTMLElement) ||
+  !(attemptDurationModeSelect instanceof HTMLSelectElement) ||
+  !(attemptTimeoutInput instanceof HTMLInputElement) ||
+  !(attemptP50Input instanceof HTMLInputElement) ||
+  !(attemptP99Input instanceof HTMLInputElement) ||
+  !(attemptTimeoutGroup instanceof HTMLElement) ||
+  !(attemptP50Group instanceof HTMLElement) ||
+  !(attemptP99Group instanceof HTMLElement) ||
+  !(failureModelSelect instanceof HTMLSelectElement) ||
+  !(failureProbabilityInput instanceof HTMLInputElement) ||
+  !(failureProbabilitiesInput instanceof HTMLInputElement) ||
+  !(failureProbabilityGroup instanceof HTMLElement) ||
+  !(failureProbabilitiesGroup instanceof HTMLElement) ||
+  !(maxTokensInput instanceof HTMLInputElement) ||
+  !(tokenRatioInput instanceof HTMLInputElement) ||
+  !(throttleRequestsInput instanceof HTMLInputElement) ||
+  !(herdClientsInput instanceof HTMLInputElement) ||
+  !(scenarioModeSelect instanceof HTMLSelectElement) ||
+  !(outageInput instanceof HTMLInputElement) ||
+  !(recoveryCapacityInput instanceof HTMLInputElement) ||
+  !(outageDurationGroup instanceof HTMLElement) ||
+  !(recoveryCapacityGroup instanceof HTMLElement) ||
+  !(outagePanel instanceof HTMLElement) ||
+  !(breakerModeSelect instanceof HTMLSelectElement) ||
+  !(breakerThresholdInput instanceof HTMLInputElement) ||
+  !(breakerOpenInput instanceof HTMLInputElement) ||
+  !(breakerProbesInput instanceof HTMLInputElement) ||
+  !(breakerThresholdGroup instanceof HTMLElement) ||
+  !(breakerOpenGroup instanceof HTMLElement) ||
+  !(breakerProbesGroup instanceof HTMLElement) ||
+  !(breakerPanel instanceof HTMLElement) ||
+  !(retryAfterRuleSelect instanceof HTMLSelectElement) ||
+  !(retryAfterFractionInput instanceof HTMLInputElement) ||
+  !(retryAfterInput instanceof HTMLInputElement) ||
+  !(retryAfterMaxInput instanceof HTMLInputElement) ||
+  !(retryAfterFractionGroup instanceof HTMLElement) ||
+  !(retryAfterGroup instanceof HTMLElement) ||
+  !(retryAfterMaxGroup instanceof HTMLElement) ||
+  !(waitThresholdsInput instanceof HTMLInputElement) ||
+  !(retryIndexBaseSelect instanceof HTMLSelectElement) ||
+  !(initialAttemptSelect instanceof HTMLSelectElement) ||
+  !(phasesInput instanceof HTMLInputElement) ||
   !(factorInput instanceof HTMLInputElement) ||
   !(incrementInput instanceof HTMLInputElement) ||
+  !(exponentInput instanceof HTMLInputElement) ||
+  !(customDelaysInput instanceof HTMLInputElement) ||
+  !(sequenceEndSelect instanceof HTMLSelectElement) ||
+  !(expressionInput instanceof HTMLInputElement) ||
+  !(randomizationFactorInput instanceof HTMLInputElement) ||
+  !(jitterOrderSelect instanceof HTMLSelectElement) ||
   !(initialDelayError instanceof HTMLElement) ||
   !(maxRetriesError instanceof HTMLElement) ||
   !(maxDelayError instanceof HTMLElement) ||
+  !(minDelayError instanceof HTMLElement) ||
+  !(maxElapsedError instanceof HTMLElement) ||
+  !(attemptTimeoutError instanceof HTMLElement) ||
+  !(attemptP50Error instanceof HTMLElement) ||
+  !(attemptP99Error instanceof HTMLElement) ||
+  !(failureProbabilityError instanceof HTMLElement) ||
+  !(failureProbabilitiesError instanceof HTMLElement) ||
+  !(maxTokensError instanceof HTMLElement) ||
+  !(tokenRatioError instanceof HTMLElement) ||
+  !(throttleRequestsError instanceof HTMLElement) ||
+  !(herdClientsError instanceof HTMLElement) ||
+  !(outageError instanceof HTMLElement) ||
+  !(recoveryCapacityError instanceof HTMLElement) ||
+  !(breakerThresholdError instanceof HTMLElement) ||
+  !(breakerOpenError instanceof HTMLElement) ||
+  !(breakerProbesError instanceof HTMLElement) ||
+  !(retryAfterFractionError instanceof HTMLElement) ||
+  !(retryAfterError instanceof HTMLElement) ||
+  !(retryAfterMaxError instanceof HTMLElement) ||
+  !(waitThresholdsError instanceof HTMLElement) ||
+  !(phasesError instanceof HTMLElement) ||
   !(factorError instanceof HTMLElement) ||
   !(incrementError instanceof HTMLElement) ||
+  !(exponentError instanceof HTMLElement) ||
+  !(customDelaysError instanceof HTMLElement) ||
+  !(expressionError instanceof HTMLElement) ||
+  !(randomizationFactorError instanceof HTMLElement) ||
   !(summaryElements.totalRetries instanceof HTMLElement) ||
   !(summaryElements.finalDelayMs instanceof HTMLElement) ||
-  !(summaryElements.totalDelayMs instanceof HTMLElement)
+  !(summaryElements.totalDelayMs instanceof HTMLElement) ||
+  !(summaryElements.limitedBy instanceof HTMLElement) ||
+  !(summaryElements.worstCaseLatencyMs instanceof HTMLElement) ||
+  !(summaryElements.giveUpP95Ms instanceof HTMLElement) ||
+  !(summaryElements.capRetry instanceof HTMLElement) ||
+  !(summaryElements.capSplit instanceof HTMLElement) ||
+  !(summaryElements.uncappedTotal instanceof HTMLElement) ||
+  !(summaryElements.thresholdCrossings instanceof HTMLElement) ||
+  !(reliabilityElements.successProbability instanceof HTMLElement) ||
+  !(reliabilityElements.expectedAttempts instanceof HTMLElement) ||
+  !(reliabilityElements.timeToSuccess instanceof HTMLElement) ||
+  !(reliabilityElements.availability instanceof HTMLElement) ||
+  !(throttleElements.retriesSent instanceof HTMLElement) ||
+  !(throttleElements.retriesSuppressed instanceof HTMLElement) ||
+  !(throttleElements.failedRequests instanceof HTMLElement) ||
+  !(throttleElements.load instanceof HTMLElement) ||
+  !(herdElements.peak instanceof HTMLElement) ||
+  !(herdElements.unjitteredPeak instanceof HTMLElement) ||
+  !(herdElements.firstRetrySpread instanceof HTMLElement) ||
+  !(herdElements.bucket instanceof HTMLElement) ||
+  !(outageElements.success instanceof HTMLElement) ||
+  !(outageElements.exhausted instanceof HTMLElement) ||
+  !(outageElements.recoveryP50 instanceof HTMLElement) ||
+  !(outageElements.recoveryP95 instanceof HTMLElement) ||
+  !(breakerElements.shortCircuited instanceof HTMLElement) ||
+  !(breakerElements.dependencyCalls instanceof HTMLElement) ||
+  !(breakerElements.opens instanceof HTMLElement) ||
+  !(breakerElements.lastCall instanceof HTMLElement) ||
+  !(presetSelect instanceof HTMLSelectElement) ||
+  !(presetDetails instanceof HTMLElement) ||
+  !(solveParameterSelect instanceof HTMLSelectElement) ||
+  !(solveTotalDelayInput instanceof HTMLInputElement) ||
+  !(solveCapRetryInput instanceof HTMLInputElement) ||
+  !(solveMaxRetriesInput instanceof HTMLInputElement) ||
+  !(solveResult instanceof HTMLElement) ||
+  !(solveApplyButton instanceof HTMLButtonElement) ||
+  !(compareNameInput instanceof HTMLInputElement) ||
+  !(comparePinButton instanceof HTMLButtonElement) ||
+  !(compareSeriesList instanceof HTMLElement) ||
+  !(compareTableWrap instanceof HTMLElement) ||
+  !(compareHead instanceof HTMLElement) ||
+  !(compareBody instanceof HTMLElement) ||
+  !(compareFoot instanceof HTMLElement) ||
+  !(snippetLibrarySelect instanceof HTMLSelectElement) ||
+  !(codeCopyButton instanceof HTMLButtonElement) ||
+  !(codeSnippet instanceof HTMLElement) ||
+  !(codeNotesList instanceof HTMLElement)
 ) {
   throw new Error("Application failed to initialize due to missing DOM elements.");
 }
@@ -144,10 +479,77 @@ const configInputs = {
   initialDelayMs: initialDelayInput,
   maxRetries: maxRetriesInput,
   maxDelayMs: maxDelayInput,
+  minDelayMs: minDelayInput,
+  maxElapsedMs: maxElapsedInput,
+  elapsedBudgetMode: elapsedBudgetModeSelect,
+  attemptDurationMode: attemptDurationModeSelect,
+  attemptTimeoutMs: attemptTimeoutInput,
+  attemptP50Ms: attemptP50Input,
+  attemptP99Ms: attemptP99Input,
+  failureModel: failureModelSelect,
+  failureProbability: failureProbabilityInput,
+  failureProbabilities: failureProbabilitiesInput,
+  maxTokens: maxTokensInput,
+  tokenRatio: tokenRatioInput,
+  throttleRequests: throttleRequestsInput,
+  herdClients: herdClientsInput,
+  scenarioMode: scenarioModeSelect,
+  outageMs: outageInput,
+  recoveryCapacity: recoveryCapacityInput,
+  breakerMode: breakerModeSelect,
+  breakerFailureThreshold: breakerThresholdInput,
+  breakerOpenMs: breakerOpenInput,
+  breakerHalfOpenProbes: breakerProbesInput,
+  retryAfterRule: retryAfterRuleSelect,
+  retryAfterFraction: retryAfterFractionInput,
+  retryAfterMs: retryAfterInput,
+  retryAfterMaxMs: retryAfterMaxInput,
+  waitThresholds: waitThresholdsInput,
+  retryIndexBase: retryIndexBaseSelect,
+  initialAttempt: initialAttemptSelect,
+  phases: phasesInput,
   factor: factorInput,
   incrementMs: incrementInput,
+  exponent: exponentInput,
+  customDelays: customDelaysInput,
+  sequenceEnd: sequenceEndSelect,
+  expression: expressionInput,
   jitterInputs,
+  randomizationFactor: randomizationFactorInput,
+  jitterOrder: jitterOrderSelect,
+};
+
+const solveInputs = {
+  parameter: solveParameterSelect,
+  totalDelay: solveTotalDelayInput,
+  capByRetry: solveCapRetryInput,
+  maxRetries: solveMaxRetriesInput,
+};
+const solveElements = {
+  result: solveResult,
+  apply: solveApplyButton,
+};
+let lastSolveResult = null;
+const comparisonElements = {
+  list: compareSeriesList,
+  tableWrap: compareTableWrap,
+  head: compareHead,
+  body: compareBody,
+  foot: compareFoot,
 };
+const codeSnippetElements = {
+  code: codeSnippet,
+  notes: codeNotesList,
+};
+/**
+ * Pinned policies in pin order; the first is the baseline the table diffs against.
+ * @type {Array<{
+ *   name: string,
+ *   state: import("./share.js").ShareState,
+ *   config: import("./backoff.js").BackoffConfig
+ * }>}
+ */
+let pinnedSeries = [];
 
 function createNoopChart() {
   return {
@@ -155,6 +557,7 @@ function createNoopChart() {
     clear() {},
     destroy() {},
     setTheme() {},
+    setComparisons() {},
     setActivePointChangeHandler() {},
   };
 }
@@ -167,6 +570,8 @@ function setChartUnavailableMessageVisible(visible) {
 }
 
 let chart = createNoopChart();
+let throttleChart = createNoopChart();
+let herdChart = createNoopChart();
 let hasWorkingChart = false;
 let activeChartPoint = null;
 let lastValidChartMathContext = null;
@@ -179,6 +584,8 @@ function initializeChart() {
   try {
     chart = createDelayChart(chartCanvas);
     chart.setActivePointChangeHandler(handleChartActivePointChange);
+    throttleChart = createThrottleChart(throttleCanvas);
+    herdChart = createHerdChart(herdCanvas);
     hasWorkingChart = true;
     setChartUnavailableMessageVisible(false);
   } catch (error) {
@@ -213,6 +620,7 @@ function handleChartActivePointChange(activePoint) {
 }
 
 enforceNonNegativeIntegerInput(maxRetriesInput);
+enforceNonNegativeIntegerInput(maxAttemptsInput);
 scheduleAnalyticsBeaconLoad();
 
 function readCssVariable(name) {
@@ -224,16 +632,24 @@ function getChartThemeTokens() {
     lineColor: readCssVariable("--chart-line"),
     fillColor: readCssVariable("--chart-fill"),
     rangeFillColor: readCssVariable("--chart-range-fill"),
+    tailFillColor: readCssVariable("--chart-tail-fill"),
     axisTextColor: readCssVariable("--chart-axis"),
     gridColor: readCssVariable("--chart-grid"),
     tooltipBackgroundColor: readCssVariable("--chart-tooltip-bg"),
     tooltipTextColor: readCssVariable("--chart-tooltip-text"),
     hoverGuideColor: readCssVariable("--chart-grid"),
+    cutoffColor: readCssVariable("--warning"),
+    failureColor: readCssVariable("--error"),
+    seriesColors: Array.from({ length: MAX_PINNED_SERIES }, (_, index) =>
+      readCssVariable(`--chart-series-${index + 1}`),
+    ),
   };
 }
 
 function hasMissingChartThemeTokens(tokens) {
-  return Object.values(tokens).some((token) => token.length === 0);
+  return Object.values(tokens)
+    .flat()
+    .some((token) => token.length === 0);
 }
 
 const CHART_THEME_SYNC_MAX_ATTEMPTS = 8;
@@ -266,9 +682,13 @@ function syncChartThemeWithCss(attempt = 0) {
 
   try {
     chart.setTheme(tokens);
+    throttleChart.setTheme(tokens);
+    herdChart.setTheme(tokens);
   } catch (error) {
     hasWorkingChart = false;
     chart = createNoopChart();
+    throttleChart = createNoopChart();
+    herdChart = createNoopChart();
     activeChartPoint = null;
     setChartUnavailableMessageVisible(true);
     renderChartMathExplanationFromState();
@@ -318,6 +738,12 @@ function jitterLabel(jitterType) {
   if (jitterType === "full") {
     return "Full";
   }
+  if (jitterType === "proportional") {
+    return "Proportional";
+  }
+  if (jitterType === "decorrelated") {
+    return "Decorrelated";
+  }
   return "None";
 }
 
@@ -361,6 +787,8 @@ function updateChartSeriesVisibility() {
     }
     input.removeAttribute("tabindex");
   }
+
+  simulationSeedField.hidden = reserveSourceSlot || getSelectedChartSeriesMode() !== "simulated";
 }
 
 /**
@@ -369,59 +797,269 @@ function updateChartSeriesVisibility() {
  *   initialDelayMs:number,
  *   maxRetries:number,
  *   maxDelayMs:number|null,
+ *   minDelayMs:number|null,
+ *   maxElapsedMs:number|null,
+ *   elapsedBudgetMode:string,
+ *   attemptDurationMode:string,
+ *   attemptTimeoutMs:number,
+ *   attemptP50Ms:number,
+ *   attemptP99Ms:number,
  *   factor:number,
  *   incrementMs:number,
- *   jitter:string
+ *   exponent:number,
+ *   customDelays:string,
+ *   sequenceEnd:string,
+ *   expression:string,
+ *   jitter:string,
+ *   randomizationFactor:number,
+ *   retryAfterRule?:string,
+ *   retryAfterFraction?:number,
+ *   retryAfterMs?:number,
+ *   retryAfterMaxMs?:number | null
  * }} config
  */
-function simulationCacheKey(config) {
-  return JSON.stringify({
+function scheduleCacheFields(config) {
+  return {
     strategy: config.strategy,
     initialDelayMs: config.initialDelayMs,
     maxRetries: config.maxRetries,
     maxDelayMs: config.maxDelayMs,
+    minDelayMs: config.minDelayMs,
+    maxElapsedMs: config.maxElapsedMs,
+    elapsedBudgetMode: config.elapsedBudgetMode,
+    // Attempt time moves the budget cutoff, which changes which sleeps get clipped.
+    attemptDurationMode: config.attemptDurationMode,
+    attemptTimeoutMs: config.attemptTimeoutMs,
+    attemptP50Ms: config.attemptP50Ms,
+    attemptP99Ms: config.attemptP99Ms,
     factor: config.factor,
     incrementMs: config.incrementMs,
+    exponent: config.exponent,
+    customDelays: config.customDelays,
+    sequenceEnd: config.sequenceEnd,
+    expression: config.expression,
+    retryIndexBase: config.retryIndexBase,
+    phases: config.phases,
     jitter: config.jitter,
-  });
+    randomizationFactor: config.randomizationFactor,
+    jitterOrder: config.jitterOrder,
+    retryAfterRule: config.retryAfterRule,
+    retryAfterFraction: config.retryAfterFraction,
+    retryAfterMs: config.retryAfterMs,
+    retryAfterMaxMs: config.retryAfterMaxMs,
+  };
+}
+
+/**
+ * @param {import("./backoff.js").BackoffConfig} config
+ * @param {string} seed
+ */
+function simulationCacheKey(config, seed) {
+  return JSON.stringify({ ...scheduleCacheFields(config), seed });
 }
 
 let cachedSimulationKey = "";
 let cachedSimulationPoints = [];
+const ZERO_PERCENTILES = { p5: 0, p50: 0, p95: 0, p99: 0 };
 
 /**
- * @param {Array<{
- *   delayMs:number,
- *   minDelayMs:number,
- *   maxDelayMs:number
- * }>} points
+ * The simulated series is the first sampled path; the percentile bands come from the runs
+ * drawn after it, so one seed reproduces both.
+ * @param {import("./backoff.js").RetryPoint[]} points
+ * @param {import("./backoff.js").BackoffConfig} config
+ * @param {string} seed
  */
-function buildSimulation(points) {
+function buildSimulation(points, config, seed) {
+  const random = createSeededRandom(seed);
+  const simulatedDelaysMs = sampleRetryPath(config, points, random);
+  const percentiles =
+    resolveJitterType(config.jitter) === "none"
+      ? null
+      : simulateRetryPercentiles(config, points, { random });
   const simulation = [];
   let cumulativeSimulatedDelayMs = 0;
 
-  for (const point of points) {
-    const span = point.maxDelayMs - point.minDelayMs;
-    const simulatedDelayMs =
-      span <= 0 ? point.delayMs : point.minDelayMs + Math.random() * span;
+  for (const [index, simulatedDelayMs] of simulatedDelaysMs.entries()) {
     cumulativeSimulatedDelayMs += simulatedDelayMs;
     simulation.push({
       simulatedDelayMs,
       cumulativeSimulatedDelayMs,
+      delayPercentiles: percentiles?.[index].delay ?? null,
+      cumulativePercentiles: percentiles?.[index].cumulative ?? null,
     });
   }
 
   return simulation;
 }
 
+let cachedThrottleKey = "";
+let cachedThrottleSimulation = null;
+
+/**
+ * @param {import("./backoff.js").RetryPoint[]} points
+ * @param {import("./backoff.js").BackoffConfig} config
+ * @param {string} seed
+ * @returns {import("./throttling.js").ThrottleSimulation}
+ */
+function buildThrottleSimulation(points, config, seed) {
+  const key = JSON.stringify({ config, seed });
+  if (key !== cachedThrottleKey || cachedThrottleSimulation == null) {
+    cachedThrottleKey = key;
+    cachedThrottleSimulation = simulateRetryThrottling(config, points, createSeededRandom(seed));
+  }
+  return cachedThrottleSimulation;
+}
+
+/**
+ * @param {import("./throttling.js").ThrottleSimulation | null} simulation Null clears the chart.
+ */
+function updateThrottleChartSafely(simulation) {
+  if (!hasWorkingChart) {
+    return;
+  }
+
+  try {
+    if (simulation === null) {
+      throttleChart.clear();
+    } else {
+      throttleChart.update(simulation);
+    }
+  } catch (error) {
+    throttleChart = createNoopChart();
+    console.error("Throttling chart rendering failed.", error);
+  }
+}
+
+let cachedHerdKey = "";
+let cachedHerdHistogram = null;
+
+/**
+ * @param {import("./backoff.js").RetryPoint[]} points
+ * @param {import("./backoff.js").BackoffConfig} config
+ * @param {string} seed
+ * @returns {import("./herd.js").HerdHistogram}
+ */
+function buildHerdHistogram(points, config, seed) {
+  const key = JSON.stringify({ config, seed });
+  if (key !== cachedHerdKey || cachedHerdHistogram == null) {
+    cachedHerdKey = key;
+    cachedHerdHistogram = simulateHerdArrivals(config, points, createSeededRandom(seed));
+  }
+  return cachedHerdHistogram;
+}
+
+let cachedOutageKey = "";
+let cachedOutageRecovery = null;
+
+/**
+ * @param {import("./backoff.js").RetryPoint[]} points
+ * @param {import("./backoff.js").BackoffConfig} config
+ * @param {string} seed
+ * @returns {import("./outage.js").OutageRecovery}
+ */
+function buildOutageRecovery(points, config, seed) {
+  const key = JSON.stringify({ config, seed });
+  if (key !== cachedOutageKey || cachedOutageRecovery == null) {
+    cachedOutageKey = key;
+    cachedOutageRecovery = simulateOutageRecovery(config, points, {
+      random: createSeededRandom(seed),
+    });
+  }
+  return cachedOutageRecovery;
+}
+
+let cachedSolveKey = "";
+let cachedSolveResult = null;
+
+/**
+ * The solver runs hundreds of schedules, so it reruns only when the schedule or the goal
+ * changes, not on every simulator or display input.
+ * @param {import("./backoff.js").BackoffConfig} config
+ * @param {import("./goalSeek.js").SolveGoal} goal
+ * @returns {import("./goalSeek.js").SolveResult}
+ */
+function solveGoal(config, goal) {
+  const key = JSON.stringify({ ...scheduleCacheFields(config), goal });
+  if (key !== cachedSolveKey || cachedSolveResult == null) {
+    cachedSolveKey = key;
+    cachedSolveResult = solveBackoffParameter(config, goal);
+  }
+  return cachedSolveResult;
+}
+
+/**
+ * @param {import("./herd.js").HerdHistogram | null} histogram Null clears the chart.
+ * @param {import("./display.js").DisplayMode} displayMode
+ */
+function updateHerdChartSafely(histogram, displayMode) {
+  if (!hasWorkingChart) {
+    return;
+  }
+
+  try {
+    if (histogram === null) {
+      herdChart.clear();
+    } else {
+      herdChart.update(histogram, displayMode);
+    }
+  } catch (error) {
+    herdChart = createNoopChart();
+    console.error("Herd chart rendering failed.", error);
+  }
+}
+
 function applySharedStateFromUrl() {
   const shareState = readShareStateFromUrl(window.location.href);
+  const preset = resolvePreset(shareState.preset);
+  if (preset !== null) {
+    applyShareState(presetShareState(preset));
+    presetSelect.value = shareState.preset;
+    renderPresetDetails(preset, presetDetails);
+  }
+  applyShareState(shareState);
 
-  if (
-    shareState.strategy === "exponential" ||
-    shareState.strategy === "linear" ||
-    shareState.strategy === "fixed"
-  ) {
+  // Pinned inputs missing from the link fall back to the inputs just applied.
+  pinnedSeries = [];
+  for (const comparison of shareState.comparisons ?? []) {
+    const config = configFromShareState(comparison.state);
+    if (validateConfig(config).length > 0) {
+      continue;
+    }
+    const name = comparison.name.trim() || nextSeriesName(pinnedSeries.map(({ name }) => name));
+    pinnedSeries.push({ name, state: comparison.state, config });
+  }
+  syncPinnedSeries();
+}
+
+/**
+ * Read a pinned series' config the way the live inputs are read.
+ * @param {import("./share.js").ShareState} state
+ */
+function configFromShareState(state) {
+  const inputs = Object.fromEntries(
+    Object.entries(configInputs).map(([key, input]) => [
+      key,
+      Array.isArray(input) ? input : { value: state[key] ?? input.value },
+    ]),
+  );
+  return readConfigFromInputs({
+    ...inputs,
+    strategyInputs: [{ value: state.strategy ?? getSelectedStrategy(), checked: true }],
+    jitterInputs: [{ value: state.jitter ?? getSelectedJitterType(), checked: true }],
+  });
+}
+
+function syncPinnedSeries() {
+  const names = pinnedSeries.map(({ name }) => name);
+  renderPinnedSeries(names, compareSeriesList);
+  compareNameInput.placeholder = nextSeriesName(names);
+}
+
+/**
+ * @param {import("./share.js").ShareState} shareState
+ */
+function applyShareState(shareState) {
+  if (isBackoffStrategy(shareState.strategy)) {
     const targetInput = strategyInputs.find((input) => input.value === shareState.strategy);
     if (targetInput != null) {
       targetInput.checked = true;
@@ -437,18 +1075,123 @@ function applySharedStateFromUrl() {
   if (typeof shareState.maxDelayMs === "string") {
     maxDelayInput.value = shareState.maxDelayMs;
   }
+  if (typeof shareState.minDelayMs === "string") {
+    minDelayInput.value = shareState.minDelayMs;
+  }
+  if (typeof shareState.maxElapsedMs === "string") {
+    maxElapsedInput.value = shareState.maxElapsedMs;
+  }
+  if (isElapsedBudgetMode(shareState.elapsedBudgetMode)) {
+    elapsedBudgetModeSelect.value = shareState.elapsedBudgetMode;
+  }
+  if (isAttemptDurationMode(shareState.attemptDurationMode)) {
+    attemptDurationModeSelect.value = shareState.attemptDurationMode;
+  }
+  if (typeof shareState.attemptTimeoutMs === "string") {
+    attemptTimeoutInput.value = shareState.attemptTimeoutMs;
+  }
+  if (typeof shareState.attemptP50Ms === "string") {
+    attemptP50Input.value = shareState.attemptP50Ms;
+  }
+  if (typeof shareState.attemptP99Ms === "string") {
+    attemptP99Input.value = shareState.attemptP99Ms;
+  }
+  if (isFailureModel(shareState.failureModel)) {
+    failureModelSelect.value = shareState.failureModel;
+  }
+  if (typeof shareState.failureProbability === "string") {
+    failureProbabilityInput.value = shareState.failureProbability;
+  }
+  if (typeof shareState.failureProbabilities === "string") {
+    failureProbabilitiesInput.value = shareState.failureProbabilities;
+  }
+  if (typeof shareState.maxTokens === "string") {
+    maxTokensInput.value = shareState.maxTokens;
+  }
+  if (typeof shareState.tokenRatio === "string") {
+    tokenRatioInput.value = shareState.tokenRatio;
+  }
+  if (typeof shareState.throttleRequests === "string") {
+    throttleRequestsInput.value = shareState.throttleRequests;
+  }
+  if (typeof shareState.herdClients === "string") {
+    herdClientsInput.value = shareState.herdClients;
+  }
+  if (isScenarioMode(shareState.scenarioMode)) {
+    scenarioModeSelect.value = shareState.scenarioMode;
+  }
+  if (typeof shareState.outageMs === "string") {
+    outageInput.value = shareState.outageMs;
+  }
+  if (typeof shareState.recoveryCapacity === "string") {
+    recoveryCapacityInput.value = shareState.recoveryCapacity;
+  }
+  if (isBreakerMode(shareState.breakerMode)) {
+    breakerModeSelect.value = shareState.breakerMode;
+  }
+  if (typeof shareState.breakerFailureThreshold === "string") {
+    breakerThresholdInput.value = shareState.breakerFailureThreshold;
+  }
+  if (typeof shareState.breakerOpenMs === "string") {
+    breakerOpenInput.value = shareState.breakerOpenMs;
+  }
+  if (typeof shareState.breakerHalfOpenProbes === "string") {
+    breakerProbesInput.value = shareState.breakerHalfOpenProbes;
+  }
+  if (isRetryAfterRule(shareState.retryAfterRule)) {
+    retryAfterRuleSelect.value = shareState.retryAfterRule;
+  }
+  if (typeof shareState.retryAfterFraction === "string") {
+    retryAfterFractionInput.value = shareState.retryAfterFraction;
+  }
+  if (typeof shareState.retryAfterMs === "string") {
+    retryAfterInput.value = shareState.retryAfterMs;
+  }
+  if (typeof shareState.retryAfterMaxMs === "string") {
+    retryAfterMaxInput.value = shareState.retryAfterMaxMs;
+  }
+  if (typeof shareState.waitThresholds === "string") {
+    waitThresholdsInput.value = shareState.waitThresholds;
+  }
+  if (isRetryIndexBase(shareState.retryIndexBase)) {
+    retryIndexBaseSelect.value = shareState.retryIndexBase;
+  }
+  if (isInitialAttemptMode(shareState.initialAttempt)) {
+    initialAttemptSelect.value = shareState.initialAttempt;
+  }
+  if (typeof shareState.phases === "string") {
+    phasesInput.value = shareState.phases;
+  }
   if (typeof shareState.factor === "string") {
     factorInput.value = shareState.factor;
   }
   if (typeof shareState.incrementMs === "string") {
     incrementInput.value = shareState.incrementMs;
   }
+  if (typeof shareState.exponent === "string") {
+    exponentInput.value = shareState.exponent;
+  }
+  if (typeof shareState.customDelays === "string") {
+    customDelaysInput.value = shareState.customDelays;
+  }
+  if (isSequenceEndMode(shareState.sequenceEnd)) {
+    sequenceEndSelect.value = shareState.sequenceEnd;
+  }
+  if (typeof shareState.expression === "string") {
+    expressionInput.value = shareState.expression;
+  }
   if (isJitterType(shareState.jitter)) {
     const targetInput = jitterInputs.find((input) => input.value === shareState.jitter);
     if (targetInput != null) {
       targetInput.checked = true;
     }
   }
+  if (typeof shareState.randomizationFactor === "string") {
+    randomizationFactorInput.value = shareState.randomizationFactor;
+  }
+  if (isJitterOrder(shareState.jitterOrder)) {
+    jitterOrderSelect.value = shareState.jitterOrder;
+  }
   if (typeof shareState.displayMode === "string") {
     displayModeSelect.value = shareState.displayMode;
   }
@@ -466,6 +1209,9 @@ function applySharedStateFromUrl() {
       targetInput.checked = true;
     }
   }
+  if (typeof shareState.seed === "string") {
+    simulationSeedInput.value = shareState.seed;
+  }
 }
 
 /**
@@ -540,7 +1286,43 @@ function setShareButtonErrorFeedback() {
 
 function updateStrategyFields() {
   const selectedStrategy = getSelectedStrategy();
-  setStrategyVisibility(selectedStrategy, { factorGroup, incrementGroup });
+  setStrategyVisibility(selectedStrategy, {
+    factorGroup,
+    incrementGroup,
+    exponentGroup,
+    customDelaysGroup,
+    sequenceEndGroup,
+    expressionGroup,
+  });
+  elapsedBudgetModeGroup.hidden = maxElapsedInput.value.trim() === "";
+
+  const attemptDurationMode = resolveAttemptDurationMode(attemptDurationModeSelect.value);
+  attemptTimeoutGroup.hidden = attemptDurationMode !== "timeout";
+  attemptP50Group.hidden = attemptDurationMode !== "latency";
+  attemptP99Group.hidden = attemptDurationMode !== "latency";
+  const jitterType = getSelectedJitterType();
+  randomizationFactorGroup.hidden = jitterType !== "proportional";
+  jitterOrderGroup.hidden = jitterType === "none" || jitterType === "decorrelated";
+
+  const failureModel = resolveFailureModel(failureModelSelect.value);
+  failureProbabilityGroup.hidden = failureModel !== "constant";
+  failureProbabilitiesGroup.hidden = failureModel !== "varying";
+
+  const isOutageScenario = resolveScenarioMode(scenarioModeSelect.value) === "outage";
+  outageDurationGroup.hidden = !isOutageScenario;
+  recoveryCapacityGroup.hidden = !isOutageScenario;
+  outagePanel.hidden = !isOutageScenario;
+
+  const hasBreaker = resolveBreakerMode(breakerModeSelect.value) !== "none";
+  breakerThresholdGroup.hidden = !hasBreaker;
+  breakerOpenGroup.hidden = !hasBreaker;
+  breakerProbesGroup.hidden = !hasBreaker;
+  breakerPanel.hidden = !hasBreaker;
+
+  const usesRetryAfter = resolveRetryAfterRule(retryAfterRuleSelect.value) !== "ignore";
+  retryAfterFractionGroup.hidden = !usesRetryAfter;
+  retryAfterGroup.hidden = !usesRetryAfter;
+  retryAfterMaxGroup.hidden = !usesRetryAfter;
 }
 
 /**
@@ -578,6 +1360,8 @@ function updateChartSafely(points, jitterType, chartSeriesMode, displayMode, cha
   } catch (error) {
     hasWorkingChart = false;
     chart = createNoopChart();
+    throttleChart = createNoopChart();
+    herdChart = createNoopChart();
     activeChartPoint = null;
     setChartUnavailableMessageVisible(true);
     renderChartMathExplanationFromState();
@@ -681,42 +1465,176 @@ function recompute() {
   updateChartSeriesVisibility();
 
   const config = readConfigFromInputs(configInputs);
+  // Max Attempts mirrors the retry limit however it was set, except while being typed in.
+  if (document.activeElement !== maxAttemptsInput) {
+    maxAttemptsInput.value = Number.isInteger(config.maxRetries)
+      ? String(maxAttemptsFromRetries(config.maxRetries))
+      : "";
+  }
   const errors = validateConfig(config);
+  // Simulator inputs only disable their own panel; the schedule does not depend on them.
+  const failureModelErrors = validateFailureModelConfig(config);
+  const throttleErrors = validateThrottleConfig(config);
+  const herdErrors = validateHerdConfig(config);
+  const outageErrors = validateOutageConfig(config);
+  const breakerErrors = validateBreakerConfig(config);
+  const panelErrors = [
+    ...failureModelErrors,
+    ...throttleErrors,
+    ...herdErrors,
+    ...outageErrors,
+    ...breakerErrors,
+  ];
+  const activePreset = resolvePreset(presetSelect.value);
+  if (activePreset !== null && !matchesPreset(activePreset, config)) {
+    presetSelect.value = "";
+    renderPresetDetails(null, presetDetails);
+  }
 
-  renderValidation(errors, {
+  renderValidation([...errors, ...panelErrors], {
     inputs: {
       initialDelayMs: initialDelayInput,
       maxRetries: maxRetriesInput,
       maxDelayMs: maxDelayInput,
+      minDelayMs: minDelayInput,
+      maxElapsedMs: maxElapsedInput,
+      attemptTimeoutMs: attemptTimeoutInput,
+      attemptP50Ms: attemptP50Input,
+      attemptP99Ms: attemptP99Input,
+      failureProbability: failureProbabilityInput,
+      failureProbabilities: failureProbabilitiesInput,
+      maxTokens: maxTokensInput,
+      tokenRatio: tokenRatioInput,
+      throttleRequests: throttleRequestsInput,
+      herdClients: herdClientsInput,
+      outageMs: outageInput,
+      recoveryCapacity: recoveryCapacityInput,
+      breakerFailureThreshold: breakerThresholdInput,
+      breakerOpenMs: breakerOpenInput,
+      breakerHalfOpenProbes: breakerProbesInput,
+      retryAfterFraction: retryAfterFractionInput,
+      retryAfterMs: retryAfterInput,
+      retryAfterMaxMs: retryAfterMaxInput,
+      waitThresholds: waitThresholdsInput,
+      phases: phasesInput,
       factor: factorInput,
       incrementMs: incrementInput,
+      exponent: exponentInput,
+      customDelays: customDelaysInput,
+      expression: expressionInput,
+      randomizationFactor: randomizationFactorInput,
     },
     messages: {
       initialDelayMs: initialDelayError,
       maxRetries: maxRetriesError,
       maxDelayMs: maxDelayError,
+      minDelayMs: minDelayError,
+      maxElapsedMs: maxElapsedError,
+      attemptTimeoutMs: attemptTimeoutError,
+      attemptP50Ms: attemptP50Error,
+      attemptP99Ms: attemptP99Error,
+      failureProbability: failureProbabilityError,
+      failureProbabilities: failureProbabilitiesError,
+      maxTokens: maxTokensError,
+      tokenRatio: tokenRatioError,
+      throttleRequests: throttleRequestsError,
+      herdClients: herdClientsError,
+      outageMs: outageError,
+      recoveryCapacity: recoveryCapacityError,
+      breakerFailureThreshold: breakerThresholdError,
+      breakerOpenMs: breakerOpenError,
+      breakerHalfOpenProbes: breakerProbesError,
+      retryAfterFraction: retryAfterFractionError,
+      retryAfterMs: retryAfterError,
+      retryAfterMaxMs: retryAfterMaxError,
+      waitThresholds: waitThresholdsError,
+      phases: phasesError,
       factor: factorError,
       incrementMs: incrementError,
+      exponent: exponentError,
+      customDelays: customDelaysError,
+      expression: expressionError,
+      randomizationFactor: randomizationFactorError,
     },
   });
   renderMaxRetriesWarning(config, errors);
+  maxAttemptsInput.setAttribute("aria-invalid", maxRetriesInput.getAttribute("aria-invalid"));
+  comparePinButton.disabled = errors.length > 0 || pinnedSeries.length >= MAX_PINNED_SERIES;
   if (errors.length > 0) {
+    lastSolveResult = null;
+    solveApplyButton.disabled = true;
+    solveResult.textContent = "Fix the highlighted inputs to solve.";
+    codeCopyButton.disabled = true;
+    renderCodeSnippet(null, codeSnippetElements);
     return;
   }
 
-  const points = generateSchedule(config);
-  const simulationKey = simulationCacheKey(config);
+  const retryAfterHook = retryAfterOverride(config);
+  const points = generateSchedule(config, { overrideDelay: retryAfterHook });
+  const seed = simulationSeedInput.value.trim();
+  const isOutageScenario = config.scenarioMode === "outage" && outageErrors.length === 0;
+  const breakerTimeline =
+    config.breakerMode === "none" || breakerErrors.length > 0
+      ? null
+      : applyCircuitBreaker(points, config);
+  const simulationKey = simulationCacheKey(config, seed);
   if (simulationKey !== cachedSimulationKey || cachedSimulationPoints.length !== points.length) {
     cachedSimulationKey = simulationKey;
-    cachedSimulationPoints = buildSimulation(points);
+    cachedSimulationPoints = buildSimulation(points, config, seed);
   }
   const chartPoints = points.map((point, index) => ({
     ...point,
     simulatedDelayMs: cachedSimulationPoints[index]?.simulatedDelayMs ?? point.delayMs,
     cumulativeSimulatedDelayMs:
       cachedSimulationPoints[index]?.cumulativeSimulatedDelayMs ?? point.cumulativeDelayMs,
+    delayPercentiles: cachedSimulationPoints[index]?.delayPercentiles ?? null,
+    cumulativePercentiles: cachedSimulationPoints[index]?.cumulativePercentiles ?? null,
+    duringOutage: isOutageScenario ? point.attemptStartMs < config.outageMs : undefined,
+    breaker: breakerTimeline?.points[index],
+  }));
+  const listsInitialAttempt = config.initialAttempt === "listed";
+  if (listsInitialAttempt) {
+    chartPoints.unshift({
+      ...initialAttemptPoint(config),
+      simulatedDelayMs: 0,
+      cumulativeSimulatedDelayMs: 0,
+      delayPercentiles: chartPoints[0]?.delayPercentiles ? ZERO_PERCENTILES : null,
+      cumulativePercentiles: chartPoints[0]?.cumulativePercentiles ? ZERO_PERCENTILES : null,
+      duringOutage: isOutageScenario ? 0 < config.outageMs : undefined,
+      breaker: undefined,
+    });
+  }
+  const labelledChartPoints = chartPoints.map((point) => ({
+    ...point,
+    label: retryLabel(config, point.retry),
   }));
-  const summary = summarizeSchedule(points);
+  const tablePoints = (listsInitialAttempt ? [initialAttemptPoint(config), ...points] : points).map(
+    (point) => ({ ...point, label: retryLabel(config, point.retry) }),
+  );
+  const summary = summarizeSchedule(points, config);
+  const pinnedSchedules = pinnedSeries.map(({ name, config: pinnedConfig }) => {
+    const pinnedPoints = generateSchedule(pinnedConfig, {
+      overrideDelay: retryAfterOverride(pinnedConfig),
+    });
+    return {
+      name,
+      config: pinnedConfig,
+      points: pinnedPoints,
+      summary: summarizeSchedule(pinnedPoints, pinnedConfig),
+    };
+  });
+  // Pinned series follow the live inputs' retry labels so every line shares one x axis.
+  const labelledPinnedSchedules = pinnedSchedules.map(
+    ({ name, config: pinnedConfig, points: pinnedPoints, summary: pinnedSummary }) => ({
+      name,
+      points: (listsInitialAttempt
+        ? [initialAttemptPoint(pinnedConfig), ...pinnedPoints]
+        : pinnedPoints
+      ).map((point) => ({ ...point, label: retryLabel(config, point.retry) })),
+      summary: pinnedSummary,
+    }),
+  );
+  chart.setComparisons(labelledPinnedSchedules);
   lastValidChartMathContext = {
     config,
     chartMode,
@@ -731,16 +1649,66 @@ function recompute() {
       secondaryDelay: secondaryDelayHeader,
       tertiaryDelay: tertiaryDelayHeader,
       cumulativeDelay: cumulativeDelayHeader,
+      retryAfter: retryAfterHeader,
     },
     jitterType,
+    config.attemptDurationMode !== "none",
+    retryAfterHook !== null,
+  );
+  updateChartSafely(labelledChartPoints, jitterType, chartSeriesMode, displayMode, chartMode);
+  renderScheduleTable(tablePoints, scheduleBody, displayMode, jitterType, retryAfterHook !== null);
+  renderSummary(summary, summaryElements, displayMode, config);
+  renderComparisonTable(
+    compareSchedules([
+      ...labelledPinnedSchedules,
+      { name: LIVE_SERIES_NAME, points: tablePoints, summary },
+    ]),
+    [...pinnedSchedules.map(({ name }) => name), LIVE_SERIES_NAME],
+    comparisonElements,
+    displayMode,
+  );
+  codeCopyButton.disabled = false;
+  renderCodeSnippet(
+    generateSnippet(resolveSnippetLibrary(snippetLibrarySelect.value), config),
+    codeSnippetElements,
   );
-  updateChartSafely(chartPoints, jitterType, chartSeriesMode, displayMode, chartMode);
-  renderScheduleTable(points, scheduleBody, displayMode, jitterType);
-  renderSummary(summary, summaryElements, displayMode);
+  renderReliabilitySummary(
+    failureModelErrors.length > 0 ? null : summarizeReliability(points, config),
+    reliabilityElements,
+    displayMode,
+  );
+  // The throttled stream draws its failures from the failure model too.
+  const throttleSimulation =
+    failureModelErrors.length > 0 || throttleErrors.length > 0
+      ? null
+      : buildThrottleSimulation(points, config, seed);
+  updateThrottleChartSafely(throttleSimulation);
+  renderThrottleSummary(throttleSimulation, throttleElements);
+  const herdHistogram = herdErrors.length > 0 ? null : buildHerdHistogram(points, config, seed);
+  updateHerdChartSafely(herdHistogram, displayMode);
+  renderHerdSummary(herdHistogram, herdElements, displayMode);
+  if (config.scenarioMode === "outage") {
+    renderOutageSummary(
+      isOutageScenario ? buildOutageRecovery(points, config, seed) : null,
+      outageElements,
+      displayMode,
+    );
+  }
+  if (config.breakerMode !== "none") {
+    renderBreakerSummary(breakerTimeline, breakerElements, displayMode);
+  }
+  lastSolveResult = solveGoal(config, readSolveGoalFromInputs(solveInputs));
+  renderSolveResult(lastSolveResult, solveElements, displayMode, config);
   renderChartMathExplanationFromState();
 }
 
 const debouncedRecompute = debounce(recompute, 100);
+maxAttemptsInput.addEventListener("input", () => {
+  const maxAttempts = maxAttemptsInput.value.trim();
+  maxRetriesInput.value =
+    maxAttempts === "" ? "" : String(maxRetriesFromAttempts(Number(maxAttempts)));
+  debouncedRecompute();
+});
 const recomputeInputs = [
   ...strategyInputs,
   ...chartModeInputs,
@@ -749,14 +1717,87 @@ const recomputeInputs = [
   initialDelayInput,
   maxRetriesInput,
   maxDelayInput,
+  minDelayInput,
+  maxElapsedInput,
+  elapsedBudgetModeSelect,
+  attemptDurationModeSelect,
+  attemptTimeoutInput,
+  attemptP50Input,
+  attemptP99Input,
+  failureModelSelect,
+  failureProbabilityInput,
+  failureProbabilitiesInput,
+  maxTokensInput,
+  tokenRatioInput,
+  throttleRequestsInput,
+  herdClientsInput,
+  scenarioModeSelect,
+  outageInput,
+  recoveryCapacityInput,
+  breakerModeSelect,
+  breakerThresholdInput,
+  breakerOpenInput,
+  breakerProbesInput,
+  retryAfterRuleSelect,
+  retryAfterFractionInput,
+  retryAfterInput,
+  retryAfterMaxInput,
+  waitThresholdsInput,
+  retryIndexBaseSelect,
+  initialAttemptSelect,
+  phasesInput,
   factorInput,
   incrementInput,
+  exponentInput,
+  customDelaysInput,
+  sequenceEndSelect,
+  expressionInput,
+  randomizationFactorInput,
+  jitterOrderSelect,
+  simulationSeedInput,
+  solveParameterSelect,
+  solveTotalDelayInput,
+  solveCapRetryInput,
+  solveMaxRetriesInput,
 ];
 for (const input of recomputeInputs) {
   input.addEventListener("input", debouncedRecompute);
   input.addEventListener("change", debouncedRecompute);
 }
 displayModeSelect.addEventListener("change", recompute);
+snippetLibrarySelect.addEventListener("change", recompute);
+
+simulationRerollButton.addEventListener("click", () => {
+  simulationSeedInput.value = createRandomSeed();
+  recompute();
+});
+
+presetSelect.addEventListener("change", () => {
+  const preset = resolvePreset(presetSelect.value);
+  renderPresetDetails(preset, presetDetails);
+  if (preset === null) {
+    return;
+  }
+
+  applyShareState(presetShareState(preset));
+  syncJitterTriggerValue();
+  recompute();
+});
+
+solveApplyButton.addEventListener("click", () => {
+  if (lastSolveResult === null || !lastSolveResult.solved || lastSolveResult.config === null) {
+    return;
+  }
+
+  const solvedInputs = {
+    factor: factorInput,
+    initialDelayMs: initialDelayInput,
+    incrementMs: incrementInput,
+  };
+  solvedInputs[lastSolveResult.parameter].value = String(lastSolveResult.value);
+  maxRetriesInput.value = String(lastSolveResult.config.maxRetries);
+  recompute();
+});
 
 jitterTrigger.addEventListener("click", () => {
   setJitterPopoverOpen(!isJitterPopoverOpen());
@@ -795,19 +1836,127 @@ for (const jitterInput of jitterInputs) {
   });
 }
 
-shareLinkButton.addEventListener("click", async () => {
-  const shareUrl = createShareUrl(window.location.href, {
+/**
+ * The policy inputs in share-link form, without display settings or the seed.
+ * @returns {import("./share.js").ShareState}
+ */
+function readInputsShareState() {
+  return {
     strategy: getSelectedStrategy(),
     initialDelayMs: initialDelayInput.value,
     maxRetries: maxRetriesInput.value,
     maxDelayMs: maxDelayInput.value,
+    minDelayMs: minDelayInput.value,
+    maxElapsedMs: maxElapsedInput.value,
+    elapsedBudgetMode: resolveElapsedBudgetMode(elapsedBudgetModeSelect.value),
+    attemptDurationMode: resolveAttemptDurationMode(attemptDurationModeSelect.value),
+    attemptTimeoutMs: attemptTimeoutInput.value,
+    attemptP50Ms: attemptP50Input.value,
+    attemptP99Ms: attemptP99Input.value,
+    failureModel: resolveFailureModel(failureModelSelect.value),
+    failureProbability: failureProbabilityInput.value,
+    failureProbabilities: failureProbabilitiesInput.value,
+    maxTokens: maxTokensInput.value,
+    tokenRatio: tokenRatioInput.value,
+    throttleRequests: throttleRequestsInput.value,
+    herdClients: herdClientsInput.value,
+    scenarioMode: resolveScenarioMode(scenarioModeSelect.value),
+    outageMs: outageInput.value,
+    recoveryCapacity: recoveryCapacityInput.value,
+    breakerMode: resolveBreakerMode(breakerModeSelect.value),
+    breakerFailureThreshold: breakerThresholdInput.value,
+    breakerOpenMs: breakerOpenInput.value,
+    breakerHalfOpenProbes: breakerProbesInput.value,
+    retryAfterRule: resolveRetryAfterRule(retryAfterRuleSelect.value),
+    retryAfterFraction: retryAfterFractionInput.value,
+    retryAfterMs: retryAfterInput.value,
+    retryAfterMaxMs: retryAfterMaxInput.value,
+    waitThresholds: waitThresholdsInput.value,
+    retryIndexBase: resolveRetryIndexBase(retryIndexBaseSelect.value),
+    initialAttempt: resolveInitialAttemptMode(initialAttemptSelect.value),
+    phases: phasesInput.value,
     factor: factorInput.value,
     incrementMs: incrementInput.value,
+    exponent: exponentInput.value,
+    customDelays: customDelaysInput.value,
+    sequenceEnd: resolveSequenceEndMode(sequenceEndSelect.value),
+    expression: expressionInput.value,
     jitter: getSelectedJitterType(),
+    randomizationFactor: randomizationFactorInput.value,
+    jitterOrder: resolveJitterOrder(jitterOrderSelect.value),
+  };
+}
+
+comparePinButton.addEventListener("click", () => {
+  const config = readConfigFromInputs(configInputs);
+  if (pinnedSeries.length >= MAX_PINNED_SERIES || validateConfig(config).length > 0) {
+    return;
+  }
+
+  const name =
+    compareNameInput.value.trim() || nextSeriesName(pinnedSeries.map(({ name }) => name));
+  pinnedSeries.push({ name, state: readInputsShareState(), config });
+  compareNameInput.value = "";
+  syncPinnedSeries();
+  recompute();
+});
+
+compareSeriesList.addEventListener("click", (event) => {
+  const button =
+    event.target instanceof Element ? event.target.closest("[data-remove-series]") : null;
+  if (!(button instanceof HTMLButtonElement)) {
+    return;
+  }
+
+  pinnedSeries.splice(Number(button.dataset.removeSeries), 1);
+  syncPinnedSeries();
+  recompute();
+});
+
+let codeCopyFeedbackTimeoutId = null;
+
+/**
+ * @param {string} label
+ */
+function setCodeCopyFeedback(label) {
+  if (codeCopyFeedbackTimeoutId !== null) {
+    clearTimeout(codeCopyFeedbackTimeoutId);
+  }
+
+  codeCopyButton.textContent = label;
+  codeCopyFeedbackTimeoutId = setTimeout(() => {
+    codeCopyButton.textContent = "Copy Code";
+    codeCopyFeedbackTimeoutId = null;
+  }, 1400);
+}
+
+codeCopyButton.addEventListener("click", async () => {
+  try {
+    await copyTextToClipboard(codeSnippet.textContent ?? "");
+    setCodeCopyFeedback("Copied");
+  } catch {
+    setCodeCopyFeedback("Copy failed");
+  }
+});
+
+shareLinkButton.addEventListener("click", async () => {
+  const shareState = {
+    ...readInputsShareState(),
     displayMode: resolveDisplayMode(displayModeSelect.value),
     chartMode: getSelectedChartMode(),
     chartSeriesMode: getSelectedChartSeriesMode(),
-  });
+    seed: simulationSeedInput.value.trim(),
+    comparisons: pinnedSeries.map(({ name, state }) => ({ name, state })),
+  };
+  // An untouched preset travels by name; the inputs it sets stay out of the link.
+  const preset = resolvePreset(presetSelect.value);
+  if (preset !== null && matchesPreset(preset, readConfigFromInputs(configInputs))) {
+    shareState.preset = presetSelect.value;
+    for (const key of Object.keys(preset.config)) {
+      delete shareState[key];
+    }
+  }
+  const shareUrl = createShareUrl(window.location.href, shareState);
 
   try {
     await copyTextToClipboard(shareUrl);
@@ -919,6 +2068,9 @@ if (
 }
 
 applySharedStateFromUrl();
+if (simulationSeedInput.value.trim() === "") {
+  simulationSeedInput.value = createRandomSeed();
+}
 initializeChart();
 updateStrategyFields();
 syncJitterTriggerValue();
@@ -0,0 +1,116 @@
+import { resolveJitterType, sampleDecorrelatedDelay, sampleJitteredDelay } from "./backoff.js";
+import { parsePhases, phaseConfig } from "./phases.js";
+import { sampleRetryAfterDelay } from "./retryAfter.js";
+
+/**
+ * @typedef {object} RetryPercentiles
+ * @property {number} p5
+ * @property {number} p50
+ * @property {number} p95
+ * @property {number} p99
+ */
+
+/**
+ * @typedef {object} RetryPercentilePoint
+ * @property {RetryPercentiles} delay Percentiles of this retry's sleep.
+ * @property {RetryPercentiles} cumulative Percentiles of the total sleep up to this retry.
+ */
+
+/**
+ * @typedef {Pick<import("./backoff.js").RetryPoint, "rawDelayMs" | "maxDelayMs" | "clippedToBudget">
+ *   & {phase?: number}} SampledRetryPoint
+ */
+
+export const DEFAULT_SIMULATION_RUNS = 2000;
+
+const PERCENTILE_KEYS = /** @type {const} */ ([
+  ["p5", 0.05],
+  ["p50", 0.5],
+  ["p95", 0.95],
+  ["p99", 0.99],
+]);
+
+/**
+ * Draw one jittered retry sequence for a schedule produced by generateSchedule, including any
+ * server Retry-After hints.
+ * @param {import("./backoff.js").BackoffConfig} config
+ * @param {SampledRetryPoint[]} points
+ * @param {import("./random.js").RandomSource} random
+ * @returns {number[]} One sleep per point.
+ */
+export function sampleRetryPath(config, points, random) {
+  const isDecorrelated = resolveJitterType(config.jitter) === "decorrelated";
+  // Later phases jitter against their own caps.
+  const phaseConfigs = [
+    config,
+    ...parsePhases(config.phases).phases.map((phase) => phaseConfig(config, phase)),
+  ];
+  const delaysMs = [];
+  let previousDelayMs = config.initialDelayMs;
+
+  for (const point of points) {
+    // Each decorrelated sleep is drawn relative to the previous sampled sleep.
+    const computedMs = isDecorrelated
+      ? sampleDecorrelatedDelay(config, previousDelayMs, random())
+      : sampleJitteredDelay(phaseConfigs[point.phase ?? 0], point.rawDelayMs, random());
+    const sampledMs = sampleRetryAfterDelay(config, computedMs, random);
+    const delayMs = point.clippedToBudget ? Math.min(sampledMs, point.maxDelayMs) : sampledMs;
+    previousDelayMs = delayMs;
+    delaysMs.push(delayMs);
+  }
+
+  return delaysMs;
+}
+
+/**
+ * Nearest-rank percentile of sorted samples.
+ * @param {ArrayLike<number>} sortedSamples
+ * @param {number} fraction
+ * @returns {number}
+ */
+export function nearestRankPercentile(sortedSamples, fraction) {
+  const rank = Math.max(1, Math.ceil(fraction * sortedSamples.length));
+  return sortedSamples[rank - 1];
+}
+
+/**
+ * @param {Float64Array} sortedSamples
+ * @returns {RetryPercentiles}
+ */
+function percentilesOf(sortedSamples) {
+  const percentiles = /** @type {RetryPercentiles} */ ({});
+  for (const [key, fraction] of PERCENTILE_KEYS) {
+    percentiles[key] = nearestRankPercentile(sortedSamples, fraction);
+  }
+  return percentiles;
+}
+
+/**
+ * Run many jittered retry sequences and report per-retry and cumulative percentiles. The
+ * min/max envelope is almost never reached in practice; these bands show where most clients
+ * actually land.
+ * @param {import("./backoff.js").BackoffConfig} config
+ * @param {SampledRetryPoint[]} points
+ * @param {{runs?: number, random: import("./random.js").RandomSource}} options
+ * @returns {RetryPercentilePoint[]}
+ */
+export function simulateRetryPercentiles(config, points, options) {
+  const runs = options.runs ?? DEFAULT_SIMULATION_RUNS;
+  const delaySamples = points.map(() => new Float64Array(runs));
+  const cumulativeSamples = points.map(() => new Float64Array(runs));
+
+  for (let run = 0; run < runs; run += 1) {
+    const delaysMs = sampleRetryPath(config, points, options.random);
+    let cumulativeMs = 0;
+    for (let index = 0; index < delaysMs.length; index += 1) {
+      cumulativeMs += delaysMs[index];
+      delaySamples[index][run] = delaysMs[index];
+      cumulativeSamples[index][run] = cumulativeMs;
+    }
+  }
+
+  return points.map((_point, index) => ({
+    delay: percentilesOf(delaySamples[index].sort()),
+    cumulative: percentilesOf(cumulativeSamples[index].sort()),
+  }));
+}
@@ -0,0 +1,105 @@
+import { attemptDurationStats } from "./attemptDuration.js";
+import { DEFAULT_SIMULATION_RUNS, nearestRankPercentile, sampleRetryPath } from "./monteCarlo.js";
+import { isScenarioMode } from "./scenarioMode.js";
+
+/**
+ * @typedef {object} OutageConfig
+ * @property {import("./scenarioMode.js").ScenarioMode} [scenarioMode]
+ * @property {number} [outageMs] How long the dependency is down, from the first attempt.
+ * @property {number} [recoveryCapacity] Chance that an attempt after recovery is served.
+ */
+
+/**
+ * @typedef {object} OutageRecovery
+ * @property {number} clients Simulated clients.
+ * @property {number} successFraction Clients that eventually succeed.
+ * @property {number} exhaustedDuringOutageFraction Clients whose every attempt started
+ *   before recovery.
+ * @property {number} failedAfterRecoveryFraction Clients that reached the recovered
+ *   dependency but ran out of retries against its limited capacity.
+ * @property {number | null} recoveryToSuccessP50Ms Time from recovery to the end of the
+ *   successful attempt; null when nobody succeeds.
+ * @property {number | null} recoveryToSuccessP95Ms
+ */
+
+export const DEFAULT_RECOVERY_CAPACITY = 1;
+
+/**
+ * Checks the outage inputs only in the outage scenario.
+ * @param {OutageConfig} config
+ * @returns {import("./backoff.js").ValidationError[]}
+ */
+export function validateOutageConfig(config) {
+  const errors = [];
+
+  if (config.scenarioMode !== undefined && !isScenarioMode(config.scenarioMode)) {
+    errors.push({ field: "scenarioMode", message: "Must be none or outage." });
+  }
+
+  if (config.scenarioMode === "outage") {
+    if (!Number.isFinite(config.outageMs) || config.outageMs < 0) {
+      errors.push({ field: "outageMs", message: "Must be >= 0." });
+    }
+    if (
+      !Number.isFinite(config.recoveryCapacity) ||
+      config.recoveryCapacity < 0 ||
+      config.recoveryCapacity > 1
+    ) {
+      errors.push({ field: "recoveryCapacity", message: "Must be between 0 and 1." });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Clients make their first attempt as the outage begins. Attempts that start before the
+ * outage ends fail; later attempts are served with probability recoveryCapacity. Each client
+ * follows its own jittered path, and every attempt takes the expected attempt duration.
+ * @param {import("./backoff.js").BackoffConfig & OutageConfig} config
+ * @param {import("./backoff.js").RetryPoint[]} points
+ * @param {{runs?: number, random: import("./random.js").RandomSource}} options
+ * @returns {OutageRecovery}
+ */
+export function simulateOutageRecovery(config, points, options) {
+  const clients = options.runs ?? DEFAULT_SIMULATION_RUNS;
+  const outageMs = config.outageMs ?? 0;
+  const capacity = config.recoveryCapacity ?? DEFAULT_RECOVERY_CAPACITY;
+  const attemptMs = attemptDurationStats(config).expectedMs;
+  const recoveryTimesMs = [];
+  let exhaustedDuringOutage = 0;
+
+  for (let client = 0; client < clients; client += 1) {
+    const delaysMs = sampleRetryPath(config, points, options.random);
+    let attemptStartMs = 0;
+    let succeededAtMs = null;
+
+    for (let attempt = 0; attempt <= delaysMs.length; attempt += 1) {
+      if (attempt > 0) {
+        attemptStartMs += attemptMs + delaysMs[attempt - 1];
+      }
+      if (attemptStartMs >= outageMs && options.random() < capacity) {
+        succeededAtMs = attemptStartMs + attemptMs;
+        break;
+      }
+    }
+
+    if (succeededAtMs !== null) {
+      recoveryTimesMs.push(succeededAtMs - outageMs);
+    } else if (attemptStartMs < outageMs) {
+      exhaustedDuringOutage += 1;
+    }
+  }
+
+  recoveryTimesMs.sort((left, right) => left - right);
+  const succeeded = recoveryTimesMs.length;
+  return {
+    clients,
+    successFraction: succeeded / clients,
+    exhaustedDuringOutageFraction: exhaustedDuringOutage / clients,
+    failedAfterRecoveryFraction: (clients - succeeded - exhaustedDuringOutage) / clients,
+    recoveryToSuccessP50Ms: succeeded === 0 ? null : nearestRankPercentile(recoveryTimesMs, 0.5),
+    recoveryToSuccessP95Ms:
+      succeeded === 0 ? null : nearestRankPercentile(recoveryTimesMs, 0.95),
+  };
+}
@@ -0,0 +1,174 @@
+import { parseDuration } from "./delaySequence.js";
+
+/**
+ * @typedef {"exponential" | "linear" | "fixed" | "fibonacci" | "polynomial"} PhaseStrategy
+ */
+
+/**
+ * One tier of a multi-phase policy. Each phase restarts its own growth from its initial
+ * delay and has its own cap; jitter and the floor come from the main inputs.
+ * @typedef {object} RetryPhase
+ * @property {number} retries
+ * @property {PhaseStrategy} strategy
+ * @property {number} initialDelayMs
+ * @property {number} [factor]
+ * @property {number} [incrementMs]
+ * @property {number} [exponent]
+ * @property {number | null} maxDelayMs
+ */
+
+/**
+ * @typedef {object} PhaseEntryError
+ * @property {number} index
+ * @property {string} token
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} ParsedPhases
+ * @property {RetryPhase[]} phases
+ * @property {PhaseEntryError[]} errors
+ */
+
+export const PHASE_STRATEGIES = /** @type {const} */ ([
+  "exponential",
+  "linear",
+  "fixed",
+  "fibonacci",
+  "polynomial",
+]);
+
+const RETRY_COUNT_PATTERN = /^(\d+)x$/i;
+
+/**
+ * @param {string} strategy
+ * @param {string | undefined} token
+ * @returns {{ parameter: Partial<RetryPhase> } | { message: string }}
+ */
+function parsePhaseParameter(strategy, token) {
+  if (strategy === "exponential") {
+    const factor = Number(token);
+    return token !== undefined && Number.isFinite(factor) && factor > 1
+      ? { parameter: { factor } }
+      : { message: "Exponential phases need a factor > 1, like 5x exponential 1s 2." };
+  }
+  if (strategy === "linear") {
+    const incrementMs = token === undefined ? null : parseDuration(token);
+    return incrementMs !== null
+      ? { parameter: { incrementMs } }
+      : { message: "Linear phases need an increment, like 10x linear 1m 30s." };
+  }
+  const exponent = Number(token);
+  return token !== undefined && Number.isFinite(exponent) && exponent > 0
+    ? { parameter: { exponent } }
+    : { message: "Polynomial phases need an exponent > 0, like 6x polynomial 1s 2." };
+}
+
+/**
+ * @param {string} entry
+ * @returns {{ phase: RetryPhase } | { message: string }}
+ */
+function parsePhase(entry) {
+  const tokens = entry.split(/\s+/);
+  const countMatch = RETRY_COUNT_PATTERN.exec(tokens.shift() ?? "");
+  if (countMatch === null || Number(countMatch[1]) < 1) {
+    return { message: "Start with a retry count of at least 1, like 24x." };
+  }
+
+  const strategy = (tokens.shift() ?? "").toLowerCase();
+  if (!PHASE_STRATEGIES.includes(/** @type {PhaseStrategy} */ (strategy))) {
+    return { message: "Strategy must be exponential, linear, fixed, fibonacci, or polynomial." };
+  }
+
+  const delayToken = tokens.shift();
+  const initialDelayMs = delayToken === undefined ? null : parseDuration(delayToken);
+  if (initialDelayMs === null) {
+    return { message: "Give the phase's initial delay as a duration, like 1h." };
+  }
+
+  let parameter = {};
+  if (strategy === "exponential" || strategy === "linear" || strategy === "polynomial") {
+    const parsed = parsePhaseParameter(strategy, tokens.shift());
+    if ("message" in parsed) {
+      return parsed;
+    }
+    parameter = parsed.parameter;
+  }
+
+  let maxDelayMs = null;
+  if (tokens[0]?.toLowerCase() === "cap") {
+    tokens.shift();
+    const capToken = tokens.shift();
+    maxDelayMs = capToken === undefined ? null : parseDuration(capToken);
+    if (maxDelayMs === null) {
+      return { message: "Give the cap as a duration, like cap 30s." };
+    }
+  }
+
+  if (tokens.length > 0) {
+    return { message: `Unexpected "${tokens[0]}".` };
+  }
+
+  return {
+    phase: {
+      retries: Number(countMatch[1]),
+      strategy: /** @type {PhaseStrategy} */ (strategy),
+      initialDelayMs,
+      ...parameter,
+      maxDelayMs,
+    },
+  };
+}
+
+/**
+ * Parse the phases that follow the main inputs' retries, separated by semicolons:
+ * "<count>x <strategy> <initial delay> [factor | increment | exponent] [cap <duration>]",
+ * e.g. "24x fixed 1h" or "5x exponential 1s 2 cap 30s; 24x fixed 1h".
+ * @param {unknown} text
+ * @returns {ParsedPhases}
+ */
+export function parsePhases(text) {
+  if (typeof text !== "string" || text.trim().length === 0) {
+    return { phases: [], errors: [] };
+  }
+
+  const phases = [];
+  const errors = [];
+  const entries = text.split(";").map((entry) => entry.trim());
+
+  entries.forEach((entry, index) => {
+    if (entry.length === 0) {
+      errors.push({ index, token: entry, message: "Phase is empty." });
+      return;
+    }
+
+    const parsed = parsePhase(entry);
+    if ("message" in parsed) {
+      errors.push({ index, token: entry, message: parsed.message });
+      return;
+    }
+    phases.push(parsed.phase);
+  });
+
+  return { phases, errors };
+}
+
+/**
+ * The config a phase's retries are computed from: the main inputs with the phase's strategy,
+ * parameters, and cap.
+ * @template {object} T
+ * @param {T} config
+ * @param {RetryPhase} phase
+ * @returns {T}
+ */
+export function phaseConfig(config, phase) {
+  return {
+    ...config,
+    strategy: phase.strategy,
+    initialDelayMs: phase.initialDelayMs,
+    factor: phase.factor,
+    incrementMs: phase.incrementMs,
+    exponent: phase.exponent,
+    maxDelayMs: phase.maxDelayMs,
+  };
+}
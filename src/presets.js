@@ -0,0 +1,330 @@
+/**
+ * Default retry policies of popular client libraries, as calculator inputs. Each preset also
+ * records how the library counts and orders things, since two policies with the same numbers
+ * can still sleep differently.
+ */
+
+/**
+ * @typedef {object} PresetSemantics
+ * @property {0 | 1} firstRetryIndex Value of the library's attempt counter when it computes
+ *   the first retry's sleep; the preset numbers retries the same way. Either way the first
+ *   sleep is D0.
+ * @property {number | null} attemptLimit The retry limit as the library spells it; null when
+ *   the library retries until a deadline or forever.
+ * @property {boolean} limitIncludesFirstCall True when attemptLimit counts the initial call,
+ *   so maxRetries is one less.
+ * @property {import("./jitterOrder.js").JitterOrder | null} jitterOrder Whether the cap applies
+ *   before or after the random draw; null without jitter.
+ * @property {number | null} exponentCeiling Largest exponent the library raises the factor to
+ *   before it stops growing, independent of the cap.
+ */
+
+/**
+ * @typedef {object} LibraryPreset
+ * @property {string} label
+ * @property {string} formula The library's sleep before retry n, in its own terms.
+ * @property {string} notes
+ * @property {PresetSemantics} semantics
+ * @property {Partial<import("./backoff.js").BackoffConfig>} config Inputs the preset sets;
+ *   everything else keeps its current value.
+ */
+
+/** @type {Record<string, LibraryPreset>} */
+export const LIBRARY_PRESETS = {
+  "aws-standard": {
+    label: "AWS SDK standard (botocore)",
+    formula: "min(rand() * 2^(attempt - 1) s, 20 s)",
+    notes:
+      "max_attempts 3 counts the first call. The cap applies after the random draw; with two " +
+      "retries the draw never reaches 20 s, so the ordering does not show here.",
+    semantics: {
+      firstRetryIndex: 1,
+      attemptLimit: 3,
+      limitIncludesFirstCall: true,
+      jitterOrder: "jitter-then-cap",
+      exponentCeiling: null,
+    },
+    config: {
+      strategy: "exponential",
+      retryIndexBase: "one",
+      initialDelayMs: 1000,
+      factor: 2,
+      maxRetries: 2,
+      maxDelayMs: 20000,
+      minDelayMs: null,
+      maxElapsedMs: null,
+      jitter: "full",
+      jitterOrder: "jitter-then-cap",
+    },
+  },
+  "aws-legacy": {
+    label: "AWS SDK legacy (Java v2)",
+    formula: "rand(0, min(100 ms * 2^min(retriesAttempted, 30), 20 s))",
+    notes:
+      "numRetries 3 excludes the first call. retriesAttempted starts at 0, so the first retry " +
+      "draws from [0, 100 ms]. The exponent stops at 30 to avoid overflow.",
+    semantics: {
+      firstRetryIndex: 0,
+      attemptLimit: 3,
+      limitIncludesFirstCall: false,
+      jitterOrder: "cap-then-jitter",
+      exponentCeiling: 30,
+    },
+    config: {
+      strategy: "exponential",
+      retryIndexBase: "zero",
+      initialDelayMs: 100,
+      factor: 2,
+      maxRetries: 3,
+      maxDelayMs: 20000,
+      minDelayMs: null,
+      maxElapsedMs: null,
+      jitter: "full",
+      jitterOrder: "cap-then-jitter",
+    },
+  },
+  grpc: {
+    label: "gRPC connection backoff",
+    formula: "min(1 s * 1.6^(n - 1), 120 s) * (1 ± 0.2)",
+    notes:
+      "gRPC reconnects indefinitely; 15 retries shows the cap engaging. The jitter is applied " +
+      "to the capped delay, so sleeps can reach 144 s. Per-call retry policies have no " +
+      "defaults and come from the service config.",
+    semantics: {
+      firstRetryIndex: 1,
+      attemptLimit: null,
+      limitIncludesFirstCall: false,
+      jitterOrder: "cap-then-jitter",
+      exponentCeiling: null,
+    },
+    config: {
+      strategy: "exponential",
+      retryIndexBase: "one",
+      initialDelayMs: 1000,
+      factor: 1.6,
+      maxRetries: 15,
+      maxDelayMs: 120000,
+      minDelayMs: null,
+      maxElapsedMs: null,
+      jitter: "proportional",
+      jitterOrder: "cap-then-jitter",
+      randomizationFactor: 0.2,
+    },
+  },
+  "google-cloud": {
+    label: "Google Cloud client libraries (api-core)",
+    formula: "rand(0, min(1 s * 2^(n - 1), 60 s)), until 120 s have passed",
+    notes:
+      "Retry has no attempt limit, only the 120 s timeout, modelled as an elapsed budget that " +
+      "stops before it runs out.",
+    semantics: {
+      firstRetryIndex: 1,
+      attemptLimit: null,
+      limitIncludesFirstCall: false,
+      jitterOrder: "cap-then-jitter",
+      exponentCeiling: null,
+    },
+    config: {
+      strategy: "exponential",
+      retryIndexBase: "one",
+      initialDelayMs: 1000,
+      factor: 2,
+      maxRetries: 100,
+      maxDelayMs: 60000,
+      minDelayMs: null,
+      maxElapsedMs: 120000,
+      elapsedBudgetMode: "stop",
+      jitter: "full",
+      jitterOrder: "cap-then-jitter",
+    },
+  },
+  polly: {
+    label: "Polly v8",
+    formula: "2 s",
+    notes:
+      "BackoffType defaults to Constant with no jitter. MaxRetryAttempts 3 excludes the first " +
+      "call. With Exponential, Polly sleeps Delay * 2^attempt from attempt 0.",
+    semantics: {
+      firstRetryIndex: 0,
+      attemptLimit: 3,
+      limitIncludesFirstCall: false,
+      jitterOrder: null,
+      exponentCeiling: null,
+    },
+    config: {
+      strategy: "fixed",
+      retryIndexBase: "zero",
+      initialDelayMs: 2000,
+      maxRetries: 3,
+      maxDelayMs: null,
+      minDelayMs: null,
+      maxElapsedMs: null,
+      jitter: "none",
+    },
+  },
+  resilience4j: {
+    label: "resilience4j Retry",
+    formula: "500 ms",
+    notes: "maxAttempts 3 counts the first call, so two retries of a fixed waitDuration.",
+    semantics: {
+      firstRetryIndex: 1,
+      attemptLimit: 3,
+      limitIncludesFirstCall: true,
+      jitterOrder: null,
+      exponentCeiling: null,
+    },
+    config: {
+      strategy: "fixed",
+      retryIndexBase: "one",
+      initialDelayMs: 500,
+      maxRetries: 2,
+      maxDelayMs: null,
+      minDelayMs: null,
+      maxElapsedMs: null,
+      jitter: "none",
+    },
+  },
+  "client-go": {
+    label: "Kubernetes client-go workqueue",
+    formula: "min(5 ms * 2^failures, 1000 s)",
+    notes:
+      "DefaultControllerRateLimiter's per-item limiter. failures starts at 0 and requeues never " +
+      "stop; 20 retries shows the cap engaging at retry 19. The shared 10 qps bucket is not " +
+      "modelled.",
+    semantics: {
+      firstRetryIndex: 0,
+      attemptLimit: null,
+      limitIncludesFirstCall: false,
+      jitterOrder: null,
+      exponentCeiling: null,
+    },
+    config: {
+      strategy: "exponential",
+      retryIndexBase: "zero",
+      initialDelayMs: 5,
+      factor: 2,
+      maxRetries: 20,
+      maxDelayMs: 1000000,
+      minDelayMs: null,
+      maxElapsedMs: null,
+      jitter: "none",
+    },
+  },
+  urllib3: {
+    label: "urllib3 Retry",
+    formula: "min(backoff_factor * 2^(errors - 1), 120 s), 0 after the first error",
+    notes:
+      "total 3 excludes the first call. backoff_factor defaults to 0, which never sleeps; this " +
+      "preset uses the documented 0.1 example as D0 in a formula, since the first retry is " +
+      "always immediate.",
+    semantics: {
+      firstRetryIndex: 1,
+      attemptLimit: 3,
+      limitIncludesFirstCall: false,
+      jitterOrder: null,
+      exponentCeiling: null,
+    },
+    config: {
+      strategy: "expression",
+      retryIndexBase: "one",
+      expression: "D0 * 2^(r-1) * min(1, r-1)",
+      initialDelayMs: 100,
+      maxRetries: 3,
+      maxDelayMs: 120000,
+      minDelayMs: null,
+      maxElapsedMs: null,
+      jitter: "none",
+    },
+  },
+  tenacity: {
+    label: "tenacity wait_exponential",
+    formula: "max(0, min(1 s * 2^(attempt_number - 1), max))",
+    notes:
+      "tenacity never stops by default; this preset adds stop_after_attempt(5), which counts " +
+      "the first call. The default max is effectively unbounded.",
+    semantics: {
+      firstRetryIndex: 1,
+      attemptLimit: 5,
+      limitIncludesFirstCall: true,
+      jitterOrder: null,
+      exponentCeiling: null,
+    },
+    config: {
+      strategy: "exponential",
+      retryIndexBase: "one",
+      initialDelayMs: 1000,
+      factor: 2,
+      maxRetries: 4,
+      maxDelayMs: null,
+      minDelayMs: null,
+      maxElapsedMs: null,
+      jitter: "none",
+    },
+  },
+  "step-functions": {
+    label: "AWS Step Functions Retry",
+    formula: "IntervalSeconds * BackoffRate^(n - 1)",
+    notes:
+      "MaxAttempts 3 counts retries only, unlike most SDKs. MaxDelaySeconds and JitterStrategy " +
+      "are unset by default.",
+    semantics: {
+      firstRetryIndex: 1,
+      attemptLimit: 3,
+      limitIncludesFirstCall: false,
+      jitterOrder: null,
+      exponentCeiling: null,
+    },
+    config: {
+      strategy: "exponential",
+      retryIndexBase: "one",
+      initialDelayMs: 1000,
+      factor: 2,
+      maxRetries: 3,
+      maxDelayMs: null,
+      minDelayMs: null,
+      maxElapsedMs: null,
+      jitter: "none",
+    },
+  },
+};
+
+/**
+ * @param {unknown} value
+ * @returns {value is string}
+ */
+export function isPresetId(value) {
+  return typeof value === "string" && Object.hasOwn(LIBRARY_PRESETS, value);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {LibraryPreset | null}
+ */
+export function resolvePreset(value) {
+  return isPresetId(value) ? LIBRARY_PRESETS[value] : null;
+}
+
+/**
+ * Share-link input values for a preset, in the same string form the URL carries.
+ * @param {LibraryPreset} preset
+ * @returns {import("./share.js").ShareState}
+ */
+export function presetShareState(preset) {
+  return Object.fromEntries(
+    Object.entries(preset.config).map(([key, value]) => [
+      key,
+      typeof value === "number" ? String(value) : (value ?? ""),
+    ]),
+  );
+}
+
+/**
+ * True while every input the preset sets still holds the preset's value.
+ * @param {LibraryPreset} preset
+ * @param {import("./backoff.js").BackoffConfig} config
+ */
+export function matchesPreset(preset, config) {
+  return Object.entries(preset.config).every(
+    ([key, value]) => config[/** @type {keyof typeof config} */ (key)] === value,
+  );
+}
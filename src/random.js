@@ -0,0 +1,44 @@
+/**
+ * @typedef {() => number} RandomSource Returns a uniform sample in [0, 1).
+ */
+
+const UINT32_RANGE = 2 ** 32;
+
+/**
+ * Hash seed text to 32 bits (FNV-1a), so any text typed into the seed field is a valid seed.
+ * @param {string} seed
+ * @returns {number}
+ */
+export function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < seed.length; index += 1) {
+    hash ^= seed.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Mulberry32: small, fast, and good enough to spread retry jitter. The same seed always
+ * yields the same sequence, so a shared link reproduces a simulated run exactly.
+ * @param {string} seed
+ * @returns {RandomSource}
+ */
+export function createSeededRandom(seed) {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let mixed = state;
+    mixed = Math.imul(mixed ^ (mixed >>> 15), mixed | 1);
+    mixed ^= mixed + Math.imul(mixed ^ (mixed >>> 7), mixed | 61);
+    return ((mixed ^ (mixed >>> 14)) >>> 0) / UINT32_RANGE;
+  };
+}
+
+/**
+ * Fresh seed for the re-roll control. Kept short so it is easy to read out in a review.
+ * @returns {string}
+ */
+export function createRandomSeed() {
+  return String(Math.floor(Math.random() * 1000000));
+}
@@ -0,0 +1,183 @@
+import { attemptDurationStats } from "./attemptDuration.js";
+
+/**
+ * @typedef {"constant" | "varying"} FailureModel
+ */
+
+/**
+ * @typedef {object} FailureModelConfig
+ * @property {FailureModel} [failureModel]
+ * @property {number} [failureProbability] Chance that any single attempt fails.
+ * @property {string} [failureProbabilities] Comma-separated per-attempt failure chances,
+ *   starting with the initial attempt; the last entry repeats.
+ */
+
+/**
+ * @typedef {object} FailureProbabilityEntryError
+ * @property {number} index
+ * @property {string} token
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} ParsedFailureProbabilities
+ * @property {number[]} probabilities
+ * @property {FailureProbabilityEntryError[]} errors
+ */
+
+/**
+ * @typedef {object} ReliabilitySummary
+ * @property {number} successProbability Chance that some attempt succeeds.
+ * @property {number} expectedAttempts Mean number of attempts made, including the first.
+ * @property {number | null} expectedTimeToSuccessMs Mean time from the first attempt's start
+ *   to the end of the successful attempt, given success; null when success is impossible.
+ * @property {number} availabilityNines -log10 of the chance that every attempt fails.
+ */
+
+export const FAILURE_MODELS = /** @type {const} */ (["constant", "varying"]);
+
+export const DEFAULT_FAILURE_MODEL = "constant";
+
+const PROBABILITY_PATTERN = /^(\d+(?:\.\d+)?|\.\d+)(%)?$/;
+
+/**
+ * @param {unknown} value
+ * @returns {value is FailureModel}
+ */
+export function isFailureModel(value) {
+  return (
+    typeof value === "string" && FAILURE_MODELS.includes(/** @type {FailureModel} */ (value))
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @returns {FailureModel}
+ */
+export function resolveFailureModel(value) {
+  return isFailureModel(value) ? value : DEFAULT_FAILURE_MODEL;
+}
+
+/**
+ * Parse a comma-separated probability list such as "0.5, 0.2, 10%".
+ * @param {unknown} text
+ * @returns {ParsedFailureProbabilities}
+ */
+export function parseFailureProbabilities(text) {
+  if (typeof text !== "string" || text.trim().length === 0) {
+    return { probabilities: [], errors: [] };
+  }
+
+  const probabilities = [];
+  const errors = [];
+  const tokens = text.split(",").map((token) => token.trim());
+
+  tokens.forEach((token, index) => {
+    if (token.length === 0) {
+      errors.push({ index, token, message: "Entry is empty." });
+      return;
+    }
+
+    const match = PROBABILITY_PATTERN.exec(token);
+    const probability =
+      match === null ? Number.NaN : Number(match[1]) / (match[2] === undefined ? 1 : 100);
+    if (!(probability >= 0 && probability <= 1)) {
+      errors.push({ index, token, message: "Must be a probability like 0.2 or 20%." });
+      return;
+    }
+
+    probabilities.push(probability);
+  });
+
+  return { probabilities, errors };
+}
+
+/**
+ * @param {FailureModelConfig} config
+ * @returns {import("./backoff.js").ValidationError[]}
+ */
+export function validateFailureModelConfig(config) {
+  const errors = [];
+
+  if (config.failureModel !== undefined && !isFailureModel(config.failureModel)) {
+    errors.push({ field: "failureModel", message: "Must be constant or varying." });
+  }
+
+  if (config.failureModel === "constant") {
+    if (
+      !Number.isFinite(config.failureProbability) ||
+      config.failureProbability < 0 ||
+      config.failureProbability > 1
+    ) {
+      errors.push({ field: "failureProbability", message: "Must be between 0 and 1." });
+    }
+  }
+
+  if (config.failureModel === "varying") {
+    const { probabilities, errors: entryErrors } = parseFailureProbabilities(
+      config.failureProbabilities,
+    );
+    for (const entryError of entryErrors) {
+      errors.push({
+        field: "failureProbabilities",
+        message: `Entry ${entryError.index + 1} ("${entryError.token}"): ${entryError.message}`,
+      });
+    }
+    if (entryErrors.length === 0 && probabilities.length === 0) {
+      errors.push({ field: "failureProbabilities", message: "Enter at least one probability." });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Failure chance of each attempt, the initial attempt first.
+ * @param {FailureModelConfig} config
+ * @param {number} attemptCount
+ * @returns {number[]}
+ */
+export function attemptFailureProbabilities(config, attemptCount) {
+  if (resolveFailureModel(config.failureModel) === "constant") {
+    return Array.from({ length: attemptCount }, () => config.failureProbability);
+  }
+
+  const { probabilities } = parseFailureProbabilities(config.failureProbabilities);
+  return Array.from(
+    { length: attemptCount },
+    (_value, index) => probabilities[Math.min(index, probabilities.length - 1)],
+  );
+}
+
+/**
+ * Reliability of a schedule when each attempt fails independently with the configured
+ * probability. Attempt end times come from the schedule's expected wall-clock timeline.
+ * @param {import("./backoff.js").RetryPoint[]} points
+ * @param {import("./backoff.js").BackoffConfig & FailureModelConfig} config
+ * @returns {ReliabilitySummary}
+ */
+export function summarizeReliability(points, config) {
+  const attemptEndsMs = [
+    attemptDurationStats(config).expectedMs,
+    ...points.map((point) => point.attemptEndMs),
+  ];
+  const probabilities = attemptFailureProbabilities(config, attemptEndsMs.length);
+  let reachProbability = 1;
+  let expectedAttempts = 0;
+  let successTimeWeightMs = 0;
+
+  for (const [index, failureProbability] of probabilities.entries()) {
+    expectedAttempts += reachProbability;
+    successTimeWeightMs += reachProbability * (1 - failureProbability) * attemptEndsMs[index];
+    reachProbability *= failureProbability;
+  }
+
+  const successProbability = 1 - reachProbability;
+  return {
+    successProbability,
+    expectedAttempts,
+    expectedTimeToSuccessMs:
+      successProbability > 0 ? successTimeWeightMs / successProbability : null,
+    availabilityNines: reachProbability === 1 ? 0 : -Math.log10(reachProbability),
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * @typedef {"ignore" | "max" | "override"} RetryAfterRule
+ */
+
+/**
+ * @typedef {object} RetryAfterConfig
+ * @property {RetryAfterRule} [retryAfterRule] How the client combines a server hint with its
+ *   own backoff.
+ * @property {number} [retryAfterFraction] Share of failed attempts whose response carries a
+ *   Retry-After hint.
+ * @property {number} [retryAfterMs] The hint, or the low end of a random hint.
+ * @property {number | null} [retryAfterMaxMs] High end of a random hint; null for a fixed one.
+ */
+
+/**
+ * @typedef {object} HintedSleep
+ * @property {number} probability Chance that the hint is longer than the computed sleep.
+ * @property {number} expectedDelayMs Expected max(hint, computed sleep).
+ */
+
+/**
+ * @typedef {object} DelayRange
+ * @property {number} retry
+ * @property {number} minDelayMs
+ * @property {number} expectedDelayMs
+ * @property {number} maxDelayMs
+ * @property {(hintMs: number) => HintedSleep} hinted How a hint of hintMs changes the sleep
+ *   under the max rule, from the sleep's own distribution with its floor and cap.
+ */
+
+/**
+ * @typedef {object} DelayOverride
+ * @property {number} minDelayMs
+ * @property {number} expectedDelayMs
+ * @property {number} maxDelayMs
+ * @property {number} share Chance that the override changes this retry's sleep.
+ */
+
+/**
+ * @typedef {(range: DelayRange) => DelayOverride | null} DelayOverrideHook
+ */
+
+export const RETRY_AFTER_RULES = /** @type {const} */ (["ignore", "max", "override"]);
+
+export const DEFAULT_RETRY_AFTER_RULE = "ignore";
+
+// Midpoints used to average over a random hint; a fixed hint needs only one.
+const HINT_QUADRATURE_STEPS = 64;
+
+/**
+ * @param {unknown} value
+ * @returns {value is RetryAfterRule}
+ */
+export function isRetryAfterRule(value) {
+  return (
+    typeof value === "string" && RETRY_AFTER_RULES.includes(/** @type {RetryAfterRule} */ (value))
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @returns {RetryAfterRule}
+ */
+export function resolveRetryAfterRule(value) {
+  return isRetryAfterRule(value) ? value : DEFAULT_RETRY_AFTER_RULE;
+}
+
+/**
+ * @param {RetryAfterConfig} config
+ */
+function hintBounds(config) {
+  const lowMs = config.retryAfterMs ?? 0;
+  return { lowMs, highMs: config.retryAfterMaxMs ?? lowMs };
+}
+
+/**
+ * @param {RetryAfterConfig} config
+ */
+function hintsApply(config) {
+  return resolveRetryAfterRule(config.retryAfterRule) !== "ignore" && config.retryAfterFraction > 0;
+}
+
+/**
+ * Override hook for generateSchedule that mixes server hints into each retry's sleep range.
+ * Only the hinted share of responses is affected, so the expected sleep is a blend of the
+ * computed and hinted sleeps. Under decorrelated jitter the expected schedule keeps growing
+ * from the computed sleeps; sampled paths feed each hinted sleep forward.
+ * @param {RetryAfterConfig} config
+ * @returns {DelayOverrideHook | null} Null when the client ignores hints or none are sent.
+ */
+export function retryAfterOverride(config) {
+  if (!hintsApply(config)) {
+    return null;
+  }
+
+  const fraction = config.retryAfterFraction;
+  const { lowMs, highMs } = hintBounds(config);
+  const steps = highMs > lowMs ? HINT_QUADRATURE_STEPS : 1;
+  const hintsMs = Array.from(
+    { length: steps },
+    (_value, index) => lowMs + ((index + 0.5) / steps) * (highMs - lowMs),
+  );
+  const isOverride = resolveRetryAfterRule(config.retryAfterRule) === "override";
+
+  return (range) => {
+    let hintedMinMs = lowMs;
+    let hintedExpectedMs = (lowMs + highMs) / 2;
+    let hintedMaxMs = highMs;
+    let share = fraction;
+
+    if (!isOverride) {
+      // max(Retry-After, backoff) only changes sleeps the hint exceeds.
+      let probability = 0;
+      hintedExpectedMs = 0;
+      for (const hintMs of hintsMs) {
+        const hinted = range.hinted(hintMs);
+        probability += hinted.probability / steps;
+        hintedExpectedMs += hinted.expectedDelayMs / steps;
+      }
+      if (probability === 0) {
+        return null;
+      }
+      hintedMinMs = Math.max(lowMs, range.minDelayMs);
+      hintedMaxMs = Math.max(highMs, range.maxDelayMs);
+      share = fraction * probability;
+    }
+
+    return {
+      minDelayMs: fraction === 1 ? hintedMinMs : Math.min(range.minDelayMs, hintedMinMs),
+      expectedDelayMs: (1 - fraction) * range.expectedDelayMs + fraction * hintedExpectedMs,
+      maxDelayMs: fraction === 1 ? hintedMaxMs : Math.max(range.maxDelayMs, hintedMaxMs),
+      share,
+    };
+  };
+}
+
+/**
+ * Apply a sampled server response to one computed sleep. Draws nothing when hints are off,
+ * so seeded runs without hints are unchanged.
+ * @param {RetryAfterConfig} config
+ * @param {number} computedDelayMs
+ * @param {import("./random.js").RandomSource} random
+ * @returns {number}
+ */
+export function sampleRetryAfterDelay(config, computedDelayMs, random) {
+  if (!hintsApply(config) || random() >= config.retryAfterFraction) {
+    return computedDelayMs;
+  }
+
+  const { lowMs, highMs } = hintBounds(config);
+  const hintMs = lowMs + random() * (highMs - lowMs);
+  return resolveRetryAfterRule(config.retryAfterRule) === "override"
+    ? hintMs
+    : Math.max(hintMs, computedDelayMs);
+}
@@ -0,0 +1,142 @@
+import { attemptDurationStats } from "./attemptDuration.js";
+
+/**
+ * @typedef {"one" | "zero"} RetryIndexBase
+ */
+
+/**
+ * @typedef {"hidden" | "listed"} InitialAttemptMode
+ */
+
+/**
+ * @typedef {object} RetryIndexConfig
+ * @property {RetryIndexBase} [retryIndexBase] Whether the first retry is r = 1 or r = 0.
+ * @property {InitialAttemptMode} [initialAttempt] Whether the table and chart list the
+ *   initial attempt as a row with no delay.
+ */
+
+export const RETRY_INDEX_BASES = /** @type {const} */ (["one", "zero"]);
+
+export const DEFAULT_RETRY_INDEX_BASE = "one";
+
+export const INITIAL_ATTEMPT_MODES = /** @type {const} */ (["hidden", "listed"]);
+
+export const DEFAULT_INITIAL_ATTEMPT_MODE = "hidden";
+
+/**
+ * @param {unknown} value
+ * @returns {value is RetryIndexBase}
+ */
+export function isRetryIndexBase(value) {
+  return (
+    typeof value === "string" && RETRY_INDEX_BASES.includes(/** @type {RetryIndexBase} */ (value))
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @returns {RetryIndexBase}
+ */
+export function resolveRetryIndexBase(value) {
+  return isRetryIndexBase(value) ? value : DEFAULT_RETRY_INDEX_BASE;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is InitialAttemptMode}
+ */
+export function isInitialAttemptMode(value) {
+  return (
+    typeof value === "string" &&
+    INITIAL_ATTEMPT_MODES.includes(/** @type {InitialAttemptMode} */ (value))
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @returns {InitialAttemptMode}
+ */
+export function resolveInitialAttemptMode(value) {
+  return isInitialAttemptMode(value) ? value : DEFAULT_INITIAL_ATTEMPT_MODE;
+}
+
+/**
+ * The index r of the first retry.
+ * @param {RetryIndexConfig} [config]
+ * @returns {0 | 1}
+ */
+export function firstRetryIndex(config) {
+  return resolveRetryIndexBase(config?.retryIndexBase) === "zero" ? 0 : 1;
+}
+
+/**
+ * The index r of a retry, from its position in the schedule (1 for the first retry).
+ * @param {RetryIndexConfig} config
+ * @param {number} retry
+ */
+export function retryIndex(config, retry) {
+  return retry - 1 + firstRetryIndex(config);
+}
+
+/**
+ * The retry limit counted as attempts: the initial call plus every retry, the way libraries
+ * such as tenacity, resilience4j, and the AWS SDKs configure it.
+ * @param {number} maxRetries
+ */
+export function maxAttemptsFromRetries(maxRetries) {
+  return maxRetries + 1;
+}
+
+/**
+ * @param {number} maxAttempts Attempts including the initial call.
+ */
+export function maxRetriesFromAttempts(maxAttempts) {
+  return maxAttempts - 1;
+}
+
+/**
+ * Row and axis label for a retry. The initial attempt (retry 0) is row 0 when retries count
+ * from 1; counting from 0 gives that number to the first retry, so it is labelled "Initial".
+ * @param {RetryIndexConfig} config
+ * @param {number} retry
+ */
+export function retryLabel(config, retry) {
+  if (retry === 0 && firstRetryIndex(config) === 0) {
+    return "Initial";
+  }
+  return String(retryIndex(config, retry));
+}
+
+/**
+ * A zero-delay row for the initial attempt, shaped like a schedule point so the table and
+ * chart can list it ahead of the retries.
+ * @param {import("./attemptDuration.js").AttemptDurationConfig} config
+ * @returns {import("./backoff.js").RetryPoint}
+ */
+export function initialAttemptPoint(config) {
+  const attemptDuration = attemptDurationStats(config);
+  return {
+    retry: 0,
+    rawDelayMs: 0,
+    minDelayMs: 0,
+    expectedDelayMs: 0,
+    maxDelayMs: 0,
+    delayMs: 0,
+    cumulativeDelayMs: 0,
+    cumulativeMinDelayMs: 0,
+    cumulativeMaxDelayMs: 0,
+    delayVariance: 0,
+    delayStdDevMs: 0,
+    cumulativeVariance: 0,
+    cumulativeStdDevMs: 0,
+    budgetCutoff: false,
+    clippedToBudget: false,
+    attemptStartMs: 0,
+    attemptEndMs: attemptDuration.expectedMs,
+    latestAttemptStartMs: 0,
+    latestAttemptEndMs: attemptDuration.worstCaseMs,
+    overridden: false,
+    overrideShare: 0,
+    phase: 0,
+  };
+}
@@ -0,0 +1,25 @@
+/**
+ * @typedef {"none" | "outage"} ScenarioMode
+ */
+
+export const SCENARIO_MODES = /** @type {const} */ (["none", "outage"]);
+
+export const DEFAULT_SCENARIO_MODE = "none";
+
+/**
+ * @param {unknown} value
+ * @returns {value is ScenarioMode}
+ */
+export function isScenarioMode(value) {
+  return (
+    typeof value === "string" && SCENARIO_MODES.includes(/** @type {ScenarioMode} */ (value))
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @returns {ScenarioMode}
+ */
+export function resolveScenarioMode(value) {
+  return isScenarioMode(value) ? value : DEFAULT_SCENARIO_MODE;
+}
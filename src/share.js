@@ -1,46 +1,132 @@
 import { isDisplayMode } from "./display.js";
 import { isChartMode } from "./chartMode.js";
 import { isChartSeriesMode } from "./chartSeriesMode.js";
-import { isJitterType } from "./backoff.js";
+import { isBreakerMode } from "./circuitBreaker.js";
+import { isBackoffStrategy, isElapsedBudgetMode, isJitterType } from "./backoff.js";
+import { isAttemptDurationMode } from "./attemptDuration.js";
+import { isPresetId } from "./presets.js";
+import { isFailureModel } from "./reliability.js";
+import { isRetryAfterRule } from "./retryAfter.js";
+import { isInitialAttemptMode, isRetryIndexBase } from "./retryIndex.js";
+import { isJitterOrder } from "./jitterOrder.js";
+import { isScenarioMode } from "./scenarioMode.js";
+import { isSequenceEndMode } from "./delaySequence.js";
+import { MAX_PINNED_SERIES } from "./comparison.js";
 
 /**
- * @typedef {"exponential" | "linear" | "fixed"} BackoffStrategy
+ * @typedef {import("./backoff.js").BackoffStrategy} BackoffStrategy
  */
 
 /**
  * @typedef {object} ShareState
+ * @property {string} [preset] Library preset applied before the other inputs.
  * @property {BackoffStrategy} [strategy]
  * @property {string} [initialDelayMs]
  * @property {string} [maxRetries]
  * @property {string} [maxDelayMs]
+ * @property {string} [minDelayMs]
+ * @property {string} [maxElapsedMs]
+ * @property {import("./backoff.js").ElapsedBudgetMode} [elapsedBudgetMode]
+ * @property {import("./attemptDuration.js").AttemptDurationMode} [attemptDurationMode]
+ * @property {string} [attemptTimeoutMs]
+ * @property {string} [attemptP50Ms]
+ * @property {string} [attemptP99Ms]
+ * @property {import("./reliability.js").FailureModel} [failureModel]
+ * @property {string} [failureProbability]
+ * @property {string} [failureProbabilities]
+ * @property {string} [maxTokens]
+ * @property {string} [tokenRatio]
+ * @property {string} [throttleRequests]
+ * @property {string} [herdClients]
+ * @property {import("./scenarioMode.js").ScenarioMode} [scenarioMode]
+ * @property {string} [outageMs]
+ * @property {string} [recoveryCapacity]
+ * @property {import("./circuitBreaker.js").BreakerMode} [breakerMode]
+ * @property {string} [breakerFailureThreshold]
+ * @property {string} [breakerOpenMs]
+ * @property {string} [breakerHalfOpenProbes]
+ * @property {import("./retryAfter.js").RetryAfterRule} [retryAfterRule]
+ * @property {string} [retryAfterFraction]
+ * @property {string} [retryAfterMs]
+ * @property {string} [retryAfterMaxMs]
+ * @property {string} [waitThresholds]
+ * @property {import("./retryIndex.js").RetryIndexBase} [retryIndexBase]
+ * @property {import("./retryIndex.js").InitialAttemptMode} [initialAttempt]
+ * @property {string} [phases]
  * @property {string} [factor]
  * @property {string} [incrementMs]
+ * @property {string} [exponent]
+ * @property {string} [customDelays]
+ * @property {import("./delaySequence.js").SequenceEndMode} [sequenceEnd]
+ * @property {string} [expression]
  * @property {import("./backoff.js").JitterType} [jitter]
+ * @property {string} [randomizationFactor]
+ * @property {import("./jitterOrder.js").JitterOrder} [jitterOrder]
  * @property {import("./display.js").DisplayMode} [displayMode]
  * @property {import("./chartMode.js").ChartMode} [chartMode]
  * @property {import("./chartSeriesMode.js").ChartSeriesMode} [chartSeriesMode]
+ * @property {string} [seed] Seed for the simulated series.
+ * @property {ComparisonShareState[]} [comparisons] Pinned series compared with these inputs.
+ */
+
+/**
+ * @typedef {object} ComparisonShareState
+ * @property {string} name
+ * @property {ShareState} state The pinned inputs; display settings and seed are not read.
  */
 
 const PARAM_KEYS = {
+  preset: "preset",
   strategy: "strategy",
   initialDelayMs: "initialDelayMs",
   maxRetries: "maxRetries",
   maxDelayMs: "maxDelayMs",
+  minDelayMs: "minDelayMs",
+  maxElapsedMs: "maxElapsedMs",
+  elapsedBudgetMode: "budgetMode",
+  attemptDurationMode: "attemptMode",
+  attemptTimeoutMs: "attemptTimeoutMs",
+  attemptP50Ms: "attemptP50Ms",
+  attemptP99Ms: "attemptP99Ms",
+  failureModel: "failModel",
+  failureProbability: "failP",
+  failureProbabilities: "failPs",
+  maxTokens: "maxTokens",
+  tokenRatio: "tokenRatio",
+  throttleRequests: "throttleRequests",
+  herdClients: "clients",
+  scenarioMode: "scenario",
+  outageMs: "outageMs",
+  recoveryCapacity: "recoveryCapacity",
+  breakerMode: "breaker",
+  breakerFailureThreshold: "breakerThreshold",
+  breakerOpenMs: "breakerOpenMs",
+  breakerHalfOpenProbes: "breakerProbes",
+  retryAfterRule: "retryAfter",
+  retryAfterFraction: "retryAfterShare",
+  retryAfterMs: "retryAfterMs",
+  retryAfterMaxMs: "retryAfterMaxMs",
+  waitThresholds: "thresholds",
+  retryIndexBase: "retryIndex",
+  initialAttempt: "initialAttempt",
+  phases: "phases",
   factor: "factor",
   incrementMs: "incrementMs",
+  exponent: "exponent",
+  customDelays: "delays",
+  sequenceEnd: "sequenceEnd",
+  expression: "expr",
   jitter: "jitter",
+  randomizationFactor: "randomizationFactor",
+  jitterOrder: "jitterOrder",
   displayMode: "displayMode",
   chartMode: "chartMode",
   chartSeriesMode: "chartSeriesMode",
+  seed: "seed",
+  comparisons: "compare",
 };
 
-/**
- * @param {unknown} value
- * @returns {value is BackoffStrategy}
- */
-function isStrategy(value) {
-  return value === "exponential" || value === "linear" || value === "fixed";
-}
+const COMPARISON_NAME_KEY = "name";
 
 /**
  * @param {URLSearchParams} searchParams
@@ -52,73 +138,268 @@ function readParam(searchParams, key) {
 }
 
 /**
- * @param {string} baseUrl
+ * @param {URLSearchParams} searchParams
  * @param {ShareState} state
  */
-export function createShareUrl(baseUrl, state) {
-  const url = new URL(baseUrl);
-  url.search = "";
-
-  if (isStrategy(state.strategy)) {
-    url.searchParams.set(PARAM_KEYS.strategy, state.strategy);
+function writeShareParams(searchParams, state) {
+  if (isPresetId(state.preset)) {
+    searchParams.set(PARAM_KEYS.preset, state.preset);
+  }
+  if (isBackoffStrategy(state.strategy)) {
+    searchParams.set(PARAM_KEYS.strategy, state.strategy);
   }
 
   if (typeof state.initialDelayMs === "string") {
-    url.searchParams.set(PARAM_KEYS.initialDelayMs, state.initialDelayMs);
+    searchParams.set(PARAM_KEYS.initialDelayMs, state.initialDelayMs);
   }
   if (typeof state.maxRetries === "string") {
-    url.searchParams.set(PARAM_KEYS.maxRetries, state.maxRetries);
+    searchParams.set(PARAM_KEYS.maxRetries, state.maxRetries);
   }
   if (typeof state.maxDelayMs === "string") {
-    url.searchParams.set(PARAM_KEYS.maxDelayMs, state.maxDelayMs);
+    searchParams.set(PARAM_KEYS.maxDelayMs, state.maxDelayMs);
+  }
+  if (typeof state.minDelayMs === "string") {
+    searchParams.set(PARAM_KEYS.minDelayMs, state.minDelayMs);
+  }
+  if (typeof state.maxElapsedMs === "string") {
+    searchParams.set(PARAM_KEYS.maxElapsedMs, state.maxElapsedMs);
+  }
+  if (isElapsedBudgetMode(state.elapsedBudgetMode)) {
+    searchParams.set(PARAM_KEYS.elapsedBudgetMode, state.elapsedBudgetMode);
+  }
+  if (isAttemptDurationMode(state.attemptDurationMode)) {
+    searchParams.set(PARAM_KEYS.attemptDurationMode, state.attemptDurationMode);
+  }
+  if (typeof state.attemptTimeoutMs === "string") {
+    searchParams.set(PARAM_KEYS.attemptTimeoutMs, state.attemptTimeoutMs);
+  }
+  if (typeof state.attemptP50Ms === "string") {
+    searchParams.set(PARAM_KEYS.attemptP50Ms, state.attemptP50Ms);
+  }
+  if (typeof state.attemptP99Ms === "string") {
+    searchParams.set(PARAM_KEYS.attemptP99Ms, state.attemptP99Ms);
+  }
+  if (isFailureModel(state.failureModel)) {
+    searchParams.set(PARAM_KEYS.failureModel, state.failureModel);
+  }
+  if (typeof state.failureProbability === "string") {
+    searchParams.set(PARAM_KEYS.failureProbability, state.failureProbability);
+  }
+  if (typeof state.failureProbabilities === "string") {
+    searchParams.set(PARAM_KEYS.failureProbabilities, state.failureProbabilities);
+  }
+  if (typeof state.maxTokens === "string") {
+    searchParams.set(PARAM_KEYS.maxTokens, state.maxTokens);
+  }
+  if (typeof state.tokenRatio === "string") {
+    searchParams.set(PARAM_KEYS.tokenRatio, state.tokenRatio);
+  }
+  if (typeof state.throttleRequests === "string") {
+    searchParams.set(PARAM_KEYS.throttleRequests, state.throttleRequests);
+  }
+  if (typeof state.herdClients === "string") {
+    searchParams.set(PARAM_KEYS.herdClients, state.herdClients);
+  }
+  if (isScenarioMode(state.scenarioMode)) {
+    searchParams.set(PARAM_KEYS.scenarioMode, state.scenarioMode);
+  }
+  if (typeof state.outageMs === "string") {
+    searchParams.set(PARAM_KEYS.outageMs, state.outageMs);
+  }
+  if (typeof state.recoveryCapacity === "string") {
+    searchParams.set(PARAM_KEYS.recoveryCapacity, state.recoveryCapacity);
+  }
+  if (isBreakerMode(state.breakerMode)) {
+    searchParams.set(PARAM_KEYS.breakerMode, state.breakerMode);
+  }
+  if (typeof state.breakerFailureThreshold === "string") {
+    searchParams.set(PARAM_KEYS.breakerFailureThreshold, state.breakerFailureThreshold);
+  }
+  if (typeof state.breakerOpenMs === "string") {
+    searchParams.set(PARAM_KEYS.breakerOpenMs, state.breakerOpenMs);
+  }
+  if (typeof state.breakerHalfOpenProbes === "string") {
+    searchParams.set(PARAM_KEYS.breakerHalfOpenProbes, state.breakerHalfOpenProbes);
+  }
+  if (isRetryAfterRule(state.retryAfterRule)) {
+    searchParams.set(PARAM_KEYS.retryAfterRule, state.retryAfterRule);
+  }
+  if (typeof state.retryAfterFraction === "string") {
+    searchParams.set(PARAM_KEYS.retryAfterFraction, state.retryAfterFraction);
+  }
+  if (typeof state.retryAfterMs === "string") {
+    searchParams.set(PARAM_KEYS.retryAfterMs, state.retryAfterMs);
+  }
+  if (typeof state.retryAfterMaxMs === "string") {
+    searchParams.set(PARAM_KEYS.retryAfterMaxMs, state.retryAfterMaxMs);
+  }
+  if (typeof state.waitThresholds === "string") {
+    searchParams.set(PARAM_KEYS.waitThresholds, state.waitThresholds);
+  }
+  if (isRetryIndexBase(state.retryIndexBase)) {
+    searchParams.set(PARAM_KEYS.retryIndexBase, state.retryIndexBase);
+  }
+  if (isInitialAttemptMode(state.initialAttempt)) {
+    searchParams.set(PARAM_KEYS.initialAttempt, state.initialAttempt);
+  }
+  // Most policies have a single phase, so an empty list stays out of the link.
+  if (typeof state.phases === "string" && state.phases.trim() !== "") {
+    searchParams.set(PARAM_KEYS.phases, state.phases);
   }
   if (typeof state.factor === "string") {
-    url.searchParams.set(PARAM_KEYS.factor, state.factor);
+    searchParams.set(PARAM_KEYS.factor, state.factor);
   }
   if (typeof state.incrementMs === "string") {
-    url.searchParams.set(PARAM_KEYS.incrementMs, state.incrementMs);
+    searchParams.set(PARAM_KEYS.incrementMs, state.incrementMs);
+  }
+  if (typeof state.exponent === "string") {
+    searchParams.set(PARAM_KEYS.exponent, state.exponent);
+  }
+  if (typeof state.customDelays === "string") {
+    searchParams.set(PARAM_KEYS.customDelays, state.customDelays);
+  }
+  if (isSequenceEndMode(state.sequenceEnd)) {
+    searchParams.set(PARAM_KEYS.sequenceEnd, state.sequenceEnd);
+  }
+  if (typeof state.expression === "string") {
+    searchParams.set(PARAM_KEYS.expression, state.expression);
   }
   if (isJitterType(state.jitter)) {
-    url.searchParams.set(PARAM_KEYS.jitter, state.jitter);
+    searchParams.set(PARAM_KEYS.jitter, state.jitter);
+  }
+  if (typeof state.randomizationFactor === "string") {
+    searchParams.set(PARAM_KEYS.randomizationFactor, state.randomizationFactor);
+  }
+  if (isJitterOrder(state.jitterOrder)) {
+    searchParams.set(PARAM_KEYS.jitterOrder, state.jitterOrder);
   }
   if (isDisplayMode(state.displayMode)) {
-    url.searchParams.set(PARAM_KEYS.displayMode, state.displayMode);
+    searchParams.set(PARAM_KEYS.displayMode, state.displayMode);
   }
   if (isChartMode(state.chartMode)) {
-    url.searchParams.set(PARAM_KEYS.chartMode, state.chartMode);
+    searchParams.set(PARAM_KEYS.chartMode, state.chartMode);
   }
   if (isChartSeriesMode(state.chartSeriesMode)) {
-    url.searchParams.set(PARAM_KEYS.chartSeriesMode, state.chartSeriesMode);
+    searchParams.set(PARAM_KEYS.chartSeriesMode, state.chartSeriesMode);
+  }
+  if (typeof state.seed === "string" && state.seed !== "") {
+    searchParams.set(PARAM_KEYS.seed, state.seed);
+  }
+}
+
+/**
+ * @param {string} baseUrl
+ * @param {ShareState} state
+ */
+export function createShareUrl(baseUrl, state) {
+  const url = new URL(baseUrl);
+  url.search = "";
+  writeShareParams(url.searchParams, state);
+
+  // Each pinned series travels as its own nested query string, in pin order.
+  for (const comparison of (state.comparisons ?? []).slice(0, MAX_PINNED_SERIES)) {
+    const comparisonParams = new URLSearchParams();
+    comparisonParams.set(COMPARISON_NAME_KEY, comparison.name);
+    writeShareParams(comparisonParams, comparison.state);
+    url.searchParams.append(PARAM_KEYS.comparisons, comparisonParams.toString());
   }
 
   return url.toString();
 }
 
 /**
- * @param {string} urlValue
+ * @param {URLSearchParams} searchParams
  * @returns {ShareState}
  */
-export function readShareStateFromUrl(urlValue) {
-  const url = new URL(urlValue);
-  const strategy = readParam(url.searchParams, PARAM_KEYS.strategy);
-  const jitter = readParam(url.searchParams, PARAM_KEYS.jitter);
-  const displayMode = readParam(url.searchParams, PARAM_KEYS.displayMode);
-  const chartMode = readParam(url.searchParams, PARAM_KEYS.chartMode);
-  const chartSeriesMode = readParam(url.searchParams, PARAM_KEYS.chartSeriesMode);
+function readShareParams(searchParams) {
+  const preset = readParam(searchParams, PARAM_KEYS.preset);
+  const strategy = readParam(searchParams, PARAM_KEYS.strategy);
+  const sequenceEnd = readParam(searchParams, PARAM_KEYS.sequenceEnd);
+  const elapsedBudgetMode = readParam(searchParams, PARAM_KEYS.elapsedBudgetMode);
+  const attemptDurationMode = readParam(searchParams, PARAM_KEYS.attemptDurationMode);
+  const failureModel = readParam(searchParams, PARAM_KEYS.failureModel);
+  const scenarioMode = readParam(searchParams, PARAM_KEYS.scenarioMode);
+  const breakerMode = readParam(searchParams, PARAM_KEYS.breakerMode);
+  const retryAfterRule = readParam(searchParams, PARAM_KEYS.retryAfterRule);
+  const retryIndexBase = readParam(searchParams, PARAM_KEYS.retryIndexBase);
+  const initialAttempt = readParam(searchParams, PARAM_KEYS.initialAttempt);
+  const jitter = readParam(searchParams, PARAM_KEYS.jitter);
+  const jitterOrder = readParam(searchParams, PARAM_KEYS.jitterOrder);
+  const displayMode = readParam(searchParams, PARAM_KEYS.displayMode);
+  const chartMode = readParam(searchParams, PARAM_KEYS.chartMode);
+  const chartSeriesMode = readParam(searchParams, PARAM_KEYS.chartSeriesMode);
   const state = {};
 
-  if (isStrategy(strategy)) {
+  if (isPresetId(preset)) {
+    state.preset = preset;
+  }
+  if (isBackoffStrategy(strategy)) {
     state.strategy = strategy;
   }
 
-  state.initialDelayMs = readParam(url.searchParams, PARAM_KEYS.initialDelayMs);
-  state.maxRetries = readParam(url.searchParams, PARAM_KEYS.maxRetries);
-  state.maxDelayMs = readParam(url.searchParams, PARAM_KEYS.maxDelayMs);
-  state.factor = readParam(url.searchParams, PARAM_KEYS.factor);
-  state.incrementMs = readParam(url.searchParams, PARAM_KEYS.incrementMs);
+  state.initialDelayMs = readParam(searchParams, PARAM_KEYS.initialDelayMs);
+  state.maxRetries = readParam(searchParams, PARAM_KEYS.maxRetries);
+  state.maxDelayMs = readParam(searchParams, PARAM_KEYS.maxDelayMs);
+  state.minDelayMs = readParam(searchParams, PARAM_KEYS.minDelayMs);
+  state.maxElapsedMs = readParam(searchParams, PARAM_KEYS.maxElapsedMs);
+  if (isElapsedBudgetMode(elapsedBudgetMode)) {
+    state.elapsedBudgetMode = elapsedBudgetMode;
+  }
+  if (isAttemptDurationMode(attemptDurationMode)) {
+    state.attemptDurationMode = attemptDurationMode;
+  }
+  state.attemptTimeoutMs = readParam(searchParams, PARAM_KEYS.attemptTimeoutMs);
+  state.attemptP50Ms = readParam(searchParams, PARAM_KEYS.attemptP50Ms);
+  state.attemptP99Ms = readParam(searchParams, PARAM_KEYS.attemptP99Ms);
+  if (isFailureModel(failureModel)) {
+    state.failureModel = failureModel;
+  }
+  state.failureProbability = readParam(searchParams, PARAM_KEYS.failureProbability);
+  state.failureProbabilities = readParam(searchParams, PARAM_KEYS.failureProbabilities);
+  state.maxTokens = readParam(searchParams, PARAM_KEYS.maxTokens);
+  state.tokenRatio = readParam(searchParams, PARAM_KEYS.tokenRatio);
+  state.throttleRequests = readParam(searchParams, PARAM_KEYS.throttleRequests);
+  state.herdClients = readParam(searchParams, PARAM_KEYS.herdClients);
+  if (isScenarioMode(scenarioMode)) {
+    state.scenarioMode = scenarioMode;
+  }
+  state.outageMs = readParam(searchParams, PARAM_KEYS.outageMs);
+  state.recoveryCapacity = readParam(searchParams, PARAM_KEYS.recoveryCapacity);
+  if (isBreakerMode(breakerMode)) {
+    state.breakerMode = breakerMode;
+  }
+  state.breakerFailureThreshold = readParam(searchParams, PARAM_KEYS.breakerFailureThreshold);
+  state.breakerOpenMs = readParam(searchParams, PARAM_KEYS.breakerOpenMs);
+  state.breakerHalfOpenProbes = readParam(searchParams, PARAM_KEYS.breakerHalfOpenProbes);
+  if (isRetryAfterRule(retryAfterRule)) {
+    state.retryAfterRule = retryAfterRule;
+  }
+  state.retryAfterFraction = readParam(searchParams, PARAM_KEYS.retryAfterFraction);
+  state.retryAfterMs = readParam(searchParams, PARAM_KEYS.retryAfterMs);
+  state.retryAfterMaxMs = readParam(searchParams, PARAM_KEYS.retryAfterMaxMs);
+  state.waitThresholds = readParam(searchParams, PARAM_KEYS.waitThresholds);
+  if (isRetryIndexBase(retryIndexBase)) {
+    state.retryIndexBase = retryIndexBase;
+  }
+  if (isInitialAttemptMode(initialAttempt)) {
+    state.initialAttempt = initialAttempt;
+  }
+  state.phases = readParam(searchParams, PARAM_KEYS.phases);
+  state.factor = readParam(searchParams, PARAM_KEYS.factor);
+  state.incrementMs = readParam(searchParams, PARAM_KEYS.incrementMs);
+  state.exponent = readParam(searchParams, PARAM_KEYS.exponent);
+  state.customDelays = readParam(searchParams, PARAM_KEYS.customDelays);
+  if (isSequenceEndMode(sequenceEnd)) {
+    state.sequenceEnd = sequenceEnd;
+  }
+  state.expression = readParam(searchParams, PARAM_KEYS.expression);
   if (isJitterType(jitter)) {
     state.jitter = jitter;
   }
+  state.randomizationFactor = readParam(searchParams, PARAM_KEYS.randomizationFactor);
+  if (isJitterOrder(jitterOrder)) {
+    state.jitterOrder = jitterOrder;
+  }
 
   if (isDisplayMode(displayMode)) {
     state.displayMode = displayMode;
@@ -129,6 +410,34 @@ export function readShareStateFromUrl(urlValue) {
   if (isChartSeriesMode(chartSeriesMode)) {
     state.chartSeriesMode = chartSeriesMode;
   }
+  state.seed = readParam(searchParams, PARAM_KEYS.seed);
+
+  return state;
+}
+
+/**
+ * @param {string} urlValue
+ * @returns {ShareState}
+ */
+export function readShareStateFromUrl(urlValue) {
+  const url = new URL(urlValue);
+  const state = readShareParams(url.searchParams);
+  const comparisons = url.searchParams
+    .getAll(PARAM_KEYS.comparisons)
+    .slice(0, MAX_PINNED_SERIES)
+    .map((value) => {
+      const comparisonParams = new URLSearchParams(value);
+      const comparisonState = readShareParams(comparisonParams);
+      // Empty phase lists stay out of links, so an absent list means the pin had none.
+      comparisonState.phases ??= "";
+      return {
+        name: comparisonParams.get(COMPARISON_NAME_KEY) ?? "",
+        state: comparisonState,
+      };
+    });
+  if (comparisons.length > 0) {
+    state.comparisons = comparisons;
+  }
 
   return state;
 }
@@ -0,0 +1,799 @@
+import { generateSchedule, resolveElapsedBudgetMode, resolveJitterType } from "./backoff.js";
+import { resolveJitterOrder } from "./jitterOrder.js";
+import { parsePhases } from "./phases.js";
+import { resolveRetryAfterRule } from "./retryAfter.js";
+
+/**
+ * @typedef {"p-retry" | "async-retry" | "tenacity" | "cenkalti-backoff" | "resilience4j" |
+ *   "polly" | "rust-backoff"} SnippetLibrary
+ */
+
+/**
+ * @typedef {object} CodeSnippet
+ * @property {SnippetLibrary} library
+ * @property {string} language Language of the code, for syntax classes.
+ * @property {string} code
+ * @property {string[]} notes Settings the library cannot express and what the code does
+ *   instead.
+ */
+
+export const SNIPPET_LIBRARIES = /** @type {const} */ ([
+  "p-retry",
+  "async-retry",
+  "tenacity",
+  "cenkalti-backoff",
+  "resilience4j",
+  "polly",
+  "rust-backoff",
+]);
+
+export const DEFAULT_SNIPPET_LIBRARY = "p-retry";
+
+/**
+ * @param {unknown} value
+ * @returns {value is SnippetLibrary}
+ */
+export function isSnippetLibrary(value) {
+  return (
+    typeof value === "string" && SNIPPET_LIBRARIES.includes(/** @type {SnippetLibrary} */ (value))
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @returns {SnippetLibrary}
+ */
+export function resolveSnippetLibrary(value) {
+  return isSnippetLibrary(value) ? value : DEFAULT_SNIPPET_LIBRARY;
+}
+
+const JITTER_NAMES = {
+  full: "full jitter",
+  equal: "equal jitter",
+  proportional: "proportional jitter",
+  decorrelated: "decorrelated jitter",
+};
+
+const STRATEGY_NAMES = {
+  linear: "linear backoff",
+  fibonacci: "Fibonacci backoff",
+  polynomial: "polynomial backoff",
+  expression: "formula-based delays",
+};
+
+/**
+ * The settings a snippet is written from. Delays are the schedule's own sleeps without jitter
+ * or the elapsed budget, so a listed schedule keeps phases, caps, and the floor exactly.
+ * Decorrelated sleeps grow from the previous draw rather than from the strategy, so their
+ * delays are the expected sleeps the schedule shows.
+ * @typedef {object} SnippetPolicy
+ * @property {"exponential" | "linear" | "fixed" | "listed"} shape How the delay grows;
+ *   "listed" when only the computed delays describe it.
+ * @property {string} listReason Why the delays are listed, for notes.
+ * @property {number} retries
+ * @property {number} initialDelayMs
+ * @property {number} factor
+ * @property {number} incrementMs
+ * @property {number | null} capMs
+ * @property {number | null} floorMs
+ * @property {number[]} delaysMs
+ * @property {import("./backoff.js").JitterType} jitter
+ * @property {number} randomizationFactor
+ * @property {boolean} capsDraw True when jitter-then-cap applies: jitter and a cap are both set.
+ * @property {number | null} budgetMs
+ * @property {import("./backoff.js").ElapsedBudgetMode} budgetMode
+ */
+
+/**
+ * @param {import("./backoff.js").BackoffConfig} config
+ * @returns {SnippetPolicy}
+ */
+function snippetPolicy(config) {
+  const hasPhases = parsePhases(config.phases).phases.length > 0;
+  const floorMs = config.minDelayMs != null && config.minDelayMs > 0 ? config.minDelayMs : null;
+  const capMs = config.maxDelayMs ?? null;
+  const jitter = resolveJitterType(config.jitter);
+  let shape = "listed";
+  let listReason = "";
+  if (hasPhases) {
+    listReason = "multi-phase schedules";
+  } else if (jitter === "decorrelated") {
+    // None of the libraries draws each sleep from the one before it.
+    listReason = JITTER_NAMES.decorrelated;
+  } else if (["exponential", "linear", "fixed"].includes(config.strategy)) {
+    shape = config.strategy;
+    listReason = config.strategy === "linear" ? STRATEGY_NAMES.linear : "";
+  } else if (config.strategy !== "custom") {
+    listReason = STRATEGY_NAMES[config.strategy] ?? "this strategy";
+  }
+
+  return {
+    shape,
+    listReason,
+    retries: config.maxRetries,
+    initialDelayMs: config.initialDelayMs,
+    factor: config.strategy === "fixed" ? 1 : config.factor,
+    incrementMs: config.incrementMs,
+    capMs,
+    floorMs,
+    delaysMs: generateSchedule({
+      ...config,
+      jitter: jitter === "decorrelated" ? jitter : "none",
+      maxElapsedMs: null,
+    }).map((point) => point.delayMs),
+    jitter,
+    randomizationFactor: config.randomizationFactor ?? 0,
+    capsDraw:
+      jitter !== "none" &&
+      capMs !== null &&
+      resolveJitterOrder(config.jitterOrder) === "jitter-then-cap",
+    budgetMs: config.maxElapsedMs ?? null,
+    budgetMode: resolveElapsedBudgetMode(config.elapsedBudgetMode),
+  };
+}
+
+/**
+ * Fall back to the computed delays, noting why unless the inputs already were a list.
+ * @param {SnippetPolicy} policy
+ * @param {string} name
+ * @param {string[]} notes
+ * @param {string} [reason] Overrides the policy's own reason.
+ */
+function listDelays(policy, name, notes, reason = policy.listReason) {
+  if (reason !== "") {
+    notes.push(`${name} has no ${reason}; the snippet lists the computed delays.`);
+  }
+  if (policy.jitter === "decorrelated") {
+    notes.push(
+      "The listed delays are the expected decorrelated sleeps; every client sleeps the same " +
+        "rather than drawing at random.",
+    );
+  } else if (policy.jitter !== "none") {
+    notes.push(`The listed delays are unjittered, so ${JITTER_NAMES[policy.jitter]} is left off.`);
+  }
+  return { ...policy, shape: /** @type {const} */ ("listed") };
+}
+
+/**
+ * @param {SnippetPolicy} policy
+ * @param {string} name
+ * @param {string[]} notes
+ */
+function noteMissingJitter(policy, name, notes) {
+  if (policy.jitter !== "none") {
+    notes.push(`${name} has no ${JITTER_NAMES[policy.jitter]}; the snippet leaves jitter off.`);
+  }
+}
+
+/**
+ * @param {SnippetPolicy} policy
+ * @param {string} name
+ * @param {string[]} notes
+ */
+function noteBudget(policy, name, notes) {
+  if (policy.budgetMs !== null && policy.budgetMode === "clip") {
+    notes.push(
+      `${name} cannot shorten the last sleep to fit the budget; the snippet stops instead.`,
+    );
+  }
+}
+
+/**
+ * @param {SnippetPolicy} policy
+ * @param {string} name
+ * @param {string[]} notes
+ */
+function noteMissingBudget(policy, name, notes) {
+  if (policy.budgetMs !== null) {
+    notes.push(`${name} has no elapsed-time budget; the snippet stops on the retry count alone.`);
+  }
+}
+
+/**
+ * @param {number} value
+ */
+function numberLiteral(value) {
+  return String(Number(value.toFixed(3)));
+}
+
+/**
+ * Literal with a decimal point, for languages that type 2 and 2.0 differently.
+ * @param {number} value
+ */
+function floatLiteral(value) {
+  const literal = numberLiteral(value);
+  return literal.includes(".") ? literal : `${literal}.0`;
+}
+
+/**
+ * @param {string[]} items
+ * @param {number} [width] Items per line.
+ */
+function wrapItems(items, width = 8) {
+  const lines = [];
+  for (let index = 0; index < items.length; index += width) {
+    lines.push(items.slice(index, index + width).join(", "));
+  }
+  return lines;
+}
+
+/**
+ * @param {SnippetPolicy} policy
+ * @param {string} name
+ * @param {string[]} notes
+ */
+function retryOptionsJs(policy, name, notes) {
+  if (policy.floorMs !== null && policy.shape !== "listed") {
+    policy = listDelays(policy, name, notes, "minimum delay");
+  }
+  if (policy.shape === "listed") {
+    return { policy, options: ["minTimeout: 0", "maxTimeout: 0", "factor: 1", "randomize: false"] };
+  }
+
+  noteMissingJitter(policy, name, notes);
+  const capMs =
+    policy.shape === "fixed" ? policy.initialDelayMs : (policy.capMs ?? Number.POSITIVE_INFINITY);
+  return {
+    policy,
+    options: [
+      `factor: ${numberLiteral(policy.factor)}`,
+      `minTimeout: ${numberLiteral(policy.initialDelayMs)}`,
+      `maxTimeout: ${Number.isFinite(capMs) ? numberLiteral(capMs) : "Infinity"}`,
+      "randomize: false",
+    ],
+  };
+}
+
+/**
+ * @param {SnippetPolicy} policy
+ * @param {string} name
+ * @param {string[]} notes
+ */
+function maxRetryTimeJs(policy, name, notes) {
+  if (policy.budgetMs === null) {
+    return [];
+  }
+  noteBudget(policy, name, notes);
+  notes.push(`${name} checks maxRetryTime after each failure, so the last sleep can overrun it.`);
+  return [`maxRetryTime: ${numberLiteral(policy.budgetMs)}`];
+}
+
+/**
+ * @param {number[]} delaysMs
+ */
+function delaysConstJs(delaysMs) {
+  const items = wrapItems(delaysMs.map(numberLiteral));
+  return [
+    "const delaysMs = [",
+    ...items.map((line) => `  ${line},`),
+    "];",
+    "const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));",
+    "",
+  ];
+}
+
+/**
+ * @param {SnippetPolicy} initialPolicy
+ * @param {string[]} notes
+ */
+function pRetrySnippet(initialPolicy, notes) {
+  const { policy, options } = retryOptionsJs(initialPolicy, "p-retry", notes);
+  const isListed = policy.shape === "listed";
+  const lines = ['import pRetry from "p-retry";', ""];
+  if (isListed) {
+    lines.push(...delaysConstJs(policy.delaysMs));
+  }
+  lines.push(
+    "const result = await pRetry(() => callService(), {",
+    `  retries: ${isListed ? policy.delaysMs.length : policy.retries},`,
+    ...options.map((option) => `  ${option},`),
+    ...maxRetryTimeJs(policy, "p-retry", notes).map((option) => `  ${option},`),
+  );
+  if (isListed) {
+    lines.push(
+      "  // p-retry waits for this promise before the next attempt.",
+      "  onFailedAttempt: ({ attemptNumber }) => sleep(delaysMs[attemptNumber - 1]),",
+    );
+  }
+  lines.push("});");
+  return lines.join("\n");
+}
+
+/**
+ * @param {SnippetPolicy} initialPolicy
+ * @param {string[]} notes
+ */
+function asyncRetrySnippet(initialPolicy, notes) {
+  const { policy, options } = retryOptionsJs(initialPolicy, "async-retry", notes);
+  const isListed = policy.shape === "listed";
+  const lines = ['import retry from "async-retry";', ""];
+  if (isListed) {
+    lines.push(
+      ...delaysConstJs(policy.delaysMs),
+      "const result = await retry(",
+      "  async (bail, attempt) => {",
+      "    // async-retry's own delays are zero; each retry sleeps here first.",
+      "    if (attempt > 1) {",
+      "      await sleep(delaysMs[attempt - 2]);",
+      "    }",
+      "    return callService();",
+      "  },",
+    );
+  } else {
+    lines.push("const result = await retry(async () => callService(), {");
+  }
+  const optionLines = [
+    `retries: ${isListed ? policy.delaysMs.length : policy.retries},`,
+    ...options.map((option) => `${option},`),
+    ...maxRetryTimeJs(policy, "async-retry", notes).map((option) => `${option},`),
+  ];
+  if (isListed) {
+    lines.push("  {", ...optionLines.map((line) => `    ${line}`), "  },", ");");
+  } else {
+    lines.push(...optionLines.map((line) => `  ${line}`), "});");
+  }
+  return lines.join("\n");
+}
+
+/**
+ * @param {number} ms
+ */
+function seconds(ms) {
+  return numberLiteral(ms / 1000);
+}
+
+/**
+ * @param {SnippetPolicy} initialPolicy
+ * @param {string[]} notes
+ */
+function tenacitySnippet(initialPolicy, notes) {
+  let policy = initialPolicy;
+  const imports = new Set(["retry", "stop_after_attempt"]);
+  if (policy.floorMs !== null && policy.shape !== "listed" && policy.shape !== "exponential") {
+    policy = listDelays(policy, "tenacity", notes, `minimum delay for ${policy.shape} waits`);
+  }
+
+  let wait = "";
+  if (policy.shape === "listed") {
+    imports.add("wait_chain").add("wait_fixed");
+    wait = "wait_chain(*[wait_fixed(delay) for delay in DELAYS_S])";
+  } else if (policy.shape === "fixed") {
+    if (policy.jitter === "full") {
+      imports.add("wait_random");
+      wait = `wait_random(0, ${seconds(policy.initialDelayMs)})`;
+    } else {
+      noteMissingJitter(policy, "tenacity", notes);
+      imports.add("wait_fixed");
+      wait = `wait_fixed(${seconds(policy.initialDelayMs)})`;
+    }
+  } else if (policy.shape === "linear") {
+    noteMissingJitter(policy, "tenacity", notes);
+    imports.add("wait_incrementing");
+    const args = [
+      `start=${seconds(policy.initialDelayMs)}`,
+      `increment=${seconds(policy.incrementMs)}`,
+      ...(policy.capMs === null ? [] : [`max=${seconds(policy.capMs)}`]),
+    ];
+    wait = `wait_incrementing(${args.join(", ")})`;
+  } else {
+    const isFull = policy.jitter === "full";
+    if (!isFull) {
+      noteMissingJitter(policy, "tenacity", notes);
+    } else if (policy.capsDraw) {
+      notes.push("tenacity draws below the capped delay instead of capping the draw.");
+    }
+    if (isFull && policy.floorMs !== null) {
+      notes.push("tenacity draws between min and the delay rather than raising low draws to min.");
+    }
+    const waitName = isFull ? "wait_random_exponential" : "wait_exponential";
+    imports.add(waitName);
+    const args = [
+      `multiplier=${seconds(policy.initialDelayMs)}`,
+      `exp_base=${numberLiteral(policy.factor)}`,
+      ...(policy.capMs === null ? [] : [`max=${seconds(policy.capMs)}`]),
+      ...(policy.floorMs === null ? [] : [`min=${seconds(policy.floorMs)}`]),
+    ];
+    wait = `${waitName}(${args.join(", ")})`;
+  }
+
+  const attempts = (policy.shape === "listed" ? policy.delaysMs.length : policy.retries) + 1;
+  let stop = `stop_after_attempt(${attempts})`;
+  if (policy.budgetMs !== null) {
+    noteBudget(policy, "tenacity", notes);
+    imports.add("stop_before_delay");
+    stop = `(${stop} | stop_before_delay(${seconds(policy.budgetMs)}))`;
+  }
+
+  const lines = [`from tenacity import ${[...imports].sort().join(", ")}`, ""];
+  if (policy.shape === "listed") {
+    const items = wrapItems(policy.delaysMs.map(seconds));
+    lines.push("DELAYS_S = [", ...items.map((line) => `    ${line},`), "]", "");
+  }
+  lines.push(
+    "",
+    "@retry(",
+    "    # The attempt count includes the first call.",
+    `    stop=${stop},`,
+    `    wait=${wait},`,
+    "    reraise=True,",
+    ")",
+    "def call_service():",
+    "    ...",
+  );
+  if (policy.budgetMs !== null) {
+    lines.splice(lines.indexOf("@retry("), 0, "# stop_before_delay needs tenacity 8.3 or later.");
+  }
+  return lines.join("\n");
+}
+
+/**
+ * @param {number} ms
+ */
+function goDuration(ms) {
+  const units = [
+    [3600000, "time.Hour"],
+    [60000, "time.Minute"],
+    [1000, "time.Second"],
+    [1, "time.Millisecond"],
+  ];
+  if (ms === 0) {
+    return "0";
+  }
+  for (const [unitMs, unit] of units) {
+    if (ms % unitMs === 0) {
+      return `${ms / unitMs} * ${unit}`;
+    }
+  }
+  return `${Math.round(ms * 1000)} * time.Microsecond`;
+}
+
+/**
+ * @param {SnippetPolicy} initialPolicy
+ * @param {string[]} notes
+ */
+function cenkaltiSnippet(initialPolicy, notes) {
+  let policy = initialPolicy;
+  if (policy.floorMs !== null && policy.shape !== "listed") {
+    policy = listDelays(policy, "cenkalti/backoff", notes, "minimum delay");
+  }
+
+  if (policy.shape === "listed") {
+    noteMissingBudget(policy, "The delay list", notes);
+    const items = wrapItems(policy.delaysMs.map(goDuration), 4);
+    return [
+      "import (",
+      '\t"time"',
+      "",
+      '\t"github.com/cenkalti/backoff/v4"',
+      ")",
+      "",
+      "// delaySequence replays a fixed list of sleeps, then stops.",
+      "type delaySequence struct {",
+      "\tdelays []time.Duration",
+      "\tnext   int",
+      "}",
+      "",
+      "func (s *delaySequence) NextBackOff() time.Duration {",
+      "\tif s.next >= len(s.delays) {",
+      "\t\treturn backoff.Stop",
+      "\t}",
+      "\ts.next++",
+      "\treturn s.delays[s.next-1]",
+      "}",
+      "",
+      "func (s *delaySequence) Reset() { s.next = 0 }",
+      "",
+      "func retryCallService() error {",
+      "\tpolicy := &delaySequence{delays: []time.Duration{",
+      ...items.map((line) => `\t\t${line},`),
+      "\t}}",
+      "\treturn backoff.Retry(callService, policy)",
+      "}",
+    ].join("\n");
+  }
+
+  if (policy.jitter !== "proportional") {
+    noteMissingJitter(policy, "cenkalti/backoff", notes);
+  } else if (policy.capsDraw) {
+    notes.push("cenkalti/backoff jitters the capped delay, so draws can exceed the cap.");
+  }
+  const capMs = policy.shape === "fixed" ? policy.initialDelayMs : policy.capMs;
+  const imports = capMs === null ? ['\t"math"', '\t"time"'] : ['\t"time"'];
+  if (policy.budgetMs !== null) {
+    noteBudget(policy, "cenkalti/backoff", notes);
+  }
+  return [
+    "import (",
+    ...imports,
+    "",
+    '\t"github.com/cenkalti/backoff/v4"',
+    ")",
+    "",
+    "func retryCallService() error {",
+    "\tb := backoff.NewExponentialBackOff()",
+    `\tb.InitialInterval = ${goDuration(policy.initialDelayMs)}`,
+    `\tb.Multiplier = ${numberLiteral(policy.factor)}`,
+    `\tb.MaxInterval = ${capMs === null ? "time.Duration(math.MaxInt64)" : goDuration(capMs)}`,
+    `\tb.RandomizationFactor = ${
+      policy.jitter === "proportional" ? numberLiteral(policy.randomizationFactor) : "0"
+    }`,
+    policy.budgetMs === null
+      ? "\tb.MaxElapsedTime = 0 // The default stops after 15 minutes."
+      : `\tb.MaxElapsedTime = ${goDuration(policy.budgetMs)}`,
+    `\treturn backoff.Retry(callService, backoff.WithMaxRetries(b, ${policy.retries}))`,
+    "}",
+  ].join("\n");
+}
+
+/**
+ * @param {number} ms
+ */
+function javaMillis(ms) {
+  return `${Math.round(ms)}L`;
+}
+
+/**
+ * @param {SnippetPolicy} initialPolicy
+ * @param {string[]} notes
+ */
+function resilience4jSnippet(initialPolicy, notes) {
+  let policy = initialPolicy;
+  if (policy.floorMs !== null && policy.shape !== "listed") {
+    policy = listDelays(policy, "resilience4j", notes, "minimum delay");
+  }
+  noteMissingBudget(policy, "resilience4j", notes);
+
+  let intervalFunction = "";
+  const lines = [
+    "import io.github.resilience4j.core.IntervalFunction;",
+    "import io.github.resilience4j.retry.Retry;",
+    "import io.github.resilience4j.retry.RetryConfig;",
+    "",
+  ];
+  if (policy.shape === "listed") {
+    lines.splice(0, 1);
+    const items = wrapItems(policy.delaysMs.map(javaMillis), 6);
+    lines.push("long[] delaysMs = {", ...items.map((line) => `    ${line},`), "};");
+    intervalFunction = "attempt -> delaysMs[attempt - 1]";
+  } else {
+    const isProportional = policy.jitter === "proportional";
+    if (!isProportional) {
+      noteMissingJitter(policy, "resilience4j", notes);
+    } else if (policy.capsDraw) {
+      notes.push("resilience4j jitters the capped delay, so draws can exceed the cap.");
+    }
+    const rf = floatLiteral(policy.randomizationFactor);
+    if (policy.shape === "fixed") {
+      intervalFunction = isProportional
+        ? `IntervalFunction.ofRandomized(${javaMillis(policy.initialDelayMs)}, ${rf})`
+        : `IntervalFunction.of(${javaMillis(policy.initialDelayMs)})`;
+    } else {
+      const args = [
+        javaMillis(policy.initialDelayMs),
+        floatLiteral(policy.factor),
+        ...(isProportional ? [rf] : []),
+        ...(policy.capMs === null ? [] : [javaMillis(policy.capMs)]),
+      ];
+      intervalFunction = `IntervalFunction.${
+        isProportional ? "ofExponentialRandomBackoff" : "ofExponentialBackoff"
+      }(${args.join(", ")})`;
+    }
+  }
+
+  const retries = policy.shape === "listed" ? policy.delaysMs.length : policy.retries;
+  lines.push(
+    "RetryConfig config = RetryConfig.custom()",
+    "    // maxAttempts includes the first call.",
+    `    .maxAttempts(${retries + 1})`,
+    `    .intervalFunction(${intervalFunction})`,
+    "    .build();",
+    'Retry retry = Retry.of("callService", config);',
+  );
+  return lines.join("\n");
+}
+
+/**
+ * @param {number} ms
+ */
+function timeSpan(ms) {
+  return ms % 1000 === 0
+    ? `TimeSpan.FromSeconds(${ms / 1000})`
+    : `TimeSpan.FromMilliseconds(${numberLiteral(ms)})`;
+}
+
+/**
+ * @param {SnippetPolicy} initialPolicy
+ * @param {string[]} notes
+ */
+function pollySnippet(initialPolicy, notes) {
+  let policy = initialPolicy;
+  if (policy.shape === "exponential" && policy.factor !== 2) {
+    policy = listDelays(policy, "Polly", notes, "exponential factor other than 2");
+  } else if (policy.floorMs !== null && policy.shape !== "listed") {
+    policy = listDelays(policy, "Polly", notes, "minimum delay");
+  }
+  noteMissingBudget(policy, "Polly", notes);
+
+  const lines = ["using Polly;", "using Polly.Retry;", ""];
+  const options = [];
+  if (policy.shape === "listed") {
+    const items = wrapItems(policy.delaysMs.map(numberLiteral));
+    lines.push("double[] delaysMs =", "{", ...items.map((line) => `    ${line},`), "};", "");
+    options.push(
+      "MaxRetryAttempts = delaysMs.Length,",
+      "// AttemptNumber counts retries from 0.",
+      "DelayGenerator = args => ValueTask.FromResult<TimeSpan?>(",
+      "    TimeSpan.FromMilliseconds(delaysMs[args.AttemptNumber])),",
+    );
+  } else {
+    // Polly's constant jitter spreads each sleep by ±25%; its exponential jitter is its own
+    // decorrelated formula.
+    const usesJitter =
+      policy.shape === "fixed" &&
+      policy.jitter === "proportional" &&
+      policy.randomizationFactor === 0.25;
+    if (!usesJitter && policy.jitter === "proportional") {
+      notes.push(
+        policy.shape === "fixed"
+          ? "Polly's jitter is fixed at ±25%; the snippet leaves jitter off."
+          : "Polly's exponential jitter uses its own decorrelated formula; the snippet leaves " +
+              "jitter off.",
+      );
+    } else if (!usesJitter) {
+      noteMissingJitter(policy, "Polly", notes);
+    }
+    const capMs = policy.shape === "fixed" ? null : policy.capMs;
+    options.push(
+      `MaxRetryAttempts = ${policy.retries},`,
+      `BackoffType = DelayBackoffType.${policy.shape === "fixed" ? "Constant" : "Exponential"},`,
+      `Delay = ${timeSpan(policy.initialDelayMs)},`,
+      ...(capMs === null ? [] : [`MaxDelay = ${timeSpan(capMs)},`]),
+      `UseJitter = ${usesJitter ? "true" : "false"},`,
+    );
+  }
+
+  lines.push(
+    "var pipeline = new ResiliencePipelineBuilder()",
+    "    .AddRetry(new RetryStrategyOptions",
+    "    {",
+    ...options.map((option) => `        ${option}`),
+    "    })",
+    "    .Build();",
+  );
+  return lines.join("\n");
+}
+
+/**
+ * @param {number} ms
+ */
+function rustDuration(ms) {
+  if (ms % 1000 === 0) {
+    return `Duration::from_secs(${ms / 1000})`;
+  }
+  return Number.isInteger(ms)
+    ? `Duration::from_millis(${ms})`
+    : `Duration::from_secs_f64(${floatLiteral(ms / 1000)})`;
+}
+
+/**
+ * @param {SnippetPolicy} initialPolicy
+ * @param {string[]} notes
+ */
+function rustBackoffSnippet(initialPolicy, notes) {
+  let policy = initialPolicy;
+  if (policy.floorMs !== null && policy.shape !== "listed") {
+    policy = listDelays(policy, "The backoff crate", notes, "minimum delay");
+  }
+
+  if (policy.shape === "listed") {
+    noteMissingBudget(policy, "The delay list", notes);
+    const items = wrapItems(policy.delaysMs.map(rustDuration), 3);
+    return [
+      "use std::time::Duration;",
+      "",
+      "use backoff::backoff::Backoff;",
+      "",
+      "/// Replays a fixed list of sleeps, then stops.",
+      "struct DelaySequence {",
+      "    delays: Vec<Duration>,",
+      "    next: usize,",
+      "}",
+      "",
+      "impl Backoff for DelaySequence {",
+      "    fn next_backoff(&mut self) -> Option<Duration> {",
+      "        let delay = self.delays.get(self.next).copied();",
+      "        self.next += 1;",
+      "        delay",
+      "    }",
+      "",
+      "    fn reset(&mut self) {",
+      "        self.next = 0;",
+      "    }",
+      "}",
+      "",
+      "let policy = DelaySequence {",
+      "    delays: vec![",
+      ...items.map((line) => `        ${line},`),
+      "    ],",
+      "    next: 0,",
+      "};",
+      "let result = backoff::retry(policy, || call_service().map_err(backoff::Error::transient));",
+    ].join("\n");
+  }
+
+  if (policy.jitter !== "proportional") {
+    noteMissingJitter(policy, "The backoff crate", notes);
+  } else if (policy.capsDraw) {
+    notes.push("The backoff crate jitters the capped delay, so draws can exceed the cap.");
+  }
+  if (policy.budgetMs !== null) {
+    noteBudget(policy, "The backoff crate", notes);
+  }
+  const capMs = policy.shape === "fixed" ? policy.initialDelayMs : policy.capMs;
+  return [
+    "use std::time::Duration;",
+    "",
+    "use backoff::ExponentialBackoffBuilder;",
+    "",
+    "let policy = ExponentialBackoffBuilder::new()",
+    `    .with_initial_interval(${rustDuration(policy.initialDelayMs)})`,
+    `    .with_multiplier(${floatLiteral(policy.factor)})`,
+    `    .with_max_interval(${capMs === null ? "Duration::MAX" : rustDuration(capMs)})`,
+    `    .with_randomization_factor(${
+      policy.jitter === "proportional" ? floatLiteral(policy.randomizationFactor) : "0.0"
+    })`,
+    `    .with_max_elapsed_time(${
+      policy.budgetMs === null ? "None" : `Some(${rustDuration(policy.budgetMs)})`
+    })`,
+    "    .build();",
+    "",
+    "// The crate has no retry limit, so the operation counts its own failures.",
+    "let mut failures = 0;",
+    "let result = backoff::retry(policy, || {",
+    "    call_service().map_err(|err| {",
+    "        failures += 1;",
+    `        if failures > ${policy.retries} {`,
+    "            backoff::Error::permanent(err)",
+    "        } else {",
+    "            backoff::Error::transient(err)",
+    "        }",
+    "    })",
+    "});",
+  ].join("\n");
+}
+
+/**
+ * Language, the name notes use, and whether the library grows delays linearly, per library.
+ */
+const SNIPPET_GENERATORS = {
+  "p-retry": { language: "javascript", name: "p-retry", generate: pRetrySnippet },
+  "async-retry": { language: "javascript", name: "async-retry", generate: asyncRetrySnippet },
+  tenacity: { language: "python", name: "tenacity", linear: true, generate: tenacitySnippet },
+  "cenkalti-backoff": { language: "go", name: "cenkalti/backoff", generate: cenkaltiSnippet },
+  resilience4j: { language: "java", name: "resilience4j", generate: resilience4jSnippet },
+  polly: { language: "csharp", name: "Polly", generate: pollySnippet },
+  "rust-backoff": { language: "rust", name: "The backoff crate", generate: rustBackoffSnippet },
+};
+
+/**
+ * Ready-to-paste retry code for a library, with a note for every setting the library cannot
+ * express. Only the retry policy is written; the simulated environment is not.
+ * @param {SnippetLibrary} library
+ * @param {import("./backoff.js").BackoffConfig} config A config that passes validation.
+ * @returns {CodeSnippet}
+ */
+export function generateSnippet(library, config) {
+  const resolvedLibrary = resolveSnippetLibrary(library);
+  const { language, name, linear = false, generate } = SNIPPET_GENERATORS[resolvedLibrary];
+  /** @type {string[]} */
+  const notes = [];
+  let policy = snippetPolicy(config);
+  if (policy.shape === "listed" || (policy.shape === "linear" && !linear)) {
+    policy = listDelays(policy, name, notes);
+  }
+  const code = generate(policy, notes);
+  if (resolveRetryAfterRule(config.retryAfterRule) !== "ignore") {
+    notes.push("Retry-After hints are not part of the snippet.");
+  }
+  return { library: resolvedLibrary, language, code, notes };
+}
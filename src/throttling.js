@@ -0,0 +1,148 @@
+import { attemptFailureProbabilities } from "./reliability.js";
+
+/**
+ * @typedef {object} ThrottleConfig
+ * @property {number} [maxTokens] Bucket size; retries are allowed only while more than half
+ *   of it remains.
+ * @property {number} [tokenRatio] Tokens refunded by each successful attempt.
+ * @property {number} [throttleRequests] Length of the simulated request stream.
+ */
+
+/**
+ * @typedef {object} ThrottleSimulation
+ * @property {number} requests
+ * @property {number} retriesSent
+ * @property {number} retriesSuppressed Retries the bucket refused; each ends its request.
+ * @property {number} failedRequests
+ * @property {number} unthrottledRetries Retries the same stream sends without a bucket.
+ * @property {number} unthrottledFailedRequests
+ * @property {number} threshold Token level at or below which retries are refused.
+ * @property {number[]} tokenLevels Bucket level after each request.
+ * @property {number[]} cumulativeSuppressed Retries suppressed up to and including each request.
+ */
+
+export const DEFAULT_MAX_TOKENS = 10;
+
+export const DEFAULT_TOKEN_RATIO = 0.1;
+
+export const DEFAULT_THROTTLE_REQUESTS = 1000;
+
+export const MAX_THROTTLE_TOKENS = 1000;
+
+export const MAX_THROTTLE_REQUESTS = 10000;
+
+/**
+ * The simulation also needs valid failure inputs; see validateFailureModelConfig.
+ * @param {ThrottleConfig} config
+ * @returns {import("./backoff.js").ValidationError[]}
+ */
+export function validateThrottleConfig(config) {
+  const errors = [];
+
+  if (
+    config.maxTokens !== undefined &&
+    (!Number.isFinite(config.maxTokens) ||
+      config.maxTokens <= 0 ||
+      config.maxTokens > MAX_THROTTLE_TOKENS)
+  ) {
+    errors.push({ field: "maxTokens", message: `Must be > 0 and <= ${MAX_THROTTLE_TOKENS}.` });
+  }
+
+  if (
+    config.tokenRatio !== undefined &&
+    (!Number.isFinite(config.tokenRatio) || config.tokenRatio <= 0)
+  ) {
+    errors.push({ field: "tokenRatio", message: "Must be > 0." });
+  }
+
+  if (
+    config.throttleRequests !== undefined &&
+    (!Number.isInteger(config.throttleRequests) ||
+      config.throttleRequests < 1 ||
+      config.throttleRequests > MAX_THROTTLE_REQUESTS)
+  ) {
+    errors.push({
+      field: "throttleRequests",
+      message: `Must be an integer between 1 and ${MAX_THROTTLE_REQUESTS}.`,
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Run a stream of requests through the schedule with gRPC-style retry throttling. The bucket
+ * starts full; every failed attempt spends one token and every success refunds tokenRatio.
+ * Each attempt's outcome is drawn once and shared with an unthrottled run of the same
+ * stream, so the two differ only by the retries the bucket refused.
+ * @param {import("./backoff.js").BackoffConfig & ThrottleConfig} config
+ * @param {import("./backoff.js").RetryPoint[]} points
+ * @param {import("./random.js").RandomSource} random
+ * @returns {ThrottleSimulation}
+ */
+export function simulateRetryThrottling(config, points, random) {
+  const requests = config.throttleRequests ?? DEFAULT_THROTTLE_REQUESTS;
+  const maxTokens = config.maxTokens ?? DEFAULT_MAX_TOKENS;
+  const tokenRatio = config.tokenRatio ?? DEFAULT_TOKEN_RATIO;
+  const threshold = maxTokens / 2;
+  const probabilities = attemptFailureProbabilities(config, points.length + 1);
+
+  let tokens = maxTokens;
+  let retriesSent = 0;
+  let retriesSuppressed = 0;
+  let failedRequests = 0;
+  let unthrottledRetries = 0;
+  let unthrottledFailedRequests = 0;
+  const tokenLevels = [];
+  const cumulativeSuppressed = [];
+
+  for (let request = 0; request < requests; request += 1) {
+    let throttledGaveUp = false;
+    let succeeded = false;
+
+    for (const [attempt, failureProbability] of probabilities.entries()) {
+      const failed = random() < failureProbability;
+      if (attempt > 0) {
+        unthrottledRetries += 1;
+      }
+
+      if (!throttledGaveUp) {
+        if (attempt > 0 && tokens <= threshold) {
+          retriesSuppressed += 1;
+          throttledGaveUp = true;
+        } else {
+          if (attempt > 0) {
+            retriesSent += 1;
+          }
+          tokens = failed ? Math.max(0, tokens - 1) : Math.min(maxTokens, tokens + tokenRatio);
+        }
+      }
+
+      if (!failed) {
+        succeeded = true;
+        break;
+      }
+    }
+
+    if (!succeeded) {
+      unthrottledFailedRequests += 1;
+    }
+    if (!succeeded || throttledGaveUp) {
+      failedRequests += 1;
+    }
+    tokenLevels.push(tokens);
+    cumulativeSuppressed.push(retriesSuppressed);
+  }
+
+  return {
+    requests,
+    retriesSent,
+    retriesSuppressed,
+    failedRequests,
+    unthrottledRetries,
+    unthrottledFailedRequests,
+    threshold,
+    tokenLevels,
+    cumulativeSuppressed,
+  };
+}
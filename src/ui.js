@@ -1,5 +1,18 @@
 import { DEFAULT_DISPLAY_MODE, formatDuration, resolveDisplayMode, unitLabel } from "./display.js";
-import { DEFAULT_JITTER_TYPE, resolveJitterType } from "./backoff.js";
+import {
+  DEFAULT_JITTER_TYPE,
+  resolveElapsedBudgetMode,
+  resolveJitterType,
+} from "./backoff.js";
+import { resolveAttemptDurationMode } from "./attemptDuration.js";
+import { resolveBreakerMode } from "./circuitBreaker.js";
+import { resolveSequenceEndMode } from "./delaySequence.js";
+import { resolveSolveParameter } from "./goalSeek.js";
+import { resolveJitterOrder } from "./jitterOrder.js";
+import { resolveFailureModel } from "./reliability.js";
+import { resolveRetryAfterRule } from "./retryAfter.js";
+import { resolveInitialAttemptMode, resolveRetryIndexBase, retryLabel } from "./retryIndex.js";
+import { resolveScenarioMode } from "./scenarioMode.js";
 
 /**
  * @typedef {import("./display.js").DisplayMode} DisplayMode
@@ -12,6 +25,15 @@ const MATH_NUMBER_FORMATTER = new Intl.NumberFormat("en-US", {
   useGrouping: false,
   maximumFractionDigits: 3,
 });
+const PERCENT_FORMATTER = new Intl.NumberFormat("en-US", {
+  style: "percent",
+  maximumFractionDigits: 4,
+});
+const DECIMAL_FORMATTER = new Intl.NumberFormat("en-US", { maximumFractionDigits: 2 });
+const SHARE_FORMATTER = new Intl.NumberFormat("en-US", {
+  style: "percent",
+  maximumFractionDigits: 1,
+});
 let pendingMathTypesetContainer = null;
 let mathTypesetQueue = Promise.resolve();
 
@@ -102,13 +124,51 @@ export function enforceNonNegativeIntegerInput(input) {
  *   initialDelayMs: HTMLInputElement,
  *   maxRetries: HTMLInputElement,
  *   maxDelayMs: HTMLInputElement,
+ *   minDelayMs: HTMLInputElement,
+ *   maxElapsedMs: HTMLInputElement,
+ *   elapsedBudgetMode: HTMLSelectElement,
+ *   attemptDurationMode: HTMLSelectElement,
+ *   attemptTimeoutMs: HTMLInputElement,
+ *   attemptP50Ms: HTMLInputElement,
+ *   attemptP99Ms: HTMLInputElement,
+ *   failureModel: HTMLSelectElement,
+ *   failureProbability: HTMLInputElement,
+ *   failureProbabilities: HTMLInputElement,
+ *   maxTokens: HTMLInputElement,
+ *   tokenRatio: HTMLInputElement,
+ *   throttleRequests: HTMLInputElement,
+ *   herdClients: HTMLInputElement,
+ *   scenarioMode: HTMLSelectElement,
+ *   outageMs: HTMLInputElement,
+ *   recoveryCapacity: HTMLInputElement,
+ *   breakerMode: HTMLSelectElement,
+ *   breakerFailureThreshold: HTMLInputElement,
+ *   breakerOpenMs: HTMLInputElement,
+ *   breakerHalfOpenProbes: HTMLInputElement,
+ *   retryAfterRule: HTMLSelectElement,
+ *   retryAfterFraction: HTMLInputElement,
+ *   retryAfterMs: HTMLInputElement,
+ *   retryAfterMaxMs: HTMLInputElement,
+ *   waitThresholds: HTMLInputElement,
+ *   retryIndexBase: HTMLSelectElement,
+ *   initialAttempt: HTMLSelectElement,
+ *   phases: HTMLInputElement,
  *   factor: HTMLInputElement,
  *   incrementMs: HTMLInputElement,
- *   jitterInputs: HTMLInputElement[]
+ *   exponent: HTMLInputElement,
+ *   customDelays: HTMLInputElement,
+ *   sequenceEnd: HTMLSelectElement,
+ *   expression: HTMLInputElement,
+ *   jitterInputs: HTMLInputElement[],
+ *   randomizationFactor: HTMLInputElement,
+ *   jitterOrder: HTMLSelectElement
  * }} inputs
  */
 export function readConfigFromInputs(inputs) {
   const maxDelayRaw = inputs.maxDelayMs.value.trim();
+  const minDelayRaw = inputs.minDelayMs.value.trim();
+  const maxElapsedRaw = inputs.maxElapsedMs.value.trim();
+  const retryAfterMaxRaw = inputs.retryAfterMaxMs.value.trim();
   const strategy = inputs.strategyInputs.find((input) => input.checked)?.value ?? "";
   const jitter = resolveJitterType(inputs.jitterInputs.find((input) => input.checked)?.value);
 
@@ -117,19 +177,66 @@ export function readConfigFromInputs(inputs) {
     initialDelayMs: toNumber(inputs.initialDelayMs.value),
     maxRetries: toNumber(inputs.maxRetries.value),
     maxDelayMs: maxDelayRaw === "" ? null : toNumber(maxDelayRaw),
+    minDelayMs: minDelayRaw === "" ? null : toNumber(minDelayRaw),
+    maxElapsedMs: maxElapsedRaw === "" ? null : toNumber(maxElapsedRaw),
+    elapsedBudgetMode: resolveElapsedBudgetMode(inputs.elapsedBudgetMode.value),
+    attemptDurationMode: resolveAttemptDurationMode(inputs.attemptDurationMode.value),
+    attemptTimeoutMs: toNumber(inputs.attemptTimeoutMs.value),
+    attemptP50Ms: toNumber(inputs.attemptP50Ms.value),
+    attemptP99Ms: toNumber(inputs.attemptP99Ms.value),
+    failureModel: resolveFailureModel(inputs.failureModel.value),
+    failureProbability: toNumber(inputs.failureProbability.value),
+    failureProbabilities: inputs.failureProbabilities.value,
+    maxTokens: toNumber(inputs.maxTokens.value),
+    tokenRatio: toNumber(inputs.tokenRatio.value),
+    throttleRequests: toNumber(inputs.throttleRequests.value),
+    herdClients: toNumber(inputs.herdClients.value),
+    scenarioMode: resolveScenarioMode(inputs.scenarioMode.value),
+    outageMs: toNumber(inputs.outageMs.value),
+    recoveryCapacity: toNumber(inputs.recoveryCapacity.value),
+    breakerMode: resolveBreakerMode(inputs.breakerMode.value),
+    breakerFailureThreshold: toNumber(inputs.breakerFailureThreshold.value),
+    breakerOpenMs: toNumber(inputs.breakerOpenMs.value),
+    breakerHalfOpenProbes: toNumber(inputs.breakerHalfOpenProbes.value),
+    retryAfterRule: resolveRetryAfterRule(inputs.retryAfterRule.value),
+    retryAfterFraction: toNumber(inputs.retryAfterFraction.value),
+    retryAfterMs: toNumber(inputs.retryAfterMs.value),
+    retryAfterMaxMs: retryAfterMaxRaw === "" ? null : toNumber(retryAfterMaxRaw),
+    waitThresholds: inputs.waitThresholds.value,
+    retryIndexBase: resolveRetryIndexBase(inputs.retryIndexBase.value),
+    initialAttempt: resolveInitialAttemptMode(inputs.initialAttempt.value),
+    phases: inputs.phases.value,
     factor: toNumber(inputs.factor.value),
     incrementMs: toNumber(inputs.incrementMs.value),
+    exponent: toNumber(inputs.exponent.value),
+    customDelays: inputs.customDelays.value,
+    sequenceEnd: resolveSequenceEndMode(inputs.sequenceEnd.value),
+    expression: inputs.expression.value,
     jitter,
+    randomizationFactor: toNumber(inputs.randomizationFactor.value),
+    jitterOrder: resolveJitterOrder(inputs.jitterOrder.value),
   };
 }
 
 /**
- * @param {"exponential" | "linear" | "fixed"} strategy
- * @param {{factorGroup: HTMLElement, incrementGroup: HTMLElement}} sections
+ * @param {import("./backoff.js").BackoffStrategy} strategy
+ * @param {{
+ *   factorGroup: HTMLElement,
+ *   incrementGroup: HTMLElement,
+ *   exponentGroup: HTMLElement,
+ *   customDelaysGroup: HTMLElement,
+ *   sequenceEndGroup: HTMLElement,
+ *   expressionGroup: HTMLElement
+ * }} sections
  */
 export function setStrategyVisibility(strategy, sections) {
-  sections.factorGroup.hidden = strategy !== "exponential";
-  sections.incrementGroup.hidden = strategy !== "linear";
+  // Expressions can read F and I, so both inputs stay available for them.
+  sections.factorGroup.hidden = strategy !== "exponential" && strategy !== "expression";
+  sections.incrementGroup.hidden = strategy !== "linear" && strategy !== "expression";
+  sections.exponentGroup.hidden = strategy !== "polynomial";
+  sections.customDelaysGroup.hidden = strategy !== "custom";
+  sections.sequenceEndGroup.hidden = strategy !== "custom";
+  sections.expressionGroup.hidden = strategy !== "expression";
 }
 
 /**
@@ -139,15 +246,65 @@ export function setStrategyVisibility(strategy, sections) {
  *     initialDelayMs: HTMLInputElement,
  *     maxRetries: HTMLInputElement,
  *     maxDelayMs: HTMLInputElement,
+ *     minDelayMs: HTMLInputElement,
+ *     maxElapsedMs: HTMLInputElement,
+ *     attemptTimeoutMs: HTMLInputElement,
+ *     attemptP50Ms: HTMLInputElement,
+ *     attemptP99Ms: HTMLInputElement,
+ *     failureProbability: HTMLInputElement,
+ *     failureProbabilities: HTMLInputElement,
+ *     maxTokens: HTMLInputElement,
+ *     tokenRatio: HTMLInputElement,
+ *     throttleRequests: HTMLInputElement,
+ *     herdClients: HTMLInputElement,
+ *     outageMs: HTMLInputElement,
+ *     recoveryCapacity: HTMLInputElement,
+ *     breakerFailureThreshold: HTMLInputElement,
+ *     breakerOpenMs: HTMLInputElement,
+ *     breakerHalfOpenProbes: HTMLInputElement,
+ *     retryAfterFraction: HTMLInputElement,
+ *     retryAfterMs: HTMLInputElement,
+ *     retryAfterMaxMs: HTMLInputElement,
+ *     waitThresholds: HTMLInputElement,
+ *     phases: HTMLInputElement,
  *     factor: HTMLInputElement,
- *     incrementMs: HTMLInputElement
+ *     incrementMs: HTMLInputElement,
+ *     exponent: HTMLInputElement,
+ *     customDelays: HTMLInputElement,
+ *     expression: HTMLInputElement,
+ *     randomizationFactor: HTMLInputElement
  *   },
  *   messages: {
  *     initialDelayMs: HTMLElement,
  *     maxRetries: HTMLElement,
  *     maxDelayMs: HTMLElement,
+ *     minDelayMs: HTMLElement,
+ *     maxElapsedMs: HTMLElement,
+ *     attemptTimeoutMs: HTMLElement,
+ *     attemptP50Ms: HTMLElement,
+ *     attemptP99Ms: HTMLElement,
+ *     failureProbability: HTMLElement,
+ *     failureProbabilities: HTMLElement,
+ *     maxTokens: HTMLElement,
+ *     tokenRatio: HTMLElement,
+ *     throttleRequests: HTMLElement,
+ *     herdClients: HTMLElement,
+ *     outageMs: HTMLElement,
+ *     recoveryCapacity: HTMLElement,
+ *     breakerFailureThreshold: HTMLElement,
+ *     breakerOpenMs: HTMLElement,
+ *     breakerHalfOpenProbes: HTMLElement,
+ *     retryAfterFraction: HTMLElement,
+ *     retryAfterMs: HTMLElement,
+ *     retryAfterMaxMs: HTMLElement,
+ *     waitThresholds: HTMLElement,
+ *     phases: HTMLElement,
  *     factor: HTMLElement,
- *     incrementMs: HTMLElement
+ *     incrementMs: HTMLElement,
+ *     exponent: HTMLElement,
+ *     customDelays: HTMLElement,
+ *     expression: HTMLElement,
+ *     randomizationFactor: HTMLElement
  *   }
  * }} targets
  */
@@ -156,13 +313,41 @@ export function renderValidation(errors, targets) {
     initialDelayMs: "",
     maxRetries: "",
     maxDelayMs: "",
+    minDelayMs: "",
+    maxElapsedMs: "",
+    attemptTimeoutMs: "",
+    attemptP50Ms: "",
+    attemptP99Ms: "",
+    failureProbability: "",
+    failureProbabilities: "",
+    maxTokens: "",
+    tokenRatio: "",
+    throttleRequests: "",
+    herdClients: "",
+    outageMs: "",
+    recoveryCapacity: "",
+    breakerFailureThreshold: "",
+    breakerOpenMs: "",
+    breakerHalfOpenProbes: "",
+    retryAfterFraction: "",
+    retryAfterMs: "",
+    retryAfterMaxMs: "",
+    waitThresholds: "",
+    phases: "",
     factor: "",
     incrementMs: "",
+    exponent: "",
+    customDelays: "",
+    expression: "",
+    randomizationFactor: "",
   };
 
   for (const error of errors) {
     if (Object.hasOwn(fieldErrors, error.field)) {
-      fieldErrors[error.field] = error.message;
+      // Delay lists report one error per entry, so keep every message for the field.
+      fieldErrors[error.field] = fieldErrors[error.field]
+        ? `${fieldErrors[error.field]} ${error.message}`
+        : error.message;
     }
   }
 
@@ -174,8 +359,33 @@ export function renderValidation(errors, targets) {
   targets.messages.initialDelayMs.textContent = fieldErrors.initialDelayMs;
   targets.messages.maxRetries.textContent = fieldErrors.maxRetries;
   targets.messages.maxDelayMs.textContent = fieldErrors.maxDelayMs;
+  targets.messages.minDelayMs.textContent = fieldErrors.minDelayMs;
+  targets.messages.maxElapsedMs.textContent = fieldErrors.maxElapsedMs;
+  targets.messages.attemptTimeoutMs.textContent = fieldErrors.attemptTimeoutMs;
+  targets.messages.attemptP50Ms.textContent = fieldErrors.attemptP50Ms;
+  targets.messages.attemptP99Ms.textContent = fieldErrors.attemptP99Ms;
+  targets.messages.failureProbability.textContent = fieldErrors.failureProbability;
+  targets.messages.failureProbabilities.textContent = fieldErrors.failureProbabilities;
+  targets.messages.maxTokens.textContent = fieldErrors.maxTokens;
+  targets.messages.tokenRatio.textContent = fieldErrors.tokenRatio;
+  targets.messages.throttleRequests.textContent = fieldErrors.throttleRequests;
+  targets.messages.herdClients.textContent = fieldErrors.herdClients;
+  targets.messages.outageMs.textContent = fieldErrors.outageMs;
+  targets.messages.recoveryCapacity.textContent = fieldErrors.recoveryCapacity;
+  targets.messages.breakerFailureThreshold.textContent = fieldErrors.breakerFailureThreshold;
+  targets.messages.breakerOpenMs.textContent = fieldErrors.breakerOpenMs;
+  targets.messages.breakerHalfOpenProbes.textContent = fieldErrors.breakerHalfOpenProbes;
+  targets.messages.retryAfterFraction.textContent = fieldErrors.retryAfterFraction;
+  targets.messages.retryAfterMs.textContent = fieldErrors.retryAfterMs;
+  targets.messages.retryAfterMaxMs.textContent = fieldErrors.retryAfterMaxMs;
+  targets.messages.waitThresholds.textContent = fieldErrors.waitThresholds;
+  targets.messages.phases.textContent = fieldErrors.phases;
   targets.messages.factor.textContent = fieldErrors.factor;
   targets.messages.incrementMs.textContent = fieldErrors.incrementMs;
+  targets.messages.exponent.textContent = fieldErrors.exponent;
+  targets.messages.customDelays.textContent = fieldErrors.customDelays;
+  targets.messages.expression.textContent = fieldErrors.expression;
+  targets.messages.randomizationFactor.textContent = fieldErrors.randomizationFactor;
 }
 
 /**
@@ -190,11 +400,17 @@ export function clearScheduleTable(tbody, message) {
  * @param {HTMLElement} tbody
  * @param {string} message
  * @param {import("./backoff.js").JitterType} jitterType
+ * @param {boolean} [showRetryAfter] Whether the Retry-After column is shown.
  */
-export function clearScheduleTableForJitter(tbody, message, jitterType = DEFAULT_JITTER_TYPE) {
+export function clearScheduleTableForJitter(
+  tbody,
+  message,
+  jitterType = DEFAULT_JITTER_TYPE,
+  showRetryAfter = false,
+) {
   const row = document.createElement("tr");
   const cell = document.createElement("td");
-  cell.colSpan = jitterType === "none" ? 3 : 5;
+  cell.colSpan = (jitterType === "none" ? 3 : 5) + (showRetryAfter ? 1 : 0);
   cell.className = "placeholder-cell";
   cell.textContent = message;
   row.append(cell);
@@ -202,44 +418,114 @@ export function clearScheduleTableForJitter(tbody, message, jitterType = DEFAULT
 }
 
 /**
+ * @param {{budgetCutoff?:boolean, clippedToBudget?:boolean}} point
+ * @param {HTMLTableRowElement} row
+ * @param {HTMLTableCellElement} retryCell
+ */
+function markBudgetCutoff(point, row, retryCell) {
+  if (!point.budgetCutoff) {
+    return;
+  }
+
+  const note = document.createElement("span");
+  note.className = "schedule-row-note";
+  note.textContent = point.clippedToBudget ? "clipped to budget" : "budget cutoff";
+  row.className = "schedule-row--cutoff";
+  retryCell.append(note);
+}
+
+/**
+ * Rule above the first retry of each later phase.
+ * @param {{phase?:number}} point
+ * @param {{phase?:number} | undefined} previousPoint
+ * @param {HTMLTableRowElement} row
+ * @param {HTMLTableCellElement} retryCell
+ */
+function markPhaseStart(point, previousPoint, row, retryCell) {
+  if (!point.phase || previousPoint === undefined || point.phase === previousPoint.phase) {
+    return;
+  }
+
+  const note = document.createElement("span");
+  note.className = "schedule-row-note schedule-row-note--phase";
+  note.textContent = `phase ${point.phase + 1}`;
+  row.classList.add("schedule-row--phase-start");
+  retryCell.append(note);
+}
+
+/**
+ * @param {{overridden?:boolean, overrideShare?:number}} point
+ */
+function retryAfterCell(point) {
+  const cell = document.createElement("td");
+  const share = point.overrideShare ?? 0;
+  if (!point.overridden) {
+    cell.textContent = "-";
+    return cell;
+  }
+  cell.textContent = share === 1 ? "Overridden" : `Overridden (${SHARE_FORMATTER.format(share)})`;
+  return cell;
+}
+
+/**
+ * Points may carry a label to show instead of the retry number; retry 0 is the initial attempt.
  * @param {Array<{
  *   retry:number,
+ *   label?:string,
  *   minDelayMs:number,
  *   expectedDelayMs:number,
  *   maxDelayMs:number,
  *   delayMs:number,
- *   cumulativeDelayMs:number
+ *   cumulativeDelayMs:number,
+ *   attemptStartMs?:number,
+ *   budgetCutoff?:boolean,
+ *   clippedToBudget?:boolean,
+ *   overridden?:boolean,
+ *   overrideShare?:number,
+ *   phase?:number
  * }>} points
  * @param {HTMLElement} tbody
  * @param {DisplayMode} displayMode
  * @param {import("./backoff.js").JitterType} jitterType
+ * @param {boolean} [showRetryAfter] Adds a column marking retries whose sleep server
+ *   Retry-After hints change, with the share of sleeps they change.
  */
 export function renderScheduleTable(
   points,
   tbody,
   displayMode = DEFAULT_DISPLAY_MODE,
   jitterType = DEFAULT_JITTER_TYPE,
+  showRetryAfter = false,
 ) {
   if (!points.length) {
-    clearScheduleTableForJitter(tbody, "No retries configured.", jitterType);
+    clearScheduleTableForJitter(tbody, "No retries configured.", jitterType, showRetryAfter);
     return;
   }
 
   const normalizedMode = resolveDisplayMode(displayMode);
   const normalizedJitter = resolveJitterType(jitterType);
 
-  const rows = points.map((point) => {
+  const rows = points.map((point, index) => {
     const row = document.createElement("tr");
     const retry = document.createElement("td");
     const cumulativeDelay = document.createElement("td");
 
-    retry.textContent = point.retry.toString();
-    cumulativeDelay.textContent = formatDuration(point.cumulativeDelayMs, normalizedMode);
+    retry.textContent = point.label ?? point.retry.toString();
+    // Equals the summed sleeps unless attempt durations are modelled.
+    cumulativeDelay.textContent = formatDuration(
+      point.attemptStartMs ?? point.cumulativeDelayMs,
+      normalizedMode,
+    );
+    markBudgetCutoff(point, row, retry);
+    markPhaseStart(point, points[index - 1], row, retry);
 
     if (normalizedJitter === "none") {
       const delay = document.createElement("td");
       delay.textContent = formatDuration(point.delayMs, normalizedMode);
       row.append(retry, delay, cumulativeDelay);
+      if (showRetryAfter) {
+        row.append(retryAfterCell(point));
+      }
       return row;
     }
 
@@ -252,31 +538,605 @@ export function renderScheduleTable(
     maxDelay.textContent = formatDuration(point.maxDelayMs, normalizedMode);
 
     row.append(retry, minDelay, expectedDelay, maxDelay, cumulativeDelay);
+    if (showRetryAfter) {
+      row.append(retryAfterCell(point));
+    }
     return row;
   });
 
   tbody.replaceChildren(...rows);
 }
 
+const SCHEDULE_LIMIT_LABELS = {
+  maxRetries: "Max retries",
+  maxElapsed: "Elapsed budget",
+  delayList: "End of delay list",
+};
+
 /**
- * @param {{totalRetries: HTMLElement, finalDelayMs: HTMLElement, totalDelayMs: HTMLElement}} summaryElements
+ * @typedef {{
+ *   totalRetries: HTMLElement,
+ *   finalDelayMs: HTMLElement,
+ *   totalDelayMs: HTMLElement,
+ *   limitedBy: HTMLElement,
+ *   worstCaseLatencyMs: HTMLElement,
+ *   giveUpP95Ms: HTMLElement,
+ *   capRetry: HTMLElement,
+ *   capSplit: HTMLElement,
+ *   uncappedTotal: HTMLElement,
+ *   thresholdCrossings: HTMLElement
+ * }} SummaryElements
+ */
+
+/**
+ * @param {SummaryElements} summaryElements
  */
 export function resetSummary(summaryElements) {
   summaryElements.totalRetries.textContent = "-";
   summaryElements.finalDelayMs.textContent = "-";
   summaryElements.totalDelayMs.textContent = "-";
+  summaryElements.limitedBy.textContent = "-";
+  summaryElements.worstCaseLatencyMs.textContent = "-";
+  summaryElements.giveUpP95Ms.textContent = "-";
+  summaryElements.capRetry.textContent = "-";
+  summaryElements.capSplit.textContent = "-";
+  summaryElements.uncappedTotal.textContent = "-";
+  summaryElements.thresholdCrossings.textContent = "-";
 }
 
 /**
- * @param {{totalRetries: number, finalDelayMs: number, totalDelayMs: number}} summary
- * @param {{totalRetries: HTMLElement, finalDelayMs: HTMLElement, totalDelayMs: HTMLElement}} summaryElements
+ * @param {import("./backoff.js").ScheduleSummary} summary
+ * @param {SummaryElements} summaryElements
  * @param {DisplayMode} displayMode
+ * @param {import("./retryIndex.js").RetryIndexConfig} [indexConfig] Numbers retries the way
+ *   the table does.
  */
-export function renderSummary(summary, summaryElements, displayMode = DEFAULT_DISPLAY_MODE) {
+export function renderSummary(
+  summary,
+  summaryElements,
+  displayMode = DEFAULT_DISPLAY_MODE,
+  indexConfig = {},
+) {
   const normalizedMode = resolveDisplayMode(displayMode);
   summaryElements.totalRetries.textContent = summary.totalRetries.toLocaleString();
   summaryElements.finalDelayMs.textContent = formatDuration(summary.finalDelayMs, normalizedMode);
   summaryElements.totalDelayMs.textContent = formatDuration(summary.totalDelayMs, normalizedMode);
+  summaryElements.limitedBy.textContent = SCHEDULE_LIMIT_LABELS[summary.limitedBy] ?? "-";
+  summaryElements.worstCaseLatencyMs.textContent = formatDuration(
+    summary.worstCaseLatencyMs,
+    normalizedMode,
+  );
+  // Decorrelated sleeps depend on each other, so there is no analytic quantile to show.
+  summaryElements.giveUpP95Ms.textContent =
+    summary.giveUpP95Ms === null ? "-" : formatDuration(summary.giveUpP95Ms, normalizedMode);
+  summaryElements.capRetry.textContent =
+    summary.capRetry === null
+      ? "Not reached"
+      : `Retry ${retryLabel(indexConfig, summary.capRetry)}`;
+  summaryElements.capSplit.textContent =
+    `${formatDuration(summary.cappedDelayMs, normalizedMode)} at cap / ` +
+    `${formatDuration(summary.growingDelayMs, normalizedMode)} growing`;
+  summaryElements.uncappedTotal.textContent = formatDuration(
+    summary.uncappedTotalDelayMs,
+    normalizedMode,
+  );
+  // Thresholds are typed in human units, so label them the same way in every display mode.
+  const crossings = summary.thresholdCrossings.map(({ thresholdMs, retry }) => {
+    const label = formatDuration(thresholdMs, "humanize");
+    return retry === null ? `${label}: never` : `${label}: retry ${retryLabel(indexConfig, retry)}`;
+  });
+  summaryElements.thresholdCrossings.textContent =
+    crossings.length === 0 ? "-" : crossings.join(", ");
+}
+
+/**
+ * @typedef {{
+ *   successProbability: HTMLElement,
+ *   expectedAttempts: HTMLElement,
+ *   timeToSuccess: HTMLElement,
+ *   availability: HTMLElement
+ * }} ReliabilityElements
+ */
+
+/**
+ * @param {import("./reliability.js").ReliabilitySummary | null} summary Null when the failure
+ *   inputs are invalid.
+ * @param {ReliabilityElements} elements
+ * @param {DisplayMode} displayMode
+ */
+export function renderReliabilitySummary(summary, elements, displayMode = DEFAULT_DISPLAY_MODE) {
+  if (summary === null) {
+    for (const element of Object.values(elements)) {
+      element.textContent = "-";
+    }
+    return;
+  }
+
+  const normalizedMode = resolveDisplayMode(displayMode);
+  elements.successProbability.textContent = PERCENT_FORMATTER.format(summary.successProbability);
+  elements.expectedAttempts.textContent = DECIMAL_FORMATTER.format(summary.expectedAttempts);
+  elements.timeToSuccess.textContent =
+    summary.expectedTimeToSuccessMs === null
+      ? "Never succeeds"
+      : formatDuration(summary.expectedTimeToSuccessMs, normalizedMode);
+  elements.availability.textContent = Number.isFinite(summary.availabilityNines)
+    ? `${DECIMAL_FORMATTER.format(summary.availabilityNines)} nines`
+    : "Always succeeds";
+}
+
+/**
+ * @typedef {{
+ *   retriesSent: HTMLElement,
+ *   retriesSuppressed: HTMLElement,
+ *   failedRequests: HTMLElement,
+ *   load: HTMLElement
+ * }} ThrottleElements
+ */
+
+/**
+ * Show the throttled stream next to the same stream without a token bucket.
+ * @param {import("./throttling.js").ThrottleSimulation | null} simulation Null when the
+ *   throttling inputs are invalid.
+ * @param {ThrottleElements} elements
+ */
+export function renderThrottleSummary(simulation, elements) {
+  if (simulation === null) {
+    for (const element of Object.values(elements)) {
+      element.textContent = "-";
+    }
+    return;
+  }
+
+  const throttledLoad = (simulation.requests + simulation.retriesSent) / simulation.requests;
+  const unthrottledLoad =
+    (simulation.requests + simulation.unthrottledRetries) / simulation.requests;
+  const sent = simulation.retriesSent.toLocaleString();
+  const wanted = simulation.unthrottledRetries.toLocaleString();
+  const failed = simulation.failedRequests.toLocaleString();
+  const unthrottledFailed = simulation.unthrottledFailedRequests.toLocaleString();
+
+  elements.retriesSent.textContent = `${sent} of ${wanted}`;
+  elements.retriesSuppressed.textContent = simulation.retriesSuppressed.toLocaleString();
+  elements.failedRequests.textContent = `${failed} (${unthrottledFailed} unthrottled)`;
+  elements.load.textContent =
+    `${DECIMAL_FORMATTER.format(throttledLoad)}\u00d7 ` +
+    `(${DECIMAL_FORMATTER.format(unthrottledLoad)}\u00d7 unthrottled)`;
+}
+
+/**
+ * @typedef {{
+ *   peak: HTMLElement,
+ *   unjitteredPeak: HTMLElement,
+ *   firstRetrySpread: HTMLElement,
+ *   bucket: HTMLElement
+ * }} HerdElements
+ */
+
+/**
+ * @param {import("./herd.js").HerdHistogram | null} histogram Null when the herd size is invalid.
+ * @param {HerdElements} elements
+ * @param {DisplayMode} displayMode
+ */
+export function renderHerdSummary(histogram, elements, displayMode = DEFAULT_DISPLAY_MODE) {
+  if (histogram === null) {
+    for (const element of Object.values(elements)) {
+      element.textContent = "-";
+    }
+    return;
+  }
+
+  const normalizedMode = resolveDisplayMode(displayMode);
+  const peakRate = DECIMAL_FORMATTER.format(histogram.peakPerSecond);
+  const unjitteredRate = DECIMAL_FORMATTER.format(histogram.unjitteredPeakPerSecond);
+
+  elements.peak.textContent =
+    `${histogram.peakCount.toLocaleString()} at ` +
+    `${formatDuration(histogram.peakStartMs, normalizedMode)} (${peakRate}/s)`;
+  elements.unjitteredPeak.textContent =
+    `${histogram.unjitteredPeakCount.toLocaleString()} (${unjitteredRate}/s)`;
+  elements.firstRetrySpread.textContent = formatDuration(
+    histogram.firstRetrySpreadMs,
+    normalizedMode,
+  );
+  elements.bucket.textContent = formatDuration(histogram.bucketMs, normalizedMode);
+}
+
+/**
+ * @typedef {{
+ *   success: HTMLElement,
+ *   exhausted: HTMLElement,
+ *   recoveryP50: HTMLElement,
+ *   recoveryP95: HTMLElement
+ * }} OutageElements
+ */
+
+/**
+ * @param {import("./outage.js").OutageRecovery | null} recovery Null when the scenario inputs
+ *   are invalid.
+ * @param {OutageElements} elements
+ * @param {DisplayMode} displayMode
+ */
+export function renderOutageSummary(recovery, elements, displayMode = DEFAULT_DISPLAY_MODE) {
+  if (recovery === null) {
+    for (const element of Object.values(elements)) {
+      element.textContent = "-";
+    }
+    return;
+  }
+
+  const normalizedMode = resolveDisplayMode(displayMode);
+  elements.success.textContent = PERCENT_FORMATTER.format(recovery.successFraction);
+  elements.exhausted.textContent = PERCENT_FORMATTER.format(
+    recovery.exhaustedDuringOutageFraction,
+  );
+  elements.recoveryP50.textContent =
+    recovery.recoveryToSuccessP50Ms === null
+      ? "-"
+      : formatDuration(recovery.recoveryToSuccessP50Ms, normalizedMode);
+  elements.recoveryP95.textContent =
+    recovery.recoveryToSuccessP95Ms === null
+      ? "-"
+      : formatDuration(recovery.recoveryToSuccessP95Ms, normalizedMode);
+}
+
+/**
+ * @typedef {{
+ *   shortCircuited: HTMLElement,
+ *   dependencyCalls: HTMLElement,
+ *   opens: HTMLElement,
+ *   lastCall: HTMLElement
+ * }} BreakerElements
+ */
+
+/**
+ * @param {import("./circuitBreaker.js").BreakerTimeline | null} timeline Null when the breaker
+ *   inputs are invalid.
+ * @param {BreakerElements} elements
+ * @param {DisplayMode} displayMode
+ */
+export function renderBreakerSummary(timeline, elements, displayMode = DEFAULT_DISPLAY_MODE) {
+  if (timeline === null) {
+    for (const element of Object.values(elements)) {
+      element.textContent = "-";
+    }
+    return;
+  }
+
+  const plannedRetries = timeline.points.length.toLocaleString();
+  elements.shortCircuited.textContent =
+    `${timeline.shortCircuitedCount.toLocaleString()} of ${plannedRetries}`;
+  elements.dependencyCalls.textContent = timeline.dependencyCalls.toLocaleString();
+  elements.opens.textContent = timeline.opens.toLocaleString();
+  elements.lastCall.textContent = formatDuration(
+    timeline.lastCallEndMs,
+    resolveDisplayMode(displayMode),
+  );
+}
+
+/**
+ * @param {import("./presets.js").PresetSemantics} semantics
+ */
+function describePresetSemantics(semantics) {
+  const parts = [`first retry counted as ${semantics.firstRetryIndex}`];
+  if (semantics.attemptLimit !== null) {
+    parts.push(
+      `limit ${semantics.attemptLimit} ${
+        semantics.limitIncludesFirstCall ? "includes" : "excludes"
+      } the first call`,
+    );
+  }
+  if (semantics.jitterOrder !== null) {
+    parts.push(semantics.jitterOrder === "cap-then-jitter" ? "cap, then jitter" : "jitter, then cap");
+  }
+  if (semantics.exponentCeiling !== null) {
+    parts.push(`exponent stops at ${semantics.exponentCeiling}`);
+  }
+  return parts.join(" · ");
+}
+
+/**
+ * @param {import("./presets.js").LibraryPreset | null} preset
+ * @param {HTMLElement} element
+ */
+export function renderPresetDetails(preset, element) {
+  element.hidden = preset === null;
+  if (preset === null) {
+    element.replaceChildren();
+    return;
+  }
+
+  const formula = document.createElement("code");
+  formula.textContent = preset.formula;
+  const semantics = document.createElement("span");
+  semantics.textContent = describePresetSemantics(preset.semantics);
+  const notes = document.createElement("span");
+  notes.textContent = preset.notes;
+  element.replaceChildren(formula, semantics, notes);
+}
+
+const SOLVE_PARAMETER_LABELS = {
+  factor: "Factor",
+  initialDelayMs: "Initial delay",
+  incrementMs: "Increment",
+};
+
+/**
+ * @param {{
+ *   parameter: HTMLSelectElement,
+ *   totalDelay: HTMLInputElement,
+ *   capByRetry: HTMLInputElement,
+ *   maxRetries: HTMLInputElement
+ * }} inputs
+ * @returns {import("./goalSeek.js").SolveGoal}
+ */
+export function readSolveGoalFromInputs(inputs) {
+  const capByRetryRaw = inputs.capByRetry.value.trim();
+  const maxRetriesRaw = inputs.maxRetries.value.trim();
+
+  return {
+    parameter: resolveSolveParameter(inputs.parameter.value),
+    totalDelay: inputs.totalDelay.value,
+    capByRetry: capByRetryRaw === "" ? null : toNumber(capByRetryRaw),
+    maxRetries: maxRetriesRaw === "" ? null : toNumber(maxRetriesRaw),
+  };
+}
+
+/**
+ * @typedef {{
+ *   result: HTMLElement,
+ *   apply: HTMLButtonElement
+ * }} SolveElements
+ */
+
+/**
+ * @param {import("./goalSeek.js").SolveResult} result
+ * @param {SolveElements} elements
+ * @param {DisplayMode} displayMode
+ * @param {import("./retryIndex.js").RetryIndexConfig} [indexConfig]
+ */
+export function renderSolveResult(
+  result,
+  elements,
+  displayMode = DEFAULT_DISPLAY_MODE,
+  indexConfig = {},
+) {
+  elements.apply.disabled = !result.solved;
+  if (!result.solved || result.value === null || result.summary === null) {
+    elements.result.textContent = result.message;
+    return;
+  }
+
+  const normalizedMode = resolveDisplayMode(displayMode);
+  const { summary } = result;
+  const valueText =
+    result.parameter === "factor"
+      ? String(result.value)
+      : formatDuration(result.value, normalizedMode);
+  const totalText = formatDuration(summary.totalDelayMs, normalizedMode);
+  const capText =
+    summary.capRetry === null
+      ? ""
+      : `, cap engages at retry ${retryLabel(indexConfig, summary.capRetry)}`;
+  elements.result.textContent =
+    `${SOLVE_PARAMETER_LABELS[result.parameter]} ${valueText}: total wait ${totalText} over ` +
+    `${summary.totalRetries.toLocaleString()} retries${capText}.`;
+}
+
+/**
+ * @typedef {{
+ *   list: HTMLElement,
+ *   tableWrap: HTMLElement,
+ *   head: HTMLElement,
+ *   body: HTMLElement,
+ *   foot: HTMLElement
+ * }} ComparisonElements
+ */
+
+/**
+ * @param {number} diff
+ * @param {(magnitude: number) => string} format
+ */
+function formatSignedDiff(diff, format) {
+  if (diff === 0) {
+    return "\u00b10";
+  }
+  return `${diff > 0 ? "+" : "\u2212"}${format(Math.abs(diff))}`;
+}
+
+/**
+ * @param {HTMLElement} cell
+ * @param {string} valueText
+ * @param {number | null} diff
+ * @param {(magnitude: number) => string} format
+ */
+function fillComparisonCell(cell, valueText, diff, format) {
+  cell.textContent = valueText;
+  if (diff === null) {
+    return;
+  }
+  const note = document.createElement("span");
+  note.className = "compare-diff";
+  note.textContent = formatSignedDiff(diff, format);
+  cell.append(note);
+}
+
+/**
+ * @param {string} name
+ * @param {number} seriesIndex 0 for the live inputs, then 1, 2, ... in pin order.
+ */
+function createSeriesLabel(name, seriesIndex) {
+  const label = document.createElement("span");
+  const swatch = document.createElement("span");
+  swatch.className = `compare-swatch compare-swatch--${seriesIndex === 0 ? "live" : seriesIndex}`;
+  swatch.setAttribute("aria-hidden", "true");
+  label.append(swatch, name);
+  return label;
+}
+
+/**
+ * List the pinned series, each with a button carrying its index in `data-remove-series`.
+ * @param {string[]} names In pin order.
+ * @param {HTMLElement} list
+ */
+export function renderPinnedSeries(names, list) {
+  list.hidden = names.length === 0;
+  list.replaceChildren(
+    ...names.map((name, index) => {
+      const item = document.createElement("li");
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "compare-remove";
+      remove.dataset.removeSeries = String(index);
+      remove.setAttribute("aria-label", `Remove ${name}`);
+      remove.textContent = "\u00d7";
+      item.append(createSeriesLabel(name, index + 1), remove);
+      return item;
+    }),
+  );
+}
+
+const COMPARISON_SUMMARY_ROWS = [
+  { key: "totalRetries", label: "Total Retries", isDuration: false },
+  { key: "finalDelayMs", label: "Final Delay", isDuration: true },
+  { key: "totalDelayMs", label: "Total Delay", isDuration: true },
+  { key: "worstCaseLatencyMs", label: "Worst-Case Latency", isDuration: true },
+];
+
+/**
+ * Retry-by-retry table of the pinned series followed by the live inputs. Differences are
+ * against the first pinned series.
+ * @param {import("./comparison.js").ScheduleComparison} comparison
+ * @param {string[]} names Series names in the comparison's order; the live inputs come last.
+ * @param {ComparisonElements} elements
+ * @param {DisplayMode} displayMode
+ */
+export function renderComparisonTable(
+  comparison,
+  names,
+  elements,
+  displayMode = DEFAULT_DISPLAY_MODE,
+) {
+  elements.tableWrap.hidden = names.length < 2;
+  if (names.length < 2) {
+    elements.head.replaceChildren();
+    elements.body.replaceChildren();
+    elements.foot.replaceChildren();
+    return;
+  }
+
+  const normalizedMode = resolveDisplayMode(displayMode);
+  const formatMs = (valueMs) => formatDuration(valueMs, normalizedMode);
+  const formatCount = (value) => value.toLocaleString();
+  // The live inputs sit last in the table but take the chart's main line colour.
+  const seriesIndexes = names.map((_, index) => (index === names.length - 1 ? 0 : index + 1));
+
+  const nameRow = document.createElement("tr");
+  const retryHeader = document.createElement("th");
+  retryHeader.rowSpan = 2;
+  retryHeader.textContent = "Retry #";
+  nameRow.append(retryHeader);
+  const columnRow = document.createElement("tr");
+  names.forEach((name, index) => {
+    const seriesHeader = document.createElement("th");
+    seriesHeader.colSpan = 2;
+    seriesHeader.scope = "colgroup";
+    seriesHeader.append(createSeriesLabel(name, seriesIndexes[index]));
+    nameRow.append(seriesHeader);
+
+    const delayHeader = document.createElement("th");
+    const cumulativeHeader = document.createElement("th");
+    delayHeader.textContent = "Delay";
+    cumulativeHeader.textContent = "Cumulative";
+    columnRow.append(delayHeader, cumulativeHeader);
+  });
+  elements.head.replaceChildren(nameRow, columnRow);
+
+  elements.body.replaceChildren(
+    ...comparison.rows.map((comparisonRow) => {
+      const row = document.createElement("tr");
+      const retry = document.createElement("td");
+      retry.textContent = comparisonRow.label;
+      row.append(retry);
+      for (const cell of comparisonRow.cells) {
+        const delay = document.createElement("td");
+        const cumulative = document.createElement("td");
+        if (cell === null) {
+          delay.textContent = "-";
+          cumulative.textContent = "-";
+        } else {
+          fillComparisonCell(delay, formatMs(cell.delayMs), cell.delayDiffMs, formatMs);
+          fillComparisonCell(
+            cumulative,
+            formatMs(cell.cumulativeDelayMs),
+            cell.cumulativeDiffMs,
+            formatMs,
+          );
+        }
+        row.append(delay, cumulative);
+      }
+      return row;
+    }),
+  );
+
+  const summaryRows = COMPARISON_SUMMARY_ROWS.map(({ key, label, isDuration }) => {
+    const row = document.createElement("tr");
+    const heading = document.createElement("th");
+    heading.scope = "row";
+    heading.textContent = label;
+    row.append(heading);
+    const format = isDuration ? formatMs : formatCount;
+    for (const { summary, diffs } of comparison.summaries) {
+      const cell = document.createElement("td");
+      cell.colSpan = 2;
+      fillComparisonCell(cell, format(summary[key]), diffs?.[key] ?? null, format);
+      row.append(cell);
+    }
+    return row;
+  });
+  const limitRow = document.createElement("tr");
+  const limitHeading = document.createElement("th");
+  limitHeading.scope = "row";
+  limitHeading.textContent = "Limited By";
+  limitRow.append(limitHeading);
+  for (const { summary } of comparison.summaries) {
+    const cell = document.createElement("td");
+    cell.colSpan = 2;
+    cell.textContent = SCHEDULE_LIMIT_LABELS[summary.limitedBy] ?? "-";
+    limitRow.append(cell);
+  }
+  elements.foot.replaceChildren(...summaryRows, limitRow);
+}
+
+/**
+ * @typedef {{
+ *   code: HTMLElement,
+ *   notes: HTMLElement
+ * }} CodeSnippetElements
+ */
+
+/**
+ * @param {import("./snippets.js").CodeSnippet | null} snippet Null while the inputs are invalid.
+ * @param {CodeSnippetElements} elements
+ */
+export function renderCodeSnippet(snippet, elements) {
+  if (snippet === null) {
+    elements.code.className = "";
+    elements.code.textContent = "Fix the highlighted inputs to generate code.";
+    elements.notes.hidden = true;
+    elements.notes.replaceChildren();
+    return;
+  }
+
+  elements.code.className = `language-${snippet.language}`;
+  elements.code.textContent = snippet.code;
+  elements.notes.hidden = snippet.notes.length === 0;
+  elements.notes.replaceChildren(
+    ...snippet.notes.map((note) => {
+      const item = document.createElement("li");
+      item.textContent = note;
+      return item;
+    }),
+  );
 }
 
 /**
@@ -285,14 +1145,19 @@ export function renderSummary(summary, summaryElements, displayMode = DEFAULT_DI
  *   primaryDelay: HTMLElement,
  *   secondaryDelay: HTMLElement,
  *   tertiaryDelay: HTMLElement,
- *   cumulativeDelay: HTMLElement
+ *   cumulativeDelay: HTMLElement,
+ *   retryAfter?: HTMLElement
  * }} headerElements
  * @param {import("./backoff.js").JitterType} jitterType
+ * @param {boolean} [includesAttemptTime] Whether the cumulative column is wall-clock time.
+ * @param {boolean} [showRetryAfter]
  */
 export function renderDelayTableHeaders(
   displayMode,
   headerElements,
   jitterType = DEFAULT_JITTER_TYPE,
+  includesAttemptTime = false,
+  showRetryAfter = false,
 ) {
   const normalizedMode = resolveDisplayMode(displayMode);
   const unit = unitLabel(normalizedMode);
@@ -311,7 +1176,12 @@ export function renderDelayTableHeaders(
   }
 
   headerElements.primaryDelay.hidden = false;
-  headerElements.cumulativeDelay.textContent = `Cumulative Delay (${unit})`;
+  headerElements.cumulativeDelay.textContent = includesAttemptTime
+    ? `Retry Starts At (${unit})`
+    : `Cumulative Delay (${unit})`;
+  if (headerElements.retryAfter) {
+    headerElements.retryAfter.hidden = !showRetryAfter;
+  }
 }
 
 /**
@@ -412,11 +1282,15 @@ function classForNamedSymbol(name) {
     baseValue: "math-var--base",
     cappedValue: "math-var--capped",
     jitteredValue: "math-var--jittered",
+    flooredValue: "math-var--floor",
+    previousValue: "math-var--jittered",
     chartValue: "math-var--chart",
     initialDelayMs: "math-var--initial",
     backoffFactor: "math-var--factor",
     linearIncrementMs: "math-var--increment",
+    polynomialExponent: "math-var--exponent",
     maxDelayCapMs: "math-var--cap",
+    minDelayFloorMs: "math-var--floor",
     retryNumber: "math-var--retry",
     stepNumber: "math-var--retry",
   };
@@ -440,13 +1314,32 @@ function createRetryTokenNode(token) {
   return createNamedNode(token);
 }
 
+/**
+ * The retry token shifted by offset, like r - 1 or r + 1; a zero offset leaves it bare.
+ * @param {number | string} token
+ * @param {number} offset
+ */
+function createShiftedRetryNode(token, offset) {
+  if (offset === 0) {
+    return createRetryTokenNode(token);
+  }
+
+  const row = document.createElementNS(MATHML_NAMESPACE, "mrow");
+  row.append(
+    createRetryTokenNode(token),
+    createMathNode("mo", offset < 0 ? "-" : "+"),
+    createMathNode("mn", String(Math.abs(offset))),
+  );
+  return row;
+}
+
 function createEqualsNode() {
   return createMathNode("mo", "=");
 }
 
 /**
  * @param {ChartMathExplanationModel} model
- * @param {"initialDelayMs" | "factor" | "incrementMs" | "maxDelayMs"} key
+ * @param {"initialDelayMs" | "factor" | "incrementMs" | "exponent" | "maxDelayMs" | "minDelayMs"} key
  * @param {boolean} substitute
  * @param {DisplayMode} displayMode
  */
@@ -467,11 +1360,21 @@ function createConstantNode(model, key, substitute, displayMode) {
       className: "math-var--increment",
       isDuration: true,
     },
+    exponent: {
+      symbolName: "polynomialExponent",
+      className: "math-var--exponent",
+      isDuration: false,
+    },
     maxDelayMs: {
       symbolName: "maxDelayCapMs",
       className: "math-var--cap",
       isDuration: true,
     },
+    minDelayMs: {
+      symbolName: "minDelayFloorMs",
+      className: "math-var--floor",
+      isDuration: true,
+    },
   };
   const descriptor = descriptors[key];
 
@@ -491,6 +1394,128 @@ function createConstantNode(model, key, substitute, displayMode) {
   return createScalarValueNode(value, descriptor.className);
 }
 
+const EXPRESSION_CONSTANT_KEYS = {
+  D0: "initialDelayMs",
+  F: "factor",
+  I: "incrementMs",
+};
+const EXPRESSION_OPERATOR_PRECEDENCE = {
+  "+": 1,
+  "-": 1,
+  "*": 2,
+  "/": 2,
+  "^": 4,
+};
+const EXPRESSION_UNARY_PRECEDENCE = 3;
+const EXPRESSION_ATOM_PRECEDENCE = 5;
+
+/**
+ * @param {import("./expression.js").ExpressionNode} node
+ */
+function expressionPrecedence(node) {
+  if (node.type === "binary") {
+    return EXPRESSION_OPERATOR_PRECEDENCE[node.operator];
+  }
+  if (node.type === "unary") {
+    return EXPRESSION_UNARY_PRECEDENCE;
+  }
+  return EXPRESSION_ATOM_PRECEDENCE;
+}
+
+/**
+ * @param {MathMLElement} node
+ */
+function createParenthesizedNode(node) {
+  const row = document.createElementNS(MATHML_NAMESPACE, "mrow");
+  row.append(createMathNode("mo", "("), node, createMathNode("mo", ")"));
+  return row;
+}
+
+/**
+ * Render a parsed delay formula, adding parentheses only where precedence needs them.
+ * @param {import("./expression.js").ExpressionNode} node
+ * @param {ChartMathExplanationModel} model
+ * @param {{
+ *   retryToken:number | string,
+ *   substituteConstants:boolean,
+ *   displayMode:DisplayMode
+ * }} options
+ * @returns {MathMLElement}
+ */
+function createFormulaNode(node, model, options) {
+  const render = (child, wrap) => {
+    const childNode = createFormulaNode(child, model, options);
+    return wrap ? createParenthesizedNode(childNode) : childNode;
+  };
+
+  if (node.type === "number") {
+    return createMathNode("mn", formatMathNumber(node.value));
+  }
+
+  if (node.type === "variable") {
+    if (node.name === "r") {
+      return createRetryTokenNode(options.retryToken);
+    }
+    return createConstantNode(
+      model,
+      EXPRESSION_CONSTANT_KEYS[node.name],
+      options.substituteConstants,
+      options.displayMode,
+    );
+  }
+
+  if (node.type === "unary") {
+    const row = document.createElementNS(MATHML_NAMESPACE, "mrow");
+    row.append(
+      createMathNode("mo", "-"),
+      render(node.operand, expressionPrecedence(node.operand) < EXPRESSION_UNARY_PRECEDENCE),
+    );
+    return row;
+  }
+
+  if (node.type === "call") {
+    const row = document.createElementNS(MATHML_NAMESPACE, "mrow");
+    row.append(createIdentifierNode(node.name), createMathNode("mo", "("));
+    node.args.forEach((arg, index) => {
+      if (index > 0) {
+        row.append(createMathNode("mo", ","));
+      }
+      row.append(render(arg, false));
+    });
+    row.append(createMathNode("mo", ")"));
+    return row;
+  }
+
+  const precedence = EXPRESSION_OPERATOR_PRECEDENCE[node.operator];
+
+  if (node.operator === "^") {
+    const power = document.createElementNS(MATHML_NAMESPACE, "msup");
+    power.append(
+      render(node.left, expressionPrecedence(node.left) <= precedence),
+      render(node.right, false),
+    );
+    return power;
+  }
+
+  if (node.operator === "/") {
+    const fraction = document.createElementNS(MATHML_NAMESPACE, "mfrac");
+    fraction.append(render(node.left, false), render(node.right, false));
+    return fraction;
+  }
+
+  const row = document.createElementNS(MATHML_NAMESPACE, "mrow");
+  const rightPrecedence = expressionPrecedence(node.right);
+  row.append(
+    render(node.left, expressionPrecedence(node.left) < precedence),
+    createMathNode("mo", node.operator === "*" ? "\u00d7" : node.operator),
+    render(
+      node.right,
+      rightPrecedence < precedence || (rightPrecedence === precedence && node.operator === "-"),
+    ),
+  );
+  return row;
+}
+
 /**
  * @param {ChartMathExplanationModel} model
  * @param {{
@@ -502,13 +1527,11 @@ function createConstantNode(model, key, substitute, displayMode) {
 function createBaseExpression(model, options) {
   const row = document.createElementNS(MATHML_NAMESPACE, "mrow");
 
+  // Offset from r to the retry's position in the schedule, which the formulas count from 1.
+  const stepOffset = 1 - model.firstRetryIndex;
+
   if (model.strategy === "exponential") {
-    const exponent = document.createElementNS(MATHML_NAMESPACE, "mrow");
-    exponent.append(
-      createRetryTokenNode(options.retryToken),
-      createMathNode("mo", "-"),
-      createMathNode("mn", "1"),
-    );
+    const exponent = createShiftedRetryNode(options.retryToken, stepOffset - 1);
     const power = document.createElementNS(MATHML_NAMESPACE, "msup");
     power.append(
       createConstantNode(model, "factor", options.substituteConstants, options.displayMode),
@@ -524,21 +1547,68 @@ function createBaseExpression(model, options) {
   }
 
   if (model.strategy === "linear") {
-    const offset = document.createElementNS(MATHML_NAMESPACE, "mrow");
-    offset.append(
-      createRetryTokenNode(options.retryToken),
-      createMathNode("mo", "-"),
-      createMathNode("mn", "1"),
-    );
+    const offset = createShiftedRetryNode(options.retryToken, stepOffset - 1);
 
     row.append(
       createConstantNode(model, "initialDelayMs", options.substituteConstants, options.displayMode),
       createMathNode("mo", "+"),
+      stepOffset === 0 ? createParenthesizedNode(offset) : offset,
+      createMathNode("mo", "\u00d7"),
+      createConstantNode(model, "incrementMs", options.substituteConstants, options.displayMode),
+    );
+    return row;
+  }
+
+  if (model.strategy === "fibonacci") {
+    row.append(
+      createConstantNode(model, "initialDelayMs", options.substituteConstants, options.displayMode),
+      createMathNode("mo", "\u00d7"),
+      createIdentifierNode("Fib"),
       createMathNode("mo", "("),
-      offset,
+      createShiftedRetryNode(options.retryToken, stepOffset),
       createMathNode("mo", ")"),
+    );
+    return row;
+  }
+
+  if (model.strategy === "expression" && model.expression != null) {
+    row.append(createFormulaNode(model.expression, model, options));
+    return row;
+  }
+
+  if (model.strategy === "custom" && model.customSequence != null) {
+    const listLength = model.customSequence.delaysMs.length;
+    const indexNode =
+      typeof options.retryToken === "number"
+        ? createRetryTokenNode(Math.min(options.retryToken + stepOffset, listLength))
+        : model.customSequence.end === "repeat"
+          ? createMinExpression(
+              createShiftedRetryNode(options.retryToken, stepOffset),
+              createNumberNode(listLength, "math-var--initial"),
+            )
+          : createShiftedRetryNode(options.retryToken, stepOffset);
+
+    row.append(
+      createIdentifierNode("delayList"),
+      createMathNode("mo", "["),
+      indexNode,
+      createMathNode("mo", "]"),
+    );
+    return row;
+  }
+
+  if (model.strategy === "polynomial") {
+    const power = document.createElementNS(MATHML_NAMESPACE, "msup");
+    const base = createShiftedRetryNode(options.retryToken, stepOffset);
+    power.append(
+      stepOffset === 0 ? base : createParenthesizedNode(base),
+      createConstantNode(model, "exponent", options.substituteConstants, options.displayMode),
+    );
+
+    row.append(
+      createConstantNode(model, "initialDelayMs", options.substituteConstants, options.displayMode),
       createMathNode("mo", "\u00d7"),
-      createConstantNode(model, "incrementMs", options.substituteConstants, options.displayMode),
+      power,
     );
     return row;
   }
@@ -566,6 +1636,23 @@ function createMinExpression(sourceNode, capNode) {
   return row;
 }
 
+/**
+ * @param {MathMLElement} floorNode
+ * @param {MathMLElement} sourceNode
+ */
+function createMaxExpression(floorNode, sourceNode) {
+  const row = document.createElementNS(MATHML_NAMESPACE, "mrow");
+  row.append(
+    createIdentifierNode("max"),
+    createMathNode("mo", "("),
+    floorNode,
+    createMathNode("mo", ","),
+    sourceNode,
+    createMathNode("mo", ")"),
+  );
+  return row;
+}
+
 /**
  * @param {ChartMathExplanationModel} model
  */
@@ -573,6 +1660,10 @@ function jitterBounds(model) {
   if (model.jitterType === "equal") {
     return { min: "0.5", max: "1.0" };
   }
+  if (model.jitterType === "proportional") {
+    const factor = model.constants.randomizationFactor ?? 0;
+    return { min: formatMathNumber(1 - factor), max: formatMathNumber(1 + factor) };
+  }
   return { min: "0.0", max: "1.0" };
 }
 
@@ -625,15 +1716,16 @@ function createExpectedExpression(node) {
 /**
  * @param {MathMLElement} sourceNode
  * @param {number | string} retryToken
+ * @param {0 | 1} firstIndex The index r of the first retry, where the sum starts.
  */
-function createCumulativeExpression(sourceNode, retryToken) {
+function createCumulativeExpression(sourceNode, retryToken, firstIndex) {
   const row = document.createElementNS(MATHML_NAMESPACE, "mrow");
   row.append(
     createMathNode("mo", "\u03A3"),
     createMathNode("mo", "("),
     createNamedNode("stepNumber"),
     createMathNode("mo", "="),
-    createMathNode("mn", "1"),
+    createMathNode("mn", String(firstIndex)),
     createMathNode("mo", ".."),
     createRetryTokenNode(retryToken),
     createMathNode("mo", ","),
@@ -649,17 +1741,130 @@ function createCumulativeExpression(sourceNode, retryToken) {
  * @param {number | string} retryToken
  */
 function createJitterExpression(model, sourceNode, retryToken) {
-  let expression = createJitterCoreExpression(sourceNode, model);
+  return wrapChartedExpression(model, createJitterCoreExpression(sourceNode, model), retryToken);
+}
+
+/**
+ * Wrap the last formula row in expected(...) and the cumulative sum, as the chart shows them.
+ * @param {ChartMathExplanationModel} model
+ * @param {MathMLElement} expression
+ * @param {number | string} retryToken
+ */
+function wrapChartedExpression(model, expression, retryToken) {
+  let wrapped = expression;
+
+  if (model.chartSeriesMode === "expected" && model.jitterType !== "none") {
+    wrapped = createExpectedExpression(wrapped);
+  }
+
+  if (model.chartMode === "cumulative") {
+    wrapped = createCumulativeExpression(wrapped, retryToken, model.firstRetryIndex);
+  }
+
+  return wrapped;
+}
+
+/**
+ * @param {MathMLElement} lowNode
+ * @param {MathMLElement} highNode
+ */
+function createRandomRangeNode(lowNode, highNode) {
+  const row = document.createElementNS(MATHML_NAMESPACE, "mrow");
+  row.append(
+    createIdentifierNode("random"),
+    createMathNode("mo", "("),
+    lowNode,
+    createMathNode("mo", ","),
+    highNode,
+    createMathNode("mo", ")"),
+  );
+  return row;
+}
+
+/**
+ * @param {number | string} retryToken
+ */
+function createPreviousSleepExpression(retryToken) {
+  const offset = document.createElementNS(MATHML_NAMESPACE, "mrow");
+  offset.append(
+    createRetryTokenNode(retryToken),
+    createMathNode("mo", "-"),
+    createMathNode("mn", "1"),
+  );
+
+  const row = document.createElementNS(MATHML_NAMESPACE, "mrow");
+  row.append(
+    createNamedNode("jitteredValue"),
+    createMathNode("mo", "("),
+    offset,
+    createMathNode("mo", ")"),
+  );
+  return row;
+}
+
+/**
+ * Decorrelated jitter grows from the previous sleep instead of the strategy's base value,
+ * so it replaces the base/cap/jitter rows with its own recurrence.
+ * @param {ChartMathExplanationModel} model
+ * @param {{
+ *   hasHover:boolean,
+ *   retryToken:number | string,
+ *   displayMode:DisplayMode
+ * }} options
+ */
+function createDecorrelatedRows(model, options) {
+  const { hasHover, retryToken, displayMode } = options;
+  // Inside a cumulative sum the previous sleep changes per step, so it stays symbolic.
+  const substitutePrevious = hasHover && model.chartMode === "delay";
+  const previousResolvedValueMs = substitutePrevious ? model.resolved.previousDelayMs : null;
+
+  const previousRow = createEquationMath(
+    "previousValue",
+    createPreviousSleepExpression(retryToken),
+    createResolvedValueNode(previousResolvedValueMs, "math-var--jittered", displayMode),
+  );
 
+  const upperBound = document.createElementNS(MATHML_NAMESPACE, "mrow");
+  upperBound.append(
+    createMathNode("mn", "3"),
+    createMathNode("mo", "\u00d7"),
+    createSourceNode("previousValue", "math-var--jittered", previousResolvedValueMs, displayMode),
+  );
+
+  let expression = createRandomRangeNode(
+    createConstantNode(model, "initialDelayMs", hasHover, displayMode),
+    upperBound,
+  );
+  if (model.hasCap) {
+    expression = createMinExpression(
+      expression,
+      createConstantNode(model, "maxDelayMs", hasHover, displayMode),
+    );
+  }
+  if (model.hasFloor) {
+    expression = createMaxExpression(
+      createConstantNode(model, "minDelayMs", hasHover, displayMode),
+      expression,
+    );
+  }
   if (model.chartSeriesMode === "expected") {
     expression = createExpectedExpression(expression);
   }
-
   if (model.chartMode === "cumulative") {
-    expression = createCumulativeExpression(expression, retryToken);
+    expression = createCumulativeExpression(expression, retryToken, model.firstRetryIndex);
   }
 
-  return expression;
+  const jitterRow = createEquationMath(
+    "jitteredValue",
+    expression,
+    createResolvedValueNode(
+      hasHover ? model.resolved.chartedValueMs : null,
+      "math-var--jittered",
+      displayMode,
+    ),
+  );
+
+  return [previousRow, jitterRow];
 }
 
 /**
@@ -740,11 +1945,25 @@ export function renderChartMathExplanation(
   const normalizedMode = resolveDisplayMode(displayMode);
   const hasHover = model.activeRetry != null;
   const hasJitterRow = model.jitterType !== "none";
-  const cumulativeWithoutJitter = model.chartMode === "cumulative" && !hasJitterRow;
+  // The floor row, when present, is the one that carries expected(...) and the cumulative sum.
+  const cumulativeWithoutJitter =
+    model.chartMode === "cumulative" && !hasJitterRow && !model.hasFloor;
   const symbolicRetryToken = "retryNumber";
-  const substitutedRetryToken = hasHover ? model.activeRetry : symbolicRetryToken;
+  const substitutedRetryToken = hasHover ? model.activeRetryIndex : symbolicRetryToken;
   const rows = [];
 
+  if (model.jitterType === "decorrelated") {
+    renderFormulaRows(
+      elements.equations,
+      createDecorrelatedRows(model, {
+        hasHover,
+        retryToken: substitutedRetryToken,
+        displayMode: normalizedMode,
+      }),
+    );
+    return;
+  }
+
   const baseSymbolicExpression = createBaseExpression(model, {
     retryToken: symbolicRetryToken,
     substituteConstants: false,
@@ -759,12 +1978,20 @@ export function renderChartMathExplanation(
     : null;
   const useCumulativeBaseRow = cumulativeWithoutJitter && !model.hasCap;
   const baseExpressionSymbolic = useCumulativeBaseRow
-    ? createCumulativeExpression(baseSymbolicExpression, symbolicRetryToken)
+    ? createCumulativeExpression(
+        baseSymbolicExpression,
+        symbolicRetryToken,
+        model.firstRetryIndex,
+      )
     : baseSymbolicExpression;
   const baseExpressionSubstituted =
     hasHover && baseSubstitutedExpression != null
       ? useCumulativeBaseRow
-        ? createCumulativeExpression(baseSubstitutedExpression, substitutedRetryToken)
+        ? createCumulativeExpression(
+            baseSubstitutedExpression,
+            substitutedRetryToken,
+            model.firstRetryIndex,
+          )
         : baseSubstitutedExpression
       : null;
   const baseResolvedValueMs = hasHover
@@ -785,38 +2012,39 @@ export function renderChartMathExplanation(
   let previousSourceClassName = "math-var--base";
   let previousSourceValueMs = baseResolvedValueMs;
 
-  if (model.hasCap) {
-    const capSymbolicExpression = createMinExpression(
-      createNamedNode("baseValue"),
-      createConstantNode(model, "maxDelayMs", false, normalizedMode),
-    );
-    const capSubstitutedExpression = hasHover
-      ? createMinExpression(
+  // Under jitter-then-cap the cap row follows the jitter row and clips the random draw.
+  const capsAfterJitter =
+    hasJitterRow && model.hasCap && model.jitterOrder === "jitter-then-cap";
+
+  const pushCapRow = () => {
+    // The last row before any floor carries expected(...) and the cumulative sum.
+    const chartsCapRow = capsAfterJitter ? !model.hasFloor : cumulativeWithoutJitter;
+    const createRowExpression = (sourceNode, retryToken) => {
+      const expression = createMinExpression(
+        sourceNode,
+        createConstantNode(model, "maxDelayMs", hasHover, normalizedMode),
+      );
+      return chartsCapRow ? wrapChartedExpression(model, expression, retryToken) : expression;
+    };
+    const capExpression = hasHover
+      ? createRowExpression(
           createSourceNode(
-            "baseValue",
-            "math-var--base",
+            previousSourceName,
+            previousSourceClassName,
             previousSourceValueMs,
             normalizedMode,
           ),
-          createConstantNode(model, "maxDelayMs", true, normalizedMode),
+          substitutedRetryToken,
         )
-      : null;
-    const useCumulativeCapRow = cumulativeWithoutJitter;
-    const capExpressionSymbolic = useCumulativeCapRow
-      ? createCumulativeExpression(capSymbolicExpression, symbolicRetryToken)
-      : capSymbolicExpression;
-    const capExpressionSubstituted =
-      hasHover && capSubstitutedExpression != null
-        ? useCumulativeCapRow
-          ? createCumulativeExpression(capSubstitutedExpression, substitutedRetryToken)
-          : capSubstitutedExpression
-        : null;
+      : createRowExpression(createNamedNode(previousSourceName), symbolicRetryToken);
+    // Capping a single random draw has no resolved value either.
     const cappedResolvedValueMs = hasHover
-      ? useCumulativeCapRow
+      ? chartsCapRow
         ? model.resolved.chartedValueMs
-        : model.resolved.cappedDelayMs
+        : capsAfterJitter
+          ? null
+          : model.resolved.cappedDelayMs
       : null;
-    const capExpression = hasHover ? capExpressionSubstituted : capExpressionSymbolic;
 
     rows.push(
       createEquationMath(
@@ -829,17 +2057,19 @@ export function renderChartMathExplanation(
     previousSourceName = "cappedValue";
     previousSourceClassName = "math-var--capped";
     previousSourceValueMs = cappedResolvedValueMs;
-  }
+  };
 
-  if (hasJitterRow) {
-    const jitterSymbolicExpression = createJitterExpression(
-      model,
+  const pushJitterRow = () => {
+    const chartsJitterRow = !model.hasFloor && !capsAfterJitter;
+    const createRowExpression = chartsJitterRow
+      ? (sourceNode, retryToken) => createJitterExpression(model, sourceNode, retryToken)
+      : (sourceNode) => createJitterCoreExpression(sourceNode, model);
+    const jitterSymbolicExpression = createRowExpression(
       createNamedNode(previousSourceName),
       symbolicRetryToken,
     );
     const jitterSubstitutedExpression = hasHover
-      ? createJitterExpression(
-          model,
+      ? createRowExpression(
           createSourceNode(
             previousSourceName,
             previousSourceClassName,
@@ -849,7 +2079,9 @@ export function renderChartMathExplanation(
           substitutedRetryToken,
         )
       : null;
-    const jitterResolvedValueMs = hasHover ? model.resolved.chartedValueMs : null;
+    // A single random draw has no resolved value; a later row resolves the charted one.
+    const jitterResolvedValueMs =
+      hasHover && chartsJitterRow ? model.resolved.chartedValueMs : null;
     const jitterExpression = hasHover ? jitterSubstitutedExpression : jitterSymbolicExpression;
 
     rows.push(
@@ -863,6 +2095,44 @@ export function renderChartMathExplanation(
     previousSourceName = "jitteredValue";
     previousSourceClassName = "math-var--jittered";
     previousSourceValueMs = jitterResolvedValueMs;
+  };
+
+  if (capsAfterJitter) {
+    pushJitterRow();
+    pushCapRow();
+  } else {
+    if (model.hasCap) {
+      pushCapRow();
+    }
+    if (hasJitterRow) {
+      pushJitterRow();
+    }
+  }
+
+  if (model.hasFloor) {
+    const floorExpression = createMaxExpression(
+      createConstantNode(model, "minDelayMs", hasHover, normalizedMode),
+      hasHover
+        ? createSourceNode(
+            previousSourceName,
+            previousSourceClassName,
+            previousSourceValueMs,
+            normalizedMode,
+          )
+        : createNamedNode(previousSourceName),
+    );
+
+    rows.push(
+      createEquationMath(
+        "flooredValue",
+        wrapChartedExpression(model, floorExpression, substitutedRetryToken),
+        createResolvedValueNode(
+          hasHover ? model.resolved.chartedValueMs : null,
+          "math-var--floor",
+          normalizedMode,
+        ),
+      ),
+    );
   }
 
   renderFormulaRows(elements.equations, rows);
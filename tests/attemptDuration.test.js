@@ -0,0 +1,38 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+  DEFAULT_ATTEMPT_DURATION_MODE,
+  attemptDurationStats,
+  isAttemptDurationMode,
+  resolveAttemptDurationMode,
+} from "../src/attemptDuration.js";
+
+test("attempt duration mode helpers validate and normalize values", () => {
+  assert.equal(isAttemptDurationMode("none"), true);
+  assert.equal(isAttemptDurationMode("timeout"), true);
+  assert.equal(isAttemptDurationMode("latency"), true);
+  assert.equal(isAttemptDurationMode("p99"), false);
+  assert.equal(resolveAttemptDurationMode("latency"), "latency");
+  assert.equal(resolveAttemptDurationMode(undefined), DEFAULT_ATTEMPT_DURATION_MODE);
+});
+
+test("attempt duration stats cover each mode", () => {
+  assert.deepEqual(attemptDurationStats({}), { expectedMs: 0, worstCaseMs: 0 });
+  assert.deepEqual(
+    attemptDurationStats({ attemptDurationMode: "timeout", attemptTimeoutMs: 3000 }),
+    { expectedMs: 3000, worstCaseMs: 3000 },
+  );
+  assert.deepEqual(
+    attemptDurationStats({ attemptDurationMode: "latency", attemptP50Ms: 200, attemptP99Ms: 200 }),
+    { expectedMs: 200, worstCaseMs: 200 },
+  );
+
+  const skewed = attemptDurationStats({
+    attemptDurationMode: "latency",
+    attemptP50Ms: 100,
+    attemptP99Ms: 1000,
+  });
+  assert.ok(skewed.expectedMs > 100 && skewed.expectedMs < 1000);
+  assert.equal(skewed.worstCaseMs, 1000);
+});
@@ -3,7 +3,10 @@ import test from "node:test";
 
 import {
   buildChartMathExplanation,
+  cumulativeDelayQuantile,
   generateSchedule,
+  sampleDecorrelatedDelay,
+  sampleJitteredDelay,
   summarizeSchedule,
   validateConfig,
 } from "../src/backoff.js";
@@ -87,6 +90,462 @@ test("fixed schedule respects max delay cap", () => {
   assert.equal(schedule[2].cumulativeDelayMs, 3000);
 });
 
+test("fibonacci schedule multiplies the initial delay by F(r)", () => {
+  const schedule = generateSchedule({
+    strategy: "fibonacci",
+    initialDelayMs: 100,
+    maxRetries: 7,
+    maxDelayMs: 1000,
+  });
+
+  assert.deepEqual(
+    schedule.map((point) => point.rawDelayMs),
+    [100, 100, 200, 300, 500, 800, 1300],
+  );
+  assert.deepEqual(
+    schedule.map((point) => point.delayMs),
+    [100, 100, 200, 300, 500, 800, 1000],
+  );
+});
+
+test("polynomial schedule raises the retry number to the exponent", () => {
+  const schedule = generateSchedule({
+    strategy: "polynomial",
+    initialDelayMs: 100,
+    maxRetries: 4,
+    maxDelayMs: null,
+    exponent: 2,
+  });
+
+  assert.deepEqual(
+    schedule.map((point) => point.delayMs),
+    [100, 400, 900, 1600],
+  );
+  assert.equal(schedule[3].cumulativeDelayMs, 3000);
+});
+
+test("polynomial validation requires a positive exponent", () => {
+  const baseConfig = {
+    strategy: "polynomial",
+    initialDelayMs: 100,
+    maxRetries: 3,
+    maxDelayMs: null,
+  };
+
+  assert.equal(validateConfig({ ...baseConfig, exponent: 1.5 }).length, 0);
+  assert.ok(
+    validateConfig({ ...baseConfig, exponent: 0 }).some((error) => error.field === "exponent"),
+  );
+  assert.ok(
+    validateConfig({ ...baseConfig, exponent: Number.NaN }).some(
+      (error) => error.field === "exponent",
+    ),
+  );
+});
+
+test("custom sequence repeats its last delay and applies the cap", () => {
+  const schedule = generateSchedule({
+    strategy: "custom",
+    initialDelayMs: 0,
+    maxRetries: 6,
+    maxDelayMs: 5000,
+    customDelays: "100ms, 500ms, 2s, 10s",
+    sequenceEnd: "repeat",
+  });
+
+  assert.deepEqual(
+    schedule.map((point) => point.delayMs),
+    [100, 500, 2000, 5000, 5000, 5000],
+  );
+  assert.equal(schedule[3].rawDelayMs, 10_000);
+});
+
+test("custom sequence can stop after its last entry", () => {
+  const schedule = generateSchedule({
+    strategy: "custom",
+    initialDelayMs: 0,
+    maxRetries: 10,
+    maxDelayMs: null,
+    customDelays: "1s, 2s, 3s",
+    sequenceEnd: "stop",
+    jitter: "equal",
+  });
+
+  assert.equal(schedule.length, 3);
+  assert.deepEqual(
+    schedule.map((point) => point.minDelayMs),
+    [500, 1000, 1500],
+  );
+  assert.equal(schedule[2].cumulativeMaxDelayMs, 6000);
+});
+
+test("custom sequence validation reports per-entry errors", () => {
+  const baseConfig = {
+    strategy: "custom",
+    initialDelayMs: 0,
+    maxRetries: 3,
+    maxDelayMs: null,
+  };
+
+  const errors = validateConfig({ ...baseConfig, customDelays: "1s, soon, 5x" });
+  const entryMessages = errors
+    .filter((error) => error.field === "customDelays")
+    .map((error) => error.message);
+  assert.equal(entryMessages.length, 2);
+  assert.ok(entryMessages[0].startsWith('Entry 2 ("soon")'));
+  assert.ok(entryMessages[1].startsWith('Entry 3 ("5x")'));
+  assert.ok(
+    validateConfig({ ...baseConfig, customDelays: "" }).some(
+      (error) => error.message === "Enter at least one delay.",
+    ),
+  );
+  assert.ok(
+    validateConfig({ ...baseConfig, customDelays: "1s", sequenceEnd: "loop" }).some(
+      (error) => error.field === "sequenceEnd",
+    ),
+  );
+});
+
+test("expression strategy evaluates the formula for each retry", () => {
+  const schedule = generateSchedule({
+    strategy: "expression",
+    initialDelayMs: 100,
+    maxRetries: 4,
+    maxDelayMs: 600,
+    factor: 2,
+    incrementMs: 0,
+    expression: "D0 * F^(r-1) + 50*r",
+  });
+
+  assert.deepEqual(
+    schedule.map((point) => point.rawDelayMs),
+    [150, 300, 550, 1000],
+  );
+  assert.deepEqual(
+    schedule.map((point) => point.delayMs),
+    [150, 300, 550, 600],
+  );
+});
+
+test("expression validation reports positions and unusable results", () => {
+  const baseConfig = {
+    strategy: "expression",
+    initialDelayMs: 100,
+    maxRetries: 3,
+    maxDelayMs: null,
+    factor: 2,
+    incrementMs: 0,
+  };
+
+  assert.deepEqual(validateConfig({ ...baseConfig, expression: "D0 * (r + 1" }), [
+    { field: "expression", message: 'At position 12: Expected ")".', position: 11 },
+  ]);
+  assert.deepEqual(validateConfig({ ...baseConfig, expression: "D0 * (2 - r)" }), [
+    {
+      field: "expression",
+      message: "Evaluates to -100 at retry 3; delays must be finite and >= 0.",
+    },
+  ]);
+  assert.deepEqual(
+    validateConfig({ ...baseConfig, incrementMs: Number.NaN, expression: "D0 + I * r" }),
+    [{ field: "incrementMs", message: "Must be a number when I is used." }],
+  );
+  assert.deepEqual(
+    validateConfig({ ...baseConfig, incrementMs: Number.NaN, expression: "D0" }),
+    [],
+  );
+  assert.throws(
+    () => generateSchedule({ ...baseConfig, expression: "D0 / (r - 1)" }),
+    /Invalid configuration/,
+  );
+});
+
+test("a capped formula may overflow like the built-in exponential strategy", () => {
+  const config = {
+    strategy: "expression",
+    expression: "D0 * F^(r-1)",
+    initialDelayMs: 100,
+    factor: 3,
+    maxRetries: 700,
+    maxDelayMs: 60_000,
+    jitter: "full",
+    jitterOrder: "jitter-then-cap",
+  };
+  const last = generateSchedule(config).at(-1);
+
+  assert.equal(last.rawDelayMs, Number.POSITIVE_INFINITY);
+  assert.deepEqual(
+    [last.minDelayMs, last.expectedDelayMs, last.maxDelayMs],
+    [60_000, 60_000, 60_000],
+  );
+  assert.equal(sampleJitteredDelay(config, last.rawDelayMs, 0), 60_000);
+  assert.deepEqual(validateConfig({ ...config, maxDelayMs: null }), [
+    {
+      field: "expression",
+      message: "Evaluates to Infinity at retry 643; delays must be finite and >= 0.",
+    },
+  ]);
+  assert.deepEqual(validateConfig({ ...config, expression: "D0 * F^(r-1) - F^r" }), [
+    {
+      field: "expression",
+      message: "Evaluates to NaN at retry 647; delays must be numbers and >= 0.",
+    },
+  ]);
+});
+
+test("min delay floor lifts full-jitter sleeps after jitter", () => {
+  const schedule = generateSchedule({
+    strategy: "exponential",
+    initialDelayMs: 100,
+    maxRetries: 3,
+    maxDelayMs: 1000,
+    minDelayMs: 200,
+    factor: 4,
+    jitter: "full",
+  });
+
+  assert.deepEqual(
+    schedule.map((point) => [point.minDelayMs, point.expectedDelayMs, point.maxDelayMs]),
+    [
+      [200, 200, 200],
+      [200, 250, 400],
+      [200, 520, 1000],
+    ],
+  );
+  assert.equal(schedule[2].cumulativeMinDelayMs, 600);
+  assert.equal(schedule[2].cumulativeDelayMs, 970);
+});
+
+test("min delay floor applies to unjittered and decorrelated sleeps", () => {
+  const baseConfig = {
+    strategy: "fixed",
+    initialDelayMs: 100,
+    maxRetries: 2,
+    maxDelayMs: null,
+    minDelayMs: 300,
+  };
+
+  assert.deepEqual(
+    generateSchedule(baseConfig).map((point) => point.delayMs),
+    [300, 300],
+  );
+
+  const decorrelated = generateSchedule({ ...baseConfig, jitter: "decorrelated" });
+  assert.equal(decorrelated[0].minDelayMs, 300);
+  assert.equal(decorrelated[0].maxDelayMs, 300);
+  assert.equal(decorrelated[1].maxDelayMs, 900);
+  assert.equal(sampleDecorrelatedDelay({ ...baseConfig, maxDelayMs: 1000 }, 100, 0), 300);
+  assert.equal(sampleJitteredDelay({ ...baseConfig, jitter: "full" }, 1000, 0.1), 300);
+  assert.equal(sampleJitteredDelay({ ...baseConfig, jitter: "full" }, 1000, 0.5), 500);
+});
+
+test("validation keeps the min delay floor at or below the cap", () => {
+  const baseConfig = {
+    strategy: "fixed",
+    initialDelayMs: 100,
+    maxRetries: 2,
+    maxDelayMs: 500,
+  };
+
+  assert.deepEqual(validateConfig({ ...baseConfig, minDelayMs: 500 }), []);
+  assert.deepEqual(validateConfig({ ...baseConfig, minDelayMs: 600 }), [
+    { field: "minDelayMs", message: "Must be <= the max delay cap." },
+  ]);
+  assert.deepEqual(validateConfig({ ...baseConfig, minDelayMs: -1 }), [
+    { field: "minDelayMs", message: "Must be >= 0 or blank." },
+  ]);
+  assert.deepEqual(validateConfig({ ...baseConfig, maxDelayMs: null, minDelayMs: 600 }), []);
+});
+
+test("chart math explanation resolves floored cumulative values per retry", () => {
+  const model = buildChartMathExplanation({
+    config: {
+      strategy: "exponential",
+      initialDelayMs: 100,
+      maxRetries: 3,
+      maxDelayMs: null,
+      minDelayMs: 200,
+      factor: 4,
+      jitter: "full",
+    },
+    chartMode: "cumulative",
+    chartSeriesMode: "expected",
+    activePoint: { retry: 2, valueMs: 450 },
+  });
+
+  assert.equal(model.hasFloor, true);
+  assert.equal(model.constants.minDelayMs, 200);
+  assert.equal(model.resolved.baseChartValueMs, 500);
+  assert.equal(model.resolved.randomizedMinValueMs, 400);
+  assert.equal(model.resolved.randomizedExpectedValueMs, 450);
+  assert.equal(model.resolved.randomizedMaxValueMs, 600);
+  assert.equal(model.variableBindings.find((binding) => binding.symbol === "Dfloor")?.value, 200);
+});
+
+test("elapsed budget stops before the retry that would exceed it", () => {
+  const config = {
+    strategy: "exponential",
+    initialDelayMs: 1000,
+    maxRetries: 10,
+    maxDelayMs: null,
+    factor: 2,
+    maxElapsedMs: 10_000,
+  };
+  const schedule = generateSchedule(config);
+
+  assert.deepEqual(
+    schedule.map((point) => point.cumulativeDelayMs),
+    [1000, 3000, 7000],
+  );
+  assert.deepEqual(
+    schedule.map((point) => point.budgetCutoff),
+    [false, false, true],
+  );
+  assert.equal(schedule.some((point) => point.clippedToBudget), false);
+  assert.deepEqual(summarizeSchedule(schedule, config), {
+    totalRetries: 3,
+    finalDelayMs: 4000,
+    totalDelayMs: 7000,
+    limitedBy: "maxElapsed",
+    worstCaseLatencyMs: 7000,
+    giveUpP95Ms: 7000,
+    capRetry: null,
+    growingDelayMs: 7000,
+    cappedDelayMs: 0,
+    uncappedTotalDelayMs: 7000,
+    thresholdCrossings: [
+      { thresholdMs: 60_000, retry: null },
+      { thresholdMs: 300_000, retry: null },
+      { thresholdMs: 3_600_000, retry: null },
+    ],
+  });
+});
+
+test("elapsed budget can clip the final sleep to the remaining budget", () => {
+  const config = {
+    strategy: "exponential",
+    initialDelayMs: 1000,
+    maxRetries: 10,
+    maxDelayMs: null,
+    factor: 2,
+    jitter: "full",
+    maxElapsedMs: 5000,
+    elapsedBudgetMode: "clip",
+  };
+  const schedule = generateSchedule(config);
+  const last = schedule[schedule.length - 1];
+
+  assert.equal(schedule.length, 4);
+  assert.equal(last.rawDelayMs, 8000);
+  // min(U(0, 8000), 1500): most draws are clipped, the rest average 750 ms.
+  assert.equal(last.expectedDelayMs, (6500 * 1500 + 1500 * 750) / 8000);
+  assert.equal(last.minDelayMs, 0);
+  assert.equal(last.maxDelayMs, 1500);
+  assert.equal(last.cumulativeDelayMs, 3500 + last.expectedDelayMs);
+  assert.equal(last.clippedToBudget, true);
+  assert.equal(last.budgetCutoff, true);
+  assert.equal(summarizeSchedule(schedule, config).limitedBy, "maxElapsed");
+});
+
+test("summary reports which limit ended the schedule", () => {
+  const config = {
+    strategy: "custom",
+    initialDelayMs: 0,
+    maxRetries: 5,
+    maxDelayMs: null,
+    customDelays: "1s, 2s",
+    sequenceEnd: "stop",
+  };
+
+  assert.equal(summarizeSchedule(generateSchedule(config), config).limitedBy, "delayList");
+
+  const roomyBudget = { ...config, sequenceEnd: "repeat", maxElapsedMs: 60_000 };
+  assert.equal(
+    summarizeSchedule(generateSchedule(roomyBudget), roomyBudget).limitedBy,
+    "maxRetries",
+  );
+
+  const tinyBudget = { ...config, maxElapsedMs: 500 };
+  assert.deepEqual(generateSchedule(tinyBudget), []);
+  assert.equal(summarizeSchedule([], tinyBudget).limitedBy, "maxElapsed");
+  assert.deepEqual(
+    validateConfig({ ...config, maxElapsedMs: -1, elapsedBudgetMode: "trim" }).map(
+      (error) => error.field,
+    ),
+    ["maxElapsedMs", "elapsedBudgetMode"],
+  );
+});
+
+test("attempt timeouts add wall-clock time around every sleep", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 3,
+    maxDelayMs: null,
+    jitter: "full",
+    attemptDurationMode: "timeout",
+    attemptTimeoutMs: 2000,
+  };
+  const schedule = generateSchedule(config);
+
+  assert.deepEqual(
+    schedule.map((point) => [point.attemptStartMs, point.attemptEndMs]),
+    [
+      [2500, 4500],
+      [5000, 7000],
+      [7500, 9500],
+    ],
+  );
+  assert.equal(schedule[2].cumulativeDelayMs, 1500);
+  assert.equal(schedule[2].latestAttemptStartMs, 9000);
+  assert.equal(summarizeSchedule(schedule, config).worstCaseLatencyMs, 11_000);
+  assert.equal(summarizeSchedule([], { ...config, maxRetries: 0 }).worstCaseLatencyMs, 2000);
+});
+
+test("latency percentiles use a log-normal attempt duration", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 1,
+    maxDelayMs: null,
+    attemptDurationMode: "latency",
+    attemptP50Ms: 100,
+    attemptP99Ms: 1000,
+  };
+  const [point] = generateSchedule(config);
+  const meanAttemptMs = 100 * Math.exp((Math.log(10) / 2.3263478740408408) ** 2 / 2);
+
+  assert.ok(Math.abs(point.attemptStartMs - (meanAttemptMs + 1000)) < 1e-9);
+  assert.ok(Math.abs(point.attemptEndMs - (2 * meanAttemptMs + 1000)) < 1e-9);
+  assert.equal(point.latestAttemptEndMs, 3000);
+  assert.deepEqual(
+    validateConfig({ ...config, attemptP50Ms: 0 }).map((error) => error.field),
+    ["attemptP50Ms"],
+  );
+  assert.deepEqual(
+    validateConfig({ ...config, attemptP99Ms: 50 }).map((error) => error.field),
+    ["attemptP99Ms"],
+  );
+});
+
+test("elapsed budget counts modelled attempt time", () => {
+  const schedule = generateSchedule({
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 10,
+    maxDelayMs: null,
+    maxElapsedMs: 10_000,
+    attemptDurationMode: "timeout",
+    attemptTimeoutMs: 2000,
+  });
+
+  assert.deepEqual(
+    schedule.map((point) => point.attemptStartMs),
+    [3000, 6000, 9000],
+  );
+  assert.equal(schedule[2].budgetCutoff, true);
+});
+
 test("equal jitter exposes min, expected, and max delay ranges", () => {
   const schedule = generateSchedule({
     strategy: "linear",
@@ -154,6 +613,392 @@ test("full jitter is calculated from capped deterministic delay", () => {
   assert.equal(schedule[2].cumulativeMaxDelayMs, 3000);
 });
 
+test("proportional jitter spreads the capped delay by the randomization factor", () => {
+  const config = {
+    strategy: "exponential",
+    initialDelayMs: 1000,
+    maxRetries: 3,
+    maxDelayMs: 3000,
+    factor: 2,
+    jitter: "proportional",
+    randomizationFactor: 0.2,
+  };
+  const schedule = generateSchedule(config);
+
+  assert.deepEqual(
+    schedule.map((point) => [point.minDelayMs, point.expectedDelayMs, point.maxDelayMs]),
+    [
+      [800, 1000, 1200],
+      [1600, 2000, 2400],
+      [2400, 3000, 3600],
+    ],
+  );
+  assert.equal(schedule[2].cumulativeMaxDelayMs, 7200);
+  assert.equal(sampleJitteredDelay(config, 4000, 0), 2400);
+  assert.equal(sampleJitteredDelay(config, 4000, 0.5), 3000);
+  assert.equal(sampleJitteredDelay(config, 1000, 0.75), 1100);
+
+  const model = buildChartMathExplanation({
+    config,
+    chartMode: "cumulative",
+    chartSeriesMode: "expected",
+    activePoint: { retry: 2, valueMs: 3000, minMs: 2400, maxMs: 3600 },
+  });
+  assert.equal(model.constants.randomizationFactor, 0.2);
+  assert.equal(model.variableBindings.find((binding) => binding.symbol === "R")?.value, 0.2);
+  assert.equal(model.resolved.randomizedMinValueMs, 2400);
+  assert.equal(model.resolved.randomizedMaxValueMs, 3600);
+});
+
+test("proportional jitter expectation accounts for the min delay floor", () => {
+  const schedule = generateSchedule({
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 1,
+    maxDelayMs: null,
+    minDelayMs: 1000,
+    jitter: "proportional",
+    randomizationFactor: 0.5,
+  });
+
+  assert.equal(schedule[0].minDelayMs, 1000);
+  assert.equal(schedule[0].expectedDelayMs, 1125);
+  assert.equal(schedule[0].maxDelayMs, 1500);
+});
+
+test("jitter-then-cap draws around the raw delay and clips the draw to the cap", () => {
+  const config = {
+    strategy: "exponential",
+    initialDelayMs: 1000,
+    maxRetries: 4,
+    maxDelayMs: 2000,
+    factor: 2,
+    jitter: "full",
+  };
+  const jitterFirstConfig = { ...config, jitterOrder: "jitter-then-cap" };
+  const capFirst = generateSchedule(config);
+  const jitterFirst = generateSchedule(jitterFirstConfig);
+
+  assert.deepEqual(
+    capFirst.map((point) => point.expectedDelayMs),
+    [500, 1000, 1000, 1000],
+  );
+  assert.deepEqual(
+    jitterFirst.map((point) => [point.minDelayMs, point.expectedDelayMs, point.maxDelayMs]),
+    [
+      [0, 500, 1000],
+      [0, 1000, 2000],
+      [0, 1500, 2000],
+      [0, 1750, 2000],
+    ],
+  );
+  assert.equal(capFirst[3].cumulativeDelayMs, 3500);
+  assert.equal(jitterFirst[3].cumulativeDelayMs, 4750);
+  assert.equal(jitterFirst[3].cumulativeMaxDelayMs, 7000);
+  // Half of U(0, 4000) lands on the 2000 ms cap.
+  assert.ok(Math.abs(jitterFirst[2].delayVariance - 1_250_000 / 3) < 1e-6);
+  assert.equal(sampleJitteredDelay(jitterFirstConfig, 4000, 0.75), 2000);
+  assert.equal(sampleJitteredDelay(jitterFirstConfig, 4000, 0.25), 1000);
+  assert.equal(sampleJitteredDelay(config, 4000, 0.25), 500);
+});
+
+test("jitter-then-cap keeps proportional jitter under the cap", () => {
+  const config = {
+    strategy: "exponential",
+    initialDelayMs: 1000,
+    maxRetries: 3,
+    maxDelayMs: 3000,
+    factor: 2,
+    jitter: "proportional",
+    randomizationFactor: 0.2,
+    jitterOrder: "jitter-then-cap",
+  };
+
+  assert.deepEqual(
+    generateSchedule(config).map((point) => [
+      point.minDelayMs,
+      point.expectedDelayMs,
+      point.maxDelayMs,
+    ]),
+    [
+      [800, 1000, 1200],
+      [1600, 2000, 2400],
+      [3000, 3000, 3000],
+    ],
+  );
+
+  const model = buildChartMathExplanation({
+    config,
+    chartMode: "cumulative",
+    chartSeriesMode: "expected",
+    activePoint: { retry: 3, valueMs: 6000, minMs: 5400, maxMs: 6600 },
+  });
+  assert.equal(model.jitterOrder, "jitter-then-cap");
+  assert.equal(model.resolved.cappedDelayMs, 3000);
+  assert.equal(model.resolved.expectedDelayMs, 3000);
+  assert.equal(model.resolved.randomizedMinValueMs, 5400);
+  assert.equal(model.resolved.randomizedMaxValueMs, 6600);
+});
+
+test("validation rejects unknown jitter orders", () => {
+  assert.deepEqual(
+    validateConfig({
+      strategy: "fixed",
+      initialDelayMs: 100,
+      maxRetries: 2,
+      maxDelayMs: null,
+      jitter: "full",
+      jitterOrder: "cap-first",
+    }),
+    [{ field: "jitterOrder", message: "Must be cap-then-jitter or jitter-then-cap." }],
+  );
+});
+
+test("validation bounds the randomization factor to [0, 1]", () => {
+  const baseConfig = {
+    strategy: "fixed",
+    initialDelayMs: 100,
+    maxRetries: 2,
+    maxDelayMs: null,
+    jitter: "proportional",
+  };
+
+  assert.equal(validateConfig({ ...baseConfig, randomizationFactor: 0 }).length, 0);
+  assert.equal(validateConfig({ ...baseConfig, randomizationFactor: 1 }).length, 0);
+  assert.deepEqual(validateConfig({ ...baseConfig, randomizationFactor: 1.5 }), [
+    { field: "randomizationFactor", message: "Must be between 0 and 1." },
+  ]);
+  assert.deepEqual(validateConfig({ ...baseConfig, randomizationFactor: -0.1 }), [
+    { field: "randomizationFactor", message: "Must be between 0 and 1." },
+  ]);
+  assert.equal(
+    validateConfig({ ...baseConfig, jitter: "full", randomizationFactor: 1.5 }).length,
+    0,
+  );
+});
+
+test("uniform jitter exposes analytic per-retry and cumulative variance", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 1200,
+    maxRetries: 3,
+    maxDelayMs: null,
+    jitter: "full",
+  };
+  const full = generateSchedule(config);
+  const equal = generateSchedule({ ...config, jitter: "equal" });
+  const none = generateSchedule({ ...config, jitter: "none" });
+
+  assert.equal(full[0].delayVariance, 120000);
+  assert.equal(full[2].cumulativeVariance, 360000);
+  assert.equal(full[2].cumulativeStdDevMs, 600);
+  assert.equal(equal[0].delayVariance, 30000);
+  assert.equal(none[2].cumulativeStdDevMs, 0);
+});
+
+test("variance accounts for the min delay floor and decorrelated jitter is not modelled", () => {
+  const floored = generateSchedule({
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 1,
+    maxDelayMs: null,
+    minDelayMs: 500,
+    jitter: "full",
+  });
+  const decorrelated = generateSchedule({
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 2,
+    maxDelayMs: null,
+    jitter: "decorrelated",
+  });
+
+  // Half the mass sits on the floor at 500, half is uniform on [500, 1000].
+  const mean = 625;
+  const secondMoment = 0.5 * 500 ** 2 + (1000 ** 3 - 500 ** 3) / 3 / 1000;
+  assert.ok(Math.abs(floored[0].delayVariance - (secondMoment - mean ** 2)) < 1e-6);
+  assert.equal(decorrelated[1].delayVariance, null);
+  assert.equal(decorrelated[1].cumulativeStdDevMs, null);
+  assert.equal(cumulativeDelayQuantile(decorrelated, 1, 0.95), null);
+  assert.equal(summarizeSchedule(decorrelated).giveUpP95Ms, null);
+});
+
+test("cumulative delay quantiles are exact for one draw and normal for sums", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 12,
+    maxDelayMs: null,
+    jitter: "full",
+  };
+  const schedule = generateSchedule(config);
+
+  assert.equal(cumulativeDelayQuantile(schedule, 0, 0.95), 950);
+  assert.equal(cumulativeDelayQuantile(schedule, 0, 0.05), 50);
+  // Twelve uniform draws: mean 6000, standard deviation 1000.
+  assert.ok(Math.abs(cumulativeDelayQuantile(schedule, 11, 0.5) - 6000) < 1e-6);
+  assert.ok(Math.abs(cumulativeDelayQuantile(schedule, 11, 0.95) - 7644.854) < 0.01);
+  assert.ok(Math.abs(cumulativeDelayQuantile(schedule, 11, 0.01) - 3673.652) < 0.01);
+  assert.throws(() => cumulativeDelayQuantile(schedule, 0, 1), /between 0 and 1/);
+});
+
+test("summary reports when 95% of clients have given up", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 1,
+    maxDelayMs: null,
+    jitter: "full",
+    attemptDurationMode: "timeout",
+    attemptTimeoutMs: 200,
+  };
+
+  // p95 of one full-jitter sleep plus the initial attempt and the retry.
+  assert.equal(summarizeSchedule(generateSchedule(config), config).giveUpP95Ms, 1350);
+});
+
+test("summary reports where the cap engages and when waits cross thresholds", () => {
+  const config = {
+    strategy: "exponential",
+    initialDelayMs: 1000,
+    maxRetries: 8,
+    maxDelayMs: 10_000,
+    factor: 2,
+    waitThresholds: "20s, 1m",
+  };
+  const summary = summarizeSchedule(generateSchedule(config), config);
+
+  // Sleeps: 1 s, 2 s, 4 s, 8 s, then 10 s from retry 5 on.
+  assert.equal(summary.capRetry, 5);
+  assert.equal(summary.growingDelayMs, 15_000);
+  assert.equal(summary.cappedDelayMs, 40_000);
+  assert.equal(summary.uncappedTotalDelayMs, 255_000);
+  assert.deepEqual(summary.thresholdCrossings, [
+    { thresholdMs: 20_000, retry: 5 },
+    { thresholdMs: 60_000, retry: null },
+  ]);
+});
+
+test("uncapped total sums the computed delays for non-exponential strategies", () => {
+  const config = {
+    strategy: "linear",
+    initialDelayMs: 1000,
+    maxRetries: 4,
+    maxDelayMs: 2000,
+    incrementMs: 500,
+  };
+  const summary = summarizeSchedule(generateSchedule(config), config);
+
+  assert.equal(summary.capRetry, 3);
+  assert.equal(summary.uncappedTotalDelayMs, 1000 + 1500 + 2000 + 2500);
+  assert.equal(summary.growingDelayMs + summary.cappedDelayMs, summary.totalDelayMs);
+});
+
+test("wait thresholds report invalid entries", () => {
+  const errors = validateConfig({
+    strategy: "fixed",
+    initialDelayMs: 100,
+    maxRetries: 1,
+    maxDelayMs: null,
+    waitThresholds: "1m, soon",
+  });
+
+  assert.deepEqual(errors, [
+    {
+      field: "waitThresholds",
+      message: 'Entry 2 ("soon"): Must be a non-negative duration like 250, 250ms, 2s, 1m, or 1h.',
+    },
+  ]);
+});
+
+test("decorrelated jitter ranges grow from the previous sleep and respect the cap", () => {
+  const schedule = generateSchedule({
+    strategy: "exponential",
+    initialDelayMs: 100,
+    maxRetries: 4,
+    maxDelayMs: 1000,
+    factor: 2,
+    jitter: "decorrelated",
+  });
+
+  assert.deepEqual(
+    schedule.map((point) => point.minDelayMs),
+    [100, 100, 100, 100],
+  );
+  assert.deepEqual(
+    schedule.map((point) => point.maxDelayMs),
+    [300, 900, 1000, 1000],
+  );
+  assert.equal(schedule[0].expectedDelayMs, 200);
+  assert.equal(schedule[1].expectedDelayMs, 350);
+  assert.ok(schedule[2].expectedDelayMs < 575);
+  assert.ok(schedule[3].expectedDelayMs <= 1000);
+  assert.equal(schedule[3].cumulativeMaxDelayMs, 3200);
+  assert.equal(schedule[3].cumulativeMinDelayMs, 400);
+});
+
+test("decorrelated insights follow the longest sleep path rather than the strategy", () => {
+  const config = {
+    strategy: "exponential",
+    initialDelayMs: 100,
+    maxRetries: 4,
+    maxDelayMs: 1000,
+    factor: 10,
+    jitter: "decorrelated",
+  };
+  const schedule = generateSchedule(config);
+  const summary = summarizeSchedule(schedule, config);
+
+  // The factor alone would reach the cap at retry 2 and total 111,100ms uncapped.
+  assert.deepEqual(
+    schedule.map((point) => point.rawDelayMs),
+    [300, 900, 2700, 3000],
+  );
+  assert.equal(summary.capRetry, 3);
+  assert.equal(summary.uncappedTotalDelayMs, 200 + 350 + 575 + 912.5);
+});
+
+test("decorrelated sampling draws between the base and three times the previous sleep", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 100,
+    maxRetries: 3,
+    maxDelayMs: 500,
+    jitter: "decorrelated",
+  };
+
+  assert.equal(sampleDecorrelatedDelay(config, 100, 0), 100);
+  assert.equal(sampleDecorrelatedDelay(config, 100, 0.5), 200);
+  assert.equal(sampleDecorrelatedDelay(config, 400, 0.99), 500);
+  assert.equal(sampleDecorrelatedDelay({ ...config, maxDelayMs: null }, 400, 1), 1200);
+});
+
+test("chart math explanation resolves decorrelated previous and cumulative values", () => {
+  const model = buildChartMathExplanation({
+    config: {
+      strategy: "fixed",
+      initialDelayMs: 100,
+      maxRetries: 5,
+      maxDelayMs: null,
+      jitter: "decorrelated",
+    },
+    chartMode: "cumulative",
+    chartSeriesMode: "expected",
+    activePoint: {
+      retry: 2,
+      valueMs: 550,
+      minMs: 200,
+      maxMs: 1200,
+    },
+  });
+
+  assert.equal(model.resolved.previousDelayMs, 200);
+  assert.equal(model.resolved.expectedDelayMs, 350);
+  assert.equal(model.resolved.randomizedMinValueMs, 200);
+  assert.equal(model.resolved.randomizedExpectedValueMs, 550);
+  assert.equal(model.resolved.randomizedMaxValueMs, 1200);
+});
+
 test("maxRetries = 0 returns empty schedule and zero summary", () => {
   const schedule = generateSchedule({
     strategy: "linear",
@@ -168,6 +1013,18 @@ test("maxRetries = 0 returns empty schedule and zero summary", () => {
     totalRetries: 0,
     finalDelayMs: 0,
     totalDelayMs: 0,
+    limitedBy: "maxRetries",
+    worstCaseLatencyMs: 0,
+    giveUpP95Ms: 0,
+    capRetry: null,
+    growingDelayMs: 0,
+    cappedDelayMs: 0,
+    uncappedTotalDelayMs: 0,
+    thresholdCrossings: [
+      { thresholdMs: 60_000, retry: null },
+      { thresholdMs: 300_000, retry: null },
+      { thresholdMs: 3_600_000, retry: null },
+    ],
   });
 });
 
@@ -185,6 +1042,18 @@ test("maxRetries = 0 returns empty schedule with jitter enabled", () => {
     totalRetries: 0,
     finalDelayMs: 0,
     totalDelayMs: 0,
+    limitedBy: "maxRetries",
+    worstCaseLatencyMs: 0,
+    giveUpP95Ms: 0,
+    capRetry: null,
+    growingDelayMs: 0,
+    cappedDelayMs: 0,
+    uncappedTotalDelayMs: 0,
+    thresholdCrossings: [
+      { thresholdMs: 60_000, retry: null },
+      { thresholdMs: 300_000, retry: null },
+      { thresholdMs: 3_600_000, retry: null },
+    ],
   });
 });
 
@@ -211,6 +1080,8 @@ test("validation accepts known jitter types", () => {
   assert.equal(validateConfig({ ...baseConfig, jitter: "none" }).length, 0);
   assert.equal(validateConfig({ ...baseConfig, jitter: "equal" }).length, 0);
   assert.equal(validateConfig({ ...baseConfig, jitter: "full" }).length, 0);
+  assert.equal(validateConfig({ ...baseConfig, jitter: "proportional" }).length, 0);
+  assert.equal(validateConfig({ ...baseConfig, jitter: "decorrelated" }).length, 0);
 });
 
 test("validation rejects unknown jitter types", () => {
@@ -295,6 +1166,31 @@ test("validation rejects invalid values", () => {
   );
 });
 
+test("validation ignores simulator inputs, which each panel checks on its own", () => {
+  assert.deepEqual(
+    validateConfig({
+      strategy: "fixed",
+      initialDelayMs: 100,
+      maxRetries: 1,
+      maxDelayMs: null,
+      failureModel: "constant",
+      failureProbability: 2,
+      maxTokens: 0,
+      tokenRatio: 0,
+      throttleRequests: 0.5,
+      herdClients: 0,
+      scenarioMode: "outage",
+      outageMs: -1,
+      recoveryCapacity: 2,
+      breakerMode: "consecutive",
+      breakerFailureThreshold: 0,
+      breakerOpenMs: -1,
+      breakerHalfOpenProbes: 1.5,
+    }),
+    [],
+  );
+});
+
 test("chart math explanation keeps retry symbolic when no point is hovered", () => {
   const model = buildChartMathExplanation({
     config: {
@@ -317,7 +1213,10 @@ test("chart math explanation keeps retry symbolic when no point is hovered", ()
     initialDelayMs: 500,
     factor: 2,
     incrementMs: null,
+    exponent: null,
     maxDelayMs: 1500,
+    minDelayMs: null,
+    randomizationFactor: null,
   });
   assert.equal(model.variableBindings.find((binding) => binding.symbol === "r")?.value, "symbolic");
 });
@@ -402,3 +1301,23 @@ test("chart math explanation handles maxRetries = 0 without hover substitution",
   assert.equal(model.resolved.rawDelayMs, null);
   assert.equal(model.variableBindings.find((binding) => binding.symbol === "Dcap")?.value, "\u221e");
 });
+
+test("chart math explanation exposes the polynomial exponent", () => {
+  const model = buildChartMathExplanation({
+    config: {
+      strategy: "polynomial",
+      initialDelayMs: 100,
+      maxRetries: 5,
+      maxDelayMs: null,
+      exponent: 3,
+      jitter: "none",
+    },
+    chartMode: "delay",
+    chartSeriesMode: "expected",
+    activePoint: { retry: 2, valueMs: 800, minMs: 800, maxMs: 800 },
+  });
+
+  assert.equal(model.constants.exponent, 3);
+  assert.equal(model.resolved.rawDelayMs, 800);
+  assert.equal(model.variableBindings.find((binding) => binding.symbol === "p")?.visible, true);
+});
@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { generateSchedule } from "../src/backoff.js";
+import {
+  DEFAULT_BREAKER_MODE,
+  applyCircuitBreaker,
+  isBreakerMode,
+  resolveBreakerMode,
+  validateBreakerConfig,
+} from "../src/circuitBreaker.js";
+
+/**
+ * @param {object} config
+ */
+function replay(config) {
+  return applyCircuitBreaker(generateSchedule(config), config);
+}
+
+test("breaker mode helpers validate and normalize values", () => {
+  assert.equal(isBreakerMode("none"), true);
+  assert.equal(isBreakerMode("consecutive"), true);
+  assert.equal(isBreakerMode("rate"), false);
+  assert.equal(resolveBreakerMode("unknown"), DEFAULT_BREAKER_MODE);
+  assert.equal(resolveBreakerMode("consecutive"), "consecutive");
+});
+
+test("the breaker opens after the failure threshold and short-circuits later retries", () => {
+  const timeline = replay({
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 4,
+    maxDelayMs: null,
+    jitter: "none",
+    breakerMode: "consecutive",
+    breakerFailureThreshold: 3,
+    breakerOpenMs: 60000,
+    breakerHalfOpenProbes: 2,
+  });
+
+  // The initial attempt and retries 1-2 fail, so retry 3 meets an open breaker.
+  assert.deepEqual(
+    timeline.points.map((point) => [point.retry, point.state, point.shortCircuited]),
+    [
+      [1, "closed", false],
+      [2, "closed", false],
+      [3, "open", true],
+      [4, "open", true],
+    ],
+  );
+  assert.equal(timeline.shortCircuitedCount, 2);
+  assert.equal(timeline.dependencyCalls, 3);
+  assert.equal(timeline.opens, 1);
+});
+
+test("half-open probes reach the dependency and reopen the breaker when they fail", () => {
+  const timeline = replay({
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 12,
+    maxDelayMs: null,
+    jitter: "none",
+    breakerMode: "consecutive",
+    breakerFailureThreshold: 3,
+    breakerOpenMs: 4500,
+    breakerHalfOpenProbes: 2,
+  });
+
+  // Opened at 2 s for 4.5 s, so retry 7 at 7 s is the first probe.
+  assert.deepEqual(
+    timeline.points.slice(5, 9).map((point) => [point.retry, point.state, point.shortCircuited]),
+    [
+      [6, "open", true],
+      [7, "half-open", false],
+      [8, "half-open", false],
+      [9, "open", true],
+    ],
+  );
+  assert.equal(timeline.opens, 2);
+  assert.equal(timeline.dependencyCalls, 5);
+  assert.equal(timeline.lastCallEndMs, 8000);
+});
+
+test("short-circuited retries take no attempt time", () => {
+  const timeline = replay({
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 5,
+    maxDelayMs: null,
+    jitter: "none",
+    breakerMode: "consecutive",
+    breakerFailureThreshold: 3,
+    breakerOpenMs: 60000,
+    breakerHalfOpenProbes: 2,
+    attemptDurationMode: "timeout",
+    attemptTimeoutMs: 500,
+  });
+
+  // Calls that reach the dependency add 500 ms each; rejected calls add nothing.
+  assert.deepEqual(
+    timeline.points.map((point) => point.startMs),
+    [1500, 3000, 4500, 5500, 6500],
+  );
+  assert.equal(timeline.lastCallEndMs, 3500);
+});
+
+test("breaker inputs are validated only when enabled", () => {
+  const invalid = { breakerFailureThreshold: 0, breakerOpenMs: -1, breakerHalfOpenProbes: 1.5 };
+
+  assert.deepEqual(validateBreakerConfig({ breakerMode: "consecutive", ...invalid }), [
+    { field: "breakerFailureThreshold", message: "Must be an integer >= 1." },
+    { field: "breakerOpenMs", message: "Must be >= 0." },
+    { field: "breakerHalfOpenProbes", message: "Must be an integer >= 1." },
+  ]);
+  assert.deepEqual(validateBreakerConfig({ breakerMode: "none", ...invalid }), []);
+  assert.equal(validateBreakerConfig({ breakerMode: "rate" })[0].field, "breakerMode");
+});
@@ -0,0 +1,140 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { generateSchedule, summarizeSchedule } from "../src/backoff.js";
+import { compareSchedules, MAX_PINNED_SERIES, nextSeriesName } from "../src/comparison.js";
+import { initialAttemptPoint, retryLabel } from "../src/retryIndex.js";
+
+/**
+ * @param {string} name
+ * @param {import("../src/backoff.js").BackoffConfig} config
+ */
+function series(name, config) {
+  const points = generateSchedule(config);
+  return { name, points, summary: summarizeSchedule(points, config) };
+}
+
+test("up to four pinned series join the live inputs", () => {
+  assert.equal(MAX_PINNED_SERIES, 4);
+});
+
+test("nextSeriesName skips names already in use", () => {
+  assert.equal(nextSeriesName([]), "Policy A");
+  assert.equal(nextSeriesName(["Policy A", " policy b "]), "Policy C");
+  assert.equal(nextSeriesName(["Old"]), "Policy A");
+});
+
+test("compareSchedules diffs each retry against the first series", () => {
+  const old = {
+    strategy: "exponential",
+    initialDelayMs: 100,
+    factor: 2,
+    maxRetries: 3,
+    maxDelayMs: null,
+    jitter: "none",
+  };
+  const comparison = compareSchedules([
+    series("Old", old),
+    series("Proposed", { ...old, strategy: "fixed", maxRetries: 4 }),
+  ]);
+
+  assert.deepEqual(
+    comparison.rows.map((row) => row.cells),
+    [
+      [
+        { delayMs: 100, cumulativeDelayMs: 100, delayDiffMs: null, cumulativeDiffMs: null },
+        { delayMs: 100, cumulativeDelayMs: 100, delayDiffMs: 0, cumulativeDiffMs: 0 },
+      ],
+      [
+        { delayMs: 200, cumulativeDelayMs: 300, delayDiffMs: null, cumulativeDiffMs: null },
+        { delayMs: 100, cumulativeDelayMs: 200, delayDiffMs: -100, cumulativeDiffMs: -100 },
+      ],
+      [
+        { delayMs: 400, cumulativeDelayMs: 700, delayDiffMs: null, cumulativeDiffMs: null },
+        { delayMs: 100, cumulativeDelayMs: 300, delayDiffMs: -300, cumulativeDiffMs: -400 },
+      ],
+      [
+        null,
+        { delayMs: 100, cumulativeDelayMs: 400, delayDiffMs: null, cumulativeDiffMs: null },
+      ],
+    ],
+  );
+  assert.deepEqual(
+    comparison.rows.map((row) => row.retry),
+    [1, 2, 3, 4],
+  );
+});
+
+test("compareSchedules diffs each summary against the first series", () => {
+  const old = {
+    strategy: "exponential",
+    initialDelayMs: 100,
+    factor: 2,
+    maxRetries: 3,
+    maxDelayMs: null,
+    jitter: "none",
+  };
+  const { summaries } = compareSchedules([
+    series("Old", old),
+    series("Proposed", { ...old, maxRetries: 4 }),
+  ]);
+
+  assert.equal(summaries[0].diffs, null);
+  assert.equal(summaries[1].summary.totalDelayMs, 1500);
+  assert.deepEqual(summaries[1].diffs, {
+    totalRetries: 1,
+    finalDelayMs: 400,
+    totalDelayMs: 800,
+    worstCaseLatencyMs: 800,
+  });
+});
+
+test("compareSchedules uses expected sleeps for jittered series", () => {
+  const config = {
+    strategy: "exponential",
+    initialDelayMs: 100,
+    factor: 2,
+    maxRetries: 1,
+    maxDelayMs: null,
+    jitter: "full",
+  };
+  const { rows } = compareSchedules([series("Jittered", config)]);
+
+  assert.equal(rows[0].cells[0]?.delayMs, 50);
+  assert.deepEqual(compareSchedules([]), { rows: [], summaries: [] });
+});
+
+test("compareSchedules keeps the retry labels and initial row the schedule table shows", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 100,
+    maxRetries: 2,
+    maxDelayMs: null,
+    jitter: "none",
+    retryIndexBase: "zero",
+    initialAttempt: "listed",
+  };
+  const schedule = generateSchedule(config);
+  const points = [initialAttemptPoint(config), ...schedule].map((point) => ({
+    ...point,
+    label: retryLabel(config, point.retry),
+  }));
+  const { rows } = compareSchedules([
+    { name: "Current", points, summary: summarizeSchedule(schedule, config) },
+  ]);
+
+  assert.deepEqual(
+    rows.map((row) => [row.retry, row.label]),
+    [
+      [0, "Initial"],
+      [1, "0"],
+      [2, "1"],
+    ],
+  );
+  assert.deepEqual(
+    compareSchedules([series("Old", { ...config, retryIndexBase: "one" })]).rows.map(
+      (row) => row.label,
+    ),
+    ["1", "2"],
+  );
+});
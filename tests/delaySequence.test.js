@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+  DEFAULT_SEQUENCE_END_MODE,
+  isSequenceEndMode,
+  parseDelaySequence,
+  resolveSequenceEndMode,
+} from "../src/delaySequence.js";
+
+test("parses delay lists with mixed units", () => {
+  assert.deepEqual(parseDelaySequence("100ms, 500, 2s, 1.5m, 1min, 1h, .5s"), {
+    delaysMs: [100, 500, 2000, 90_000, 60_000, 3_600_000, 500],
+    errors: [],
+  });
+});
+
+test("reports each invalid entry with its position", () => {
+  const { delaysMs, errors } = parseDelaySequence("100ms, fast, , -2s");
+
+  assert.deepEqual(delaysMs, [100]);
+  assert.deepEqual(
+    errors.map((error) => [error.index, error.token]),
+    [
+      [1, "fast"],
+      [2, ""],
+      [3, "-2s"],
+    ],
+  );
+  assert.equal(errors[1].message, "Entry is empty.");
+});
+
+test("blank input parses to an empty list", () => {
+  assert.deepEqual(parseDelaySequence("   "), { delaysMs: [], errors: [] });
+  assert.deepEqual(parseDelaySequence(undefined), { delaysMs: [], errors: [] });
+});
+
+test("sequence end helpers validate and normalize values", () => {
+  assert.equal(isSequenceEndMode("repeat"), true);
+  assert.equal(isSequenceEndMode("stop"), true);
+  assert.equal(isSequenceEndMode("loop"), false);
+  assert.equal(resolveSequenceEndMode("loop"), DEFAULT_SEQUENCE_END_MODE);
+  assert.equal(resolveSequenceEndMode("stop"), "stop");
+});
@@ -0,0 +1,101 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { evaluateExpression, expressionVariables, parseExpression } from "../src/expression.js";
+
+/**
+ * @param {string} source
+ * @param {Record<string, number>} [variables]
+ */
+function evaluate(source, variables = {}) {
+  const { expression, error } = parseExpression(source);
+  assert.equal(error, null);
+  return evaluateExpression(expression, { r: 1, D0: 0, F: 0, I: 0, ...variables });
+}
+
+test("evaluates formulas with the retry variables", () => {
+  assert.equal(evaluate("D0 * 2^(r-1) + 50*r", { r: 3, D0: 100 }), 550);
+  assert.equal(evaluate("D0 * F^r", { r: 2, D0: 100, F: 1.5 }), 225);
+  assert.equal(evaluate("D0 + I * (r - 1)", { r: 4, D0: 100, I: 25 }), 175);
+});
+
+test("follows arithmetic precedence and associativity", () => {
+  assert.equal(evaluate("1 + 2 * 3"), 7);
+  assert.equal(evaluate("(1 + 2) * 3"), 9);
+  assert.equal(evaluate("10 - 4 - 3"), 3);
+  assert.equal(evaluate("8 / 4 / 2"), 1);
+  assert.equal(evaluate("2 ^ 3 ^ 2"), 512);
+  assert.equal(evaluate("-2 ^ 2"), -4);
+  assert.equal(evaluate("2 ^ -1"), 0.5);
+});
+
+test("supports min, max, pow, and log", () => {
+  assert.equal(evaluate("min(D0 * r, 250)", { r: 3, D0: 100 }), 250);
+  assert.equal(evaluate("max(1, 5, 3)"), 5);
+  assert.equal(evaluate("pow(3, 2)"), 9);
+  assert.equal(evaluate("log(8, 2)"), 3);
+  assert.equal(evaluate("log(1)"), 0);
+});
+
+test("reports syntax errors with their position", () => {
+  assert.deepEqual(parseExpression("D0 * 2^(r-1"), {
+    expression: null,
+    error: { message: 'Expected ")".', position: 11 },
+  });
+  assert.deepEqual(parseExpression("D0 * x").error, {
+    message: 'Unknown variable "x". Use r, D0, F, or I.',
+    position: 5,
+  });
+  assert.deepEqual(parseExpression("r $ 2").error, {
+    message: 'Unexpected character "$".',
+    position: 2,
+  });
+  assert.deepEqual(parseExpression("r 2").error, { message: 'Unexpected "2".', position: 2 });
+  assert.deepEqual(parseExpression("sqrt(r)").error, {
+    message: 'Unknown function "sqrt".',
+    position: 0,
+  });
+  assert.deepEqual(parseExpression("pow(r)").error, {
+    message: "pow() takes 2 arguments.",
+    position: 0,
+  });
+  assert.deepEqual(parseExpression("r +").error, {
+    message: "Unexpected end of expression.",
+    position: 3,
+  });
+  assert.deepEqual(parseExpression("  ").error, { message: "Enter an expression.", position: 0 });
+});
+
+test("rejects names inherited from Object.prototype as functions", () => {
+  for (const source of ["constructor(r+1)*1000", "toString(r)", "valueOf(r, 2)"]) {
+    const name = source.slice(0, source.indexOf("("));
+    assert.deepEqual(parseExpression(source).error, {
+      message: `Unknown function "${name}".`,
+      position: 0,
+    });
+  }
+});
+
+test("reports input nested too deeply to parse or evaluate as a syntax error", () => {
+  assert.deepEqual(parseExpression(`${"(".repeat(20000)}r${")".repeat(20000)}`).error, {
+    message: "Expression is nested too deeply.",
+    position: 200,
+  });
+  assert.equal(
+    parseExpression(Array(20000).fill("r").join("+")).error?.message,
+    "Expression is nested too deeply.",
+  );
+  assert.equal(
+    parseExpression(`${"-".repeat(20000)}r`).error?.message,
+    "Expression is nested too deeply.",
+  );
+
+  const nested = parseExpression(`${"(".repeat(150)}r + 1${")".repeat(150)}`);
+  assert.equal(nested.error, null);
+  assert.equal(evaluateExpression(nested.expression, { r: 2, D0: 0, F: 0, I: 0 }), 3);
+});
+
+test("lists the variables a formula reads", () => {
+  const { expression } = parseExpression("max(D0, I) * r");
+  assert.deepEqual([...expressionVariables(expression)].sort(), ["D0", "I", "r"]);
+});
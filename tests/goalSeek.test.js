@@ -0,0 +1,166 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+  DEFAULT_SOLVE_PARAMETER,
+  isSolveParameter,
+  resolveSolveParameter,
+  solveBackoffParameter,
+} from "../src/goalSeek.js";
+
+test("solve parameter helpers validate and normalize values", () => {
+  assert.equal(isSolveParameter("factor"), true);
+  assert.equal(isSolveParameter("initialDelayMs"), true);
+  assert.equal(isSolveParameter("incrementMs"), true);
+  assert.equal(isSolveParameter("exponent"), false);
+  assert.equal(resolveSolveParameter("incrementMs"), "incrementMs");
+  assert.equal(resolveSolveParameter("bogus"), DEFAULT_SOLVE_PARAMETER);
+});
+
+test("solves the factor for a target total wait", () => {
+  const config = {
+    strategy: "exponential",
+    initialDelayMs: 1000,
+    factor: 2,
+    maxRetries: 8,
+    maxDelayMs: null,
+    jitter: "none",
+  };
+  const result = solveBackoffParameter(config, { parameter: "factor", totalDelay: "10m" });
+
+  assert.equal(result.solved, true);
+  assert.equal(result.value, 2.299);
+  assert.equal(result.config?.factor, 2.299);
+  assert.ok(Math.abs((result.summary?.totalDelayMs ?? 0) - 600_000) <= 6_000);
+});
+
+test("solves the smallest factor that reaches the cap by a given retry", () => {
+  const config = {
+    strategy: "exponential",
+    initialDelayMs: 1000,
+    factor: 2,
+    maxRetries: 8,
+    maxDelayMs: 60_000,
+    jitter: "none",
+  };
+  const result = solveBackoffParameter(config, { parameter: "factor", capByRetry: 6 });
+
+  assert.equal(result.solved, true);
+  assert.equal(result.value, 2.268);
+  assert.equal(result.summary?.capRetry, 6);
+});
+
+test("solves the increment under a replacement retry limit", () => {
+  const config = {
+    strategy: "linear",
+    initialDelayMs: 1000,
+    factor: 2,
+    incrementMs: 100,
+    maxRetries: 8,
+    maxDelayMs: null,
+    jitter: "none",
+  };
+  const result = solveBackoffParameter(config, {
+    parameter: "incrementMs",
+    totalDelay: "1m",
+    maxRetries: 5,
+  });
+
+  assert.equal(result.solved, true);
+  assert.equal(result.value, 5500);
+  assert.equal(result.config?.maxRetries, 5);
+  assert.equal(result.summary?.totalDelayMs, 60_000);
+});
+
+test("a cap retry target follows the zero-based index the table shows", () => {
+  const config = {
+    strategy: "exponential",
+    initialDelayMs: 1000,
+    factor: 2,
+    maxRetries: 8,
+    maxDelayMs: 60_000,
+    jitter: "none",
+    retryIndexBase: "zero",
+  };
+  const result = solveBackoffParameter(config, { parameter: "factor", capByRetry: 5 });
+
+  // Row r = 5 is the sixth retry, so this matches the one-based target of retry 6.
+  assert.equal(result.value, 2.268);
+  assert.equal(result.summary?.capRetry, 6);
+  assert.equal(
+    solveBackoffParameter(config, { parameter: "factor", capByRetry: 8 }).message,
+    "Reaching the cap by retry 8 needs at least 9 retries.",
+  );
+});
+
+test("searches only up to the largest value a formula can take without overflowing", () => {
+  // D0 ^ 30 overflows long before the default 1e12 ms initial-delay ceiling; under a cap that
+  // is fine, but 0 * Infinity is NaN, so this formula has no valid delays past that point.
+  const config = {
+    strategy: "expression",
+    expression: "1000 + 0 * D0 ^ 30",
+    initialDelayMs: 1,
+    maxRetries: 3,
+    maxDelayMs: null,
+    jitter: "none",
+  };
+
+  assert.match(
+    solveBackoffParameter(config, { parameter: "initialDelayMs", totalDelay: "1h" }).message,
+    /never passes 3s for the initial delay up to .+, the largest value with valid delays;/,
+  );
+
+  const capped = solveBackoffParameter(
+    { ...config, expression: "D0 ^ 30", maxDelayMs: 1000 },
+    { parameter: "initialDelayMs", capByRetry: 1 },
+  );
+  assert.equal(capped.solved, true);
+  assert.equal(capped.value, 2);
+  assert.equal(capped.summary?.capRetry, 1);
+});
+
+test("reports infeasible goals with a reason", () => {
+  const uncapped = {
+    strategy: "exponential",
+    initialDelayMs: 1000,
+    factor: 2,
+    maxRetries: 8,
+    maxDelayMs: null,
+    jitter: "none",
+  };
+  const capped = { ...uncapped, maxDelayMs: 60_000 };
+
+  assert.match(
+    solveBackoffParameter(capped, { parameter: "factor", totalDelay: "1h" }).message,
+    /never passes 7m 1s/,
+  );
+  assert.match(
+    solveBackoffParameter(capped, { parameter: "factor", capByRetry: 2, totalDelay: "1s" })
+      .message,
+    /factor at 60 or more/,
+  );
+  assert.equal(
+    solveBackoffParameter(uncapped, { parameter: "incrementMs", totalDelay: "1h" }).message,
+    "The exponential strategy does not use the increment.",
+  );
+  assert.equal(
+    solveBackoffParameter(
+      { ...uncapped, jitter: "decorrelated" },
+      { parameter: "factor", totalDelay: "1h" },
+    ).message,
+    "Decorrelated jitter does not use the factor.",
+  );
+  assert.equal(
+    solveBackoffParameter(uncapped, { parameter: "factor", capByRetry: 3 }).message,
+    "Set a max delay cap to target the retry where it engages.",
+  );
+  assert.equal(
+    solveBackoffParameter(uncapped, { parameter: "factor", totalDelay: "soon" }).message,
+    "Target total wait must be one duration, like 10m.",
+  );
+
+  const unsolved = solveBackoffParameter(uncapped, { parameter: "factor" });
+  assert.equal(unsolved.solved, false);
+  assert.equal(unsolved.value, null);
+  assert.equal(unsolved.config, null);
+});
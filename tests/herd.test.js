@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { generateSchedule } from "../src/backoff.js";
+import { simulateHerdArrivals, validateHerdConfig } from "../src/herd.js";
+import { createSeededRandom } from "../src/random.js";
+
+/**
+ * @param {number[]} counts
+ */
+function nonEmptyBuckets(counts) {
+  return counts.flatMap((count, index) => (count > 0 ? [[index, count]] : []));
+}
+
+test("without jitter the whole herd lands in the same bucket every retry", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 3,
+    maxDelayMs: null,
+    jitter: "none",
+    herdClients: 50,
+  };
+  const histogram = simulateHerdArrivals(
+    config,
+    generateSchedule(config),
+    createSeededRandom("herd"),
+  );
+
+  assert.equal(histogram.bucketMs, 50);
+  assert.deepEqual(nonEmptyBuckets(histogram.counts), [
+    [20, 50],
+    [40, 50],
+    [60, 50],
+  ]);
+  assert.deepEqual(histogram.counts, histogram.unjitteredCounts);
+  assert.equal(histogram.peakCount, 50);
+  assert.equal(histogram.peakPerSecond, 1000);
+  assert.equal(histogram.peakStartMs, 1000);
+  assert.equal(histogram.firstRetrySpreadMs, 0);
+});
+
+test("failed retries add the expected attempt duration between arrivals", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 3,
+    maxDelayMs: null,
+    jitter: "none",
+    herdClients: 50,
+    attemptDurationMode: "timeout",
+    attemptTimeoutMs: 500,
+  };
+  const histogram = simulateHerdArrivals(
+    config,
+    generateSchedule(config),
+    createSeededRandom("herd"),
+  );
+
+  // Arrivals at 1 s, 2.5 s, and 4 s after the shared failure.
+  assert.equal(histogram.bucketMs, 50);
+  assert.deepEqual(nonEmptyBuckets(histogram.counts), [
+    [20, 50],
+    [50, 50],
+    [80, 50],
+  ]);
+});
+
+test("full jitter spreads the herd and flattens the peak", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 3,
+    maxDelayMs: null,
+    jitter: "full",
+    herdClients: 2000,
+  };
+  const points = generateSchedule(config);
+  const histogram = simulateHerdArrivals(config, points, createSeededRandom("spread"));
+  const total = histogram.counts.reduce((sum, count) => sum + count, 0);
+
+  assert.equal(total, 2000 * 3);
+  assert.ok(histogram.peakCount < histogram.unjitteredPeakCount);
+  assert.equal(histogram.unjitteredPeakCount, 2000);
+  // Full jitter draws the first retry uniformly from [0, 1000), so p5-p95 spans ~900 ms.
+  assert.ok(Math.abs(histogram.firstRetrySpreadMs - 900) < 40);
+  assert.deepEqual(
+    simulateHerdArrivals(config, points, createSeededRandom("spread")),
+    histogram,
+  );
+});
+
+test("a schedule with no retries has an empty histogram", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 0,
+    maxDelayMs: null,
+    herdClients: 50,
+  };
+  const histogram = simulateHerdArrivals(
+    config,
+    generateSchedule(config),
+    createSeededRandom("herd"),
+  );
+
+  assert.deepEqual(histogram.counts, [0]);
+  assert.equal(histogram.peakCount, 0);
+  assert.equal(histogram.firstRetrySpreadMs, 0);
+});
+
+test("the herd size is validated", () => {
+  assert.deepEqual(validateHerdConfig({ herdClients: 10001 }), [
+    { field: "herdClients", message: "Must be an integer between 1 and 10000." },
+  ]);
+  assert.deepEqual(validateHerdConfig({ herdClients: 10000 }), []);
+});
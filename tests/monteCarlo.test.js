@@ -0,0 +1,134 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { generateSchedule } from "../src/backoff.js";
+import { sampleRetryPath, simulateRetryPercentiles } from "../src/monteCarlo.js";
+import { createSeededRandom } from "../src/random.js";
+
+test("unjittered schedules have every percentile on the deterministic delay", () => {
+  const config = {
+    strategy: "exponential",
+    initialDelayMs: 100,
+    maxRetries: 3,
+    maxDelayMs: null,
+    factor: 2,
+    jitter: "none",
+  };
+  const points = generateSchedule(config);
+  const [, , third] = simulateRetryPercentiles(config, points, {
+    runs: 50,
+    random: createSeededRandom("1"),
+  });
+
+  assert.deepEqual(third.delay, { p5: 400, p50: 400, p95: 400, p99: 400 });
+  assert.deepEqual(third.cumulative, { p5: 700, p50: 700, p95: 700, p99: 700 });
+});
+
+test("full jitter percentiles follow the uniform distribution", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 2,
+    maxDelayMs: null,
+    jitter: "full",
+  };
+  const points = generateSchedule(config);
+  const [first, second] = simulateRetryPercentiles(config, points, {
+    runs: 4000,
+    random: createSeededRandom("bands"),
+  });
+
+  assert.ok(Math.abs(first.delay.p5 - 50) < 20);
+  assert.ok(Math.abs(first.delay.p50 - 500) < 40);
+  assert.ok(Math.abs(first.delay.p95 - 950) < 20);
+  assert.ok(first.delay.p99 <= 1000 && first.delay.p99 > first.delay.p95);
+  // The sum of two uniform sleeps concentrates around its mean, well inside [0, 2000].
+  assert.ok(Math.abs(second.cumulative.p50 - 1000) < 60);
+  assert.ok(second.cumulative.p5 > 200);
+  assert.ok(second.cumulative.p99 < 1900);
+});
+
+test("sampled paths repeat for a seed and respect budget clipping", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 3,
+    maxDelayMs: null,
+    maxElapsedMs: 2200,
+    elapsedBudgetMode: "clip",
+    jitter: "equal",
+  };
+  const points = generateSchedule(config);
+  const first = sampleRetryPath(config, points, createSeededRandom("7"));
+  const second = sampleRetryPath(config, points, createSeededRandom("7"));
+
+  assert.deepEqual(first, second);
+  assert.equal(points[2].clippedToBudget, true);
+  assert.ok(first[2] <= points[2].maxDelayMs);
+});
+
+test("a sleep clipped to the budget has the sampled mean of its clipped draw", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 5,
+    maxDelayMs: null,
+    maxElapsedMs: 1300,
+    elapsedBudgetMode: "clip",
+    jitter: "full",
+  };
+  const points = generateSchedule(config);
+  const random = createSeededRandom("clip");
+  const runs = 20000;
+  let meanMs = 0;
+  for (let run = 0; run < runs; run += 1) {
+    meanMs += sampleRetryPath(config, points, random)[2] / runs;
+  }
+
+  // min(U(0, 1000), 300) averages 255 ms, well short of the 300 ms left in the budget.
+  assert.equal(points[2].clippedToBudget, true);
+  assert.equal(points[2].expectedDelayMs, 255);
+  assert.equal(points[2].maxDelayMs, 300);
+  assert.ok(Math.abs(meanMs - 255) < 255 * 0.02);
+});
+
+test("decorrelated expected delays match sampled means once the cap and floor engage", () => {
+  const runs = 20000;
+  for (const minDelayMs of [null, 300]) {
+    const config = {
+      strategy: "exponential",
+      initialDelayMs: 100,
+      maxRetries: 8,
+      maxDelayMs: 1000,
+      minDelayMs,
+      factor: 2,
+      jitter: "decorrelated",
+    };
+    const points = generateSchedule(config);
+    const random = createSeededRandom("decorrelated");
+    const totalsMs = points.map(() => 0);
+    for (let run = 0; run < runs; run += 1) {
+      sampleRetryPath(config, points, random).forEach((delayMs, index) => {
+        totalsMs[index] += delayMs;
+      });
+    }
+
+    for (const [index, point] of points.entries()) {
+      const sampledMeanMs = totalsMs[index] / runs;
+      assert.ok(
+        Math.abs(point.expectedDelayMs - sampledMeanMs) < 0.015 * sampledMeanMs,
+        `retry ${point.retry}: expected ${point.expectedDelayMs}, sampled ${sampledMeanMs}`,
+      );
+    }
+  }
+  // Feeding the expected previous sleep into each draw would give 827ms here.
+  const [, , , , , sixth] = generateSchedule({
+    strategy: "exponential",
+    initialDelayMs: 100,
+    maxRetries: 6,
+    maxDelayMs: 1000,
+    factor: 2,
+    jitter: "decorrelated",
+  });
+  assert.ok(Math.abs(sixth.expectedDelayMs - 707) < 5);
+});
@@ -0,0 +1,133 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { generateSchedule } from "../src/backoff.js";
+import { simulateOutageRecovery, validateOutageConfig } from "../src/outage.js";
+import { createSeededRandom } from "../src/random.js";
+
+/**
+ * @param {object} config
+ * @param {number} [runs]
+ */
+function recover(config, runs = 100) {
+  return simulateOutageRecovery(config, generateSchedule(config), {
+    runs,
+    random: createSeededRandom("outage"),
+  });
+}
+
+test("clients succeed on the first attempt after recovery", () => {
+  // Attempts start at 0, 1 s, 2 s, and 3 s; the dependency is back at 2.5 s.
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 3,
+    maxDelayMs: null,
+    jitter: "none",
+    scenarioMode: "outage",
+    outageMs: 2500,
+    recoveryCapacity: 1,
+  };
+
+  assert.deepEqual(recover(config), {
+    clients: 100,
+    successFraction: 1,
+    exhaustedDuringOutageFraction: 0,
+    failedAfterRecoveryFraction: 0,
+    recoveryToSuccessP50Ms: 500,
+    recoveryToSuccessP95Ms: 500,
+  });
+});
+
+test("clients that run out of retries before recovery fail during the outage", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 3,
+    maxDelayMs: null,
+    jitter: "none",
+    scenarioMode: "outage",
+    outageMs: 3001,
+    recoveryCapacity: 1,
+  };
+
+  assert.deepEqual(recover(config), {
+    clients: 100,
+    successFraction: 0,
+    exhaustedDuringOutageFraction: 1,
+    failedAfterRecoveryFraction: 0,
+    recoveryToSuccessP50Ms: null,
+    recoveryToSuccessP95Ms: null,
+  });
+});
+
+test("recovery time runs to the end of the successful attempt", () => {
+  // With 500 ms attempts, retries start at 1.5 s, 3 s, and 4.5 s.
+  const recovery = recover({
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 3,
+    maxDelayMs: null,
+    jitter: "none",
+    scenarioMode: "outage",
+    outageMs: 2500,
+    attemptDurationMode: "timeout",
+    attemptTimeoutMs: 500,
+    recoveryCapacity: 1,
+  });
+
+  assert.equal(recovery.recoveryToSuccessP50Ms, 1000);
+});
+
+test("limited capacity after recovery lets some clients fail after it", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 3,
+    maxDelayMs: null,
+    jitter: "none",
+    scenarioMode: "outage",
+    outageMs: 0,
+    recoveryCapacity: 0.5,
+  };
+  const recovery = recover(config, 4000);
+
+  // Four attempts, each served with probability 0.5.
+  assert.ok(Math.abs(recovery.successFraction - 0.9375) < 0.02);
+  assert.equal(recovery.exhaustedDuringOutageFraction, 0);
+  assert.ok(Math.abs(recovery.failedAfterRecoveryFraction - 0.0625) < 0.02);
+  // Over half the successes come from the very first attempt.
+  assert.equal(recovery.recoveryToSuccessP50Ms, 0);
+});
+
+test("jittered clients recover at different times", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 6,
+    maxDelayMs: null,
+    jitter: "full",
+    scenarioMode: "outage",
+    outageMs: 2500,
+    recoveryCapacity: 1,
+  };
+  const recovery = recover(config, 2000);
+
+  assert.ok(recovery.successFraction > 0 && recovery.successFraction < 1);
+  assert.ok(recovery.recoveryToSuccessP95Ms > recovery.recoveryToSuccessP50Ms);
+});
+
+test("outage inputs are validated only in the outage scenario", () => {
+  assert.deepEqual(
+    validateOutageConfig({ scenarioMode: "outage", outageMs: -1, recoveryCapacity: 2 }),
+    [
+      { field: "outageMs", message: "Must be >= 0." },
+      { field: "recoveryCapacity", message: "Must be between 0 and 1." },
+    ],
+  );
+  assert.deepEqual(
+    validateOutageConfig({ scenarioMode: "none", outageMs: -1, recoveryCapacity: 2 }),
+    [],
+  );
+  assert.equal(validateOutageConfig({ scenarioMode: "storm" })[0].field, "scenarioMode");
+});
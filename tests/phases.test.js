@@ -0,0 +1,193 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+  buildChartMathExplanation,
+  generateSchedule,
+  summarizeSchedule,
+  validateConfig,
+} from "../src/backoff.js";
+import { sampleRetryPath } from "../src/monteCarlo.js";
+import { parsePhases, phaseConfig } from "../src/phases.js";
+import { createShareUrl, readShareStateFromUrl } from "../src/share.js";
+
+test("parsePhases reads each phase's count, strategy, parameters, and cap", () => {
+  assert.deepEqual(parsePhases("5x exponential 1s 2 cap 30s; 24x fixed 1h"), {
+    phases: [
+      {
+        retries: 5,
+        strategy: "exponential",
+        initialDelayMs: 1000,
+        factor: 2,
+        maxDelayMs: 30000,
+      },
+      { retries: 24, strategy: "fixed", initialDelayMs: 3600000, maxDelayMs: null },
+    ],
+    errors: [],
+  });
+  assert.deepEqual(parsePhases("  "), { phases: [], errors: [] });
+  assert.deepEqual(parsePhases("3X Polynomial 1s 2").phases[0].exponent, 2);
+});
+
+test("parsePhases reports one error per malformed phase", () => {
+  const messages = (text) => parsePhases(text).errors.map((error) => error.message);
+
+  assert.deepEqual(messages("0x fixed 1s; fixed 1s"), [
+    "Start with a retry count of at least 1, like 24x.",
+    "Start with a retry count of at least 1, like 24x.",
+  ]);
+  assert.deepEqual(messages("3x custom 1s"), [
+    "Strategy must be exponential, linear, fixed, fibonacci, or polynomial.",
+  ]);
+  assert.deepEqual(messages("3x fixed soon"), [
+    "Give the phase's initial delay as a duration, like 1h.",
+  ]);
+  assert.deepEqual(messages("5x exponential 1s"), [
+    "Exponential phases need a factor > 1, like 5x exponential 1s 2.",
+  ]);
+  assert.deepEqual(messages("3x fixed 1s cap; 3x fixed 1s 2;"), [
+    "Give the cap as a duration, like cap 30s.",
+    'Unexpected "2".',
+    "Phase is empty.",
+  ]);
+});
+
+test("phaseConfig swaps in the phase's strategy, parameters, and cap", () => {
+  const config = {
+    strategy: "exponential",
+    initialDelayMs: 100,
+    factor: 2,
+    maxRetries: 3,
+    maxDelayMs: 300,
+    jitter: "full",
+    phases: "2x fixed 1h; 2x linear 1s 500ms cap 1.2s",
+  };
+  const [phase] = parsePhases("2x linear 1s 500ms").phases;
+
+  assert.deepEqual(phaseConfig(config, phase), {
+    ...config,
+    strategy: "linear",
+    initialDelayMs: 1000,
+    factor: undefined,
+    incrementMs: 500,
+    exponent: undefined,
+    maxDelayMs: null,
+  });
+});
+
+test("generateSchedule stitches phases with continuous cumulative time", () => {
+  const config = {
+    strategy: "exponential",
+    initialDelayMs: 100,
+    factor: 2,
+    maxRetries: 3,
+    maxDelayMs: 300,
+    jitter: "none",
+    phases: "2x fixed 1h; 2x linear 1s 500ms cap 1.2s",
+  };
+  const points = generateSchedule(config);
+
+  assert.deepEqual(
+    points.map((point) => [point.retry, point.phase, point.delayMs]),
+    [
+      [1, 0, 100],
+      [2, 0, 200],
+      [3, 0, 300],
+      [4, 1, 3600000],
+      [5, 1, 3600000],
+      [6, 2, 1000],
+      [7, 2, 1200],
+    ],
+  );
+  assert.equal(points[6].cumulativeDelayMs, 7202800);
+
+  const summary = summarizeSchedule(points, config);
+  assert.equal(summary.totalRetries, 7);
+  assert.equal(summary.limitedBy, "maxRetries");
+  assert.equal(summary.capRetry, 3);
+  assert.equal(summary.cappedDelayMs, 300);
+});
+
+test("later phases jitter against their own caps", () => {
+  const config = {
+    strategy: "exponential",
+    initialDelayMs: 100,
+    factor: 2,
+    maxRetries: 3,
+    maxDelayMs: 300,
+    jitter: "full",
+    phases: "2x fixed 1h; 2x linear 1s 500ms cap 1.2s",
+  };
+  const points = generateSchedule(config);
+
+  assert.equal(points[3].expectedDelayMs, 1800000);
+  assert.equal(points[6].maxDelayMs, 1200);
+  const delaysMs = sampleRetryPath(config, points, () => 0.5);
+  assert.deepEqual(delaysMs, [50, 100, 150, 1800000, 1800000, 500, 600]);
+});
+
+test("the explainer describes the hovered retry's phase", () => {
+  const config = {
+    strategy: "exponential",
+    initialDelayMs: 100,
+    factor: 2,
+    maxRetries: 3,
+    maxDelayMs: 300,
+    jitter: "none",
+    phases: "2x fixed 1h; 2x linear 1s 500ms cap 1.2s",
+  };
+  const model = buildChartMathExplanation({
+    config,
+    chartMode: "cumulative",
+    chartSeriesMode: "expected",
+    activePoint: { retry: 6, valueMs: 7201600 },
+  });
+
+  assert.equal(model.phase, 2);
+  assert.equal(model.strategy, "linear");
+  assert.equal(model.constants.incrementMs, 500);
+  assert.equal(model.constants.maxDelayMs, 1200);
+  assert.equal(model.activeRetryIndex, 1);
+  assert.equal(model.resolved.rawDelayMs, 1000);
+  assert.equal(model.resolved.randomizedExpectedValueMs, 7201600);
+  assert.equal(
+    model.variableBindings.find((binding) => binding.symbol === "r")?.label,
+    "Retry Index in Phase 3 (1..2)",
+  );
+});
+
+test("validation reports phase errors, retry totals, and decorrelated jitter", () => {
+  const config = {
+    strategy: "exponential",
+    initialDelayMs: 100,
+    factor: 2,
+    maxRetries: 3,
+    maxDelayMs: 300,
+    jitter: "none",
+    phases: "2x fixed 1h; 2x linear 1s 500ms cap 1.2s",
+  };
+
+  assert.deepEqual(validateConfig({ ...config, phases: "2x fixed" }), [
+    {
+      field: "phases",
+      message: 'Phase 1 ("2x fixed"): Give the phase\'s initial delay as a duration, like 1h.',
+    },
+  ]);
+  assert.deepEqual(validateConfig({ ...config, phases: "998x fixed 1s" }), [
+    { field: "phases", message: "Phases bring the schedule above 1000 retries." },
+  ]);
+  assert.deepEqual(validateConfig({ ...config, jitter: "decorrelated" }), [
+    {
+      field: "phases",
+      message: "Decorrelated jitter grows from the previous sleep, so it cannot use phases.",
+    },
+  ]);
+});
+
+test("share links carry every phase", () => {
+  const phases = "2x fixed 1h; 2x linear 1s 500ms cap 1.2s";
+  const url = createShareUrl("https://example.com/", { phases });
+
+  assert.equal(readShareStateFromUrl(url).phases, phases);
+  assert.equal(new URL(createShareUrl("https://example.com/", { phases: "" })).search, "");
+});
@@ -0,0 +1,162 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { generateSchedule, summarizeSchedule, validateConfig } from "../src/backoff.js";
+import {
+  LIBRARY_PRESETS,
+  isPresetId,
+  matchesPreset,
+  presetShareState,
+  resolvePreset,
+} from "../src/presets.js";
+import { createShareUrl, readShareStateFromUrl } from "../src/share.js";
+
+/**
+ * @param {string} id
+ * @returns {Array<[number, number]>}
+ */
+function delayBounds(id) {
+  return generateSchedule(LIBRARY_PRESETS[id].config).map((point) => [
+    point.minDelayMs,
+    point.maxDelayMs,
+  ]);
+}
+
+test("preset helpers validate and resolve ids", () => {
+  assert.equal(isPresetId("grpc"), true);
+  assert.equal(isPresetId("toString"), false);
+  assert.equal(isPresetId("aws"), false);
+  assert.equal(resolvePreset("polly"), LIBRARY_PRESETS.polly);
+  assert.equal(resolvePreset("unknown"), null);
+});
+
+test("every preset is a valid configuration", () => {
+  for (const [id, preset] of Object.entries(LIBRARY_PRESETS)) {
+    assert.deepEqual(validateConfig(preset.config), [], id);
+  }
+});
+
+test("AWS presets draw full jitter from their own base and counter", () => {
+  assert.deepEqual(delayBounds("aws-standard"), [
+    [0, 1000],
+    [0, 2000],
+  ]);
+  assert.deepEqual(delayBounds("aws-legacy"), [
+    [0, 100],
+    [0, 200],
+    [0, 400],
+  ]);
+  assert.equal(LIBRARY_PRESETS["aws-standard"].semantics.limitIncludesFirstCall, true);
+  assert.equal(LIBRARY_PRESETS["aws-standard"].semantics.jitterOrder, "jitter-then-cap");
+  assert.equal(LIBRARY_PRESETS["aws-legacy"].semantics.firstRetryIndex, 0);
+  assert.equal(LIBRARY_PRESETS["aws-legacy"].semantics.exponentCeiling, 30);
+  assert.equal(LIBRARY_PRESETS["aws-legacy"].config.retryIndexBase, "zero");
+});
+
+test("gRPC jitters the capped delay by ±20%", () => {
+  const bounds = delayBounds("grpc");
+
+  assert.equal(bounds.length, 15);
+  assert.deepEqual(bounds[0], [800, 1200]);
+  assert.deepEqual(bounds[1], [1280, 1920]);
+  assert.deepEqual(bounds[14], [96000, 144000]);
+  const { config } = LIBRARY_PRESETS.grpc;
+  assert.equal(summarizeSchedule(generateSchedule(config), config).capRetry, 12);
+});
+
+test("Google Cloud retries until the 120 s deadline", () => {
+  const { config } = LIBRARY_PRESETS["google-cloud"];
+  const points = generateSchedule(config);
+
+  assert.deepEqual(
+    points.map((point) => point.maxDelayMs),
+    [1000, 2000, 4000, 8000, 16000, 32000, 60000, 60000],
+  );
+  assert.equal(summarizeSchedule(points, config).limitedBy, "maxElapsed");
+});
+
+test("fixed-delay presets count retries the way each library does", () => {
+  assert.deepEqual(delayBounds("polly"), [
+    [2000, 2000],
+    [2000, 2000],
+    [2000, 2000],
+  ]);
+  assert.deepEqual(delayBounds("resilience4j"), [
+    [500, 500],
+    [500, 500],
+  ]);
+  assert.equal(LIBRARY_PRESETS.polly.semantics.limitIncludesFirstCall, false);
+  assert.equal(LIBRARY_PRESETS.resilience4j.semantics.limitIncludesFirstCall, true);
+});
+
+test("client-go doubles from 5 ms until the 1000 s cap", () => {
+  const { config } = LIBRARY_PRESETS["client-go"];
+  const points = generateSchedule(config);
+
+  assert.deepEqual(
+    points.slice(0, 4).map((point) => point.delayMs),
+    [5, 10, 20, 40],
+  );
+  assert.equal(points[17].delayMs, 655360);
+  assert.equal(points[18].delayMs, 1000000);
+  assert.equal(summarizeSchedule(points, config).capRetry, 19);
+});
+
+test("urllib3 retries immediately once, then doubles", () => {
+  assert.deepEqual(delayBounds("urllib3"), [
+    [0, 0],
+    [200, 200],
+    [400, 400],
+  ]);
+});
+
+test("tenacity and Step Functions grow from 1 s without jitter", () => {
+  assert.deepEqual(
+    generateSchedule(LIBRARY_PRESETS.tenacity.config).map((point) => point.delayMs),
+    [1000, 2000, 4000, 8000],
+  );
+  assert.deepEqual(
+    generateSchedule(LIBRARY_PRESETS["step-functions"].config).map((point) => point.delayMs),
+    [1000, 2000, 4000],
+  );
+  assert.equal(LIBRARY_PRESETS.tenacity.semantics.attemptLimit, 5);
+  assert.equal(LIBRARY_PRESETS["step-functions"].semantics.attemptLimit, 3);
+});
+
+test("presetShareState converts a preset to input strings", () => {
+  assert.deepEqual(presetShareState(LIBRARY_PRESETS["aws-standard"]), {
+    strategy: "exponential",
+    retryIndexBase: "one",
+    initialDelayMs: "1000",
+    factor: "2",
+    maxRetries: "2",
+    maxDelayMs: "20000",
+    minDelayMs: "",
+    maxElapsedMs: "",
+    jitter: "full",
+    jitterOrder: "jitter-then-cap",
+  });
+});
+
+test("matchesPreset notices edits to any input the preset sets", () => {
+  const preset = LIBRARY_PRESETS["step-functions"];
+  const config = { ...preset.config, incrementMs: 250 };
+
+  assert.equal(matchesPreset(preset, config), true);
+  assert.equal(matchesPreset(preset, { ...config, factor: 3 }), false);
+  assert.equal(matchesPreset(preset, { ...config, maxDelayMs: 60000 }), false);
+});
+
+test("share links carry presets by name", () => {
+  const url = createShareUrl("https://example.com/", { preset: "tenacity", seed: "abc" });
+
+  assert.equal(new URL(url).searchParams.get("preset"), "tenacity");
+  assert.equal(readShareStateFromUrl(url).preset, "tenacity");
+  assert.equal(readShareStateFromUrl("https://example.com/?preset=bogus").preset, undefined);
+  assert.equal(
+    new URL(createShareUrl("https://example.com/", { preset: "bogus" })).searchParams.has(
+      "preset",
+    ),
+    false,
+  );
+});
@@ -0,0 +1,24 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { createRandomSeed, createSeededRandom, hashSeed } from "../src/random.js";
+
+test("seeded random sources repeat the same sequence for the same seed", () => {
+  const first = createSeededRandom("42");
+  const second = createSeededRandom("42");
+  const other = createSeededRandom("43");
+  const firstValues = Array.from({ length: 5 }, () => first());
+  const secondValues = Array.from({ length: 5 }, () => second());
+  const otherValues = Array.from({ length: 5 }, () => other());
+
+  assert.deepEqual(firstValues, secondValues);
+  assert.notDeepEqual(firstValues, otherValues);
+  assert.ok(firstValues.every((value) => value >= 0 && value < 1));
+});
+
+test("seed hashing accepts any text", () => {
+  assert.equal(hashSeed(""), 0x811c9dc5);
+  assert.equal(hashSeed("incident-1234"), hashSeed("incident-1234"));
+  assert.notEqual(hashSeed("a"), hashSeed("b"));
+  assert.match(createRandomSeed(), /^\d+$/);
+});
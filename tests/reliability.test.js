@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { generateSchedule } from "../src/backoff.js";
+import {
+  DEFAULT_FAILURE_MODEL,
+  isFailureModel,
+  parseFailureProbabilities,
+  resolveFailureModel,
+  summarizeReliability,
+  validateFailureModelConfig,
+} from "../src/reliability.js";
+
+test("failure model helpers validate and normalize values", () => {
+  assert.equal(isFailureModel("constant"), true);
+  assert.equal(isFailureModel("varying"), true);
+  assert.equal(isFailureModel("random"), false);
+  assert.equal(resolveFailureModel("varying"), "varying");
+  assert.equal(resolveFailureModel(undefined), DEFAULT_FAILURE_MODEL);
+});
+
+test("failure probability lists accept fractions and percentages", () => {
+  assert.deepEqual(parseFailureProbabilities("0.5, 20%, .1"), {
+    probabilities: [0.5, 0.2, 0.1],
+    errors: [],
+  });
+  assert.deepEqual(parseFailureProbabilities("0.5, , 1.5").errors, [
+    { index: 1, token: "", message: "Entry is empty." },
+    { index: 2, token: "1.5", message: "Must be a probability like 0.2 or 20%." },
+  ]);
+});
+
+test("constant failure probability gives geometric reliability", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 2,
+    maxDelayMs: null,
+    failureModel: "constant",
+    failureProbability: 0.1,
+  };
+  const summary = summarizeReliability(generateSchedule(config), config);
+
+  assert.ok(Math.abs(summary.successProbability - 0.999) < 1e-12);
+  assert.ok(Math.abs(summary.expectedAttempts - 1.11) < 1e-12);
+  assert.ok(Math.abs(summary.availabilityNines - 3) < 1e-12);
+  // Succeeds at 0 ms with 0.9, at 1 s with 0.09, at 2 s with 0.009.
+  assert.ok(Math.abs(summary.expectedTimeToSuccessMs - 108 / 0.999) < 1e-9);
+});
+
+test("varying failure probabilities repeat their last entry and include attempt time", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 3,
+    maxDelayMs: null,
+    attemptDurationMode: "timeout",
+    attemptTimeoutMs: 500,
+    failureModel: "varying",
+    failureProbabilities: "1, 0.5",
+  };
+  const summary = summarizeReliability(generateSchedule(config), config);
+
+  assert.equal(summary.successProbability, 0.875);
+  assert.equal(summary.expectedAttempts, 2.75);
+  // Successes end at 2 s, 3.5 s, and 5 s with weights 0.5, 0.25, 0.125.
+  assert.equal(summary.expectedTimeToSuccessMs, (1000 + 875 + 625) / 0.875);
+});
+
+test("certain failure never succeeds and certain success has no failure nines", () => {
+  const base = { strategy: "fixed", initialDelayMs: 100, maxRetries: 1, maxDelayMs: null };
+  const never = { ...base, failureModel: "constant", failureProbability: 1 };
+  const always = { ...base, failureModel: "constant", failureProbability: 0 };
+
+  assert.equal(summarizeReliability(generateSchedule(never), never).expectedTimeToSuccessMs, null);
+  assert.equal(summarizeReliability(generateSchedule(always), always).availabilityNines, Infinity);
+});
+
+test("failure inputs are validated", () => {
+  assert.deepEqual(
+    validateFailureModelConfig({ failureModel: "constant", failureProbability: 2 }),
+    [{ field: "failureProbability", message: "Must be between 0 and 1." }],
+  );
+  assert.deepEqual(
+    validateFailureModelConfig({ failureModel: "varying", failureProbabilities: "" }),
+    [{ field: "failureProbabilities", message: "Enter at least one probability." }],
+  );
+  assert.equal(validateFailureModelConfig({ failureModel: "sometimes" })[0].field, "failureModel");
+});
@@ -0,0 +1,253 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { generateSchedule, validateConfig } from "../src/backoff.js";
+import { sampleRetryPath } from "../src/monteCarlo.js";
+import { createSeededRandom } from "../src/random.js";
+import {
+  DEFAULT_RETRY_AFTER_RULE,
+  isRetryAfterRule,
+  resolveRetryAfterRule,
+  retryAfterOverride,
+  sampleRetryAfterDelay,
+} from "../src/retryAfter.js";
+
+/**
+ * @param {object} config
+ */
+function hintedSchedule(config) {
+  return generateSchedule(config, { overrideDelay: retryAfterOverride(config) });
+}
+
+test("retry-after rule helpers validate and normalize values", () => {
+  assert.equal(isRetryAfterRule("ignore"), true);
+  assert.equal(isRetryAfterRule("max"), true);
+  assert.equal(isRetryAfterRule("override"), true);
+  assert.equal(isRetryAfterRule("min"), false);
+  assert.equal(resolveRetryAfterRule("unknown"), DEFAULT_RETRY_AFTER_RULE);
+  assert.equal(resolveRetryAfterRule("override"), "override");
+});
+
+test("no override hook when hints are ignored or never sent", () => {
+  const ignored = {
+    strategy: "exponential",
+    initialDelayMs: 1000,
+    factor: 2,
+    maxRetries: 4,
+    maxDelayMs: null,
+    jitter: "none",
+    retryAfterRule: "ignore",
+    retryAfterFraction: 1,
+    retryAfterMs: 3000,
+    retryAfterMaxMs: null,
+  };
+
+  assert.equal(retryAfterOverride(ignored), null);
+  assert.equal(
+    retryAfterOverride({ retryAfterRule: "max", retryAfterFraction: 0, retryAfterMs: 3000 }),
+    null,
+  );
+  assert.deepEqual(
+    hintedSchedule(ignored).map((point) => point.overridden),
+    [false, false, false, false],
+  );
+});
+
+test("max(Retry-After, backoff) only changes sleeps shorter than the hint", () => {
+  const points = hintedSchedule({
+    strategy: "exponential",
+    initialDelayMs: 1000,
+    factor: 2,
+    maxRetries: 4,
+    maxDelayMs: null,
+    jitter: "none",
+    retryAfterRule: "max",
+    retryAfterFraction: 1,
+    retryAfterMs: 3000,
+    retryAfterMaxMs: null,
+  });
+
+  assert.deepEqual(
+    points.map((point) => [point.delayMs, point.overridden, point.overrideShare]),
+    [
+      [3000, true, 1],
+      [3000, true, 1],
+      [4000, false, 0],
+      [8000, false, 0],
+    ],
+  );
+  assert.equal(points[3].attemptStartMs, 18000);
+});
+
+test("an overriding hint replaces every hinted sleep", () => {
+  const points = hintedSchedule({
+    strategy: "exponential",
+    initialDelayMs: 1000,
+    factor: 2,
+    maxRetries: 4,
+    maxDelayMs: null,
+    jitter: "none",
+    retryAfterRule: "override",
+    retryAfterFraction: 1,
+    retryAfterMs: 3000,
+    retryAfterMaxMs: null,
+  });
+
+  assert.deepEqual(
+    points.map((point) => point.delayMs),
+    [3000, 3000, 3000, 3000],
+  );
+  assert.equal(points[0].delayVariance, null);
+  assert.equal(points[3].cumulativeVariance, null);
+});
+
+test("partial hints blend the expected sleep and widen its range", () => {
+  const [first] = hintedSchedule({
+    strategy: "exponential",
+    initialDelayMs: 1000,
+    factor: 2,
+    maxRetries: 4,
+    maxDelayMs: null,
+    jitter: "none",
+    retryAfterRule: "max",
+    retryAfterFraction: 0.25,
+    retryAfterMs: 3000,
+    retryAfterMaxMs: null,
+  });
+
+  assert.equal(first.expectedDelayMs, 0.75 * 1000 + 0.25 * 3000);
+  assert.equal(first.minDelayMs, 1000);
+  assert.equal(first.maxDelayMs, 3000);
+  assert.equal(first.overrideShare, 0.25);
+});
+
+test("random hints match the mean of sampled paths", () => {
+  const config = {
+    strategy: "exponential",
+    initialDelayMs: 1000,
+    factor: 2,
+    maxRetries: 4,
+    maxDelayMs: null,
+    jitter: "full",
+    retryAfterRule: "max",
+    retryAfterFraction: 0.5,
+    retryAfterMs: 2000,
+    retryAfterMaxMs: 6000,
+  };
+  const points = hintedSchedule(config);
+  const random = createSeededRandom("retry-after");
+  const runs = 20000;
+  const meansMs = points.map(() => 0);
+  for (let run = 0; run < runs; run += 1) {
+    sampleRetryPath(config, points, random).forEach((delayMs, index) => {
+      meansMs[index] += delayMs / runs;
+    });
+  }
+
+  for (const [index, point] of points.entries()) {
+    assert.ok(Math.abs(meansMs[index] - point.expectedDelayMs) < point.expectedDelayMs * 0.02);
+  }
+});
+
+test("a hint raises floored sleeps by their real distribution", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 1000,
+    maxRetries: 2,
+    maxDelayMs: null,
+    minDelayMs: 300,
+    jitter: "full",
+    retryAfterRule: "max",
+    retryAfterFraction: 0.5,
+    retryAfterMs: 500,
+    retryAfterMaxMs: null,
+  };
+  const points = hintedSchedule(config);
+  const random = createSeededRandom("floored");
+  const runs = 20000;
+  let meanMs = 0;
+  for (let run = 0; run < runs; run += 1) {
+    meanMs += sampleRetryPath(config, points, random)[0] / runs;
+  }
+
+  // Half the sleeps are max(300, U(0, 1000)), mean 545; hinted ones are at least 500, mean 625.
+  assert.equal(points[0].expectedDelayMs, 585);
+  assert.ok(Math.abs(meanMs - 585) < 585 * 0.02);
+  assert.deepEqual(
+    hintedSchedule({ ...config, minDelayMs: 800, retryAfterFraction: 1, retryAfterMs: 2000 })
+      .map((point) => [point.minDelayMs, point.expectedDelayMs, point.maxDelayMs]),
+    [
+      [2000, 2000, 2000],
+      [2000, 2000, 2000],
+    ],
+  );
+});
+
+test("a hint over a jitter-then-cap sleep counts the draws piled on the cap", () => {
+  const config = {
+    strategy: "exponential",
+    initialDelayMs: 1000,
+    factor: 2,
+    maxRetries: 3,
+    maxDelayMs: 3000,
+    jitter: "equal",
+    jitterOrder: "jitter-then-cap",
+    retryAfterRule: "max",
+    retryAfterFraction: 1,
+    retryAfterMs: 2500,
+    retryAfterMaxMs: null,
+  };
+  const ranges = (points) =>
+    points.map((point) => [point.minDelayMs, point.expectedDelayMs, point.maxDelayMs]);
+
+  assert.deepEqual(ranges(hintedSchedule(config)), [
+    [2500, 2500, 2500],
+    [2500, 2500, 2500],
+    // The third draw, U(2000, 4000), puts half its mass on the 3s cap.
+    [2500, 0.25 * 2500 + 0.25 * 2750 + 0.5 * 3000, 3000],
+  ]);
+  assert.deepEqual(
+    ranges(hintedSchedule({ ...config, retryAfterMs: 5000 })),
+    Array(3).fill([5000, 5000, 5000]),
+  );
+});
+
+test("sampling draws nothing when hints are ignored", () => {
+  let draws = 0;
+  const random = () => {
+    draws += 1;
+    return 0;
+  };
+
+  assert.equal(sampleRetryAfterDelay({ retryAfterRule: "ignore" }, 1000, random), 1000);
+  assert.equal(draws, 0);
+  const overriding = {
+    strategy: "exponential",
+    initialDelayMs: 1000,
+    factor: 2,
+    maxRetries: 4,
+    maxDelayMs: null,
+    jitter: "none",
+    retryAfterRule: "override",
+    retryAfterFraction: 1,
+    retryAfterMs: 3000,
+    retryAfterMaxMs: null,
+  };
+  assert.equal(sampleRetryAfterDelay(overriding, 1000, random), 3000);
+});
+
+test("validation checks Retry-After inputs only when hints are used", () => {
+  const base = { strategy: "fixed", initialDelayMs: 100, maxRetries: 1, maxDelayMs: null };
+  const invalid = { retryAfterFraction: 2, retryAfterMs: 5000, retryAfterMaxMs: 1000 };
+
+  assert.deepEqual(validateConfig({ ...base, retryAfterRule: "max", ...invalid }), [
+    { field: "retryAfterFraction", message: "Must be between 0 and 1." },
+    { field: "retryAfterMaxMs", message: "Must be >= Retry-After." },
+  ]);
+  const negativeHint = { retryAfterRule: "override", retryAfterFraction: 1, retryAfterMs: -1 };
+  assert.deepEqual(validateConfig({ ...base, ...negativeHint }), [
+    { field: "retryAfterMs", message: "Must be >= 0." },
+  ]);
+  assert.deepEqual(validateConfig({ ...base, retryAfterRule: "ignore", ...invalid }), []);
+  assert.equal(validateConfig({ ...base, retryAfterRule: "min" })[0].field, "retryAfterRule");
+});
@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { buildChartMathExplanation, generateSchedule, validateConfig } from "../src/backoff.js";
+import {
+  DEFAULT_INITIAL_ATTEMPT_MODE,
+  DEFAULT_RETRY_INDEX_BASE,
+  initialAttemptPoint,
+  isInitialAttemptMode,
+  isRetryIndexBase,
+  maxAttemptsFromRetries,
+  maxRetriesFromAttempts,
+  resolveInitialAttemptMode,
+  resolveRetryIndexBase,
+  retryIndex,
+  retryLabel,
+} from "../src/retryIndex.js";
+
+test("retry index helpers validate and normalize values", () => {
+  assert.equal(isRetryIndexBase("zero"), true);
+  assert.equal(isRetryIndexBase("two"), false);
+  assert.equal(resolveRetryIndexBase("bogus"), DEFAULT_RETRY_INDEX_BASE);
+  assert.equal(isInitialAttemptMode("listed"), true);
+  assert.equal(isInitialAttemptMode("shown"), false);
+  assert.equal(resolveInitialAttemptMode(undefined), DEFAULT_INITIAL_ATTEMPT_MODE);
+});
+
+test("retries are numbered from the chosen base", () => {
+  assert.equal(retryIndex({}, 1), 1);
+  assert.equal(retryIndex({ retryIndexBase: "zero" }, 1), 0);
+  assert.deepEqual(
+    [0, 1, 2].map((retry) => retryLabel({ retryIndexBase: "one" }, retry)),
+    ["0", "1", "2"],
+  );
+  assert.deepEqual(
+    [0, 1, 2].map((retry) => retryLabel({ retryIndexBase: "zero" }, retry)),
+    ["Initial", "0", "1"],
+  );
+});
+
+test("max attempts count the initial call on top of the retries", () => {
+  assert.equal(maxAttemptsFromRetries(5), 6);
+  assert.equal(maxAttemptsFromRetries(0), 1);
+  assert.equal(maxRetriesFromAttempts(6), 5);
+  assert.equal(maxRetriesFromAttempts(maxAttemptsFromRetries(1000)), 1000);
+});
+
+test("the initial attempt row has no delay but keeps its attempt duration", () => {
+  const point = initialAttemptPoint({ attemptDurationMode: "timeout", attemptTimeoutMs: 2000 });
+
+  assert.equal(point.retry, 0);
+  assert.equal(point.delayMs, 0);
+  assert.equal(point.cumulativeDelayMs, 0);
+  assert.equal(point.attemptStartMs, 0);
+  assert.equal(point.attemptEndMs, 2000);
+});
+
+test("built-in strategies keep their delays under zero-based indexing", () => {
+  const delays = (config) => generateSchedule(config).map((point) => point.delayMs);
+  const exponential = {
+    strategy: "exponential",
+    initialDelayMs: 100,
+    factor: 2,
+    incrementMs: 50,
+    maxRetries: 3,
+    maxDelayMs: null,
+    jitter: "none",
+  };
+
+  assert.deepEqual(delays({ ...exponential, retryIndexBase: "zero" }), delays(exponential));
+  assert.deepEqual(
+    delays({ ...exponential, strategy: "linear", retryIndexBase: "zero" }),
+    [100, 150, 200],
+  );
+});
+
+test("delay formulas see r from the chosen base", () => {
+  const config = {
+    strategy: "expression",
+    expression: "D0 * 2^r",
+    initialDelayMs: 100,
+    factor: 2,
+    maxRetries: 3,
+    maxDelayMs: null,
+    jitter: "none",
+  };
+
+  assert.deepEqual(
+    generateSchedule(config).map((point) => point.delayMs),
+    [200, 400, 800],
+  );
+  assert.deepEqual(
+    generateSchedule({ ...config, retryIndexBase: "zero" }).map((point) => point.delayMs),
+    [100, 200, 400],
+  );
+  assert.deepEqual(validateConfig({ ...config, retryIndexBase: "two" }), [
+    { field: "retryIndexBase", message: "Must be one or zero." },
+  ]);
+});
+
+test("the explainer binds r to the active retry's index", () => {
+  const model = buildChartMathExplanation({
+    config: {
+      strategy: "exponential",
+      initialDelayMs: 100,
+      factor: 2,
+      maxRetries: 3,
+      maxDelayMs: null,
+      jitter: "none",
+      retryIndexBase: "zero",
+    },
+    chartMode: "delay",
+    chartSeriesMode: "expected",
+    activePoint: { retry: 2, valueMs: 200 },
+  });
+  const binding = model.variableBindings.find((entry) => entry.symbol === "r");
+
+  assert.equal(model.firstRetryIndex, 0);
+  assert.equal(model.activeRetryIndex, 1);
+  assert.equal(binding?.value, 1);
+  assert.match(binding?.label ?? "", /0\.\.2/);
+});
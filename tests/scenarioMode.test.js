@@ -0,0 +1,12 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { DEFAULT_SCENARIO_MODE, isScenarioMode, resolveScenarioMode } from "../src/scenarioMode.js";
+
+test("scenario mode helpers validate and normalize values", () => {
+  assert.equal(isScenarioMode("none"), true);
+  assert.equal(isScenarioMode("outage"), true);
+  assert.equal(isScenarioMode("brownout"), false);
+  assert.equal(resolveScenarioMode("unknown"), DEFAULT_SCENARIO_MODE);
+  assert.equal(resolveScenarioMode("outage"), "outage");
+});
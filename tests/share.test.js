@@ -80,3 +80,256 @@ test("readShareStateFromUrl accepts fixed strategy", () => {
   assert.equal(state.strategy, "fixed");
   assert.equal(state.initialDelayMs, "400");
 });
+
+test("share state round-trips polynomial strategy and exponent", () => {
+  const url = createShareUrl("https://example.com/", {
+    strategy: "polynomial",
+    initialDelayMs: "100",
+    exponent: "2.5",
+  });
+  const parsed = readShareStateFromUrl(url);
+
+  assert.equal(parsed.strategy, "polynomial");
+  assert.equal(parsed.exponent, "2.5");
+  assert.equal(
+    readShareStateFromUrl("https://example.com/?strategy=fibonacci").strategy,
+    "fibonacci",
+  );
+});
+
+test("share state round-trips a custom delay list", () => {
+  const url = createShareUrl("https://example.com/", {
+    strategy: "custom",
+    customDelays: "100ms, 500ms, 2s, 10s",
+    sequenceEnd: "stop",
+  });
+  const parsed = readShareStateFromUrl(url);
+
+  assert.equal(parsed.strategy, "custom");
+  assert.equal(parsed.customDelays, "100ms, 500ms, 2s, 10s");
+  assert.equal(parsed.sequenceEnd, "stop");
+  assert.equal(
+    readShareStateFromUrl("https://example.com/?sequenceEnd=loop").sequenceEnd,
+    undefined,
+  );
+});
+
+test("share state round-trips a delay formula", () => {
+  const url = createShareUrl("https://example.com/", {
+    strategy: "expression",
+    expression: "D0 * 2^(r-1) + 50*r",
+  });
+  const parsed = readShareStateFromUrl(url);
+
+  assert.equal(parsed.strategy, "expression");
+  assert.equal(parsed.expression, "D0 * 2^(r-1) + 50*r");
+});
+
+test("share state round-trips the min delay floor", () => {
+  const url = createShareUrl("https://example.com/", { minDelayMs: "250" });
+
+  assert.equal(readShareStateFromUrl(url).minDelayMs, "250");
+  assert.equal(readShareStateFromUrl("https://example.com/").minDelayMs, undefined);
+});
+
+test("share state round-trips proportional jitter and its randomization factor", () => {
+  const url = createShareUrl("https://example.com/", {
+    jitter: "proportional",
+    randomizationFactor: "0.2",
+  });
+  const parsed = readShareStateFromUrl(url);
+
+  assert.equal(parsed.jitter, "proportional");
+  assert.equal(parsed.randomizationFactor, "0.2");
+});
+
+test("share state round-trips the jitter order", () => {
+  const url = createShareUrl("https://example.com/", { jitterOrder: "jitter-then-cap" });
+
+  assert.equal(new URL(url).searchParams.get("jitterOrder"), "jitter-then-cap");
+  assert.equal(readShareStateFromUrl(url).jitterOrder, "jitter-then-cap");
+  assert.equal(
+    readShareStateFromUrl("https://example.com/?jitterOrder=both").jitterOrder,
+    undefined,
+  );
+});
+
+test("share state round-trips the simulation seed", () => {
+  const url = createShareUrl("https://example.com/", { chartSeriesMode: "simulated", seed: "4821" });
+
+  assert.equal(readShareStateFromUrl(url).seed, "4821");
+  assert.equal(new URL(createShareUrl("https://example.com/", { seed: "" })).search, "");
+});
+
+test("share state round-trips the retry throttling settings", () => {
+  const url = createShareUrl("https://example.com/", {
+    maxTokens: "100",
+    tokenRatio: "0.5",
+    throttleRequests: "5000",
+  });
+  const parsed = readShareStateFromUrl(url);
+
+  assert.equal(parsed.maxTokens, "100");
+  assert.equal(parsed.tokenRatio, "0.5");
+  assert.equal(parsed.throttleRequests, "5000");
+});
+
+test("share state round-trips the outage scenario", () => {
+  const url = createShareUrl("https://example.com/", {
+    scenarioMode: "outage",
+    outageMs: "60000",
+    recoveryCapacity: "0.25",
+  });
+  const parsed = readShareStateFromUrl(url);
+
+  assert.equal(parsed.scenarioMode, "outage");
+  assert.equal(parsed.outageMs, "60000");
+  assert.equal(parsed.recoveryCapacity, "0.25");
+  assert.equal(readShareStateFromUrl("https://example.com/?scenario=storm").scenarioMode, undefined);
+});
+
+test("share state round-trips the circuit breaker", () => {
+  const url = createShareUrl("https://example.com/", {
+    breakerMode: "consecutive",
+    breakerFailureThreshold: "3",
+    breakerOpenMs: "30000",
+    breakerHalfOpenProbes: "2",
+  });
+  const parsed = readShareStateFromUrl(url);
+
+  assert.equal(parsed.breakerMode, "consecutive");
+  assert.equal(parsed.breakerFailureThreshold, "3");
+  assert.equal(parsed.breakerOpenMs, "30000");
+  assert.equal(parsed.breakerHalfOpenProbes, "2");
+  assert.equal(readShareStateFromUrl("https://example.com/?breaker=rate").breakerMode, undefined);
+});
+
+test("share state round-trips Retry-After hint settings", () => {
+  const url = createShareUrl("https://example.com/", {
+    retryAfterRule: "override",
+    retryAfterFraction: "0.3",
+    retryAfterMs: "2000",
+    retryAfterMaxMs: "8000",
+  });
+  const parsed = readShareStateFromUrl(url);
+
+  assert.equal(parsed.retryAfterRule, "override");
+  assert.equal(parsed.retryAfterFraction, "0.3");
+  assert.equal(parsed.retryAfterMs, "2000");
+  assert.equal(parsed.retryAfterMaxMs, "8000");
+  assert.equal(readShareStateFromUrl("https://example.com/?retryAfter=min").retryAfterRule, undefined);
+});
+
+test("share state round-trips the summary wait thresholds", () => {
+  const url = createShareUrl("https://example.com/", { waitThresholds: "30s, 2m" });
+
+  assert.equal(new URL(url).searchParams.get("thresholds"), "30s, 2m");
+  assert.equal(readShareStateFromUrl(url).waitThresholds, "30s, 2m");
+});
+
+test("share state round-trips the thundering-herd client count", () => {
+  const url = createShareUrl("https://example.com/", { herdClients: "250" });
+
+  assert.equal(new URL(url).searchParams.get("clients"), "250");
+  assert.equal(readShareStateFromUrl(url).herdClients, "250");
+});
+
+test("share state round-trips the failure probability model", () => {
+  const url = createShareUrl("https://example.com/", {
+    failureModel: "varying",
+    failureProbability: "0.1",
+    failureProbabilities: "0.5, 0.2",
+  });
+  const parsed = readShareStateFromUrl(url);
+
+  assert.equal(parsed.failureModel, "varying");
+  assert.equal(parsed.failureProbability, "0.1");
+  assert.equal(parsed.failureProbabilities, "0.5, 0.2");
+  assert.equal(readShareStateFromUrl("https://example.com/?failModel=often").failureModel, undefined);
+});
+
+test("share state round-trips the elapsed budget and its mode", () => {
+  const url = createShareUrl("https://example.com/", {
+    maxElapsedMs: "30000",
+    elapsedBudgetMode: "clip",
+  });
+  const parsed = readShareStateFromUrl(url);
+
+  assert.equal(parsed.maxElapsedMs, "30000");
+  assert.equal(parsed.elapsedBudgetMode, "clip");
+  assert.equal(
+    readShareStateFromUrl("https://example.com/?budgetMode=trim").elapsedBudgetMode,
+    undefined,
+  );
+});
+
+test("share state round-trips the attempt duration model", () => {
+  const url = createShareUrl("https://example.com/", {
+    attemptDurationMode: "latency",
+    attemptTimeoutMs: "2000",
+    attemptP50Ms: "120",
+    attemptP99Ms: "900",
+  });
+  const parsed = readShareStateFromUrl(url);
+
+  assert.equal(parsed.attemptDurationMode, "latency");
+  assert.equal(parsed.attemptTimeoutMs, "2000");
+  assert.equal(parsed.attemptP50Ms, "120");
+  assert.equal(parsed.attemptP99Ms, "900");
+  assert.equal(
+    readShareStateFromUrl("https://example.com/?attemptMode=slow").attemptDurationMode,
+    undefined,
+  );
+});
+
+test("share state round-trips retry indexing", () => {
+  const url = createShareUrl("https://example.com/", {
+    retryIndexBase: "zero",
+    initialAttempt: "listed",
+  });
+  const parsed = readShareStateFromUrl(url);
+
+  assert.equal(new URL(url).searchParams.get("retryIndex"), "zero");
+  assert.equal(parsed.retryIndexBase, "zero");
+  assert.equal(parsed.initialAttempt, "listed");
+  assert.equal(
+    readShareStateFromUrl("https://example.com/?retryIndex=two").retryIndexBase,
+    undefined,
+  );
+});
+
+test("share state round-trips every pinned comparison series", () => {
+  const url = createShareUrl("https://example.com/", {
+    strategy: "exponential",
+    factor: "2",
+    comparisons: [
+      { name: "Old & slow", state: { strategy: "fixed", initialDelayMs: "5000", phases: "" } },
+      { name: "Tiered", state: { strategy: "linear", phases: "3x fixed 1h", seed: "ignored" } },
+    ],
+  });
+
+  const parsed = new URL(url);
+  assert.equal(parsed.searchParams.getAll("compare").length, 2);
+  const state = readShareStateFromUrl(url);
+  assert.equal(state.strategy, "exponential");
+  assert.equal(state.comparisons?.length, 2);
+  assert.equal(state.comparisons?.[0].name, "Old & slow");
+  assert.equal(state.comparisons?.[0].state.strategy, "fixed");
+  assert.equal(state.comparisons?.[0].state.initialDelayMs, "5000");
+  assert.equal(state.comparisons?.[0].state.phases, "");
+  assert.equal(state.comparisons?.[1].state.phases, "3x fixed 1h");
+  assert.equal(readShareStateFromUrl("https://example.com/?factor=2").comparisons, undefined);
+});
+
+test("share links carry at most four pinned series", () => {
+  const comparisons = Array.from({ length: 6 }, (_, index) => ({
+    name: `Policy ${index + 1}`,
+    state: { maxRetries: String(index + 1) },
+  }));
+  const url = createShareUrl("https://example.com/", { comparisons });
+
+  assert.deepEqual(
+    readShareStateFromUrl(url).comparisons?.map(({ name }) => name),
+    ["Policy 1", "Policy 2", "Policy 3", "Policy 4"],
+  );
+});
@@ -0,0 +1,209 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+  DEFAULT_SNIPPET_LIBRARY,
+  SNIPPET_LIBRARIES,
+  generateSnippet,
+  isSnippetLibrary,
+  resolveSnippetLibrary,
+} from "../src/snippets.js";
+
+test("snippet library helpers validate and resolve names", () => {
+  const exponential = {
+    strategy: "exponential",
+    initialDelayMs: 500,
+    factor: 2,
+    incrementMs: 1000,
+    maxRetries: 4,
+    maxDelayMs: 30000,
+    jitter: "none",
+  };
+
+  assert.equal(isSnippetLibrary("tenacity"), true);
+  assert.equal(isSnippetLibrary("retrying"), false);
+  assert.equal(resolveSnippetLibrary("polly"), "polly");
+  assert.equal(resolveSnippetLibrary("unknown"), DEFAULT_SNIPPET_LIBRARY);
+  assert.equal(generateSnippet("unknown", exponential).library, DEFAULT_SNIPPET_LIBRARY);
+});
+
+test("exponential backoff maps onto each library's own options", () => {
+  const exponential = {
+    strategy: "exponential",
+    initialDelayMs: 500,
+    factor: 2,
+    incrementMs: 1000,
+    maxRetries: 4,
+    maxDelayMs: 30000,
+    jitter: "none",
+  };
+  const snippets = Object.fromEntries(
+    SNIPPET_LIBRARIES.map((library) => [library, generateSnippet(library, exponential)]),
+  );
+
+  assert.match(snippets["p-retry"].code, /retries: 4,\n {2}factor: 2,\n {2}minTimeout: 500,/);
+  assert.match(snippets["p-retry"].code, /maxTimeout: 30000,\n {2}randomize: false,/);
+  assert.match(snippets["async-retry"].code, /randomize: false,/);
+  assert.match(snippets.tenacity.code, /stop=stop_after_attempt\(5\),/);
+  assert.ok(
+    snippets.tenacity.code.includes("wait=wait_exponential(multiplier=0.5, exp_base=2, max=30)"),
+  );
+  assert.match(snippets["cenkalti-backoff"].code, /b\.InitialInterval = 500 \* time\.Millisecond/);
+  assert.match(snippets["cenkalti-backoff"].code, /b\.MaxInterval = 30 \* time\.Second/);
+  assert.match(snippets["cenkalti-backoff"].code, /b\.MaxElapsedTime = 0 /);
+  assert.match(snippets["cenkalti-backoff"].code, /WithMaxRetries\(b, 4\)/);
+  assert.match(snippets.resilience4j.code, /\.maxAttempts\(5\)/);
+  assert.ok(
+    snippets.resilience4j.code.includes(
+      ".intervalFunction(IntervalFunction.ofExponentialBackoff(500L, 2.0, 30000L))",
+    ),
+  );
+  assert.match(snippets.polly.code, /BackoffType = DelayBackoffType\.Exponential,/);
+  assert.match(snippets.polly.code, /MaxDelay = TimeSpan\.FromSeconds\(30\),/);
+  assert.match(snippets["rust-backoff"].code, /\.with_multiplier\(2\.0\)/);
+  assert.match(snippets["rust-backoff"].code, /if failures > 4 \{/);
+  for (const snippet of Object.values(snippets)) {
+    assert.deepEqual(snippet.notes, [], snippet.library);
+  }
+});
+
+test("settings a library cannot express are listed as notes", () => {
+  const exponential = {
+    strategy: "exponential",
+    initialDelayMs: 500,
+    factor: 2,
+    incrementMs: 1000,
+    maxRetries: 4,
+    maxDelayMs: 30000,
+    jitter: "none",
+  };
+  const proportional = { ...exponential, jitter: "proportional", randomizationFactor: 0.5 };
+  assert.deepEqual(generateSnippet("p-retry", proportional).notes, [
+    "p-retry has no proportional jitter; the snippet leaves jitter off.",
+  ]);
+  assert.deepEqual(generateSnippet("cenkalti-backoff", proportional).notes, []);
+  assert.match(
+    generateSnippet("resilience4j", proportional).code,
+    /ofExponentialRandomBackoff\(500L, 2\.0, 0\.5, 30000L\)/,
+  );
+
+  const equal = generateSnippet("tenacity", { ...exponential, jitter: "equal" });
+  assert.deepEqual(equal.notes, ["tenacity has no equal jitter; the snippet leaves jitter off."]);
+
+  const full = generateSnippet("tenacity", { ...exponential, jitter: "full" });
+  assert.match(full.code, /wait=wait_random_exponential\(/);
+  assert.deepEqual(full.notes, []);
+
+  const budget = { ...exponential, maxElapsedMs: 60000, elapsedBudgetMode: "clip" };
+  assert.match(generateSnippet("tenacity", budget).code, /stop_before_delay\(60\)/);
+  assert.deepEqual(generateSnippet("polly", budget).notes, [
+    "Polly has no elapsed-time budget; the snippet stops on the retry count alone.",
+  ]);
+  assert.ok(
+    generateSnippet("rust-backoff", budget).notes.includes(
+      "The backoff crate cannot shorten the last sleep to fit the budget; the snippet stops " +
+        "instead.",
+    ),
+  );
+
+  const retryAfter = {
+    ...exponential,
+    retryAfterRule: "max",
+    retryAfterFraction: 1,
+    retryAfterMs: 1000,
+  };
+  assert.deepEqual(generateSnippet("resilience4j", retryAfter).notes, [
+    "Retry-After hints are not part of the snippet.",
+  ]);
+});
+
+test("schedules a library cannot grow natively list the computed delays", () => {
+  const exponential = {
+    strategy: "exponential",
+    initialDelayMs: 500,
+    factor: 2,
+    incrementMs: 1000,
+    maxRetries: 4,
+    maxDelayMs: 30000,
+    jitter: "none",
+  };
+  const linear = { ...exponential, strategy: "linear", maxDelayMs: null };
+  const pRetry = generateSnippet("p-retry", linear);
+  assert.match(pRetry.code, /const delaysMs = \[\n {2}500, 1500, 2500, 3500,\n\];/);
+  assert.match(pRetry.code, /sleep\(delaysMs\[attemptNumber - 1\]\)/);
+  assert.deepEqual(pRetry.notes, [
+    "p-retry has no linear backoff; the snippet lists the computed delays.",
+  ]);
+
+  const tenacity = generateSnippet("tenacity", linear);
+  assert.match(tenacity.code, /wait=wait_incrementing\(start=0\.5, increment=1\)/);
+  assert.deepEqual(tenacity.notes, []);
+
+  const floored = generateSnippet("cenkalti-backoff", { ...exponential, minDelayMs: 1000 });
+  assert.match(floored.code, /1 \* time\.Second, 1 \* time\.Second, 2 \* time\.Second/);
+  assert.deepEqual(floored.notes, [
+    "cenkalti/backoff has no minimum delay; the snippet lists the computed delays.",
+  ]);
+
+  const polly = generateSnippet("polly", { ...exponential, factor: 3, jitter: "full" });
+  assert.match(polly.code, /delaysMs\[args\.AttemptNumber\]/);
+  assert.deepEqual(polly.notes, [
+    "Polly has no exponential factor other than 2; the snippet lists the computed delays.",
+    "The listed delays are unjittered, so full jitter is left off.",
+  ]);
+
+  const phased = generateSnippet("rust-backoff", {
+    ...exponential,
+    maxRetries: 1,
+    phases: "2x fixed 1h",
+  });
+  assert.match(
+    phased.code,
+    /Duration::from_millis\(500\), Duration::from_secs\(3600\), Duration::from_secs\(3600\),/,
+  );
+  assert.deepEqual(phased.notes, [
+    "The backoff crate has no multi-phase schedules; the snippet lists the computed delays.",
+  ]);
+
+  const custom = generateSnippet("resilience4j", {
+    ...exponential,
+    strategy: "custom",
+    customDelays: "1s, 5s",
+  });
+  assert.match(custom.code, /long\[\] delaysMs = \{\n {4}1000L, 5000L, 5000L, 5000L,\n\};/);
+  assert.deepEqual(custom.notes, []);
+});
+
+test("decorrelated jitter lists the expected sleeps the schedule shows", () => {
+  const exponential = {
+    strategy: "exponential",
+    initialDelayMs: 500,
+    factor: 2,
+    incrementMs: 1000,
+    maxRetries: 4,
+    maxDelayMs: 30000,
+    jitter: "none",
+  };
+  const decorrelated = {
+    ...exponential,
+    initialDelayMs: 100,
+    maxDelayMs: null,
+    jitter: "decorrelated",
+  };
+  for (const library of SNIPPET_LIBRARIES) {
+    assert.match(
+      generateSnippet(library, decorrelated).notes[0],
+      /has no decorrelated jitter; the snippet lists the computed delays\.$/,
+      library,
+    );
+  }
+
+  const pRetry = generateSnippet("p-retry", decorrelated);
+  // 200, then (100 + 3 * 200) / 2, and so on; the exponential factor plays no part.
+  assert.match(pRetry.code, /const delaysMs = \[\n {2}200, 350, 575, 912\.5,\n\];/);
+  assert.deepEqual(pRetry.notes, [
+    "p-retry has no decorrelated jitter; the snippet lists the computed delays.",
+    "The listed delays are the expected decorrelated sleeps; every client sleeps the same " +
+      "rather than drawing at random.",
+  ]);
+});
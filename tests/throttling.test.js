@@ -0,0 +1,123 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { generateSchedule } from "../src/backoff.js";
+import { createSeededRandom } from "../src/random.js";
+import { simulateRetryThrottling, validateThrottleConfig } from "../src/throttling.js";
+
+test("a healthy stream never retries and keeps the bucket full", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 100,
+    maxRetries: 3,
+    maxDelayMs: null,
+    failureModel: "constant",
+    failureProbability: 0,
+    maxTokens: 10,
+    tokenRatio: 0.1,
+    throttleRequests: 10,
+  };
+  const simulation = simulateRetryThrottling(
+    config,
+    generateSchedule(config),
+    createSeededRandom("healthy"),
+  );
+
+  assert.equal(simulation.retriesSent, 0);
+  assert.equal(simulation.retriesSuppressed, 0);
+  assert.equal(simulation.failedRequests, 0);
+  assert.deepEqual(simulation.tokenLevels, Array(10).fill(10));
+});
+
+test("a full outage drains the bucket and then suppresses every retry", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 100,
+    maxRetries: 3,
+    maxDelayMs: null,
+    failureModel: "constant",
+    failureProbability: 1,
+    maxTokens: 10,
+    tokenRatio: 0.1,
+    throttleRequests: 10,
+  };
+  const simulation = simulateRetryThrottling(
+    config,
+    generateSchedule(config),
+    createSeededRandom("outage"),
+  );
+
+  // The first request spends 4 tokens; after that each first attempt spends one more and
+  // its retry is refused at or below the 5-token threshold.
+  assert.equal(simulation.threshold, 5);
+  assert.equal(simulation.retriesSent, 3);
+  assert.equal(simulation.retriesSuppressed, 9);
+  assert.equal(simulation.failedRequests, 10);
+  assert.equal(simulation.unthrottledRetries, 30);
+  assert.equal(simulation.unthrottledFailedRequests, 10);
+  assert.deepEqual(simulation.tokenLevels, [6, 5, 4, 3, 2, 1, 0, 0, 0, 0]);
+  assert.deepEqual(simulation.cumulativeSuppressed, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+});
+
+test("throttled and unthrottled runs share attempt outcomes", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 100,
+    maxRetries: 3,
+    maxDelayMs: null,
+    failureModel: "constant",
+    failureProbability: 0.4,
+    maxTokens: 10,
+    tokenRatio: 0.1,
+    throttleRequests: 2000,
+  };
+  const points = generateSchedule(config);
+  const first = simulateRetryThrottling(config, points, createSeededRandom("stream"));
+  const second = simulateRetryThrottling(config, points, createSeededRandom("stream"));
+
+  assert.deepEqual(first, second);
+  assert.ok(first.retriesSuppressed > 0);
+  assert.ok(first.retriesSent + first.retriesSuppressed <= first.unthrottledRetries);
+  assert.ok(first.failedRequests >= first.unthrottledFailedRequests);
+  assert.equal(first.tokenLevels.length, 2000);
+});
+
+test("varying failure probabilities apply per attempt", () => {
+  const config = {
+    strategy: "fixed",
+    initialDelayMs: 100,
+    maxRetries: 3,
+    maxDelayMs: null,
+    failureModel: "varying",
+    failureProbabilities: "1, 0",
+    maxTokens: 10,
+    tokenRatio: 0.1,
+    throttleRequests: 20,
+  };
+  const simulation = simulateRetryThrottling(
+    config,
+    generateSchedule(config),
+    createSeededRandom("varying"),
+  );
+
+  // Each request fails once and succeeds on its first retry, a net -0.9 tokens, so the
+  // sixth first attempt leaves 4.5 tokens and every retry from then on is refused.
+  assert.equal(simulation.retriesSent, 5);
+  assert.equal(simulation.retriesSuppressed, 15);
+  assert.equal(simulation.unthrottledFailedRequests, 0);
+  assert.equal(simulation.failedRequests, 15);
+});
+
+test("throttling inputs are validated", () => {
+  const invalid = { maxTokens: 0, tokenRatio: 0, throttleRequests: 0.5 };
+
+  assert.deepEqual(validateThrottleConfig(invalid), [
+    { field: "maxTokens", message: "Must be > 0 and <= 1000." },
+    { field: "tokenRatio", message: "Must be > 0." },
+    { field: "throttleRequests", message: "Must be an integer between 1 and 10000." },
+  ]);
+  assert.deepEqual(
+    validateThrottleConfig({ maxTokens: 1000, tokenRatio: 2, throttleRequests: 1 }),
+    [],
+  );
+});